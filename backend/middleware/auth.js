@@ -2,35 +2,27 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
 /**
- * Middleware de autenticação JWT
- * Verifica se o token JWT é válido e adiciona os dados do usuário à requisição
+ * Erro de autenticação com código e status HTTP
  */
-const authMiddleware = async (req, res, next) => {
-  try {
-    // Extrair token do header Authorization
-    const authHeader = req.header('Authorization');
-    
-    if (!authHeader) {
-      return res.status(401).json({
-        error: {
-          message: 'Token de acesso não fornecido',
-          code: 'NO_TOKEN'
-        }
-      });
-    }
+class AuthError extends Error {
+  constructor(message, code, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
 
-    // Verificar se o token está no formato correto (Bearer token)
-    const token = authHeader.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({
-        error: {
-          message: 'Formato de token inválido',
-          code: 'INVALID_TOKEN_FORMAT'
-        }
-      });
-    }
+/**
+ * Valida um token JWT e retorna o usuário ativo correspondente
+ * Usado pelo middleware HTTP e pela autenticação do Socket.IO
+ */
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw new AuthError('Formato de token inválido', 'INVALID_TOKEN_FORMAT');
+  }
 
+  try {
     // Verificar e decodificar o token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
@@ -38,24 +30,50 @@ const authMiddleware = async (req, res, next) => {
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
-      return res.status(401).json({
-        error: {
-          message: 'Usuário não encontrado',
-          code: 'USER_NOT_FOUND'
-        }
-      });
+      throw new AuthError('Usuário não encontrado', 'USER_NOT_FOUND');
     }
 
     // Verificar se o usuário está ativo
     if (!user.isActive) {
+      throw new AuthError('Conta desativada', 'ACCOUNT_DISABLED');
+    }
+
+    return user;
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      throw new AuthError('Token inválido', 'INVALID_TOKEN');
+    }
+    
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthError('Token expirado', 'TOKEN_EXPIRED');
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Middleware de autenticação JWT
+ * Verifica se o token JWT é válido e adiciona os dados do usuário à requisição
+ */
+const authMiddleware = async (req, res, next) => {
+  try {
+    // Extrair token do header Authorization
+    const authHeader = req.header('Authorization');
+    
+    if (!authHeader) {
       return res.status(401).json({
         error: {
-          message: 'Conta desativada',
-          code: 'ACCOUNT_DISABLED'
+          message: 'Token de acesso não fornecido',
+          code: 'NO_TOKEN'
         }
       });
     }
 
+    // Verificar se o token está no formato correto (Bearer token)
+    const token = authHeader.replace('Bearer ', '');
+    const user = await authenticateToken(token);
+
     // Adicionar dados do usuário à requisição
     req.user = user;
     req.userId = user._id;
@@ -63,25 +81,16 @@ const authMiddleware = async (req, res, next) => {
     
     next();
   } catch (error) {
-    console.error('❌ Erro no middleware de autenticação:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({
         error: {
-          message: 'Token inválido',
-          code: 'INVALID_TOKEN'
-        }
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        error: {
-          message: 'Token expirado',
-          code: 'TOKEN_EXPIRED'
+          message: error.message,
+          code: error.code
         }
       });
     }
+
+    console.error('❌ Erro no middleware de autenticação:', error);
     
     res.status(500).json({
       error: {
@@ -125,4 +134,6 @@ const storeOwnerMiddleware = (req, res, next) => {
 };
 
 module.exports = authMiddleware;
+module.exports.authenticateToken = authenticateToken;
+module.exports.AuthError = AuthError;
 
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const Store = require('../models/Store');
+
+// Com a janela configurada, todo webhook precisa do X-Webhook-Timestamp
+// (sem ela, o cabeçalho é opcional e vale a janela padrão)
+const REQUIRE_TIMESTAMP = Boolean(parseInt(process.env.WEBHOOK_REPLAY_WINDOW_SECONDS, 10));
+const REPLAY_WINDOW_SECONDS = parseInt(process.env.WEBHOOK_REPLAY_WINDOW_SECONDS, 10) || 300;
+
+/**
+ * Compara duas assinaturas em tempo constante
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a, 'utf8');
+  const bufferB = Buffer.from(b, 'utf8');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Middleware de verificação de assinatura dos webhooks do WhatsApp
+ *
+ * Aceita o cabeçalho X-Hub-Signature-256 (formato da Cloud API) ou
+ * X-Webhook-Signature, ambos com HMAC-SHA256 do corpo bruto usando o
+ * segredo da loja. Quando o remetente envia X-Webhook-Timestamp, a
+ * assinatura cobre "<timestamp>.<corpo>" e o timestamp precisa estar
+ * dentro da janela de replay; com WEBHOOK_REPLAY_WINDOW_SECONDS definido, o
+ * cabeçalho é obrigatório. O corpo bruto (req.rawBody) vem dos parsers JSON e
+ * urlencoded do server.js; sem ele, a requisição é recusada.
+ */
+const webhookSignatureMiddleware = async (req, res, next) => {
+  try {
+    const store = await Store.findById(req.params.storeId).select('+whatsapp.webhookSecret');
+
+    if (!store) {
+      return res.status(404).json({
+        error: {
+          message: 'Loja não encontrada',
+          code: 'STORE_NOT_FOUND'
+        }
+      });
+    }
+
+    const secret = store.whatsapp.webhookSecret;
+    if (!secret) {
+      return res.status(401).json({
+        error: {
+          message: 'Segredo do webhook não configurado para esta loja',
+          code: 'WEBHOOK_SECRET_NOT_CONFIGURED'
+        }
+      });
+    }
+
+    const signatureHeader = req.header('X-Hub-Signature-256') || req.header('X-Webhook-Signature');
+    if (!signatureHeader) {
+      return res.status(401).json({
+        error: {
+          message: 'Assinatura do webhook não fornecida',
+          code: 'NO_SIGNATURE'
+        }
+      });
+    }
+
+    // Sem corpo bruto (tipo de conteúdo não suportado) não há o que verificar
+    const { rawBody } = req;
+    if (!rawBody) {
+      return res.status(400).json({
+        error: {
+          message: 'Corpo do webhook ausente ou em formato não suportado',
+          code: 'NO_RAW_BODY'
+        }
+      });
+    }
+
+    const timestamp = req.header('X-Webhook-Timestamp');
+    if (!timestamp && REQUIRE_TIMESTAMP) {
+      return res.status(401).json({
+        error: {
+          message: 'Timestamp do webhook não fornecido',
+          code: 'NO_TIMESTAMP'
+        }
+      });
+    }
+    let signedPayload = rawBody;
+
+    if (timestamp) {
+      const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+      if (!Number.isFinite(age) || age > REPLAY_WINDOW_SECONDS) {
+        return res.status(401).json({
+          error: {
+            message: 'Timestamp do webhook fora da janela permitida',
+            code: 'REPLAY_WINDOW_EXCEEDED'
+          }
+        });
+      }
+      signedPayload = Buffer.concat([Buffer.from(`${timestamp}.`), rawBody]);
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(signedPayload)
+      .digest('hex');
+    const received = signatureHeader.replace(/^sha256=/, '');
+
+    if (!safeEqual(received, expected)) {
+      return res.status(401).json({
+        error: {
+          message: 'Assinatura do webhook inválida',
+          code: 'INVALID_SIGNATURE'
+        }
+      });
+    }
+
+    req.store = store;
+    next();
+  } catch (error) {
+    console.error('❌ Erro na verificação do webhook:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: {
+          message: 'Loja não encontrada',
+          code: 'STORE_NOT_FOUND'
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        message: 'Erro interno do servidor',
+        code: 'INTERNAL_ERROR'
+      }
+    });
+  }
+};
+
+module.exports = webhookSignatureMiddleware;
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema de consumo de LLM
+ * Um documento por loja, dia, provedor e modelo, com contadores acumulados
+ */
+const aiUsageSchema = new mongoose.Schema({
+  // Dia de referência (AAAA-MM-DD, UTC)
+  date: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+
+  // Contadores
+  requests: {
+    type: Number,
+    default: 0
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+
+  // Referência à loja
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para otimização
+aiUsageSchema.index({ storeId: 1, date: 1, provider: 1, model: 1 }, { unique: true });
+
+// Método estático para registrar uma chamada ao LLM
+aiUsageSchema.statics.record = function(storeId, { provider, model, usage, failed = false }) {
+  const date = new Date().toISOString().slice(0, 10);
+  const tokens = usage || {};
+
+  return this.findOneAndUpdate(
+    { storeId, date, provider, model: model || 'desconhecido' },
+    {
+      $inc: {
+        requests: 1,
+        failures: failed ? 1 : 0,
+        promptTokens: tokens.promptTokens || 0,
+        completionTokens: tokens.completionTokens || 0,
+        totalTokens: tokens.totalTokens || 0
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Método estático para o resumo de consumo de uma loja em um período
+aiUsageSchema.statics.summary = async function(storeId, days = 30) {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const daily = await this.aggregate([
+    { $match: { storeId: new mongoose.Types.ObjectId(String(storeId)), date: { $gte: since } } },
+    {
+      $group: {
+        _id: '$date',
+        requests: { $sum: '$requests' },
+        failures: { $sum: '$failures' },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        totalTokens: { $sum: '$totalTokens' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const totals = daily.reduce((sum, day) => ({
+    requests: sum.requests + day.requests,
+    failures: sum.failures + day.failures,
+    totalTokens: sum.totalTokens + day.totalTokens
+  }), { requests: 0, failures: 0, totalTokens: 0 });
+
+  return {
+    since,
+    totals,
+    daily: daily.map(({ _id, ...day }) => ({ date: _id, ...day }))
+  };
+};
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
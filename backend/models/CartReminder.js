@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema de lembrete de carrinho abandonado
+ * Um registro por etapa da sequência enviada ao contato; guarda o pedido que
+ * recuperou o carrinho (receita recuperada)
+ */
+const cartReminderSchema = new mongoose.Schema({
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: true
+  },
+  // Etapa da sequência (1 = primeiro lembrete)
+  step: {
+    type: Number,
+    required: true
+  },
+  // Identifica o carrinho: última alteração antes do lembrete
+  cartUpdatedAt: {
+    type: Date,
+    required: true
+  },
+  cartValue: Number,
+  itemCount: Number,
+
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: String,
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Recuperação: pedido do contato dentro de recoveryDays
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: Number,
+  revenue: Number,
+  recoveredAt: Date,
+
+  // Referência à loja
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para otimização
+// Uma etapa por carrinho (deduplicação)
+cartReminderSchema.index({ contactId: 1, cartUpdatedAt: 1, step: 1 }, { unique: true });
+cartReminderSchema.index({ storeId: 1, sentAt: -1 });
+cartReminderSchema.index({ contactId: 1, sentAt: -1 });
+
+// Virtual para indicar se o carrinho foi recuperado
+cartReminderSchema.virtual('isRecovered').get(function() {
+  return Boolean(this.orderId);
+});
+
+module.exports = mongoose.model('CartReminder', cartReminderSchema);
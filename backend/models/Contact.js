@@ -111,7 +111,13 @@ const contactSchema = new mongoose.Schema({
     notificationSent: {
       type: Boolean,
       default: false
-    }
+    },
+    // Lembretes da sequência já enviados desde a última alteração do carrinho
+    remindersSent: {
+      type: Number,
+      default: 0
+    },
+    lastReminderAt: Date
   },
   
   // Histórico de compras
@@ -130,7 +136,7 @@ const contactSchema = new mongoose.Schema({
     }],
     status: {
       type: String,
-      enum: ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'],
+      enum: ['pending', 'confirmed', 'preparing', 'shipped', 'delivered', 'cancelled'],
       default: 'pending'
     }
   }],
@@ -302,7 +308,8 @@ contactSchema.virtual('customerTier').get(function() {
 });
 
 // Método para atualizar estatísticas
-contactSchema.methods.updateStats = async function(type, value) {
+// options.session permite usar dentro de uma transação
+contactSchema.methods.updateStats = async function(type, value, options = {}) {
   const updates = {};
   
   switch (type) {
@@ -316,6 +323,15 @@ contactSchema.methods.updateStats = async function(type, value) {
         updates['stats.firstPurchase'] = new Date();
       }
       break;
+
+    // Pedido cancelado depois de confirmado
+    case 'purchase_cancelled':
+      updates['stats.totalOrders'] = Math.max(this.stats.totalOrders - 1, 0);
+      updates['stats.totalSpent'] = Math.max(this.stats.totalSpent - value, 0);
+      updates['stats.averageOrderValue'] = updates['stats.totalOrders'] > 0
+        ? updates['stats.totalSpent'] / updates['stats.totalOrders']
+        : 0;
+      break;
       
     case 'message':
       updates['stats.totalMessages'] = this.stats.totalMessages + 1;
@@ -324,7 +340,9 @@ contactSchema.methods.updateStats = async function(type, value) {
   }
   
   if (Object.keys(updates).length > 0) {
-    await this.updateOne(updates);
+    await this.updateOne(updates, { session: options.session });
+    // Mantém o documento em memória coerente para atualizações seguintes
+    this.set(updates);
   }
 };
 
@@ -379,6 +397,7 @@ contactSchema.methods.addToAbandonedCart = async function(productId, variantId,
   
   this.abandonedCart.lastUpdated = new Date();
   this.abandonedCart.notificationSent = false;
+  this.abandonedCart.remindersSent = 0;
   
   await this.save();
 };
@@ -388,10 +407,58 @@ contactSchema.methods.clearAbandonedCart = async function() {
   this.abandonedCart.items = [];
   this.abandonedCart.lastUpdated = new Date();
   this.abandonedCart.notificationSent = false;
+  this.abandonedCart.remindersSent = 0;
   
   await this.save();
 };
 
+// Método para verificar se o contato aceita mensagens de marketing pelo WhatsApp
+contactSchema.methods.acceptsMarketing = function() {
+  const communication = this.communication || {};
+  return communication.whatsappOptIn !== false &&
+    communication.marketingOptIn !== false &&
+    !(this.whatsapp && this.whatsapp.isBlocked);
+};
+
+// Método para o próximo horário dentro da janela preferida do contato (now, se já estiver nela)
+contactSchema.methods.nextContactTime = function(now = new Date()) {
+  const communication = this.communication || {};
+  const preferred = communication.preferredTime || {};
+  const toMinutes = (value, fallback) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : fallback;
+  };
+  const start = toMinutes(preferred.start, 9 * 60);
+  const end = toMinutes(preferred.end, 18 * 60);
+  if (start === end) return now;
+
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: communication.timezone || 'America/Sao_Paulo',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+  } catch (error) {
+    // Fuso inválido: sem restrição de horário
+    return now;
+  }
+  const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+  const current = get('hour') * 60 + get('minute');
+
+  // A janela pode virar a meia-noite (ex: 20:00 às 08:00)
+  const inside = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (inside) return now;
+
+  const wait = (start - current + 24 * 60) % (24 * 60);
+  const next = new Date(now.getTime() + wait * 60 * 1000);
+  next.setSeconds(0, 0);
+  return next;
+};
+
 // Método para adicionar nota
 contactSchema.methods.addNote = async function(content, createdBy, isPrivate = false) {
   this.notes.push({
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema do estado da conversa
+ * Guarda a etapa do atendimento, a escolha em andamento e o carrinho,
+ * para que um reinício do servidor não perca o pedido
+ */
+const conversationSchema = new mongoose.Schema({
+  // Identificação da conversa (mesmo formato de Message.conversationId)
+  conversationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+
+  // Etapa do atendimento
+  state: {
+    type: String,
+    enum: ['browsing', 'choosing_product', 'choosing_options', 'choosing_quantity', 'reviewing_cart', 'checkout'],
+    default: 'browsing'
+  },
+
+  // Escolha em andamento (produto, opções já definidas e o que falta perguntar)
+  pending: {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    candidates: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    selections: {
+      type: Map,
+      of: String,
+      default: {}
+    },
+    quantity: Number,
+    awaiting: {
+      type: String,
+      enum: ['product', 'option', 'quantity']
+    },
+    axis: String, // Opção sendo perguntada (ex: Tamanho)
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: Date
+  },
+
+  // Carrinho
+  cart: {
+    items: [{
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      variantId: String,
+      name: String,
+      selections: {
+        type: Map,
+        of: String
+      },
+      quantity: {
+        type: Number,
+        min: 1,
+        default: 1
+      },
+      unitPrice: Number,
+      addedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    updatedAt: Date
+  },
+
+  // Encaminhamento para o fechamento do pedido
+  checkout: {
+    requestedAt: Date,
+    total: Number,
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderNumber: Number
+  },
+
+  // Quem responde: IA (bot), equipe (human) ou ninguém automaticamente (paused)
+  mode: {
+    type: String,
+    enum: ['bot', 'human', 'paused'],
+    default: 'bot'
+  },
+
+  // Transferência para atendimento humano
+  handoff: {
+    reason: {
+      type: String,
+      enum: ['customer_request', 'complaint', 'negative_sentiment', 'agent_reply', 'manual']
+    },
+    requestedAt: Date,
+    agentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastAgentActivityAt: Date,
+    releasedAt: Date,
+    releaseReason: {
+      type: String,
+      enum: ['idle', 'manual']
+    }
+  },
+
+  lastInteractionAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Referências
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para otimização
+conversationSchema.index({ storeId: 1, state: 1, updatedAt: -1 });
+conversationSchema.index({ contactId: 1 });
+conversationSchema.index({ mode: 1, 'handoff.lastAgentActivityAt': 1 });
+
+// Virtual para total do carrinho
+conversationSchema.virtual('cartTotal').get(function() {
+  return this.cart.items.reduce((total, item) => total + item.unitPrice * item.quantity, 0);
+});
+
+// Virtual para quantidade de peças no carrinho
+conversationSchema.virtual('cartCount').get(function() {
+  return this.cart.items.reduce((count, item) => count + item.quantity, 0);
+});
+
+// Método para limpar a escolha em andamento
+conversationSchema.methods.clearPending = function() {
+  this.pending = { selections: {}, candidates: [], attempts: 0 };
+  if (this.state !== 'checkout') {
+    this.state = this.cart.items.length > 0 ? 'reviewing_cart' : 'browsing';
+  }
+};
+
+// Chave que identifica as opções escolhidas, independente da ordem
+const selectionKey = (selections) => {
+  const entries = selections instanceof Map ? [...selections.entries()] : Object.entries(selections || {});
+  return entries
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('|');
+};
+
+// Método para adicionar item ao carrinho (soma a quantidade se já existir)
+conversationSchema.methods.addItem = function(item) {
+  const key = selectionKey(item.selections);
+  const existing = this.cart.items.find(current =>
+    current.productId.toString() === item.productId.toString() &&
+    selectionKey(current.selections) === key
+  );
+
+  if (existing) {
+    existing.quantity += item.quantity;
+    existing.unitPrice = item.unitPrice;
+  } else {
+    this.cart.items.push(item);
+  }
+  this.cart.updatedAt = new Date();
+
+  return existing || this.cart.items[this.cart.items.length - 1];
+};
+
+// Método para esvaziar o carrinho
+conversationSchema.methods.clearCart = function() {
+  this.cart.items = [];
+  this.cart.updatedAt = new Date();
+  this.checkout = {};
+};
+
+// Método para passar a conversa para a equipe (ou pausar a IA)
+conversationSchema.methods.startHandoff = function(mode, { reason, agentId } = {}) {
+  const now = new Date();
+  this.mode = mode;
+  this.handoff = {
+    reason,
+    requestedAt: now,
+    agentId,
+    lastAgentActivityAt: now
+  };
+};
+
+// Método para devolver a conversa à IA
+conversationSchema.methods.releaseHandoff = function(reason) {
+  this.mode = 'bot';
+  this.handoff.releasedAt = new Date();
+  this.handoff.releaseReason = reason;
+};
+
+// Método estático para obter (ou criar) o estado de uma conversa
+conversationSchema.statics.findOrCreate = async function({ conversationId, storeId, contactId, phone }) {
+  return this.findOneAndUpdate(
+    { conversationId },
+    { $setOnInsert: { conversationId, storeId, contactId, phone } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
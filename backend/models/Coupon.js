@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema do cupom de desconto
+ * Cupons com trigger diferente de "manual" são regras: a cada gatilho
+ * (primeira compra, aniversário, carrinho abandonado) geram um cupom
+ * individual para o contato, com uso único
+ */
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Código é obrigatório'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Código deve ter de 3 a 30 letras, números, - ou _']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Descrição deve ter no máximo 200 caracteres']
+  },
+
+  // Desconto
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping'],
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Valor não pode ser negativo']
+  },
+  // Teto do desconto percentual (R$)
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  minCartValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Limites de uso (vazio = sem limite)
+  usageLimit: {
+    total: {
+      type: Number,
+      min: 1
+    },
+    perContact: {
+      type: Number,
+      min: 1,
+      default: 1
+    }
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Período de validade
+  validFrom: Date,
+  validUntil: Date,
+
+  // Produtos e categorias em que o desconto vale (vazio = toda a loja)
+  scope: {
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    categories: [String]
+  },
+
+  // Regra de emissão automática
+  trigger: {
+    type: String,
+    enum: ['manual', 'first_purchase', 'birthday', 'abandoned_cart'],
+    default: 'manual'
+  },
+  // Dias de validade dos cupons gerados pela regra
+  issueValidityDays: {
+    type: Number,
+    default: 7,
+    min: 1,
+    max: 365
+  },
+
+  // Cupom individual gerado por uma regra
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+
+  // Usos registrados
+  redemptions: [{
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact'
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    discount: Number,
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Referência à loja
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para otimização
+couponSchema.index({ storeId: 1, code: 1 }, { unique: true });
+couponSchema.index({ storeId: 1, trigger: 1, isActive: 1 });
+couponSchema.index({ ruleId: 1, assignedTo: 1 });
+
+// Virtual para indicar se é uma regra de emissão automática
+couponSchema.virtual('isRule').get(function() {
+  return this.trigger !== 'manual' && !this.ruleId;
+});
+
+// Método para verificar se está dentro da validade
+couponSchema.methods.isWithinValidity = function(date = new Date()) {
+  if (this.validFrom && date < this.validFrom) return false;
+  if (this.validUntil && date > this.validUntil) return false;
+  return true;
+};
+
+// Método para contar os usos de um contato
+couponSchema.methods.usesBy = function(contactId) {
+  if (!contactId) return 0;
+  return this.redemptions.filter(redemption =>
+    redemption.contactId && redemption.contactId.toString() === contactId.toString()
+  ).length;
+};
+
+// Método para verificar se o item está no escopo do cupom
+couponSchema.methods.appliesTo = function(item) {
+  const products = this.scope.products || [];
+  const categories = this.scope.categories || [];
+  if (products.length === 0 && categories.length === 0) return true;
+
+  if (item.productId && products.some(id => id.toString() === item.productId.toString())) return true;
+  if (item.category && categories.some(category => category.toLowerCase() === String(item.category).toLowerCase())) return true;
+  return false;
+};
+
+// Método para descrever o benefício ("10% de desconto", "frete grátis")
+couponSchema.methods.describeBenefit = function() {
+  if (this.type === 'free_shipping') return 'frete grátis';
+  if (this.type === 'percentage') return `${this.value}% de desconto`;
+  return `R$ ${this.value.toFixed(2).replace('.', ',')} de desconto`;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { normalize } = require('../utils/text');
+
+/**
+ * Schema de exemplo rotulado de intenção
+ * Correções feitas pela loja na caixa de entrada, usadas para treinar o
+ * classificador junto com o conjunto padrão
+ */
+const intentExampleSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  // Texto normalizado (evita exemplos repetidos)
+  normalizedText: {
+    type: String,
+    required: true
+  },
+  intent: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['correction', 'manual'],
+    default: 'manual'
+  },
+
+  // Intenção prevista antes da correção
+  previousIntent: String,
+
+  // Referências
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para otimização
+intentExampleSchema.index({ storeId: 1, normalizedText: 1 }, { unique: true });
+intentExampleSchema.index({ storeId: 1, intent: 1 });
+
+// Método estático para registrar um exemplo (o mesmo texto troca de rótulo)
+intentExampleSchema.statics.upsertExample = function(storeId, { text, intent, source = 'manual', previousIntent, messageId, createdBy }) {
+  const update = { text, intent, source };
+  if (previousIntent) update.previousIntent = previousIntent;
+  if (messageId) update.messageId = messageId;
+  if (createdBy) update.createdBy = createdBy;
+
+  return this.findOneAndUpdate(
+    { storeId, normalizedText: normalize(text) },
+    { $set: update },
+    { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+};
+
+// Método estático para contar os exemplos por intenção
+intentExampleSchema.statics.countByIntent = async function(storeId) {
+  const rows = await this.aggregate([
+    { $match: { storeId: new mongoose.Types.ObjectId(storeId) } },
+    { $group: { _id: '$intent', count: { $sum: 1 } } }
+  ]);
+
+  return rows.reduce((counts, row) => {
+    counts[row._id] = row.count;
+    return counts;
+  }, {});
+};
+
+module.exports = mongoose.model('IntentExample', intentExampleSchema);
@@ -26,6 +26,21 @@ const messageSchema = new mongoose.Schema({
     fileName: String,
     fileSize: Number,
     duration: Number, // Para áudios e vídeos
+    storageKey: String, // Chave da mídia no armazenamento (servida por /api/media/:id)
+    mediaStatus: {
+      type: String,
+      enum: ['stored', 'too_large', 'rejected', 'failed']
+    },
+    transcription: { // Para mensagens de voz
+      text: String,
+      language: String,
+      confidence: Number,
+      engine: String,
+      status: {
+        type: String,
+        enum: ['completed', 'low_confidence', 'failed']
+      }
+    },
     location: {
       latitude: Number,
       longitude: Number,
@@ -57,6 +72,9 @@ const messageSchema = new mongoose.Schema({
     default: 'pending'
   },
   
+  // Id da mensagem no provedor (usado para recibos de entrega/leitura)
+  providerMessageId: String,
+  
   // Timestamps do WhatsApp
   whatsappTimestamp: Date,
   deliveredAt: Date,
@@ -69,8 +87,16 @@ const messageSchema = new mongoose.Schema({
       default: false
     },
     intent: String,
+    intentConfidence: Number,
+    // Vantagem da intenção sobre a segunda colocada
+    intentMargin: Number,
+    // Intenção corrigida pela loja (exemplo de treino do classificador)
+    intentCorrected: {
+      type: Boolean,
+      default: false
+    },
     entities: [{
-      type: String,
+      type: { type: String }, // size, color, price_min, price_max, category, occasion
       value: String,
       confidence: Number
     }],
@@ -109,6 +135,7 @@ const messageSchema = new mongoose.Schema({
       type: String,
       enum: ['button', 'list', 'product', 'catalog']
     },
+    buttonText: String, // Rótulo que abre a lista
     buttons: [{
       id: String,
       title: String,
@@ -123,6 +150,12 @@ const messageSchema = new mongoose.Schema({
     productId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product'
+    },
+    // Opção escolhida pelo cliente (mensagens recebidas)
+    reply: {
+      id: String,
+      title: String,
+      payload: String
     }
   },
   
@@ -182,6 +215,7 @@ messageSchema.index({ contactId: 1, createdAt: -1 });
 messageSchema.index({ direction: 1, status: 1 });
 messageSchema.index({ 'scheduled.isScheduled': 1, 'scheduled.scheduledFor': 1 });
 messageSchema.index({ 'ai.processed': 1 });
+messageSchema.index({ storeId: 1, providerMessageId: 1 }, { sparse: true });
 
 // Virtual para verificar se é uma mensagem de entrada
 messageSchema.virtual('isInbound').get(function() {
@@ -216,22 +250,70 @@ messageSchema.virtual('responseTimeFormatted').get(function() {
   return `${hours}h ${minutes}m`;
 });
 
-// Método para marcar como lida
-messageSchema.methods.markAsRead = async function() {
-  if (this.status !== 'read') {
-    this.status = 'read';
-    this.readAt = new Date();
-    await this.save();
+// Ordem dos status de entrega: só é permitido avançar
+// ('failed' pode acontecer em qualquer ponto e encerra a sequência)
+const STATUS_ORDER = ['pending', 'sent', 'delivered', 'read'];
+
+// Método para aplicar um recibo do provedor respeitando a ordem dos status
+// A condição fica no próprio update, então recibos simultâneos não regridem o status
+// Retorna true se o status mudou
+messageSchema.methods.applyStatus = async function(status, timestamp = new Date(), error = null) {
+  let updated;
+
+  if (status === 'failed') {
+    updated = await this.constructor.findOneAndUpdate(
+      { _id: this._id, status: { $ne: 'failed' } },
+      {
+        $set: {
+          status: 'failed',
+          ...(error ? {
+            error: {
+              code: error.code || 'UNKNOWN_ERROR',
+              message: error.message || 'Erro desconhecido',
+              details: error.details || null
+            }
+          } : {})
+        }
+      },
+      { new: true }
+    );
+  } else {
+    const next = STATUS_ORDER.indexOf(status);
+    if (next <= 0) return false;
+
+    const changes = { status };
+    if (next >= STATUS_ORDER.indexOf('delivered')) {
+      changes.deliveredAt = { $ifNull: ['$deliveredAt', timestamp] };
+    }
+    if (status === 'read') {
+      changes.readAt = timestamp;
+    }
+
+    updated = await this.constructor.findOneAndUpdate(
+      { _id: this._id, status: { $in: STATUS_ORDER.slice(0, next) } },
+      [{ $set: changes }],
+      { new: true }
+    );
   }
+
+  if (!updated) return false;
+
+  // Mantém o documento em memória igual ao banco
+  this.status = updated.status;
+  this.deliveredAt = updated.deliveredAt;
+  this.readAt = updated.readAt;
+  this.error = updated.error;
+  return true;
+};
+
+// Método para marcar como lida
+messageSchema.methods.markAsRead = function() {
+  return this.applyStatus('read');
 };
 
 // Método para marcar como entregue
-messageSchema.methods.markAsDelivered = async function() {
-  if (this.status === 'sent') {
-    this.status = 'delivered';
-    this.deliveredAt = new Date();
-    await this.save();
-  }
+messageSchema.methods.markAsDelivered = function() {
+  return this.applyStatus('delivered');
 };
 
 // Método para marcar como falhada
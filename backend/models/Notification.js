@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema de aviso para a equipe da loja
+ * Exibido no painel e, quando configurado, enviado por WhatsApp
+ */
+const notificationSchema = new mongoose.Schema({
+  // Tipo do aviso (ex: handoff)
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+
+  // Dados para o painel abrir o item relacionado (conversa, produto, pedido)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  readAt: Date,
+
+  // Referência à loja
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para otimização
+notificationSchema.index({ storeId: 1, createdAt: -1 });
+notificationSchema.index({ storeId: 1, readAt: 1 });
+
+// Avisos lidos são removidos depois de 90 dias
+notificationSchema.index({ readAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
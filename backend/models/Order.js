@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+
+// Transições permitidas do status do pedido
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'shipped', 'cancelled'],
+  preparing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Status em que o pedido já conta como venda (estatísticas)
+const COUNTED_STATUSES = ['confirmed', 'preparing', 'shipped', 'delivered'];
+
+/**
+ * Schema do pedido
+ * Os itens guardam uma cópia do produto/variação no momento da compra,
+ * para o pedido não mudar quando o catálogo for editado
+ */
+const orderSchema = new mongoose.Schema({
+  // Número sequencial por loja (#1001, #1002...)
+  number: {
+    type: Number,
+    required: true
+  },
+
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: true
+  },
+  conversationId: String,
+
+  // Origem do pedido
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'dashboard', 'catalog'],
+    default: 'dashboard'
+  },
+
+  // Itens (cópia do produto e da variação)
+  items: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variantId: String,
+    sku: String,
+    name: {
+      type: String,
+      required: true
+    },
+    category: String,
+    selections: {
+      type: Map,
+      of: String
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantidade deve ser pelo menos 1']
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+
+  // Totais
+  totals: {
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    discount: {
+      type: Number,
+      default: 0
+    },
+    shipping: {
+      type: Number,
+      default: 0
+    },
+    shippingDiscount: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Cupom aplicado
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discount: Number
+  },
+
+  // Entrega
+  shipping: {
+    method: String,
+    address: {
+      street: String,
+      number: String,
+      complement: String,
+      neighborhood: String,
+      city: String,
+      state: String,
+      zipCode: String
+    },
+    cost: {
+      type: Number,
+      default: 0
+    },
+    carrier: String,
+    trackingCode: String,
+    estimatedDays: Number
+  },
+
+  // Pagamento
+  payment: {
+    method: {
+      type: String,
+      enum: ['pix', 'credit_card', 'debit_card', 'boleto', 'cash', 'other']
+    },
+    // awaiting_confirmation: cliente enviou comprovante, falta a loja conferir
+    status: {
+      type: String,
+      enum: ['pending', 'awaiting_confirmation', 'paid', 'refunded', 'failed'],
+      default: 'pending'
+    },
+    paidAt: Date,
+    reference: String,
+    // Cobrança Pix enviada ao cliente
+    pix: {
+      txid: String,
+      payload: String,
+      generatedAt: Date
+    },
+    // Cobrança enviada ou novo comprovante pedido: a próxima mídia do cliente é o comprovante
+    receiptRequestedAt: Date,
+    // Comprovantes enviados pelo cliente
+    receipts: [{
+      messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+      },
+      mediaUrl: String,
+      receivedAt: {
+        type: Date,
+        default: Date.now
+      },
+      rejectedAt: Date,
+      rejectReason: String
+    }]
+  },
+
+  // Status do pedido
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String
+  }],
+  cancelReason: String,
+
+  notes: {
+    type: String,
+    maxlength: [1000, 'Observações devem ter no máximo 1000 caracteres']
+  },
+
+  // Referência à loja
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para otimização
+orderSchema.index({ storeId: 1, number: 1 }, { unique: true });
+orderSchema.index({ storeId: 1, status: 1, createdAt: -1 });
+orderSchema.index({ storeId: 1, 'payment.status': 1, updatedAt: 1 });
+orderSchema.index({ storeId: 1, contactId: 1, createdAt: -1 });
+
+// Virtual para quantidade de peças
+orderSchema.virtual('itemCount').get(function() {
+  return this.items.reduce((count, item) => count + item.quantity, 0);
+});
+
+// Virtual para indicar se o pedido conta como venda
+orderSchema.virtual('isCounted').get(function() {
+  return COUNTED_STATUSES.includes(this.status);
+});
+
+// Método para verificar se a transição é permitida
+orderSchema.methods.canTransitionTo = function(status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Método para recalcular os totais a partir dos itens
+orderSchema.methods.computeTotals = function() {
+  const round = value => Math.round(value * 100) / 100;
+
+  this.items.forEach(item => {
+    item.total = round(item.unitPrice * item.quantity);
+  });
+
+  const subtotal = round(this.items.reduce((total, item) => total + item.total, 0));
+  const discount = Math.min(this.totals.discount || 0, subtotal);
+  const shipping = this.shipping.cost || 0;
+  const shippingDiscount = Math.min(this.totals.shippingDiscount || 0, shipping);
+
+  this.totals = {
+    subtotal,
+    discount,
+    shipping,
+    shippingDiscount,
+    total: round(subtotal - discount + shipping - shippingDiscount)
+  };
+
+  return this.totals;
+};
+
+orderSchema.statics.TRANSITIONS = TRANSITIONS;
+orderSchema.statics.COUNTED_STATUSES = COUNTED_STATUSES;
+
+module.exports = mongoose.model('Order', orderSchema);
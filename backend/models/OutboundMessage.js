@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema da fila de mensagens de saída
+ * Cada documento é um envio pendente (ou já processado) para um contato
+ */
+const outboundMessageSchema = new mongoose.Schema({
+  // Destino
+  to: {
+    type: String,
+    required: true
+  },
+  conversationId: {
+    type: String,
+    required: true
+  },
+
+  // Conteúdo a ser enviado ({ text, mediaUrl, mediaType, ... })
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Origem do envio
+  source: {
+    type: String,
+    enum: ['ai', 'manual', 'catalog', 'system', 'campaign'],
+    default: 'system'
+  },
+
+  // Controle da fila
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'dead', 'cancelled'],
+    default: 'queued'
+  },
+  notBefore: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  lockedAt: Date,
+  sentAt: Date,
+  providerMessageId: String,
+  lastError: {
+    code: String,
+    message: String,
+    at: Date
+  },
+
+  // Referências
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para otimização
+outboundMessageSchema.index({ status: 1, createdAt: 1 });
+outboundMessageSchema.index({ status: 1, notBefore: 1 });
+outboundMessageSchema.index({ conversationId: 1, status: 1, createdAt: 1 });
+outboundMessageSchema.index({ storeId: 1, status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema de evento de webhook já processado
+ * Garante idempotência quando o provedor reenvia o mesmo evento
+ */
+const processedEventSchema = new mongoose.Schema({
+  // Identificador do evento no provedor (ex: id da mensagem)
+  eventId: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'done', 'failed'],
+    default: 'processing'
+  },
+  // Motivo da falha (status failed)
+  error: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Referência à loja
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para otimização
+processedEventSchema.index({ storeId: 1, eventId: 1 }, { unique: true });
+// Remove os registros após 7 dias (janela máxima de reenvio dos provedores)
+processedEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Método estático para reservar o processamento de um evento
+// Retorna false se o evento já foi recebido antes
+processedEventSchema.statics.claim = async function(storeId, eventId, provider) {
+  try {
+    await this.create({ storeId, eventId, provider });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Método estático para registrar um evento cujo processamento falhou
+// O registro continua reservando o id: o processamento não é idempotente
+processedEventSchema.statics.fail = function(storeId, eventId, error) {
+  return this.updateOne(
+    { storeId, eventId, status: 'processing' },
+    { status: 'failed', error: error && error.message ? error.message : String(error) }
+  );
+};
+
+// Método estático para marcar um evento como concluído
+processedEventSchema.statics.complete = function(storeId, eventId) {
+  return this.updateOne({ storeId, eventId }, { status: 'done' });
+};
+
+module.exports = mongoose.model('ProcessedEvent', processedEventSchema);
@@ -1,4 +1,77 @@
 const mongoose = require('mongoose');
+const { normalize } = require('../utils/text');
+
+// Limite de combinações geradas pela grade de variações
+const MAX_VARIANTS = 100;
+
+/**
+ * Schema da variação (uma combinação das opções do produto)
+ */
+const variantSchema = new mongoose.Schema({
+  // Valor de cada opção (ex: { Tamanho: 'M', Cor: 'Azul' })
+  options: {
+    type: Map,
+    of: String
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  barcode: {
+    type: String,
+    trim: true
+  },
+  // Preço próprio da combinação (sem valor, vale o preço do produto)
+  price: {
+    type: Number,
+    min: [0, 'Preço deve ser maior que zero']
+  },
+  image: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  inventory: {
+    quantity: {
+      type: Number,
+      default: 0
+    },
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lowStockThreshold: {
+      type: Number,
+      default: 5
+    }
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual para descrição da combinação ("M / Azul")
+variantSchema.virtual('label').get(function() {
+  return this.options ? [...this.options.values()].join(' / ') : '';
+});
+
+// Virtual para preço final da combinação (com o desconto do produto)
+variantSchema.virtual('finalPrice').get(function() {
+  const product = this.parent();
+  return product && product.priceFor ? product.priceFor(this) : this.price;
+});
+
+// Virtual para estoque disponível da combinação (em mãos menos reservado)
+variantSchema.virtual('availableQuantity').get(function() {
+  return Math.max((this.inventory.quantity || 0) - (this.inventory.reserved || 0), 0);
+});
+
+// Método para verificar se a combinação corresponde às opções escolhidas (todas ou parte)
+variantSchema.methods.matches = function(selections = {}) {
+  return Object.entries(selections).every(([axis, value]) => this.options && this.options.get(axis) === value);
+};
 
 /**
  * Schema do produto
@@ -49,6 +122,12 @@ const productSchema = new mongoose.Schema({
       default: 0,
       min: [0, 'Quantidade não pode ser negativa']
     },
+    // Separado em carrinhos e pedidos ainda não confirmados (StockReservation)
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     lowStockThreshold: {
       type: Number,
       default: 5,
@@ -57,7 +136,9 @@ const productSchema = new mongoose.Schema({
     allowBackorder: {
       type: Boolean,
       default: false
-    }
+    },
+    // Quando o produto esgotou (limpo ao voltar, o que avisa a lista de desejos)
+    soldOutAt: Date
   },
   
   // Categorização
@@ -72,31 +153,23 @@ const productSchema = new mongoose.Schema({
     maxlength: [50, 'Tag deve ter no máximo 50 caracteres']
   }],
   
-  // Variações (tamanho, cor, etc.)
-  variants: [{
+  // Opções de variação, os eixos da grade (ex: Tamanho: P, M, G; Cor: Azul, Preto)
+  options: [{
     name: {
       type: String,
       required: true,
-      trim: true
+      trim: true,
+      maxlength: [50, 'Nome da opção deve ter no máximo 50 caracteres']
     },
-    value: {
+    values: [{
       type: String,
-      required: true,
-      trim: true
-    },
-    price: Number,
-    sku: String,
-    inventory: {
-      quantity: {
-        type: Number,
-        default: 0
-      },
-      lowStockThreshold: {
-        type: Number,
-        default: 5
-      }
-    }
+      trim: true,
+      maxlength: [50, 'Valor da opção deve ter no máximo 50 caracteres']
+    }]
   }],
+
+  // Variações: uma por combinação das opções (ex: Tamanho M + Cor Azul)
+  variants: [variantSchema],
   
   // Imagens
   images: [{
@@ -131,6 +204,7 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Peso em kg e dimensões em cm (usados no frete)
   weight: {
     type: Number,
     min: [0, 'Peso deve ser maior ou igual a zero']
@@ -158,7 +232,9 @@ const productSchema = new mongoose.Schema({
     isActive: {
       type: Boolean,
       default: true
-    }
+    },
+    // Quando a lista de desejos foi avisada do desconto
+    announcedAt: Date
   }],
   
   // Estatísticas
@@ -204,10 +280,60 @@ productSchema.index({ tags: 1 });
 productSchema.index({ isActive: 1 });
 productSchema.index({ 'inventory.quantity': 1 });
 productSchema.index({ price: 1 });
+productSchema.index({ storeId: 1, 'variants.sku': 1 });
 
 // Virtual para preço com desconto
 productSchema.virtual('finalPrice').get(function() {
-  let finalPrice = this.price;
+  return this.applyDiscount(this.price);
+});
+
+// Virtual para verificar se está em promoção
+productSchema.virtual('isOnSale').get(function() {
+  return this.finalPrice < this.price;
+});
+
+// Virtual para indicar se o estoque fica nas variações
+productSchema.virtual('hasVariants').get(function() {
+  return this.variants.length > 0;
+});
+
+// Virtual para faixa de preço final das variações ativas ({ min, max })
+productSchema.virtual('priceRange').get(function() {
+  const prices = this.activeVariants().map(variant => this.priceFor(variant));
+  if (prices.length === 0) prices.push(this.finalPrice);
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+});
+
+// Virtual para estoque disponível (em mãos menos reservado, somando as variações); null sem controle de estoque
+productSchema.virtual('availableQuantity').get(function() {
+  if (!this.inventory.trackQuantity) return null;
+  return this.totalAvailable();
+});
+
+// Virtual para verificar se está com estoque baixo (com variações, alguma delas)
+productSchema.virtual('isLowStock').get(function() {
+  if (!this.inventory.trackQuantity) return false;
+  if (this.variants.length > 0) {
+    return this.activeVariants().some(variant => this.availableOf(variant) <= variant.inventory.lowStockThreshold);
+  }
+  return this.availableOf(null) <= this.inventory.lowStockThreshold;
+});
+
+// Virtual para verificar se está fora de estoque
+productSchema.virtual('isOutOfStock').get(function() {
+  if (!this.inventory.trackQuantity) return false;
+  return this.totalAvailable() <= 0;
+});
+
+// Virtual para imagem principal
+productSchema.virtual('primaryImage').get(function() {
+  const primary = this.images.find(img => img.isPrimary);
+  return primary || this.images[0] || null;
+});
+
+// Método para aplicar o desconto ativo a um preço (do produto ou de uma variação)
+productSchema.methods.applyDiscount = function(price) {
+  let finalPrice = price;
   
   // Aplicar desconto ativo
   const activeDiscount = this.discounts.find(discount => {
@@ -222,92 +348,183 @@ productSchema.virtual('finalPrice').get(function() {
   
   if (activeDiscount) {
     if (activeDiscount.type === 'percentage') {
-      finalPrice = this.price * (1 - activeDiscount.value / 100);
+      finalPrice = price * (1 - activeDiscount.value / 100);
     } else {
-      finalPrice = this.price - activeDiscount.value;
+      finalPrice = price - activeDiscount.value;
     }
   }
   
   return Math.max(0, finalPrice);
-});
+};
 
-// Virtual para verificar se está em promoção
-productSchema.virtual('isOnSale').get(function() {
-  return this.finalPrice < this.price;
-});
+// Método para listar as opções de variação (ex: { Tamanho: ['P', 'M'], Cor: ['Azul'] })
+productSchema.methods.getOptionAxes = function() {
+  return this.options.reduce((axes, option) => {
+    axes[option.name] = [...option.values];
+    return axes;
+  }, {});
+};
 
-// Virtual para verificar se está com estoque baixo
-productSchema.virtual('isLowStock').get(function() {
-  if (!this.inventory.trackQuantity) return false;
-  return this.inventory.quantity <= this.inventory.lowStockThreshold;
-});
+// Método para listar as variações à venda
+productSchema.methods.activeVariants = function() {
+  return this.variants.filter(variant => variant.isActive !== false);
+};
 
-// Virtual para verificar se está fora de estoque
-productSchema.virtual('isOutOfStock').get(function() {
-  if (!this.inventory.trackQuantity) return false;
-  return this.inventory.quantity <= 0;
-});
+// Método para encontrar a variação da combinação escolhida (todas as opções preenchidas)
+productSchema.methods.findVariant = function(selections = {}) {
+  if (this.options.length === 0) return null;
+  if (!this.options.every(option => selections[option.name])) return null;
+  return this.activeVariants().find(variant => variant.matches(selections)) || null;
+};
 
-// Virtual para imagem principal
-productSchema.virtual('primaryImage').get(function() {
-  const primary = this.images.find(img => img.isPrimary);
-  return primary || this.images[0] || null;
-});
+// Método para preço unitário final de uma variação (ou do produto)
+productSchema.methods.priceFor = function(variant = null) {
+  return this.applyDiscount(variant && typeof variant.price === 'number' ? variant.price : this.price);
+};
+
+// Método para estoque disponível (em mãos menos reservado) da variação ou do produto
+productSchema.methods.availableOf = function(variant = null) {
+  const inventory = variant ? variant.inventory : this.inventory;
+  return Math.max((inventory.quantity || 0) - (inventory.reserved || 0), 0);
+};
+
+// Método para estoque disponível do produto (soma das variações ativas, se houver)
+productSchema.methods.totalAvailable = function() {
+  if (this.variants.length === 0) return this.availableOf(null);
+  return this.activeVariants().reduce((total, variant) => total + this.availableOf(variant), 0);
+};
+
+// Método para quantidade disponível para as opções escolhidas
+// Com parte das opções, soma as combinações que ainda cabem na escolha
+productSchema.methods.availableFor = function(selections = {}) {
+  if (!this.inventory.trackQuantity || this.inventory.allowBackorder) return Infinity;
+  if (this.variants.length === 0) return this.availableOf(null);
+
+  return this.activeVariants()
+    .filter(variant => variant.matches(selections))
+    .reduce((total, variant) => total + this.availableOf(variant), 0);
+};
+
+// Método para gerar a grade de variações a partir das opções
+// Mantém as combinações existentes (id, SKU, preço e estoque); as que saíram
+// da grade são removidas, ou desativadas se ainda tiverem estoque ou reserva
+// defaults: { price, lowStockThreshold } das novas combinações
+productSchema.methods.generateVariants = function(defaults = {}) {
+  const options = this.options.filter(option => option.values.length > 0);
+  const combinations = options.reduce((result, option) => {
+    const next = [];
+    result.forEach(combination => option.values.forEach(value => next.push({ ...combination, [option.name]: value })));
+    return next;
+  }, [{}]);
+
+  if (options.length === 0) combinations.length = 0;
+  if (combinations.length > MAX_VARIANTS) {
+    const error = new Error(`A grade pode ter no máximo ${MAX_VARIANTS} combinações`);
+    error.code = 'TOO_MANY_VARIANTS';
+    throw error;
+  }
+
+  const summary = { created: 0, kept: 0, removed: 0, deactivated: 0 };
+  const sameCombination = (variant, combination) =>
+    variant.options && variant.options.size === Object.keys(combination).length && variant.matches(combination);
+
+  const variants = combinations.map(combination => {
+    const existing = this.variants.find(variant => sameCombination(variant, combination));
+    if (existing) {
+      summary.kept++;
+      return existing;
+    }
+    summary.created++;
+    return {
+      options: combination,
+      sku: this.sku ? this.skuFor(combination) : undefined,
+      price: defaults.price,
+      inventory: {
+        quantity: 0,
+        lowStockThreshold: defaults.lowStockThreshold !== undefined ? defaults.lowStockThreshold : this.inventory.lowStockThreshold
+      }
+    };
+  });
+
+  for (const variant of this.variants) {
+    if (combinations.some(combination => sameCombination(variant, combination))) continue;
+    if (variant.inventory.quantity > 0 || variant.inventory.reserved > 0) {
+      variant.isActive = false;
+      variants.push(variant);
+      summary.deactivated++;
+    } else {
+      summary.removed++;
+    }
+  }
+
+  this.variants = variants;
+  return summary;
+};
+
+// Método para sugerir o SKU de uma combinação (SKU do produto + valores: VEST-M-AZUL)
+productSchema.methods.skuFor = function(combination) {
+  const parts = Object.values(combination).map(value => normalize(value).replace(/\s+/g, '').toUpperCase());
+  return [this.sku, ...parts].join('-');
+};
 
 // Método para atualizar estatísticas
-productSchema.methods.updateStats = async function(type, value = 1) {
-  const updates = {};
+// Valores negativos desfazem vendas (ex: pedido cancelado)
+// options.session permite usar dentro de uma transação
+productSchema.methods.updateStats = async function(type, value = 1, options = {}) {
+  const increments = {};
   
   switch (type) {
     case 'view':
-      updates['stats.views'] = this.stats.views + value;
+      increments['stats.views'] = value;
       break;
     case 'like':
-      updates['stats.likes'] = this.stats.likes + value;
+      increments['stats.likes'] = value;
       break;
     case 'share':
-      updates['stats.shares'] = this.stats.shares + value;
+      increments['stats.shares'] = value;
       break;
     case 'sale':
-      updates['stats.sales'] = this.stats.sales + value;
+      increments['stats.sales'] = value;
       break;
     case 'revenue':
-      updates['stats.revenue'] = this.stats.revenue + value;
+      increments['stats.revenue'] = value;
       break;
   }
   
-  if (Object.keys(updates).length > 0) {
-    await this.updateOne(updates);
+  if (Object.keys(increments).length > 0) {
+    await this.updateOne({ $inc: increments }, { session: options.session });
   }
 };
 
-// Método para reduzir estoque
-productSchema.methods.reduceStock = async function(quantity, variantId = null) {
+// Método para reduzir estoque (options.session para usar dentro de uma transação)
+productSchema.methods.reduceStock = async function(quantity, variantId = null, options = {}) {
   if (!this.inventory.trackQuantity) return true;
+  // Com grade de variações, o estoque é de cada combinação
+  if (!variantId && this.variants.length > 0) throw new Error('Escolha a variação');
   
   if (variantId) {
     const variant = this.variants.id(variantId);
     if (!variant) throw new Error('Variação não encontrada');
     
-    if (variant.inventory.quantity < quantity && !this.inventory.allowBackorder) {
+    if (this.availableOf(variant) < quantity && !this.inventory.allowBackorder) {
       throw new Error('Estoque insuficiente para esta variação');
     }
     
     variant.inventory.quantity -= quantity;
   } else {
-    if (this.inventory.quantity < quantity && !this.inventory.allowBackorder) {
+    if (this.availableOf(null) < quantity && !this.inventory.allowBackorder) {
       throw new Error('Estoque insuficiente');
     }
     
     this.inventory.quantity -= quantity;
   }
   
-  await this.save();
+  await this.save({ session: options.session });
   return true;
 };
 
-// Método para aumentar estoque
-productSchema.methods.increaseStock = async function(quantity, variantId = null) {
+// Método para aumentar estoque (options.session para usar dentro de uma transação)
+productSchema.methods.increaseStock = async function(quantity, variantId = null, options = {}) {
   if (!this.inventory.trackQuantity) return true;
   
   if (variantId) {
@@ -319,9 +536,43 @@ productSchema.methods.increaseStock = async function(quantity, variantId = null)
     this.inventory.quantity += quantity;
   }
   
-  await this.save();
+  await this.save({ session: options.session });
   return true;
 };
 
+// Condição de consulta para produtos com estoque disponível (ou sem controle de estoque)
+// Com variações, basta uma combinação ativa com estoque
+productSchema.statics.inStockCondition = function() {
+  const available = (inventory) => ({
+    $gt: [{ $subtract: [{ $ifNull: [`${inventory}.quantity`, 0] }, { $ifNull: [`${inventory}.reserved`, 0] }] }, 0]
+  });
+
+  return {
+    $or: [
+      { 'inventory.trackQuantity': false },
+      { 'inventory.allowBackorder': true },
+      {
+        $expr: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+            {
+              $anyElementTrue: [{
+                $map: {
+                  input: '$variants',
+                  as: 'variant',
+                  in: { $and: [{ $ne: ['$$variant.isActive', false] }, available('$$variant.inventory')] }
+                }
+              }]
+            },
+            available('$inventory')
+          ]
+        }
+      }
+    ]
+  };
+};
+
+productSchema.statics.MAX_VARIANTS = MAX_VARIANTS;
+
 module.exports = mongoose.model('Product', productSchema);
 
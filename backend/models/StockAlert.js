@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema de alerta de estoque baixo
+ * Um alerta aberto por produto/variação enquanto o disponível estiver no
+ * limite (lowStockThreshold) ou abaixo; é resolvido quando o estoque volta
+ */
+const stockAlertSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: String,
+    default: null
+  },
+  // Cópia para o aviso e o resumo diário
+  name: String,
+  sku: String,
+
+  // low_stock → out_of_stock quando zera (cada nível avisa uma vez)
+  level: {
+    type: String,
+    enum: ['low_stock', 'out_of_stock'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  available: Number,
+  threshold: Number,
+
+  notifiedAt: Date,
+  outOfStockAt: Date,
+  resolvedAt: Date,
+
+  // Referência à loja
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para otimização
+// Só um alerta aberto por produto/variação (deduplicação)
+stockAlertSchema.index(
+  { storeId: 1, productId: 1, variantId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+stockAlertSchema.index({ storeId: 1, status: 1, level: 1 });
+// Alertas resolvidos são apagados depois de 90 dias
+stockAlertSchema.index({ resolvedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Virtual para indicar se o item esgotou
+stockAlertSchema.virtual('isOutOfStock').get(function() {
+  return this.level === 'out_of_stock';
+});
+
+module.exports = mongoose.model('StockAlert', stockAlertSchema);
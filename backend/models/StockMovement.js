@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Tipos que alteram o estoque em mãos; reservation altera só o reservado
+const ON_HAND_TYPES = ['sale', 'return', 'adjustment', 'import', 'loss'];
+
+/**
+ * Schema de movimentação de estoque
+ * Livro-razão somente de inclusão: cada entrada ou saída do produto/variação
+ * guarda quem fez, o motivo e o saldo resultante. O estoque em mãos do
+ * produto é o saldo da última movimentação e pode ser conciliado com ela
+ */
+const stockMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: String,
+  // Cópia para o histórico continuar legível se o produto mudar
+  name: String,
+  sku: String,
+
+  type: {
+    type: String,
+    enum: [...ON_HAND_TYPES, 'reservation'],
+    required: true
+  },
+  // Variação com sinal: positiva entra, negativa sai
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Saldos depois da movimentação
+  balanceAfter: Number,
+  reservedAfter: Number,
+  // Quantidade contada no inventário físico
+  counted: Number,
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Motivo deve ter no máximo 200 caracteres']
+  },
+  note: String,
+
+  // Origem da movimentação
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockReservation'
+  },
+  // Quem fez (vazio para movimentações automáticas)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Referência à loja
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Índices para otimização
+stockMovementSchema.index({ storeId: 1, productId: 1, variantId: 1, createdAt: -1 });
+stockMovementSchema.index({ storeId: 1, type: 1, createdAt: -1 });
+stockMovementSchema.index({ orderId: 1 });
+
+// Somente inclusão: movimentações não são alteradas nem apagadas
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Movimentações de estoque não podem ser alteradas'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  stockMovementSchema.pre(operation, function(next) {
+    next(new Error('Movimentações de estoque não podem ser alteradas'));
+  });
+});
+
+// Virtual para indicar se a movimentação altera o estoque em mãos
+stockMovementSchema.virtual('affectsOnHand').get(function() {
+  return ON_HAND_TYPES.includes(this.type);
+});
+
+stockMovementSchema.statics.ON_HAND_TYPES = ON_HAND_TYPES;
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema de reserva de estoque
+ * Separa unidades para o carrinho de uma conversa (com validade) ou para um
+ * pedido ainda não confirmado. Enquanto ativa, a quantidade fica somada em
+ * inventory.reserved do produto/variação
+ */
+const stockReservationSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Dono da reserva: carrinho da conversa e, depois do fechamento, o pedido
+  conversationId: String,
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+
+  // active → converted (baixa definitiva) | released (cancelada) | expired (validade)
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+  // Reservas de pedido não expiram (null)
+  expiresAt: Date,
+  closedAt: Date,
+
+  // Referência à loja
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para otimização
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ conversationId: 1, status: 1 });
+stockReservationSchema.index({ orderId: 1, status: 1 });
+stockReservationSchema.index({ storeId: 1, productId: 1, status: 1 });
+// Reservas encerradas são apagadas depois de 30 dias
+stockReservationSchema.index({ closedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Virtual para indicar se a reserva ainda segura o estoque
+stockReservationSchema.virtual('isActive').get(function() {
+  return this.status === 'active';
+});
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -50,6 +50,11 @@ const storeSchema = new mongoose.Schema({
     country: {
       type: String,
       default: 'Brasil'
+    },
+    // Coordenadas da loja (raio de entrega local)
+    location: {
+      latitude: Number,
+      longitude: Number
     }
   },
   
@@ -59,10 +64,55 @@ const storeSchema = new mongoose.Schema({
       type: String,
       required: [true, 'Número do WhatsApp é obrigatório']
     },
+    // Provedor de transporte (ver services/whatsapp)
+    provider: {
+      type: String,
+      enum: ['webjs', 'cloud_api', 'zapi', 'memory'],
+      default: 'webjs'
+    },
+    cloudApi: {
+      phoneNumberId: String,
+      accessToken: String,
+      verifyToken: String,
+      apiVersion: {
+        type: String,
+        default: 'v18.0'
+      }
+    },
+    zapi: {
+      instanceId: String,
+      token: String,
+      clientToken: String,
+      baseUrl: {
+        type: String,
+        default: 'https://api.z-api.io'
+      }
+    },
+    // Segredo HMAC usado para assinar os webhooks recebidos
+    webhookSecret: {
+      type: String,
+      select: false
+    },
+    // Limite de envios por minuto (evita bloqueio do número)
+    rateLimitPerMinute: {
+      type: Number,
+      default: 20,
+      min: 1,
+      max: 120
+    },
+    respondToGroups: {
+      type: Boolean,
+      default: false
+    },
     isConnected: {
       type: Boolean,
       default: false
     },
+    // Reconectar automaticamente ao reiniciar o servidor ou cair a conexão
+    autoReconnect: {
+      type: Boolean,
+      default: false
+    },
     sessionId: String,
     qrCode: String,
     lastConnection: Date,
@@ -111,10 +161,175 @@ const storeSchema = new mongoose.Schema({
         question: String,
         answer: String
       }],
+      // Políticas usadas pela IA para responder com base no que a loja definiu
+      policies: {
+        exchange: String,
+        shipping: String,
+        payment: String
+      },
       customInstructions: String
+    },
+    // Transferência para atendimento humano
+    handoff: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      // Minutos sem resposta da equipe até a IA voltar a atender
+      idleMinutes: {
+        type: Number,
+        default: 30,
+        min: 5,
+        max: 1440
+      },
+      triggers: {
+        customerRequest: {
+          type: Boolean,
+          default: true
+        },
+        complaint: {
+          type: Boolean,
+          default: true
+        },
+        negativeSentiment: {
+          type: Boolean,
+          default: true
+        },
+        // Mensagem enviada pelo celular da loja assume a conversa
+        agentReply: {
+          type: Boolean,
+          default: true
+        }
+      },
+      message: {
+        type: String,
+        default: 'Vou chamar alguém da nossa equipe para te ajudar, só um instante 🙏'
+      }
+    }
+  },
+
+  // Avisos para a equipe da loja
+  notifications: {
+    // Números de WhatsApp que recebem os avisos
+    phones: [String],
+    // Último resumo diário de itens para repor
+    stockDigestAt: Date
+  },
+  
+  // Recebimento
+  payment: {
+    // Pix direto na chave da loja (BR Code gerado localmente, conferência manual)
+    pix: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      keyType: {
+        type: String,
+        enum: ['cpf', 'cnpj', 'email', 'phone', 'random']
+      },
+      key: String,
+      // Nome e cidade do recebedor como aparecem no app do banco
+      merchantName: String,
+      merchantCity: String
     }
   },
   
+  // Frete (pesos em kg, CEPs com 8 dígitos)
+  shipping: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Peso usado para produtos sem peso cadastrado
+    defaultWeight: {
+      type: Number,
+      default: 0.3
+    },
+    // Dias para separar e postar, somados ao prazo das transportadoras
+    handlingDays: {
+      type: Number,
+      default: 1
+    },
+    // Subtotal a partir do qual a entrega mais barata sai grátis
+    freeShippingThreshold: Number,
+    // Zonas por faixa de CEP, com preço fixo ou por faixa de peso
+    zones: [{
+      name: {
+        type: String,
+        required: true
+      },
+      ranges: [{
+        from: String,
+        to: String
+      }],
+      rateType: {
+        type: String,
+        enum: ['flat', 'weight'],
+        default: 'flat'
+      },
+      price: Number,
+      weightRates: [{
+        upTo: Number,
+        price: Number
+      }],
+      // Preço por kg acima da última faixa de peso
+      extraKgPrice: Number,
+      estimatedDays: Number,
+      isActive: {
+        type: Boolean,
+        default: true
+      }
+    }],
+    // Retirada na loja
+    pickup: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      address: String,
+      instructions: String,
+      readyInDays: {
+        type: Number,
+        default: 0
+      }
+    },
+    // Entrega local (motoboy) por faixas de CEP ou raio a partir de address.location
+    localDelivery: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      name: {
+        type: String,
+        default: 'Motoboy'
+      },
+      price: Number,
+      pricePerKm: Number,
+      radiusKm: Number,
+      ranges: [{
+        from: String,
+        to: String
+      }],
+      estimatedDays: {
+        type: Number,
+        default: 0
+      }
+    },
+    // Transportadoras externas (services/shipping)
+    carriers: [{
+      provider: String,
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      config: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+      }
+    }]
+  },
+  
   // Configurações de horário de funcionamento
   businessHours: {
     enabled: {
@@ -174,6 +389,50 @@ const storeSchema = new mongoose.Schema({
       message: {
         type: String,
         default: 'Oi! Vi que você estava interessado(a) em alguns produtos. Que tal finalizar sua compra? Ainda temos tudo separadinho para você! 😊'
+      },
+      // Envia o cupom da regra abandoned_cart junto com o lembrete
+      includeCoupon: {
+        type: Boolean,
+        default: false
+      },
+      // Sequência de lembretes (horas desde a última alteração do carrinho);
+      // vazia, vale um único lembrete com delayHours, message e includeCoupon
+      steps: [{
+        delayHours: {
+          type: Number,
+          required: true,
+          min: [0, 'Atraso deve ser maior ou igual a zero']
+        },
+        message: String,
+        includeCoupon: {
+          type: Boolean,
+          default: false
+        }
+      }],
+      // Dias após o lembrete em que um pedido do contato conta como recuperado
+      recoveryDays: {
+        type: Number,
+        default: 7,
+        min: 1
+      }
+    },
+    // Avisos da lista de desejos (volta ao estoque e promoção)
+    wishlistAlerts: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Avisos por contato a cada 7 dias
+      maxPerWeek: {
+        type: Number,
+        default: 2,
+        min: 0
+      },
+      // Dias após o aviso em que um pedido com o produto conta como conversão
+      attributionDays: {
+        type: Number,
+        default: 7,
+        min: 1
       }
     }
   },
@@ -192,6 +451,10 @@ const storeSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    totalRevenue: {
+      type: Number,
+      default: 0
+    },
     conversionRate: {
       type: Number,
       default: 0
@@ -202,6 +465,12 @@ const storeSchema = new mongoose.Schema({
     }
   },
   
+  // Último número de pedido emitido (Order.number)
+  orderSequence: {
+    type: Number,
+    default: 0
+  },
+  
   // Status da loja
   isActive: {
     type: Boolean,
@@ -260,18 +529,24 @@ storeSchema.methods.isOpenNow = function() {
 };
 
 // Método para atualizar estatísticas
-storeSchema.methods.updateStats = async function(type, value = 1) {
+// Valores negativos desfazem vendas (ex: pedido cancelado)
+// options.session permite usar dentro de uma transação
+storeSchema.methods.updateStats = async function(type, value = 1, options = {}) {
+  const increments = {};
   const updates = {};
   
   switch (type) {
     case 'contact':
-      updates['stats.totalContacts'] = this.stats.totalContacts + value;
+      increments['stats.totalContacts'] = value;
       break;
     case 'message':
-      updates['stats.totalMessages'] = this.stats.totalMessages + value;
+      increments['stats.totalMessages'] = value;
       break;
     case 'sale':
-      updates['stats.totalSales'] = this.stats.totalSales + value;
+      increments['stats.totalSales'] = value;
+      break;
+    case 'revenue':
+      increments['stats.totalRevenue'] = value;
       break;
     case 'responseTime':
       // Calcular média móvel do tempo de resposta
@@ -281,8 +556,11 @@ storeSchema.methods.updateStats = async function(type, value = 1) {
       break;
   }
   
+  if (Object.keys(increments).length > 0) {
+    updates.$inc = increments;
+  }
   if (Object.keys(updates).length > 0) {
-    await this.updateOne(updates);
+    await this.updateOne(updates, { session: options.session });
   }
 };
 
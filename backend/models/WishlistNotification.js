@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema de aviso da lista de desejos
+ * Um aviso por contato, produto e evento (volta ao estoque ou início de um
+ * desconto). Fica na fila até a janela de horário do contato e guarda o
+ * pedido que veio depois dele (atribuição)
+ */
+const wishlistNotificationSchema = new mongoose.Schema({
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['restock', 'price_drop'],
+    required: true
+  },
+  // Evento que originou o aviso (ex: restock:<data em que esgotou>, price_drop:<id do desconto>)
+  event: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'skipped', 'failed'],
+    default: 'queued'
+  },
+  // Motivo de skipped/failed (opt_out, frequency_cap, out_of_stock, sale_ended...)
+  reason: String,
+  scheduledFor: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: Date,
+
+  // Preços no momento do envio
+  price: Number,
+  finalPrice: Number,
+
+  // Atribuição: pedido do contato com o produto dentro da janela
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: Number,
+  revenue: Number,
+  convertedAt: Date,
+
+  // Referência à loja
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para otimização
+// Um aviso por contato, produto e evento (deduplicação)
+wishlistNotificationSchema.index({ contactId: 1, productId: 1, event: 1 }, { unique: true });
+wishlistNotificationSchema.index({ status: 1, scheduledFor: 1 });
+wishlistNotificationSchema.index({ storeId: 1, type: 1, createdAt: -1 });
+wishlistNotificationSchema.index({ contactId: 1, status: 1, sentAt: -1 });
+// Avisos são apagados depois de 180 dias
+wishlistNotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// Virtual para indicar se o aviso levou a um pedido
+wishlistNotificationSchema.virtual('isConverted').get(function() {
+  return Boolean(this.orderId);
+});
+
+module.exports = mongoose.model('WishlistNotification', wishlistNotificationSchema);
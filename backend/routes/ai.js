@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const AIUsage = require('../models/AIUsage');
+const IntentExample = require('../models/IntentExample');
+const Message = require('../models/Message');
+const IntentClassifier = require('../services/intentClassifier');
+
+// Consumo de tokens do LLM da loja
+router.get('/usage', auth, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const usage = await AIUsage.summary(req.storeId, days);
+
+    res.json({
+      success: true,
+      ...usage
+    });
+  } catch (error) {
+    console.error('Erro ao obter consumo de IA:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Intenções conhecidas e exemplos cadastrados pela loja
+router.get('/intents', auth, async (req, res) => {
+  try {
+    const counts = await IntentExample.countByIntent(req.storeId);
+
+    res.json({
+      success: true,
+      intents: IntentClassifier.getIntents().map(intent => ({
+        intent,
+        storeExamples: counts[intent] || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Erro ao listar intenções:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Listar exemplos rotulados da loja
+router.get('/intents/examples', auth, async (req, res) => {
+  try {
+    const { intent, page = 1, limit = 50 } = req.query;
+    const query = { storeId: req.storeId };
+    if (intent) query.intent = intent;
+
+    const examples = await IntentExample.find(query)
+      .sort({ updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    const total = await IntentExample.countDocuments(query);
+
+    res.json({
+      success: true,
+      examples,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar exemplos de intenção:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Registrar exemplo ou corrigir a intenção de uma mensagem da caixa de entrada
+router.post('/intents/examples', auth, async (req, res) => {
+  try {
+    const { intent, messageId } = req.body;
+    let { text } = req.body;
+
+    if (!IntentClassifier.getIntents().includes(intent)) {
+      return res.status(400).json({ message: 'Intenção inválida' });
+    }
+
+    let message = null;
+    if (messageId) {
+      message = await Message.findOne({ _id: messageId, storeId: req.storeId, direction: 'inbound' });
+      if (!message) {
+        return res.status(404).json({ message: 'Mensagem não encontrada' });
+      }
+      text = message.content.text;
+    }
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: 'Texto do exemplo é obrigatório' });
+    }
+
+    const example = await IntentExample.upsertExample(req.storeId, {
+      text: text.trim(),
+      intent,
+      source: message ? 'correction' : 'manual',
+      previousIntent: message ? message.ai.intent : undefined,
+      messageId: message ? message._id : undefined,
+      createdBy: req.userId
+    });
+
+    if (message) {
+      message.ai.intent = intent;
+      message.ai.intentConfidence = 1;
+      message.ai.intentMargin = 1;
+      message.ai.intentCorrected = true;
+      await message.save();
+    }
+
+    IntentClassifier.invalidate(req.storeId);
+
+    res.status(201).json({
+      success: true,
+      example,
+      message: 'Exemplo registrado'
+    });
+  } catch (error) {
+    console.error('Erro ao registrar exemplo de intenção:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Remover exemplo rotulado
+router.delete('/intents/examples/:id', auth, async (req, res) => {
+  try {
+    const example = await IntentExample.findOneAndDelete({ _id: req.params.id, storeId: req.storeId });
+    if (!example) {
+      return res.status(404).json({ message: 'Exemplo não encontrado' });
+    }
+
+    IntentClassifier.invalidate(req.storeId);
+
+    res.json({
+      success: true,
+      message: 'Exemplo removido'
+    });
+  } catch (error) {
+    console.error('Erro ao remover exemplo de intenção:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
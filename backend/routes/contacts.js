@@ -204,32 +204,28 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// Adicionar produto à lista de desejos
+// Adicionar produto à lista de desejos (notifyOnSale e notifyOnRestock opcionais)
 router.post('/:id/wishlist', auth, async (req, res) => {
   try {
-    const { productId } = req.body;
-    const store = await Store.findOne({ owner: req.user.id });
-    
-    if (!store) {
-      return res.status(404).json({ message: 'Loja não encontrada' });
+    const { productId, notifyOnSale, notifyOnRestock } = req.body;
+    if (!productId) {
+      return res.status(400).json({ message: 'Informe o produto' });
     }
 
     const contact = await Contact.findOne({ 
       _id: req.params.id, 
-      store: store._id 
+      storeId: req.storeId 
     });
 
     if (!contact) {
       return res.status(404).json({ message: 'Contato não encontrado' });
     }
 
-    if (!contact.wishlist.includes(productId)) {
-      contact.wishlist.push(productId);
-      await contact.save();
-    }
+    await contact.addToWishlist(productId, { notifyOnSale, notifyOnRestock });
 
     res.json({
       success: true,
+      wishlist: contact.wishlist,
       message: 'Produto adicionado à lista de desejos'
     });
   } catch (error) {
@@ -241,24 +237,16 @@ router.post('/:id/wishlist', auth, async (req, res) => {
 // Remover produto da lista de desejos
 router.delete('/:id/wishlist/:productId', auth, async (req, res) => {
   try {
-    const { productId } = req.params;
-    const store = await Store.findOne({ owner: req.user.id });
-    
-    if (!store) {
-      return res.status(404).json({ message: 'Loja não encontrada' });
-    }
-
     const contact = await Contact.findOne({ 
       _id: req.params.id, 
-      store: store._id 
+      storeId: req.storeId 
     });
 
     if (!contact) {
       return res.status(404).json({ message: 'Contato não encontrado' });
     }
 
-    contact.wishlist = contact.wishlist.filter(id => id.toString() !== productId);
-    await contact.save();
+    await contact.removeFromWishlist(req.params.productId);
 
     res.json({
       success: true,
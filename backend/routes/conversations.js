@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Store = require('../models/Store');
+const HandoffService = require('../services/handoffService');
+
+const MODES = ['bot', 'human', 'paused'];
+
+// Listar conversas da loja (filtro por modo: bot, human, paused)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, mode } = req.query;
+    const query = { storeId: req.storeId };
+    if (mode) query.mode = mode;
+
+    const conversations = await Conversation.find(query)
+      .populate('contactId', 'name phone segment')
+      .sort({ lastInteractionAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    const total = await Conversation.countDocuments(query);
+
+    res.json({
+      success: true,
+      conversations,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar conversas:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Obter conversa com as mensagens recentes
+router.get('/:conversationId', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({
+      conversationId: req.params.conversationId,
+      storeId: req.storeId
+    }).populate('contactId', 'name phone segment');
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversa não encontrada' });
+    }
+
+    const messages = await Message.find({ conversationId: conversation.conversationId })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      conversation,
+      messages: messages.reverse()
+    });
+  } catch (error) {
+    console.error('Erro ao obter conversa:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Assumir a conversa, pausar a IA ou devolver para a IA
+router.put('/:conversationId/mode', auth, async (req, res) => {
+  try {
+    const { mode } = req.body;
+    if (!MODES.includes(mode)) {
+      return res.status(400).json({ message: 'Modo inválido (use bot, human ou paused)' });
+    }
+
+    const store = await Store.findById(req.storeId);
+    const conversation = await Conversation.findOne({
+      conversationId: req.params.conversationId,
+      storeId: req.storeId
+    });
+
+    if (!store || !conversation) {
+      return res.status(404).json({ message: 'Conversa não encontrada' });
+    }
+
+    await HandoffService.setMode(store, conversation, mode, { agentId: req.userId });
+
+    res.json({
+      success: true,
+      conversation,
+      message: mode === 'bot' ? 'Conversa devolvida para a IA' : 'Conversa atualizada'
+    });
+  } catch (error) {
+    console.error('Erro ao alterar modo da conversa:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Coupon = require('../models/Coupon');
+const PromotionService = require('../services/promotionService');
+
+// Campos editáveis pelo lojista
+const EDITABLE_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minCartValue', 'usageLimit',
+  'validFrom', 'validUntil', 'scope', 'trigger', 'issueValidityDays', 'isActive'
+];
+
+const pick = (body) => EDITABLE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+// Listar cupons e regras da loja (cupons individuais gerados ficam de fora, exceto com issued=true)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, trigger, active, issued } = req.query;
+    const query = { storeId: req.storeId };
+    if (trigger) query.trigger = trigger;
+    if (active !== undefined) query.isActive = active === 'true';
+    if (issued !== 'true') query.ruleId = null;
+
+    const coupons = await Coupon.find(query)
+      .select('-redemptions')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      success: true,
+      coupons,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar cupons:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Validar cupom para um carrinho
+router.post('/validate', auth, async (req, res) => {
+  try {
+    const { code, contactId, items, shipping } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: 'Código é obrigatório' });
+    }
+
+    const result = await PromotionService.validateRedemption(req.storeId, code, {
+      contactId,
+      items: Array.isArray(items) ? items : [],
+      shipping: Number(shipping) || 0
+    });
+
+    if (!result.valid) {
+      return res.status(422).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      couponId: result.coupon._id,
+      subtotal: result.subtotal,
+      discount: result.discount,
+      shippingDiscount: result.shippingDiscount,
+      message: result.message
+    });
+  } catch (error) {
+    console.error('Erro ao validar cupom:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Criar cupom ou regra
+router.post('/', auth, async (req, res) => {
+  try {
+    const data = pick(req.body);
+    if (data.type !== 'free_shipping' && !(data.value > 0)) {
+      return res.status(400).json({ message: 'Valor do desconto é obrigatório' });
+    }
+    if (data.type === 'percentage' && data.value > 100) {
+      return res.status(400).json({ message: 'Desconto percentual deve ser no máximo 100%' });
+    }
+
+    const coupon = new Coupon({ ...data, storeId: req.storeId });
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      coupon,
+      message: 'Cupom criado com sucesso'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Já existe um cupom com este código' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    console.error('Erro ao criar cupom:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Obter cupom (com os usos)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ _id: req.params.id, storeId: req.storeId })
+      .populate('redemptions.contactId', 'name phone');
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Cupom não encontrado' });
+    }
+
+    res.json({
+      success: true,
+      coupon
+    });
+  } catch (error) {
+    console.error('Erro ao obter cupom:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Atualizar cupom
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ _id: req.params.id, storeId: req.storeId });
+    if (!coupon) {
+      return res.status(404).json({ message: 'Cupom não encontrado' });
+    }
+
+    const data = pick(req.body);
+    // O código de um cupom já usado não muda (aparece nos pedidos)
+    if (data.code && coupon.usedCount > 0 && data.code.toUpperCase() !== coupon.code) {
+      return res.status(400).json({ message: 'Não é possível alterar o código de um cupom já utilizado' });
+    }
+
+    coupon.set(data);
+    if (coupon.type === 'percentage' && coupon.value > 100) {
+      return res.status(400).json({ message: 'Desconto percentual deve ser no máximo 100%' });
+    }
+    await coupon.save();
+
+    res.json({
+      success: true,
+      coupon,
+      message: 'Cupom atualizado com sucesso'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Já existe um cupom com este código' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    console.error('Erro ao atualizar cupom:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Excluir cupom (cupons já usados são apenas desativados)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ _id: req.params.id, storeId: req.storeId });
+    if (!coupon) {
+      return res.status(404).json({ message: 'Cupom não encontrado' });
+    }
+
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({
+        success: true,
+        message: 'Cupom já utilizado foi desativado'
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Cupom excluído com sucesso'
+    });
+  } catch (error) {
+    console.error('Erro ao excluir cupom:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const StockMovement = require('../models/StockMovement');
+const StockAlert = require('../models/StockAlert');
+const InventoryService = require('../services/inventoryService');
+
+// Status HTTP para os erros de negócio do livro-razão
+const ERROR_STATUS = {
+  PRODUCT_NOT_FOUND: 404,
+  VARIANT_NOT_FOUND: 404,
+  NEGATIVE_STOCK: 409,
+  STOCK_CHANGED: 409
+};
+
+// Responde com o erro de negócio ou erro interno
+const handleError = (res, error, context) => {
+  if (error.code && typeof error.code === 'string') {
+    return res.status(ERROR_STATUS[error.code] || 422).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join(', ') });
+  }
+  console.error(`Erro ao ${context}:`, error);
+  res.status(500).json({ message: 'Erro interno do servidor' });
+};
+
+// Histórico de movimentações (filtros: productId, variantId, type, orderId, userId, from, to)
+router.get('/movements', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, productId, variantId, type, orderId, userId, from, to } = req.query;
+    const query = { storeId: req.storeId };
+    if (productId) query.productId = productId;
+    if (variantId) query.variantId = variantId;
+    if (type) query.type = { $in: type.split(',') };
+    if (orderId) query.orderId = orderId;
+    if (userId) query.userId = userId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const movements = await StockMovement.find(query)
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    const total = await StockMovement.countDocuments(query);
+
+    res.json({
+      success: true,
+      movements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'listar movimentações de estoque');
+  }
+});
+
+// Registrar movimentação manual (adjustment, loss, return, import)
+router.post('/movements', auth, async (req, res) => {
+  try {
+    const { productId, variantId, type, quantity, reason, note } = req.body;
+    const { product, movement } = await InventoryService.adjust(req.storeId, productId, {
+      variantId, type, quantity, reason, note
+    }, { userId: req.userId });
+
+    res.status(201).json({
+      success: true,
+      movement,
+      balance: InventoryService.balanceOf(product, variantId),
+      message: 'Movimentação registrada com sucesso'
+    });
+  } catch (error) {
+    handleError(res, error, 'registrar movimentação de estoque');
+  }
+});
+
+// Inventário físico (items: [{ productId, variantId, counted }])
+router.post('/count', auth, async (req, res) => {
+  try {
+    const { items, note } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'Informe os itens contados' });
+    }
+
+    const results = await InventoryService.count(req.storeId, items, { userId: req.userId, note });
+    const adjusted = results.filter(result => !result.error && result.difference !== 0).length;
+    const failed = results.filter(result => result.error).length;
+
+    res.json({
+      success: true,
+      results,
+      adjusted,
+      failed,
+      message: `Inventário registrado: ${adjusted} item(ns) ajustado(s)${failed ? `, ${failed} com erro` : ''}`
+    });
+  } catch (error) {
+    handleError(res, error, 'registrar inventário físico');
+  }
+});
+
+// Conciliação do estoque com o livro-razão (productId opcional)
+router.get('/reconcile', auth, async (req, res) => {
+  try {
+    const report = await InventoryService.reconcile(req.storeId, { productId: req.query.productId });
+
+    res.json({
+      success: true,
+      consistent: report.length === 0,
+      report
+    });
+  } catch (error) {
+    handleError(res, error, 'conciliar estoque');
+  }
+});
+
+// Registrar ajustes que alinham o livro-razão ao estoque atual
+router.post('/reconcile', auth, async (req, res) => {
+  try {
+    const report = await InventoryService.reconcile(req.storeId, {
+      productId: req.body.productId,
+      apply: true,
+      userId: req.userId
+    });
+
+    res.json({
+      success: true,
+      report,
+      message: `${report.filter(entry => entry.movement).length} ajuste(s) de conciliação registrado(s)`
+    });
+  } catch (error) {
+    handleError(res, error, 'conciliar estoque');
+  }
+});
+
+// Relatório de ajustes, perdas e devoluções
+router.get('/reports/adjustments', auth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const report = await InventoryService.adjustmentReport(req.storeId, { from, to });
+
+    res.json({
+      success: true,
+      period: { from: from || null, to: to || null },
+      report
+    });
+  } catch (error) {
+    handleError(res, error, 'gerar relatório de ajustes de estoque');
+  }
+});
+
+// Alertas de estoque baixo (status: open | resolved, level: low_stock | out_of_stock)
+router.get('/alerts', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = 'open', level, productId } = req.query;
+    const query = { storeId: req.storeId, status };
+    if (level) query.level = level;
+    if (productId) query.productId = productId;
+
+    const alerts = await StockAlert.find(query)
+      .sort({ level: -1, available: 1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    const total = await StockAlert.countDocuments(query);
+
+    res.json({
+      success: true,
+      alerts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'listar alertas de estoque');
+  }
+});
+
+module.exports = router;
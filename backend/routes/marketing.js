@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const WishlistNotification = require('../models/WishlistNotification');
+const CartReminder = require('../models/CartReminder');
+const WishlistService = require('../services/wishlistService');
+const AbandonedCartService = require('../services/abandonedCartService');
+
+// Avisos da lista de desejos (filtros: status, type, productId, contactId, converted)
+router.get('/wishlist/notifications', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, type, productId, contactId, converted } = req.query;
+    const query = { storeId: req.storeId };
+    if (status) query.status = { $in: status.split(',') };
+    if (type) query.type = type;
+    if (productId) query.productId = productId;
+    if (contactId) query.contactId = contactId;
+    if (converted !== undefined) query.orderId = converted === 'true' ? { $ne: null } : null;
+
+    const notifications = await WishlistNotification.find(query)
+      .populate('contactId', 'name phone')
+      .populate('productId', 'name sku')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    const total = await WishlistNotification.countDocuments(query);
+
+    res.json({
+      success: true,
+      notifications,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar avisos da lista de desejos:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Relatório dos avisos da lista de desejos (envios, conversões e receita)
+router.get('/wishlist/report', auth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const report = await WishlistService.report(req.storeId, { from, to });
+
+    res.json({
+      success: true,
+      period: { from: from || null, to: to || null },
+      report
+    });
+  } catch (error) {
+    console.error('Erro ao gerar relatório da lista de desejos:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Lembretes de carrinho abandonado enviados (filtros: contactId, step, recovered, from, to)
+router.get('/abandoned-carts/reminders', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, contactId, step, recovered, from, to } = req.query;
+    const query = { storeId: req.storeId };
+    if (contactId) query.contactId = contactId;
+    if (step) query.step = parseInt(step, 10);
+    if (recovered !== undefined) query.orderId = recovered === 'true' ? { $ne: null } : null;
+    if (from || to) {
+      query.sentAt = {};
+      if (from) query.sentAt.$gte = new Date(from);
+      if (to) query.sentAt.$lte = new Date(to);
+    }
+
+    const reminders = await CartReminder.find(query)
+      .populate('contactId', 'name phone')
+      .sort({ sentAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    const total = await CartReminder.countDocuments(query);
+
+    res.json({
+      success: true,
+      reminders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar lembretes de carrinho abandonado:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Relatório de recuperação de carrinhos abandonados (receita recuperada)
+router.get('/abandoned-carts/report', auth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const report = await AbandonedCartService.report(req.storeId, { from, to });
+
+    res.json({
+      success: true,
+      period: { from: from || null, to: to || null },
+      report
+    });
+  } catch (error) {
+    console.error('Erro ao gerar relatório de carrinhos abandonados:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Message = require('../models/Message');
+const MediaService = require('../services/mediaService');
+
+// Aceita link temporário assinado; sem assinatura exige o JWT normal
+const authOrSignature = (req, res, next) => {
+  const { expires, signature } = req.query;
+  if (signature && MediaService.verifySignature(req.params.messageId, expires, signature)) {
+    req.signedMedia = true;
+    return next();
+  }
+  return auth(req, res, next);
+};
+
+// Gerar link temporário para a mídia de uma mensagem
+router.get('/:messageId/link', auth, async (req, res) => {
+  try {
+    const message = await Message.findOne({ _id: req.params.messageId, storeId: req.storeId })
+      .select('content.storageKey');
+
+    if (!message || !message.content.storageKey) {
+      return res.status(404).json({ message: 'Mídia não encontrada' });
+    }
+
+    res.json({
+      success: true,
+      url: MediaService.signUrl(message._id)
+    });
+  } catch (error) {
+    console.error('Erro ao gerar link da mídia:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Baixar mídia de uma mensagem
+router.get('/:messageId', authOrSignature, async (req, res) => {
+  try {
+    const query = { _id: req.params.messageId };
+    if (!req.signedMedia) {
+      query.storeId = req.storeId;
+    }
+
+    const message = await Message.findOne(query)
+      .select('content.storageKey content.mimeType content.fileName content.fileSize');
+
+    if (!message || !message.content.storageKey) {
+      return res.status(404).json({ message: 'Mídia não encontrada' });
+    }
+
+    const { storageKey, mimeType, fileName, fileSize } = message.content;
+    const stream = MediaService.createReadStream(storageKey);
+
+    stream.on('error', (error) => {
+      console.error('Erro ao ler mídia:', error.message);
+      if (!res.headersSent) {
+        res.status(404).json({ message: 'Mídia não encontrada' });
+      } else {
+        res.destroy();
+      }
+    });
+
+    res.set({
+      'Content-Type': mimeType || 'application/octet-stream',
+      'Content-Disposition': `inline; filename="${encodeURIComponent(fileName || 'arquivo')}"`,
+      'Cache-Control': 'private, max-age=600'
+    });
+    if (fileSize) res.set('Content-Length', String(fileSize));
+
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Erro ao baixar mídia:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
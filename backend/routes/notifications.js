@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const NotificationService = require('../services/notificationService');
+
+// Listar avisos da loja
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const query = { storeId: req.storeId };
+    if (unread === 'true') query.readAt = null;
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    const unreadCount = await Notification.countDocuments({ storeId: req.storeId, readAt: null });
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Erro ao listar avisos:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Marcar avisos como lidos (todos quando ids não é informado)
+router.post('/read', auth, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    const updated = await NotificationService.markAsRead(req.storeId, Array.isArray(ids) ? ids : null);
+
+    res.json({
+      success: true,
+      updated
+    });
+  } catch (error) {
+    console.error('Erro ao marcar avisos como lidos:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
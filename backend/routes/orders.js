@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Order = require('../models/Order');
+const OrderService = require('../services/orderService');
+
+const PAYMENT_STATUSES = ['pending', 'awaiting_confirmation', 'paid', 'refunded', 'failed'];
+
+// Status HTTP para os erros de negócio do serviço de pedidos
+const ERROR_STATUS = {
+  ORDER_NOT_FOUND: 404,
+  CONTACT_NOT_FOUND: 404,
+  STORE_NOT_FOUND: 404,
+  INVALID_TRANSITION: 409,
+  ORDER_CANCELLED: 409,
+  STOCK_CONTENTION: 409,
+  TRANSACTIONS_UNSUPPORTED: 503
+};
+
+// Responde com o erro de negócio ou erro interno
+const handleError = (res, error, context) => {
+  if (error.code && typeof error.code === 'string') {
+    return res.status(ERROR_STATUS[error.code] || 422).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join(', ') });
+  }
+  console.error(`Erro ao ${context}:`, error);
+  res.status(500).json({ message: 'Erro interno do servidor' });
+};
+
+// Listar pedidos (filtros: status, paymentStatus, channel, contactId, from, to)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, paymentStatus, channel, contactId, from, to, number } = req.query;
+    const query = { storeId: req.storeId };
+    if (status) query.status = { $in: status.split(',') };
+    if (paymentStatus) query['payment.status'] = paymentStatus;
+    if (channel) query.channel = channel;
+    if (contactId) query.contactId = contactId;
+    if (number) query.number = parseInt(number, 10);
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const orders = await Order.find(query)
+      .populate('contactId', 'name phone')
+      .select('-statusHistory')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      success: true,
+      orders,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar pedidos:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Obter pedido
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, storeId: req.storeId })
+      .populate('contactId', 'name phone email address')
+      .populate('statusHistory.by', 'name');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Pedido não encontrado' });
+    }
+
+    res.json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    console.error('Erro ao obter pedido:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Criar pedido pelo painel
+router.post('/', auth, async (req, res) => {
+  try {
+    const { contactId, items, couponCode, shipping, payment, notes, channel } = req.body;
+    if (!contactId) {
+      return res.status(400).json({ message: 'Contato é obrigatório' });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'Informe pelo menos um item' });
+    }
+
+    const order = await OrderService.createOrder(req.storeId, {
+      contactId,
+      items,
+      couponCode,
+      shipping,
+      payment,
+      notes,
+      channel: channel || 'dashboard'
+    }, { userId: req.userId });
+
+    res.status(201).json({
+      success: true,
+      order,
+      message: `Pedido #${order.number} criado com sucesso`
+    });
+  } catch (error) {
+    handleError(res, error, 'criar pedido');
+  }
+});
+
+// Avançar status do pedido
+router.post('/:id/status', auth, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!status) {
+      return res.status(400).json({ message: 'Status é obrigatório' });
+    }
+    if (status === 'cancelled') {
+      return res.status(400).json({ message: 'Use /cancel para cancelar o pedido' });
+    }
+
+    const order = await OrderService.transition(req.storeId, req.params.id, status, {
+      userId: req.userId,
+      note
+    });
+
+    res.json({
+      success: true,
+      order,
+      message: `Pedido #${order.number}: ${OrderService.describeStatus(order.status)}`
+    });
+  } catch (error) {
+    handleError(res, error, 'atualizar status do pedido');
+  }
+});
+
+// Cancelar pedido
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const order = await OrderService.cancel(req.storeId, req.params.id, {
+      userId: req.userId,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      order,
+      message: `Pedido #${order.number} cancelado`
+    });
+  } catch (error) {
+    handleError(res, error, 'cancelar pedido');
+  }
+});
+
+// Atualizar pagamento (pedido pendente pago é confirmado)
+router.post('/:id/payment', auth, async (req, res) => {
+  try {
+    const { status, method, reference } = req.body;
+    if (status && !PAYMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Status de pagamento inválido' });
+    }
+
+    const order = await OrderService.updatePayment(req.storeId, req.params.id, {
+      status,
+      method,
+      reference
+    }, { userId: req.userId });
+
+    res.json({
+      success: true,
+      order,
+      message: 'Pagamento atualizado com sucesso'
+    });
+  } catch (error) {
+    handleError(res, error, 'atualizar pagamento do pedido');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Order = require('../models/Order');
+const Store = require('../models/Store');
+const PixService = require('../services/pixService');
+const { KEY_TYPES, detectKeyType, normalizeKey } = require('../utils/pix');
+
+// Status HTTP para os erros de negócio
+const ERROR_STATUS = {
+  ORDER_NOT_FOUND: 404,
+  ORDER_CANCELLED: 409,
+  INVALID_TRANSITION: 409,
+  RECEIPT_NOT_PENDING: 409,
+  TRANSACTIONS_UNSUPPORTED: 503
+};
+
+// Responde com o erro de negócio ou erro interno
+const handleError = (res, error, context) => {
+  if (error.code && typeof error.code === 'string') {
+    return res.status(ERROR_STATUS[error.code] || 422).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+  console.error(`Erro ao ${context}:`, error);
+  res.status(500).json({ message: 'Erro interno do servidor' });
+};
+
+// Configuração Pix e código estático da loja (amount opcional)
+router.get('/pix', auth, async (req, res) => {
+  try {
+    const store = await Store.findById(req.storeId).select('payment');
+    if (!store) {
+      return res.status(404).json({ message: 'Loja não encontrada' });
+    }
+
+    const pix = PixService.getConfig(store);
+    const code = PixService.isEnabled(store)
+      ? await PixService.generate(store, { amount: Number(req.query.amount) || undefined })
+      : null;
+
+    res.json({
+      success: true,
+      pix,
+      payload: code && code.payload,
+      qrCode: code && code.qrCode
+    });
+  } catch (error) {
+    console.error('Erro ao gerar código Pix:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Configurar chave Pix
+router.put('/pix', auth, async (req, res) => {
+  try {
+    const { enabled, key, merchantName, merchantCity } = req.body;
+    const keyType = req.body.keyType || detectKeyType(key);
+
+    if (enabled !== false) {
+      if (!key || !KEY_TYPES.includes(keyType)) {
+        return res.status(400).json({ message: 'Chave Pix inválida' });
+      }
+      if (!merchantName || !merchantCity) {
+        return res.status(400).json({ message: 'Nome e cidade do recebedor são obrigatórios' });
+      }
+    }
+
+    const store = await Store.findById(req.storeId);
+    if (!store) {
+      return res.status(404).json({ message: 'Loja não encontrada' });
+    }
+
+    store.set('payment.pix', {
+      enabled: enabled !== false,
+      keyType,
+      key: key ? normalizeKey(key, keyType) : undefined,
+      merchantName,
+      merchantCity
+    });
+    await store.save();
+
+    res.json({
+      success: true,
+      pix: store.payment.pix,
+      message: 'Pix configurado com sucesso'
+    });
+  } catch (error) {
+    if (error.message === 'Chave Pix inválida') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Erro ao configurar Pix:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Fila de comprovantes aguardando conferência (mais antigos primeiro)
+router.get('/pending', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { storeId: req.storeId, 'payment.status': 'awaiting_confirmation' };
+
+    const orders = await Order.find(query)
+      .populate('contactId', 'name phone')
+      .select('number contactId totals payment status createdAt updatedAt')
+      .sort({ updatedAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      success: true,
+      orders,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar pagamentos pendentes:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Enviar (ou reenviar) a cobrança Pix do pedido ao cliente
+router.post('/:orderId/pix', auth, async (req, res) => {
+  try {
+    const store = await Store.findById(req.storeId);
+    if (!store || !PixService.isEnabled(store)) {
+      return res.status(400).json({ message: 'Configure a chave Pix da loja antes de enviar cobranças' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.orderId, storeId: req.storeId });
+    if (!order) {
+      return res.status(404).json({ message: 'Pedido não encontrado' });
+    }
+    if (order.status === 'cancelled' || order.payment.status === 'paid') {
+      return res.status(409).json({ message: 'Pedido cancelado ou já pago' });
+    }
+
+    await PixService.sendCharge(store, order);
+
+    res.json({
+      success: true,
+      payload: order.payment.pix.payload,
+      message: 'Cobrança Pix enviada ao cliente'
+    });
+  } catch (error) {
+    console.error('Erro ao enviar cobrança Pix:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Confirmar pagamento conferido no extrato (o pedido pendente é confirmado)
+router.post('/:orderId/confirm', auth, async (req, res) => {
+  try {
+    const store = await Store.findById(req.storeId);
+    const order = await PixService.confirm(store, req.params.orderId, { userId: req.userId });
+
+    res.json({
+      success: true,
+      order,
+      message: `Pagamento do pedido #${order.number} confirmado`
+    });
+  } catch (error) {
+    handleError(res, error, 'confirmar pagamento');
+  }
+});
+
+// Recusar o comprovante e pedir outro ao cliente
+router.post('/:orderId/reject', auth, async (req, res) => {
+  try {
+    const store = await Store.findById(req.storeId);
+    const order = await PixService.reject(store, req.params.orderId, { reason: req.body.reason });
+
+    res.json({
+      success: true,
+      order,
+      message: 'Comprovante recusado e cliente avisado'
+    });
+  } catch (error) {
+    handleError(res, error, 'recusar comprovante');
+  }
+});
+
+module.exports = router;
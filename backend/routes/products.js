@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const Product = require('../models/Product');
-const Store = require('../models/Store');
+const InventoryService = require('../services/inventoryService');
+const StockAlertService = require('../services/stockAlertService');
 const multer = require('multer');
 const path = require('path');
 
@@ -33,26 +34,138 @@ const upload = multer({
   }
 });
 
+// Campos editáveis de cada combinação da grade
+const VARIANT_FIELDS = ['sku', 'barcode', 'price', 'image', 'isActive'];
+
+// Configurações de estoque editáveis (a quantidade muda só pelo livro-razão)
+const INVENTORY_SETTINGS = ['trackQuantity', 'lowStockThreshold', 'allowBackorder'];
+
+// Motivos das movimentações feitas pela edição do produto e da grade
+const MATRIX_REASON = 'Edição da grade de variações';
+const PRODUCT_REASON = 'Edição do produto';
+
+// Status HTTP para os erros de negócio
+const ERROR_STATUS = {
+  VARIANT_NOT_FOUND: 404,
+  DUPLICATE_SKU: 409
+};
+
+// Campos de formulário multipart chegam como texto (JSON para objetos e listas)
+const parseField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const routeError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Responde com o erro de negócio ou erro interno
+const handleError = (res, error, context) => {
+  if (error.code && typeof error.code === 'string') {
+    return res.status(ERROR_STATUS[error.code] || 422).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join(', ') });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: 'Identificador inválido' });
+  }
+  console.error(`Erro ao ${context}:`, error);
+  res.status(500).json({ message: 'Erro interno do servidor' });
+};
+
+// Normaliza as opções da grade (sem nomes repetidos nem valores vazios)
+const parseOptions = (value) => {
+  const options = parseField(value);
+  if (!Array.isArray(options)) return null;
+
+  const names = new Set();
+  return options
+    .map(option => ({
+      name: String(option.name || '').trim(),
+      values: [...new Set((option.values || []).map(item => String(item).trim()).filter(Boolean))]
+    }))
+    .filter(option => option.name && option.values.length > 0 && !names.has(option.name) && names.add(option.name));
+};
+
+// Opções da grade a partir de sizes e colors (formato anterior à grade)
+const legacyOptions = (sizes, colors) => {
+  if (sizes === undefined && colors === undefined) return null;
+  return parseOptions([
+    { name: 'Tamanho', values: parseField(sizes) || [] },
+    { name: 'Cor', values: parseField(colors) || [] }
+  ]);
+};
+
+// Configurações de estoque enviadas em inventory
+const applyInventorySettings = (product, value) => {
+  const inventory = parseField(value);
+  if (!inventory || typeof inventory !== 'object') return;
+  INVENTORY_SETTINGS.forEach(field => {
+    if (inventory[field] !== undefined) product.set(`inventory.${field}`, inventory[field]);
+  });
+};
+
+// SKUs repetidos na grade ou já usados em outro produto da loja
+const ensureUniqueSkus = async (product) => {
+  const skus = [product.sku, ...product.variants.map(variant => variant.sku)].filter(Boolean);
+  const repeated = skus.find((sku, index) => skus.indexOf(sku) !== index);
+  if (repeated) throw routeError('DUPLICATE_SKU', `SKU repetido: ${repeated}`);
+  if (skus.length === 0) return;
+
+  const conflict = await Product.findOne({
+    storeId: product.storeId,
+    _id: { $ne: product._id },
+    $or: [{ sku: { $in: skus } }, { 'variants.sku': { $in: skus } }]
+  }).select('name');
+  if (conflict) throw routeError('DUPLICATE_SKU', `SKU já usado em ${conflict.name}`);
+};
+
+// Aplica a edição de uma combinação (quantity vai para o livro-razão)
+const applyVariantEdit = (product, variant, changes, counts) => {
+  VARIANT_FIELDS.forEach(field => {
+    if (changes[field] === undefined) return;
+    // Preço vazio volta a usar o preço do produto
+    const value = field === 'price' && (changes.price === null || changes.price === '') ? undefined : changes[field];
+    variant.set(field, value);
+  });
+  if (changes.lowStockThreshold !== undefined) {
+    variant.set('inventory.lowStockThreshold', changes.lowStockThreshold);
+  }
+  if (changes.quantity !== undefined) {
+    counts.push({ productId: product._id, variantId: String(variant._id), counted: changes.quantity });
+  }
+};
+
 // Listar produtos da loja
 router.get('/', auth, async (req, res) => {
   try {
     const { page = 1, limit = 10, category, search, status } = req.query;
-    const store = await Store.findOne({ owner: req.user.id });
-    
-    if (!store) {
-      return res.status(404).json({ message: 'Loja não encontrada' });
-    }
-
-    const query = { store: store._id };
+    const query = { storeId: req.storeId };
     
     if (category) query.category = category;
     if (search) {
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
+        { description: { $regex: search, $options: 'i' } },
+        { sku: search.toUpperCase() },
+        { 'variants.sku': search.toUpperCase() },
+        { 'variants.barcode': search }
       ];
     }
-    if (status) query.status = status;
+    // status: active | inactive (o produto guarda isActive)
+    if (status) query.isActive = status === 'active';
 
     const products = await Product.find(query)
       .limit(limit * 1)
@@ -75,13 +188,10 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Criar novo produto
+// options gera a grade de variações (ou sizes e colors, no formato anterior);
+// stock é o estoque inicial de produtos sem grade
 router.post('/', auth, upload.array('images', 5), async (req, res) => {
   try {
-    const store = await Store.findOne({ owner: req.user.id });
-    if (!store) {
-      return res.status(404).json({ message: 'Loja não encontrada' });
-    }
-
     const {
       name,
       description,
@@ -91,7 +201,10 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
       colors,
       stock,
       sku,
-      tags
+      tags,
+      options,
+      variantDefaults,
+      inventory
     } = req.body;
 
     // Processar imagens enviadas
@@ -102,44 +215,54 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
     })) : [];
 
     const product = new Product({
-      store: store._id,
+      storeId: req.storeId,
       name,
       description,
       price: parseFloat(price),
       category,
-      sizes: sizes ? JSON.parse(sizes) : [],
-      colors: colors ? JSON.parse(colors) : [],
-      stock: parseInt(stock) || 0,
       sku,
       tags: tags ? JSON.parse(tags) : [],
-      images,
-      status: 'active'
+      images
     });
+    applyInventorySettings(product, inventory);
 
+    const matrix = parseOptions(options) || legacyOptions(sizes, colors);
+    if (matrix && matrix.length > 0) {
+      product.options = matrix;
+      product.generateVariants(parseField(variantDefaults) || {});
+    }
+
+    await ensureUniqueSkus(product);
     await product.save();
 
+    // Estoque inicial entra no livro-razão como importação
+    const initial = parseInt(stock, 10);
+    let created = product;
+    if (product.variants.length === 0 && initial > 0) {
+      ({ product: created } = await InventoryService.move(req.storeId, product._id, {
+        type: 'import',
+        quantity: initial,
+        reason: 'Estoque inicial',
+        userId: req.userId
+      }));
+    }
+
     res.status(201).json({
       success: true,
-      product,
+      product: created,
       message: 'Produto criado com sucesso'
     });
   } catch (error) {
-    console.error('Erro ao criar produto:', error);
-    res.status(500).json({ message: 'Erro interno do servidor' });
+    handleError(res, error, 'criar produto');
   }
 });
 
 // Obter produto específico
 router.get('/:id', auth, async (req, res) => {
   try {
-    const store = await Store.findOne({ owner: req.user.id });
-    if (!store) {
-      return res.status(404).json({ message: 'Loja não encontrada' });
-    }
-
     const product = await Product.findOne({ 
       _id: req.params.id, 
-      store: store._id 
+      storeId: req.storeId 
     });
 
     if (!product) {
@@ -157,16 +280,12 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Atualizar produto
+// sizes e colors regeneram a grade; stock vira ajuste no livro-razão (sem grade)
 router.put('/:id', auth, upload.array('images', 5), async (req, res) => {
   try {
-    const store = await Store.findOne({ owner: req.user.id });
-    if (!store) {
-      return res.status(404).json({ message: 'Loja não encontrada' });
-    }
-
     const product = await Product.findOne({ 
       _id: req.params.id, 
-      store: store._id 
+      storeId: req.storeId 
     });
 
     if (!product) {
@@ -183,7 +302,9 @@ router.put('/:id', auth, upload.array('images', 5), async (req, res) => {
       stock,
       sku,
       tags,
-      status
+      status,
+      inventory,
+      discounts
     } = req.body;
 
     // Atualizar campos
@@ -191,12 +312,17 @@ router.put('/:id', auth, upload.array('images', 5), async (req, res) => {
     if (description) product.description = description;
     if (price) product.price = parseFloat(price);
     if (category) product.category = category;
-    if (sizes) product.sizes = JSON.parse(sizes);
-    if (colors) product.colors = JSON.parse(colors);
-    if (stock !== undefined) product.stock = parseInt(stock);
     if (sku) product.sku = sku;
     if (tags) product.tags = JSON.parse(tags);
-    if (status) product.status = status;
+    if (status) product.isActive = status === 'active';
+    if (discounts) product.discounts = parseField(discounts);
+    applyInventorySettings(product, inventory);
+
+    const matrix = legacyOptions(sizes, colors);
+    if (matrix) {
+      product.options = matrix;
+      product.generateVariants();
+    }
 
     // Adicionar novas imagens se enviadas
     if (req.files && req.files.length > 0) {
@@ -208,31 +334,39 @@ router.put('/:id', auth, upload.array('images', 5), async (req, res) => {
       product.images = [...product.images, ...newImages];
     }
 
-    product.updatedAt = new Date();
+    await ensureUniqueSkus(product);
     await product.save();
 
+    // Estoque em mãos só muda pelo livro-razão
+    let updated = product;
+    if (stock !== undefined && product.variants.length === 0) {
+      const [result] = await InventoryService.count(
+        req.storeId,
+        [{ productId: product._id, counted: parseInt(stock, 10) }],
+        { userId: req.userId, reason: PRODUCT_REASON }
+      );
+      if (result.error) throw routeError(result.error.code, result.error.message);
+      updated = await Product.findById(product._id);
+    }
+    // Limite de estoque baixo ou controle de estoque podem ter mudado
+    StockAlertService.schedule(product._id);
+
     res.json({
       success: true,
-      product,
+      product: updated,
       message: 'Produto atualizado com sucesso'
     });
   } catch (error) {
-    console.error('Erro ao atualizar produto:', error);
-    res.status(500).json({ message: 'Erro interno do servidor' });
+    handleError(res, error, 'atualizar produto');
   }
 });
 
 // Deletar produto
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const store = await Store.findOne({ owner: req.user.id });
-    if (!store) {
-      return res.status(404).json({ message: 'Loja não encontrada' });
-    }
-
     const product = await Product.findOneAndDelete({ 
       _id: req.params.id, 
-      store: store._id 
+      storeId: req.storeId 
     });
 
     if (!product) {
@@ -249,6 +383,113 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// Grade de variações do produto
+router.get('/:id/variants', auth, async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, storeId: req.storeId })
+      .select('name sku price discounts options variants inventory');
+    if (!product) {
+      return res.status(404).json({ message: 'Produto não encontrado' });
+    }
+
+    res.json({
+      success: true,
+      options: product.options,
+      variants: product.variants,
+      priceRange: product.priceRange,
+      availableQuantity: product.availableQuantity
+    });
+  } catch (error) {
+    handleError(res, error, 'obter grade de variações');
+  }
+});
+
+// Definir as opções e gerar a grade (defaults: { price, lowStockThreshold } das novas combinações)
+router.put('/:id/options', auth, async (req, res) => {
+  try {
+    const options = parseOptions(req.body.options);
+    if (!options) {
+      return res.status(400).json({ message: 'Informe as opções: [{ name, values }]' });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, storeId: req.storeId });
+    if (!product) {
+      return res.status(404).json({ message: 'Produto não encontrado' });
+    }
+
+    product.options = options;
+    const summary = product.generateVariants(req.body.defaults || {});
+    await ensureUniqueSkus(product);
+    await product.save();
+    StockAlertService.schedule(product._id);
+
+    res.json({
+      success: true,
+      options: product.options,
+      variants: product.variants,
+      summary,
+      message: `Grade atualizada: ${summary.created} criada(s), ${summary.removed} removida(s), ${summary.deactivated} desativada(s)`
+    });
+  } catch (error) {
+    handleError(res, error, 'gerar grade de variações');
+  }
+});
+
+// Editar a grade em lote
+// variants: [{ _id, sku, barcode, price, image, isActive, lowStockThreshold, quantity }]
+// match + set: aplica set às combinações que batem com match (ex: { Cor: 'Azul' })
+router.patch('/:id/variants', auth, async (req, res) => {
+  try {
+    const { variants, match, set, reason } = req.body;
+    if (!Array.isArray(variants) && !(match && set)) {
+      return res.status(400).json({ message: 'Informe variants ou match e set' });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, storeId: req.storeId });
+    if (!product) {
+      return res.status(404).json({ message: 'Produto não encontrado' });
+    }
+
+    const counts = [];
+    for (const changes of variants || []) {
+      const variant = product.variants.id(changes._id);
+      if (!variant) throw routeError('VARIANT_NOT_FOUND', `Variação não encontrada: ${changes._id}`);
+      applyVariantEdit(product, variant, changes, counts);
+    }
+
+    let matched = 0;
+    if (match && set) {
+      product.variants
+        .filter(variant => variant.matches(match))
+        .forEach(variant => {
+          applyVariantEdit(product, variant, set, counts);
+          matched++;
+        });
+    }
+
+    await ensureUniqueSkus(product);
+    await product.save();
+
+    // Quantidades informadas viram ajustes no livro-razão
+    const stock = counts.length > 0
+      ? await InventoryService.count(req.storeId, counts, { userId: req.userId, reason: reason || MATRIX_REASON })
+      : [];
+
+    const updated = counts.length > 0 ? await Product.findById(product._id) : product;
+    StockAlertService.schedule(product._id);
+
+    res.json({
+      success: true,
+      variants: updated.variants,
+      matched,
+      stock,
+      message: 'Grade atualizada com sucesso'
+    });
+  } catch (error) {
+    handleError(res, error, 'editar grade de variações');
+  }
+});
+
 // Buscar produtos para catálogo (público)
 router.get('/catalog/:storeId', async (req, res) => {
   try {
@@ -256,18 +497,20 @@ router.get('/catalog/:storeId', async (req, res) => {
     const { category, search, minPrice, maxPrice, limit = 20 } = req.query;
 
     const query = { 
-      store: storeId, 
-      status: 'active',
-      stock: { $gt: 0 }
+      storeId, 
+      isActive: true,
+      ...Product.inStockCondition()
     };
     
     if (category) query.category = category;
     if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+      query.$and = [{
+        $or: [
+          { name: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } },
+          { tags: { $in: [new RegExp(search, 'i')] } }
+        ]
+      }];
     }
     if (minPrice || maxPrice) {
       query.price = {};
@@ -276,7 +519,7 @@ router.get('/catalog/:storeId', async (req, res) => {
     }
 
     const products = await Product.find(query)
-      .select('name description price category images sizes colors stock')
+      .select('name description price comparePrice discounts category images options variants inventory')
       .limit(parseInt(limit))
       .sort({ createdAt: -1 });
 
@@ -293,14 +536,9 @@ router.get('/catalog/:storeId', async (req, res) => {
 // Obter categorias da loja
 router.get('/categories/list', auth, async (req, res) => {
   try {
-    const store = await Store.findOne({ owner: req.user.id });
-    if (!store) {
-      return res.status(404).json({ message: 'Loja não encontrada' });
-    }
-
     const categories = await Product.distinct('category', { 
-      store: store._id,
-      status: 'active'
+      storeId: req.storeId,
+      isActive: true
     });
 
     res.json({
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Store = require('../models/Store');
+const ShippingService = require('../services/shippingService');
+const { carrierNames } = require('../services/shipping');
+const { normalizeCep } = require('../utils/cep');
+
+// Campos editáveis da configuração de frete
+const EDITABLE_FIELDS = [
+  'enabled', 'defaultWeight', 'handlingDays', 'freeShippingThreshold',
+  'zones', 'pickup', 'localDelivery', 'carriers'
+];
+
+// Normaliza as faixas de CEP; retorna a primeira faixa inválida
+const normalizeRanges = (ranges = []) => {
+  for (const range of ranges) {
+    const from = normalizeCep(range.from);
+    const to = normalizeCep(range.to || range.from);
+    if (!from || !to || from > to) return range;
+    range.from = from;
+    range.to = to;
+  }
+  return null;
+};
+
+// Obter configuração de frete
+router.get('/settings', auth, async (req, res) => {
+  try {
+    const store = await Store.findById(req.storeId).select('shipping address');
+    if (!store) {
+      return res.status(404).json({ message: 'Loja não encontrada' });
+    }
+
+    res.json({
+      success: true,
+      shipping: store.shipping,
+      originZipCode: store.address && store.address.zipCode,
+      carriers: carrierNames
+    });
+  } catch (error) {
+    console.error('Erro ao obter configuração de frete:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Atualizar configuração de frete
+router.put('/settings', auth, async (req, res) => {
+  try {
+    const store = await Store.findById(req.storeId);
+    if (!store) {
+      return res.status(404).json({ message: 'Loja não encontrada' });
+    }
+
+    const data = EDITABLE_FIELDS.reduce((fields, field) => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+      return fields;
+    }, {});
+
+    for (const zone of data.zones || []) {
+      const invalid = normalizeRanges(zone.ranges);
+      if (invalid || !zone.ranges || zone.ranges.length === 0) {
+        return res.status(400).json({ message: `Faixa de CEP inválida na zona ${zone.name || ''}`.trim() });
+      }
+    }
+    if (data.localDelivery && normalizeRanges(data.localDelivery.ranges)) {
+      return res.status(400).json({ message: 'Faixa de CEP inválida na entrega local' });
+    }
+    const unknown = (data.carriers || []).find(carrier => !carrierNames.includes(carrier.provider));
+    if (unknown) {
+      return res.status(400).json({ message: `Transportadora desconhecida: ${unknown.provider}` });
+    }
+
+    Object.entries(data).forEach(([field, value]) => store.set(`shipping.${field}`, value));
+    await store.save();
+
+    res.json({
+      success: true,
+      shipping: store.shipping,
+      message: 'Frete configurado com sucesso'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    console.error('Erro ao configurar frete:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Cotar frete (items: [{ productId, quantity }]; sem itens, usa o peso padrão)
+router.post('/quote', auth, async (req, res) => {
+  try {
+    const { zipCode, items, location, subtotal } = req.body;
+
+    const store = await Store.findById(req.storeId);
+    if (!store) {
+      return res.status(404).json({ message: 'Loja não encontrada' });
+    }
+
+    const quote = await ShippingService.quoteForItems(store, zipCode, Array.isArray(items) ? items : [], {
+      location,
+      subtotal: subtotal !== undefined ? Number(subtotal) : null
+    });
+
+    res.json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_ZIP_CODE') {
+      return res.status(400).json({ code: error.code, message: error.message });
+    }
+    console.error('Erro ao cotar frete:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
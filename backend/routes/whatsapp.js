@@ -1,8 +1,13 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const webhookSignature = require('../middleware/webhookSignature');
 const WhatsAppService = require('../services/whatsappService');
+const OutboundQueue = require('../services/outboundQueue');
+const { providerNames } = require('../services/whatsapp');
 const Store = require('../models/Store');
+const { normalizeInteractive } = require('../utils/interactive');
 
 // Inicializar WhatsApp para uma loja
 router.post('/initialize', auth, async (req, res) => {
@@ -12,12 +17,13 @@ router.post('/initialize', auth, async (req, res) => {
       return res.status(404).json({ message: 'Loja não encontrada' });
     }
 
-    const qrCode = await WhatsAppService.initializeClient(store._id);
+    const connection = await WhatsAppService.initializeClient(store._id);
     
-    res.json({
+    res.status(202).json({
       success: true,
-      qrCode,
-      message: 'Escaneie o QR Code com seu WhatsApp'
+      status: connection.state,
+      qrCode: connection.qrCode,
+      message: 'Conexão iniciada. Acompanhe o QR Code em tempo real no namespace /whatsapp'
     });
   } catch (error) {
     console.error('Erro ao inicializar WhatsApp:', error);
@@ -25,6 +31,22 @@ router.post('/initialize', auth, async (req, res) => {
   }
 });
 
+// Obter QR Code pendente (alternativa ao Socket.IO)
+router.get('/qr', auth, async (req, res) => {
+  try {
+    const connection = WhatsAppService.getConnectionState(req.storeId);
+
+    res.json({
+      success: true,
+      status: connection.state,
+      qrCode: connection.qrCode
+    });
+  } catch (error) {
+    console.error('Erro ao obter QR Code:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
 // Verificar status da conexão WhatsApp
 router.get('/status', auth, async (req, res) => {
   try {
@@ -69,19 +91,33 @@ router.post('/disconnect', auth, async (req, res) => {
 // Enviar mensagem manual
 router.post('/send-message', auth, async (req, res) => {
   try {
-    const { phoneNumber, message, mediaUrl } = req.body;
-    const store = await Store.findOne({ owner: req.user.id });
+    const { phoneNumber, message, mediaUrl, interactive } = req.body;
+    const store = await Store.findById(req.storeId);
     
     if (!store) {
       return res.status(404).json({ message: 'Loja não encontrada' });
     }
 
-    const result = await WhatsAppService.sendMessage(store._id, phoneNumber, message, mediaUrl);
+    if (interactive) {
+      try {
+        normalizeInteractive(interactive);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+    }
+
+    const job = await WhatsAppService.sendMessage(store._id, phoneNumber, message, mediaUrl, {
+      source: 'manual',
+      immediate: true,
+      interactive,
+      agentId: req.userId
+    });
     
     res.json({
       success: true,
-      messageId: result.id,
-      message: 'Mensagem enviada com sucesso'
+      queueId: job._id,
+      messageId: job.messageId,
+      message: 'Mensagem enfileirada para envio'
     });
   } catch (error) {
     console.error('Erro ao enviar mensagem:', error);
@@ -89,18 +125,161 @@ router.post('/send-message', auth, async (req, res) => {
   }
 });
 
+// Verificação do webhook da Cloud API (hub.challenge)
+router.get('/webhook/:storeId', async (req, res) => {
+  try {
+    const provider = await WhatsAppService.getProvider(req.params.storeId);
+    const challenge = provider && typeof provider.verifyChallenge === 'function'
+      ? provider.verifyChallenge(req.query)
+      : null;
+
+    if (!challenge) {
+      return res.status(403).json({ message: 'Token de verificação inválido' });
+    }
+
+    res.status(200).send(challenge);
+  } catch (error) {
+    console.error('Erro na verificação do webhook:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
 // Webhook para receber mensagens
-router.post('/webhook/:storeId', async (req, res) => {
+// Responde imediatamente e processa os eventos em segundo plano
+router.post('/webhook/:storeId', webhookSignature, (req, res) => {
+  const { storeId } = req.params;
+  const messageData = req.body;
+
+  res.status(200).json({ success: true });
+
+  setImmediate(() => {
+    WhatsAppService.processIncomingMessage(storeId, messageData)
+      .catch(error => console.error('Erro no webhook:', error));
+  });
+});
+
+// Definir o segredo de assinatura do webhook
+// Com secret no corpo (ex: a chave secreta do app da Meta, que assina os
+// webhooks da Cloud API), usa o valor informado; sem ele, gera um novo
+router.post('/webhook-secret', auth, async (req, res) => {
   try {
-    const { storeId } = req.params;
-    const messageData = req.body;
+    const { secret: provided } = req.body;
+    if (provided !== undefined && (typeof provided !== 'string' || provided.trim().length < 16)) {
+      return res.status(400).json({ message: 'O segredo deve ter pelo menos 16 caracteres' });
+    }
 
-    // Processar mensagem recebida
-    await WhatsAppService.processIncomingMessage(storeId, messageData);
-    
-    res.status(200).json({ success: true });
+    const store = await Store.findById(req.storeId);
+    if (!store) {
+      return res.status(404).json({ message: 'Loja não encontrada' });
+    }
+
+    const secret = provided ? provided.trim() : crypto.randomBytes(32).toString('hex');
+    store.whatsapp.webhookSecret = secret;
+    await store.save();
+
+    res.json({
+      success: true,
+      secret: provided ? undefined : secret,
+      webhookUrl: `${process.env.API_URL || ''}/api/whatsapp/webhook/${store._id}`,
+      message: provided
+        ? 'Segredo do webhook atualizado'
+        : 'Guarde este segredo: ele não será exibido novamente'
+    });
+  } catch (error) {
+    console.error('Erro ao gerar segredo do webhook:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Configurar provedor de transporte
+router.put('/provider', auth, async (req, res) => {
+  try {
+    const { provider, cloudApi, zapi } = req.body;
+    const store = await Store.findById(req.storeId);
+
+    if (!store) {
+      return res.status(404).json({ message: 'Loja não encontrada' });
+    }
+
+    if (!providerNames.includes(provider)) {
+      return res.status(400).json({ message: 'Provedor inválido' });
+    }
+
+    store.whatsapp.provider = provider;
+    if (cloudApi) store.whatsapp.cloudApi = { ...store.toObject().whatsapp.cloudApi, ...cloudApi };
+    if (zapi) store.whatsapp.zapi = { ...store.toObject().whatsapp.zapi, ...zapi };
+    await store.save();
+
+    // A próxima conexão usa o novo provedor
+    await WhatsAppService.disconnectClient(store._id);
+
+    res.json({
+      success: true,
+      provider: store.whatsapp.provider,
+      message: 'Provedor atualizado com sucesso'
+    });
+  } catch (error) {
+    console.error('Erro ao configurar provedor:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Listar itens da fila de saída (padrão: fila morta)
+router.get('/outbound', auth, async (req, res) => {
+  try {
+    const { status = 'dead', page = 1, limit = 20 } = req.query;
+    const { items, total } = await OutboundQueue.list(req.storeId, {
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      items,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Erro ao listar fila de saída:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Reenviar item da fila morta
+router.post('/outbound/:id/retry', auth, async (req, res) => {
+  try {
+    const item = await OutboundQueue.retry(req.storeId, req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Item não encontrado na fila morta' });
+    }
+
+    res.json({
+      success: true,
+      item,
+      message: 'Mensagem recolocada na fila'
+    });
+  } catch (error) {
+    console.error('Erro ao reenviar item da fila:', error);
+    res.status(500).json({ message: 'Erro interno do servidor' });
+  }
+});
+
+// Cancelar item pendente da fila
+router.delete('/outbound/:id', auth, async (req, res) => {
+  try {
+    const item = await OutboundQueue.cancel(req.storeId, req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Item não encontrado ou já enviado' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Envio cancelado'
+    });
   } catch (error) {
-    console.error('Erro no webhook:', error);
+    console.error('Erro ao cancelar item da fila:', error);
     res.status(500).json({ message: 'Erro interno do servidor' });
   }
 });
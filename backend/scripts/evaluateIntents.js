@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Relatório de precisão e revocação do classificador de intenção
+ *
+ * Uso:
+ *   npm run evaluate:intents
+ *   npm run evaluate:intents -- --store <storeId> --folds 4 --errors
+ *
+ * Validação cruzada em N partes (--folds, padrão 5): cada exemplo é testado
+ * com um modelo treinado nas demais. Imprime as métricas por intenção, a
+ * calibração da confiança (temperatura atual e ajustada) e o resultado da
+ * transferência automática por reclamação. Com --store, os exemplos
+ * cadastrados pela loja entram no conjunto (requer MONGODB_URI).
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const IntentClassifier = require('../services/intentClassifier');
+const HandoffService = require('../services/handoffService');
+const IntentExample = require('../models/IntentExample');
+
+function parseArgs(argv) {
+  const args = { folds: 5, store: null, errors: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--folds') args.folds = parseInt(argv[++i], 10) || 5;
+    else if (argv[i] === '--store') args.store = argv[++i];
+    else if (argv[i] === '--errors') args.errors = true;
+  }
+  return args;
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`.padStart(7);
+}
+
+async function loadStoreExamples(storeId) {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/whatsapp-ai');
+  try {
+    const examples = await IntentExample.find({ storeId }).select('text intent').lean();
+    return examples.map(({ text, intent }) => ({ text, intent }));
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const examples = [...IntentClassifier.loadDataset()];
+  if (args.store) {
+    const storeExamples = await loadStoreExamples(args.store);
+    console.log(`Exemplos da loja: ${storeExamples.length}`);
+    examples.push(...storeExamples);
+  }
+
+  const report = IntentClassifier.evaluate(examples, { folds: args.folds });
+
+  console.log(`Exemplos: ${report.size} | Validação cruzada: ${report.folds} partes\n`);
+  console.log(`${'Intenção'.padEnd(18)} ${'Precisão'.padStart(9)} ${'Revocação'.padStart(9)} ${'F1'.padStart(7)} ${'Qtd'.padStart(5)}`);
+
+  for (const [intent, metrics] of Object.entries(report.intents).sort(([a], [b]) => a.localeCompare(b))) {
+    console.log(
+      `${intent.padEnd(18)} ${percent(metrics.precision).padStart(9)} ${percent(metrics.recall).padStart(9)} ${percent(metrics.f1)} ${String(metrics.support).padStart(5)}`
+    );
+  }
+
+  console.log(`\nAcurácia: ${percent(report.accuracy).trim()}`);
+
+  const { calibration } = report;
+  console.log(
+    `Erro de calibração: ${percent(calibration.error).trim()} ` +
+    `(temperatura ${calibration.temperature}, ajustada ${calibration.fittedTemperature})`
+  );
+
+  // Transferência por reclamação com os limites do HandoffService
+  const handoffs = report.predictions.filter(prediction =>
+    HandoffService.isComplaint(prediction.intent, prediction.confidence, prediction.margin)
+  );
+  const complaints = report.predictions.filter(prediction => prediction.expected === 'complaint');
+  const correctHandoffs = handoffs.filter(prediction => prediction.expected === 'complaint');
+  console.log(
+    `Transferência por reclamação: precisão ${percent(correctHandoffs.length / (handoffs.length || 1)).trim()}, ` +
+    `revocação ${percent(correctHandoffs.length / (complaints.length || 1)).trim()} ` +
+    `(${handoffs.length} transferências)`
+  );
+
+  if (args.errors && report.errors.length > 0) {
+    console.log('\nErros:');
+    for (const error of report.errors) {
+      console.log(`- "${error.text}": esperado ${error.expected}, previsto ${error.predicted}`);
+    }
+
+    const wrongHandoffs = handoffs.filter(prediction => prediction.expected !== 'complaint');
+    if (wrongHandoffs.length > 0) {
+      console.log('\nTransferências indevidas:');
+      for (const prediction of wrongHandoffs) {
+        console.log(`- "${prediction.text}": ${prediction.expected}`);
+      }
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('Erro ao avaliar classificador de intenção:', error);
+  process.exit(1);
+});
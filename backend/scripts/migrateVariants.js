@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Migra as variações antigas ({ name, value } por linha) para a grade de combinações
+ *
+ * Uso:
+ *   node scripts/migrateVariants.js            (simula e lista o que mudaria)
+ *   node scripts/migrateVariants.js --apply    (grava as alterações)
+ *
+ * Produtos com uma única opção (ex: só Tamanho) mantêm id, SKU, preço e
+ * estoque de cada variação. Com mais de uma opção (Tamanho e Cor em linhas
+ * separadas) não há como dividir o estoque entre as combinações: a grade é
+ * gerada com estoque zero e o produto fica listado para inventário físico.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+function parseArgs(argv) {
+  return { apply: argv.includes('--apply') };
+}
+
+// Eixos na ordem em que aparecem nas variações antigas
+function legacyAxes(variants) {
+  const axes = [];
+  for (const variant of variants) {
+    let axis = axes.find(item => item.name === variant.name);
+    if (!axis) {
+      axis = { name: variant.name, values: [] };
+      axes.push(axis);
+    }
+    if (!axis.values.includes(variant.value)) axis.values.push(variant.value);
+  }
+  return axes;
+}
+
+// Converte o documento bruto; retorna { options, variants, recount }
+function convert(raw) {
+  const legacy = raw.variants.filter(variant => variant.name && variant.value);
+  const options = legacyAxes(legacy);
+
+  if (options.length === 1) {
+    return {
+      options,
+      recount: false,
+      variants: legacy.map(variant => {
+        const inventory = variant.inventory || {};
+        const data = {
+          _id: variant._id,
+          options: { [variant.name]: variant.value },
+          isActive: true,
+          inventory: {
+            quantity: inventory.quantity || 0,
+            reserved: inventory.reserved || 0,
+            lowStockThreshold: inventory.lowStockThreshold !== undefined ? inventory.lowStockThreshold : 5
+          }
+        };
+        if (variant.sku) data.sku = variant.sku;
+        if (typeof variant.price === 'number') data.price = variant.price;
+        return data;
+      })
+    };
+  }
+
+  const product = new Product({ ...raw, options, variants: [] });
+  product.generateVariants();
+
+  // Preço próprio: o da primeira variação antiga com preço dentro da combinação
+  const variants = product.variants.map(variant => {
+    const priced = legacy.find(item => item.price && variant.options.get(item.name) === item.value);
+    const data = variant.toObject({ virtuals: false });
+    data.options = Object.fromEntries(variant.options);
+    if (priced) data.price = priced.price;
+    return data;
+  });
+
+  return { options, variants, recount: true };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/whatsapp-ai');
+
+  try {
+    const cursor = Product.collection.find({ 'variants.name': { $exists: true } });
+    const recount = [];
+    let migrated = 0;
+
+    for await (const raw of cursor) {
+      const { options, variants, recount: needsCount } = convert(raw);
+      migrated++;
+      if (needsCount) recount.push(`${raw.name} (${raw._id})`);
+      console.log(`${raw.name}: ${raw.variants.length} linha(s) → ${variants.length} combinação(ões) [${options.map(option => option.name).join(' × ')}]`);
+
+      if (args.apply) {
+        await Product.collection.updateOne({ _id: raw._id }, { $set: { options, variants } });
+      }
+    }
+
+    console.log(`\n${migrated} produto(s) ${args.apply ? 'migrado(s)' : 'a migrar (use --apply para gravar)'}`);
+    if (recount.length > 0) {
+      console.log('\nFaça o inventário físico destes produtos (estoque das combinações ficou zerado):');
+      recount.forEach(name => console.log(`- ${name}`));
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Erro ao migrar variações:', error);
+  process.exit(1);
+});
@@ -1,12 +1,25 @@
 const express = require('express');
+const http = require('http');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const mongoose = require('mongoose');
 const path = require('path');
 require('dotenv').config();
+const OutboundQueue = require('./services/outboundQueue');
+const RealtimeService = require('./services/realtimeService');
+const ConnectionSupervisor = require('./services/connectionSupervisor');
+const HandoffService = require('./services/handoffService');
+const ReservationService = require('./services/reservationService');
+const StockAlertService = require('./services/stockAlertService');
+const WishlistService = require('./services/wishlistService');
+const AbandonedCartService = require('./services/abandonedCartService');
 
 const app = express();
+const server = http.createServer(app);
+
+// Socket.IO (namespace /whatsapp autenticado com JWT)
+RealtimeService.attach(server);
 
 // Middleware de segurança
 app.use(helmet());
@@ -21,10 +34,18 @@ app.use(cors({
 app.use(morgan('combined'));
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Mantém o corpo bruto (JSON ou formulário) para verificar a assinatura dos webhooks
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // Servir arquivos estáticos
+// Mídias das conversas só são servidas autenticadas, por /api/media
+app.use('/uploads/media', (req, res) => {
+  res.status(404).json({ success: false, message: 'Rota não encontrada' });
+});
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Conectar ao MongoDB
@@ -32,7 +53,16 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/whatsapp-
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Conectado ao MongoDB'))
+.then(() => {
+  console.log('✅ Conectado ao MongoDB');
+  OutboundQueue.start();
+  ConnectionSupervisor.start();
+  HandoffService.start();
+  ReservationService.start();
+  StockAlertService.start();
+  WishlistService.start();
+  AbandonedCartService.start();
+})
 .catch(err => console.error('❌ Erro ao conectar ao MongoDB:', err));
 
 // Criar diretórios necessários
@@ -49,6 +79,16 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/whatsapp', require('./routes/whatsapp'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/contacts', require('./routes/contacts'));
+app.use('/api/media', require('./routes/media'));
+app.use('/api/ai', require('./routes/ai'));
+app.use('/api/conversations', require('./routes/conversations'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/coupons', require('./routes/coupons'));
+app.use('/api/orders', require('./routes/orders'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/shipping', require('./routes/shipping'));
+app.use('/api/inventory', require('./routes/inventory'));
+app.use('/api/marketing', require('./routes/marketing'));
 
 // Rota de teste
 app.get('/api/health', (req, res) => {
@@ -102,7 +142,7 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 3001;
 
-app.listen(PORT, '0.0.0.0', () => {
+server.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Servidor rodando na porta ${PORT}`);
   console.log(`📱 WhatsApp AI Backend iniciado com sucesso!`);
   console.log(`🌐 API disponível em: http://localhost:${PORT}/api`);
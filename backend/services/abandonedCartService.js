@@ -0,0 +1,357 @@
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+const Contact = require('../models/Contact');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Store = require('../models/Store');
+const CartReminder = require('../models/CartReminder');
+const PromotionService = require('./promotionService');
+
+// Agenda da verificação (expressão do node-cron)
+const SCHEDULE = process.env.ABANDONED_CART_CRON || '*/10 * * * *';
+
+// Carrinhos parados há mais tempo que isso não recebem lembretes
+const MAX_IDLE = 14 * 24 * 60 * 60 * 1000;
+
+// Itens listados no lembrete
+const ITEMS_LIMIT = 10;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const formatPrice = value => `R$ ${value.toFixed(2).replace('.', ',')}`;
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Recuperação de carrinhos abandonados
+ *
+ * Para as lojas com Store.marketing.abandonedCart.enabled, envia os lembretes
+ * da sequência (steps ou, sem etapas, um único lembrete após delayHours) aos
+ * contatos cujo carrinho (Contact.abandonedCart) está parado desde
+ * lastUpdated. Cada lembrete traz a mensagem da loja, os itens, o total e,
+ * se configurado, o cupom da regra abandoned_cart. Respeita o opt-in de
+ * marketing e a janela de horário do contato; alterar o carrinho reinicia a
+ * sequência. Um pedido do contato até recoveryDays depois do lembrete conta
+ * como carrinho recuperado.
+ */
+class AbandonedCartService {
+  constructor() {
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * Agenda a verificação periódica
+   */
+  start() {
+    if (this.task) return;
+    if (!cron.validate(SCHEDULE)) {
+      console.error(`Agenda inválida para carrinhos abandonados: ${SCHEDULE}`);
+      return;
+    }
+    this.task = cron.schedule(SCHEDULE, () => this.run());
+  }
+
+  /**
+   * Para a verificação periódica
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Envia os lembretes devidos de todas as lojas com a recuperação ativa
+   */
+  async run(now = new Date()) {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const stores = await Store.find({ 'marketing.abandonedCart.enabled': true, isActive: { $ne: false } })
+        .select('name marketing.abandonedCart');
+      for (const store of stores) {
+        await this.processStore(store, now);
+      }
+    } catch (error) {
+      console.error('Erro ao processar carrinhos abandonados:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Etapas da sequência da loja, em ordem de atraso
+   */
+  getSequence(store) {
+    const settings = store.marketing.abandonedCart;
+    const steps = settings.steps && settings.steps.length > 0
+      ? settings.steps.map(step => ({
+        delayHours: step.delayHours,
+        message: step.message || settings.message,
+        includeCoupon: Boolean(step.includeCoupon)
+      }))
+      : [{ delayHours: settings.delayHours, message: settings.message, includeCoupon: Boolean(settings.includeCoupon) }];
+
+    return steps.sort((a, b) => a.delayHours - b.delayHours);
+  }
+
+  /**
+   * Envia os lembretes devidos da loja
+   */
+  async processStore(store, now = new Date()) {
+    const sequence = this.getSequence(store);
+    const firstDelay = sequence[0].delayHours * HOUR;
+
+    const contacts = await Contact.find({
+      storeId: store._id,
+      isActive: true,
+      'abandonedCart.items.0': { $exists: true },
+      'abandonedCart.lastUpdated': {
+        $lte: new Date(now.getTime() - firstDelay),
+        $gte: new Date(now.getTime() - MAX_IDLE)
+      },
+      $or: [
+        { 'abandonedCart.remindersSent': { $lt: sequence.length } },
+        { 'abandonedCart.remindersSent': null }
+      ]
+    });
+
+    for (const contact of contacts) {
+      try {
+        await this.remind(store, contact, sequence, now);
+      } catch (error) {
+        console.error('Erro ao enviar lembrete de carrinho abandonado:', error);
+      }
+    }
+  }
+
+  /**
+   * Envia ao contato a etapa devida da sequência (a mais recente, se várias venceram)
+   * @returns {Promise<CartReminder|null>}
+   */
+  async remind(store, contact, sequence, now = new Date()) {
+    const { lastUpdated } = contact.abandonedCart;
+    const sent = contact.abandonedCart.remindersSent || 0;
+    const idle = now - lastUpdated;
+
+    let index = -1;
+    sequence.forEach((step, position) => {
+      if (position >= sent && idle >= step.delayHours * HOUR) index = position;
+    });
+    if (index < 0) return null;
+
+    if (!contact.acceptsMarketing()) return null;
+    // Fora da janela do contato: tenta de novo na próxima verificação
+    if (contact.nextContactTime(now) > now) return null;
+
+    // Comprou depois de mexer no carrinho (ex: pedido pelo painel)
+    const ordered = await Order.exists({
+      contactId: contact._id,
+      createdAt: { $gte: lastUpdated },
+      status: { $ne: 'cancelled' }
+    });
+    if (ordered) {
+      await contact.clearAbandonedCart();
+      return null;
+    }
+
+    // Marca a etapa antes de enviar para não repetir em verificações simultâneas
+    const claimed = await Contact.findOneAndUpdate(
+      {
+        _id: contact._id,
+        'abandonedCart.lastUpdated': lastUpdated,
+        'abandonedCart.remindersSent': sent === 0 ? { $in: [0, null] } : sent
+      },
+      {
+        'abandonedCart.remindersSent': index + 1,
+        'abandonedCart.notificationSent': true,
+        'abandonedCart.lastReminderAt': now
+      }
+    );
+    if (!claimed) return null;
+
+    const step = sequence[index];
+    const coupon = step.includeCoupon
+      ? await PromotionService.issueForTrigger(store._id, contact, 'abandoned_cart')
+      : null;
+
+    try {
+      await this.sendReminder(store._id, contact, step.message, coupon);
+    } catch (error) {
+      // Devolve a etapa para a próxima verificação (o cupom não usado é reaproveitado)
+      await Contact.updateOne(
+        { _id: contact._id, 'abandonedCart.lastUpdated': lastUpdated, 'abandonedCart.remindersSent': index + 1 },
+        {
+          'abandonedCart.remindersSent': sent,
+          'abandonedCart.notificationSent': contact.abandonedCart.notificationSent,
+          'abandonedCart.lastReminderAt': contact.abandonedCart.lastReminderAt
+        }
+      );
+      throw error;
+    }
+
+    return CartReminder.create({
+      contactId: contact._id,
+      step: index + 1,
+      cartUpdatedAt: lastUpdated,
+      cartValue: round(contact.abandonedCartValue),
+      itemCount: contact.abandonedCart.items.reduce((count, item) => count + (item.quantity || 0), 0),
+      couponId: coupon ? coupon._id : undefined,
+      couponCode: coupon ? coupon.code : undefined,
+      sentAt: now,
+      storeId: store._id
+    });
+  }
+
+  /**
+   * Monta e envia o lembrete com os itens, o total e o cupom
+   */
+  async sendReminder(storeId, contact, message, coupon = null) {
+    // Carregado aqui para evitar dependência circular
+    const WhatsAppService = require('./whatsappService');
+
+    const { items } = contact.abandonedCart;
+    const products = await Product.find({ _id: { $in: items.map(item => item.productId) } })
+      .select('name variants');
+    const byId = new Map(products.map(product => [String(product._id), product]));
+
+    const lines = items.slice(0, ITEMS_LIMIT).map(item => {
+      const product = byId.get(String(item.productId));
+      const variant = product && item.variantId ? product.variants.id(item.variantId) : null;
+      const name = product
+        ? (variant && variant.label ? `${product.name} (${variant.label})` : product.name)
+        : 'Produto';
+      return `• ${item.quantity}x ${name} - ${formatPrice(item.price * item.quantity)}`;
+    });
+    if (items.length > ITEMS_LIMIT) {
+      lines.push(`…e mais ${items.length - ITEMS_LIMIT} item(ns)`);
+    }
+
+    let text = `${message}\n\n🛒 *Seu carrinho*\n${lines.join('\n')}\n\n` +
+      `*Total: ${formatPrice(contact.abandonedCartValue)}*`;
+    if (coupon) {
+      text += `\n\n🎁 Use o cupom *${coupon.code}* e ganhe ${coupon.describeBenefit()}`;
+      if (coupon.validUntil) text += ` (válido até ${coupon.validUntil.toLocaleDateString('pt-BR')})`;
+    }
+
+    await WhatsAppService.sendMessage(storeId, contact.phone, text, null, {
+      source: 'campaign',
+      interactive: {
+        type: 'button',
+        buttons: [
+          { id: 'cart:checkout', title: 'Finalizar pedido' },
+          { id: 'cart:view', title: 'Ver carrinho' }
+        ]
+      }
+    });
+  }
+
+  /**
+   * Registra o pedido no último lembrete enviado ao contato dentro da janela
+   */
+  async attributeOrder(order) {
+    try {
+      const store = await Store.findById(order.storeId).select('marketing.abandonedCart');
+      const settings = (store && store.marketing && store.marketing.abandonedCart) || {};
+      const since = new Date(order.createdAt.getTime() - (settings.recoveryDays || 7) * DAY);
+
+      await CartReminder.findOneAndUpdate(
+        {
+          contactId: order.contactId,
+          sentAt: { $gte: since, $lte: order.createdAt },
+          orderId: null
+        },
+        {
+          orderId: order._id,
+          orderNumber: order.number,
+          revenue: order.totals.total,
+          recoveredAt: order.createdAt
+        },
+        { sort: { sentAt: -1 } }
+      );
+    } catch (error) {
+      console.error('Erro ao atribuir pedido a lembrete de carrinho:', error);
+    }
+  }
+
+  /**
+   * Relatório de recuperação: carrinhos lembrados e recuperados, receita
+   * recuperada e resultado por etapa (pedidos cancelados não contam)
+   */
+  async report(storeId, { from, to } = {}) {
+    const match = { storeId: new mongoose.Types.ObjectId(String(storeId)) };
+    if (from || to) {
+      match.sentAt = {};
+      if (from) match.sentAt.$gte = new Date(from);
+      if (to) match.sentAt.$lte = new Date(to);
+    }
+
+    const reminders = await CartReminder.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: Order.collection.name,
+          localField: 'orderId',
+          foreignField: '_id',
+          as: 'order'
+        }
+      },
+      {
+        $addFields: {
+          recovered: {
+            $and: [
+              { $gt: [{ $size: '$order' }, 0] },
+              { $ne: [{ $arrayElemAt: ['$order.status', 0] }, 'cancelled'] }
+            ]
+          }
+        }
+      },
+      {
+        $project: {
+          contactId: 1, cartUpdatedAt: 1, step: 1, cartValue: 1, couponId: 1, recovered: 1,
+          revenue: { $cond: ['$recovered', '$revenue', 0] }
+        }
+      }
+    ]);
+
+    const carts = new Map();
+    const steps = new Map();
+    for (const reminder of reminders) {
+      const key = `${reminder.contactId}_${reminder.cartUpdatedAt.getTime()}`;
+      const cart = carts.get(key) || { value: 0, recovered: false, revenue: 0 };
+      cart.value = Math.max(cart.value, reminder.cartValue || 0);
+      if (reminder.recovered) {
+        cart.recovered = true;
+        cart.revenue += reminder.revenue || 0;
+      }
+      carts.set(key, cart);
+
+      const step = steps.get(reminder.step) || { step: reminder.step, sent: 0, withCoupon: 0, recovered: 0, revenue: 0 };
+      step.sent++;
+      if (reminder.couponId) step.withCoupon++;
+      if (reminder.recovered) {
+        step.recovered++;
+        step.revenue += reminder.revenue || 0;
+      }
+      steps.set(reminder.step, step);
+    }
+
+    const all = [...carts.values()];
+    const recovered = all.filter(cart => cart.recovered);
+
+    return {
+      carts: all.length,
+      abandonedValue: round(all.reduce((total, cart) => total + cart.value, 0)),
+      recovered: recovered.length,
+      recoveryRate: all.length > 0 ? Math.round((recovered.length / all.length) * 1000) / 10 : 0,
+      revenue: round(recovered.reduce((total, cart) => total + cart.revenue, 0)),
+      steps: [...steps.values()]
+        .sort((a, b) => a.step - b.step)
+        .map(step => ({ ...step, revenue: round(step.revenue) }))
+    };
+  }
+}
+
+module.exports = new AbandonedCartService();
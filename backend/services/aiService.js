@@ -1,12 +1,66 @@
-const axios = require('axios');
+const { createLLMProvider } = require('./llm');
+const KnowledgeBase = require('./knowledgeBase');
+const EntityExtractor = require('./entityExtractor');
+const IntentClassifier = require('./intentClassifier');
+const PromotionService = require('./promotionService');
+const ShippingService = require('./shippingService');
+const AIUsage = require('../models/AIUsage');
 const Product = require('../models/Product');
 const Contact = require('../models/Contact');
+const Conversation = require('../models/Conversation');
 const Store = require('../models/Store');
+const { normalize, NEGATIONS, NEGATION_SCOPE } = require('../utils/text');
+const { formatCep } = require('../utils/cep');
+
+// Ações que a IA pode pedir (executadas pelo WhatsAppService)
+const ALLOWED_ACTIONS = ['track_interest', 'add_to_wishlist', 'schedule_followup', 'send_coupon'];
+
+// Perguntas sobre frete e entrega (texto normalizado)
+const SHIPPING_QUESTION = /\b(frete|fretes|entrega|entregam|entregar|envio|enviam|envia|mandam|chega|prazo|sedex|pac|correios|motoboy|retirar|retirada)\b/;
+
+// Palavras de sentimento (texto normalizado); sob negação ("não é ruim") invertem o sentido
+const POSITIVE_WORDS = new Set([
+  'bom', 'boa', 'otimo', 'otima', 'excelente', 'adorei', 'amei', 'perfeito', 'perfeita',
+  'maravilhoso', 'maravilhosa', 'gostei'
+]);
+const NEGATIVE_WORDS = new Set([
+  'ruim', 'pessimo', 'pessima', 'horrivel', 'odeio', 'odiei', 'terrivel',
+  'decepcionado', 'decepcionada'
+]);
+
+// Formato de saída exigido do LLM
+const OUTPUT_INSTRUCTIONS = `
+FORMATO DA RESPOSTA:
+Responda apenas com um objeto JSON, sem texto fora dele:
+{
+  "text": "mensagem para o cliente",
+  "intent": "greeting | product_interest | catalog_request | price_inquiry | availability | complaint | compliment | goodbye | other",
+  "confidence": número entre 0 e 1,
+  "recommendProducts": true se devemos enviar sugestões de produtos,
+  "actions": [{ "type": "track_interest", "category": "..." } | { "type": "add_to_wishlist", "productId": "..." } | { "type": "send_coupon", "trigger": "..." }],
+  "sources": [números dos trechos da base de conhecimento usados na resposta]
+}`;
 
 class AIService {
   constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY || 'sua-chave-aqui';
-    this.baseURL = 'https://api.openai.com/v1';
+    this.llm = null;
+  }
+
+  /**
+   * Provedor de LLM configurado (criado na primeira chamada)
+   */
+  getLLM() {
+    if (!this.llm) {
+      this.llm = createLLMProvider();
+    }
+    return this.llm;
+  }
+
+  /**
+   * Substitui o provedor de LLM (ex: provedor determinístico em testes)
+   */
+  setLLM(provider) {
+    this.llm = provider;
   }
 
   /**
@@ -19,7 +73,9 @@ class AIService {
         contactId,
         message,
         messageHistory,
-        storeConfig
+        storeConfig,
+        entities,
+        intent
       } = context;
 
       // Buscar informações da loja e contato
@@ -30,20 +86,57 @@ class AIService {
         throw new Error('Loja ou contato não encontrado');
       }
 
+      // Frete: cotação pelas regras da loja quando há CEP; pergunta direta é respondida sem o LLM
+      const detected = entities || EntityExtractor.extract(message || '');
+      const shipping = await this.quoteShipping(store, contact, message, detected, intent);
+      if (shipping && this.isShippingQuestion(message, intent)) {
+        return {
+          text: ShippingService.formatReply(store, shipping),
+          intent: 'shipping',
+          confidence: 1,
+          actions: []
+        };
+      }
+
+      // Buscar trechos relevantes da base de conhecimento da loja
+      const knowledge = await KnowledgeBase.search(storeId, message);
+
+      // Pergunta cadastrada no FAQ: responde direto, sem chamar o LLM
+      const directAnswer = KnowledgeBase.findDirectAnswer(message, knowledge);
+      if (directAnswer) {
+        return {
+          text: directAnswer.answer,
+          intent: 'faq',
+          confidence: directAnswer.confidence,
+          citations: [directAnswer.source],
+          actions: []
+        };
+      }
+
       // Construir prompt personalizado
       const prompt = await this.buildPrompt({
         store,
         contact,
         message,
         messageHistory,
-        storeConfig
+        storeConfig,
+        knowledge,
+        entities: detected,
+        shipping
       });
 
-      // Chamar API de IA (simulação - substitua pela API real)
-      const response = await this.callAIAPI(prompt);
+      // Chamar o LLM configurado
+      const response = await this.callAIAPI(
+        this.buildMessages(prompt, messageHistory, message),
+        storeId
+      );
 
       // Processar resposta
       const processedResponse = await this.processAIResponse(response, storeId, contactId);
+      processedResponse.citations = (response.sources || [])
+        .map(number => knowledge[number - 1])
+        .filter(Boolean)
+        .map(result => result.document.source);
 
       return processedResponse;
     } catch (error) {
@@ -53,86 +146,240 @@ class AIService {
   }
 
   /**
-   * Constrói prompt personalizado para a IA
+   * Constrói prompt personalizado para a IA (instruções de sistema)
    */
-  async buildPrompt({ store, contact, message, messageHistory, storeConfig }) {
+  async buildPrompt({ store, contact, message, messageHistory, storeConfig, knowledge = [], entities = null, shipping = null }) {
+    const config = storeConfig || {};
+    const trainingData = config.trainingData || {};
+    const detected = entities || EntityExtractor.extract(message || '');
+    const looking = EntityExtractor.describe(detected);
+    const promotions = await PromotionService.getEligibleRules(store._id, contact);
+
     const storeInfo = `
 Você é um assistente virtual da loja "${store.name}".
+${config.personality || ''}
 
 INFORMAÇÕES DA LOJA:
 - Nome: ${store.name}
 - Descrição: ${store.description || 'Loja de moda'}
-- Estilo de comunicação: ${storeConfig.communicationStyle || 'amigável e informal'}
-- Tom de voz: ${storeConfig.toneOfVoice || 'simpático e acolhedor'}
-- Emojis permitidos: ${storeConfig.useEmojis ? 'sim' : 'não'}
+- Tom de voz: ${config.tone || 'amigavel'}
+- Emojis permitidos: ${config.useEmojis ? 'sim' : 'não'}
+${trainingData.mission ? `- Missão: ${trainingData.mission}` : ''}
+${trainingData.values ? `- Valores: ${trainingData.values}` : ''}
+${trainingData.productTypes && trainingData.productTypes.length > 0 ? `- Trabalhamos com: ${trainingData.productTypes.join(', ')}` : ''}
+${trainingData.customInstructions ? `- Instruções da loja: ${trainingData.customInstructions}` : ''}
 
 INFORMAÇÕES DO CLIENTE:
 - Nome: ${contact.name}
 - Segmento: ${contact.segment}
 - Última interação: ${contact.lastInteraction}
 - Preferências: ${JSON.stringify(contact.preferences)}
-
-HISTÓRICO DE CONVERSA:
-${messageHistory.map(msg => `${msg.direction === 'incoming' ? 'Cliente' : 'Assistente'}: ${msg.content}`).join('\n')}
-
-MENSAGEM ATUAL DO CLIENTE:
-${message}
+${looking ? `- Procurando agora: ${looking}` : ''}
 
 INSTRUÇÕES:
-1. Responda de forma ${storeConfig.communicationStyle || 'amigável'}
-2. Use o tom ${storeConfig.toneOfVoice || 'simpático'}
-3. ${storeConfig.useEmojis ? 'Use emojis apropriados' : 'Não use emojis'}
-4. Seja útil e tente vender produtos quando apropriado
-5. Se o cliente perguntar sobre produtos, ofereça opções
-6. Mantenha respostas concisas (máximo 200 caracteres)
-7. Se não souber algo, seja honesto e ofereça ajuda humana
+1. Responda no tom ${config.tone || 'amigavel'}
+2. ${config.useEmojis ? 'Use emojis apropriados' : 'Não use emojis'}
+3. Seja útil e tente vender produtos quando apropriado
+4. Se o cliente perguntar sobre produtos, ofereça opções
+5. Mantenha respostas concisas (máximo 200 caracteres)
+6. Se não souber algo, seja honesto e ofereça ajuda humana
+7. Não invente produtos, preços ou políticas que não estejam abaixo
+8. Sobre trocas, entrega e pagamento, use somente a base de conhecimento
+   e informe em "sources" os números dos trechos usados
+9. Só ofereça cupom das promoções listadas abaixo, com a ação send_coupon e o
+   trigger correspondente; nunca invente códigos
+10. Valores e prazos de frete, só os da seção FRETE; sem CEP, peça o CEP ao cliente
+
+PROMOÇÕES PARA ESTE CLIENTE:
+${promotions.length > 0 ? promotions.map(rule => `- trigger "${rule.trigger}": ${rule.describeBenefit()}${rule.description ? ` (${rule.description})` : ''}`).join('\n') : 'Nenhuma'}
+
+FRETE:
+${this.describeShipping(store, shipping)}
+
+BASE DE CONHECIMENTO:
+${knowledge.length > 0 ? KnowledgeBase.formatForPrompt(knowledge) : 'Nenhum trecho relevante encontrado'}
 
 PRODUTOS DISPONÍVEIS:
 `;
 
     // Adicionar produtos relevantes ao prompt
-    const relevantProducts = await this.findRelevantProducts(store._id, message);
-    const productsInfo = relevantProducts.map(p => 
-      `- ${p.name}: R$ ${p.price} (${p.category})`
-    ).join('\n');
+    const relevantProducts = await this.findRelevantProducts(store._id, message, 5, detected);
+    const productsInfo = relevantProducts.map(p => {
+      const options = (p.options || []).map(option => `${option.name}: ${option.values.join(', ')}`).join('; ');
+      return `- ${p.name}: R$ ${p.price} (${p.category})${options ? ` - ${options}` : ''} [id: ${p._id}]`;
+    }).join('\n');
+
+    return storeInfo + (productsInfo || '- Nenhum produto encontrado para esta mensagem') + '\n' + OUTPUT_INSTRUCTIONS;
+  }
 
-    return prompt + productsInfo + '\n\nResposta:';
+  /**
+   * Indica se a mensagem pergunta sobre frete ou entrega
+   */
+  isShippingQuestion(message, intent = null) {
+    return intent === 'shipping' || SHIPPING_QUESTION.test(normalize(message));
+  }
+
+  /**
+   * Cota o frete para o CEP da mensagem (ou o CEP do cadastro, em perguntas de frete)
+   * Usa os itens do carrinho da conversa; sem carrinho, um pacote com o peso padrão
+   * @returns {Promise<Object|null>} cotação do ShippingService
+   */
+  async quoteShipping(store, contact, message, entities = [], intent = null) {
+    if (!ShippingService.isEnabled(store)) return null;
+
+    const entity = entities.find(current => current.type === 'zip_code');
+    const zipCode = entity
+      ? entity.value
+      : this.isShippingQuestion(message, intent) && contact.address && contact.address.zipCode;
+    if (!zipCode) return null;
+
+    try {
+      const conversation = await Conversation.findOne({ storeId: store._id, contactId: contact._id })
+        .sort({ lastInteractionAt: -1 });
+      const items = conversation
+        ? conversation.cart.items.map(item => ({ productId: item.productId, quantity: item.quantity }))
+        : [];
+
+      return await ShippingService.quoteForItems(store, zipCode, items, {
+        subtotal: items.length > 0 ? conversation.cartTotal : null
+      });
+    } catch (error) {
+      if (error.code !== 'INVALID_ZIP_CODE') {
+        console.error('Erro ao cotar frete:', error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Seção de frete do prompt
+   */
+  describeShipping(store, shipping) {
+    if (!ShippingService.isEnabled(store)) {
+      return 'A loja não informou regras de frete; use a base de conhecimento';
+    }
+    if (!shipping) {
+      return 'Peça o CEP ao cliente para calcular o frete';
+    }
+    const options = ShippingService.formatOptions(shipping);
+    return `Para o CEP ${formatCep(shipping.zipCode)}${shipping.options.length > 0 ? `:\n${options}` : ': não entregamos neste CEP'}`;
+  }
+
+  /**
+   * Monta as mensagens no formato chat: instruções, histórico e mensagem atual
+   */
+  buildMessages(prompt, messageHistory = [], message) {
+    const history = messageHistory
+      .filter(msg => msg.content && msg.content.text)
+      .map(msg => ({
+        role: msg.direction === 'inbound' ? 'user' : 'assistant',
+        content: msg.content.text
+      }));
+
+    // O histórico já inclui a mensagem atual quando ela foi salva antes
+    const last = history[history.length - 1];
+    if (!last || last.role !== 'user' || last.content !== message) {
+      history.push({ role: 'user', content: message || '' });
+    }
+
+    return [{ role: 'system', content: prompt }, ...history];
   }
 
   /**
    * Encontra produtos relevantes baseado na mensagem
+   * Tamanho, cor, preço, categoria e ocasião citados viram filtros; sem
+   * resultado, relaxa tamanho/cor e depois cai na busca por palavras-chave
    */
-  async findRelevantProducts(storeId, message, limit = 5) {
+  async findRelevantProducts(storeId, message, limit = 5, entities = null) {
     try {
-      const keywords = this.extractKeywords(message);
-      
-      const query = {
-        store: storeId,
-        status: 'active',
-        stock: { $gt: 0 }
-      };
+      const filters = EntityExtractor.toFilters(entities || EntityExtractor.extract(message || ''));
+      const hasVariantFilters = filters.sizes.length > 0 || filters.colors.length > 0;
+
+      const attempts = [];
+      if (hasVariantFilters) attempts.push(this.buildProductConditions(filters));
+      const general = this.buildProductConditions({ ...filters, sizes: [], colors: [] });
+      if (general.length > 0) attempts.push(general);
+      attempts.push(this.buildKeywordConditions(message || ''));
+
+      for (const conditions of attempts) {
+        const query = {
+          storeId,
+          isActive: true,
+          $and: [
+            Product.inStockCondition(),
+            ...conditions
+          ]
+        };
 
-      if (keywords.length > 0) {
-        query.$or = [
-          { name: { $regex: keywords.join('|'), $options: 'i' } },
-          { description: { $regex: keywords.join('|'), $options: 'i' } },
-          { category: { $regex: keywords.join('|'), $options: 'i' } },
-          { tags: { $in: keywords.map(k => new RegExp(k, 'i')) } }
-        ];
-      }
+        const products = await Product.find(query)
+          .select('name price category description images tags options')
+          .limit(limit)
+          .sort({ createdAt: -1 });
 
-      const products = await Product.find(query)
-        .select('name price category description images')
-        .limit(limit)
-        .sort({ createdAt: -1 });
+        if (products.length > 0) return products;
+      }
 
-      return products;
+      return [];
     } catch (error) {
       console.error('Erro ao buscar produtos relevantes:', error);
       return [];
     }
   }
 
+  /**
+   * Condições de busca a partir dos filtros extraídos da mensagem
+   */
+  buildProductConditions(filters) {
+    const conditions = [];
+
+    if (filters.priceMin !== null || filters.priceMax !== null) {
+      const price = {};
+      if (filters.priceMin !== null) price.$gte = filters.priceMin;
+      if (filters.priceMax !== null) price.$lte = filters.priceMax;
+      conditions.push({ price });
+    }
+
+    if (filters.categories.length > 0) {
+      const pattern = EntityExtractor.patternFor('category', filters.categories);
+      conditions.push({ $or: [{ category: pattern }, { name: pattern }, { tags: pattern }] });
+    }
+
+    if (filters.occasions.length > 0) {
+      const pattern = EntityExtractor.patternFor('occasion', filters.occasions);
+      conditions.push({ $or: [{ tags: pattern }, { name: pattern }, { description: pattern }] });
+    }
+
+    if (filters.sizes.length > 0) {
+      const pattern = new RegExp(`^(${filters.sizes.join('|')})$`, 'i');
+      conditions.push({ 'options.values': pattern });
+    }
+
+    if (filters.colors.length > 0) {
+      const pattern = EntityExtractor.patternFor('color', filters.colors);
+      conditions.push({ $or: [{ 'options.values': pattern }, { name: pattern }, { tags: pattern }] });
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Condições de busca por palavras-chave (sem palavras, traz os mais recentes)
+   */
+  buildKeywordConditions(message) {
+    const keywords = this.extractKeywords(message);
+    if (keywords.length === 0) return [];
+
+    const pattern = keywords.join('|');
+    return [{
+      $or: [
+        { name: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } },
+        { category: { $regex: pattern, $options: 'i' } },
+        { tags: { $in: keywords.map(k => new RegExp(k, 'i')) } }
+      ]
+    }];
+  }
+
   /**
    * Extrai palavras-chave da mensagem
    */
@@ -147,49 +394,81 @@ PRODUTOS DISPONÍVEIS:
   }
 
   /**
-   * Chama API de IA (simulação)
+   * Chama o LLM e registra o consumo de tokens da loja
    */
-  async callAIAPI(prompt) {
+  async callAIAPI(messages, storeId) {
+    const llm = this.getLLM();
+
     try {
-      // Simulação de resposta da IA
-      // Em produção, substitua pela chamada real para OpenAI, Claude, etc.
-      
-      const responses = [
-        {
-          text: "Oi! 😊 Como posso te ajudar hoje? Temos várias novidades incríveis!",
-          intent: "greeting",
-          confidence: 0.9
-        },
-        {
-          text: "Que legal! Temos várias opções que podem te interessar. Quer ver algumas sugestões?",
-          intent: "product_interest",
-          confidence: 0.8,
-          recommendProducts: true
-        },
-        {
-          text: "Claro! Vou te mostrar nossos produtos mais vendidos. Qual seu estilo preferido?",
-          intent: "catalog_request",
-          confidence: 0.85,
-          recommendProducts: true
-        }
-      ];
+      const result = await llm.complete({ messages, json: true });
 
-      // Simular análise de intenção baseada na mensagem
-      const message = prompt.split('MENSAGEM ATUAL DO CLIENTE:')[1]?.split('INSTRUÇÕES:')[0]?.trim().toLowerCase();
-      
-      if (message?.includes('oi') || message?.includes('olá') || message?.includes('bom dia')) {
-        return responses[0];
-      } else if (message?.includes('produto') || message?.includes('roupa') || message?.includes('vestido')) {
-        return responses[1];
-      } else {
-        return responses[2];
-      }
+      await this.recordUsage(storeId, { provider: llm.name, model: result.model, usage: result.usage });
+
+      return this.parseStructuredResponse(result.content);
     } catch (error) {
-      console.error('Erro na API de IA:', error);
+      console.error('Erro na API de IA:', error.message);
+      await this.recordUsage(storeId, { provider: llm.name, model: llm.model, failed: true });
       throw error;
     }
   }
 
+  /**
+   * Registra o consumo sem interromper o atendimento em caso de erro
+   */
+  async recordUsage(storeId, data) {
+    if (!storeId) return;
+    try {
+      await AIUsage.record(storeId, data);
+    } catch (error) {
+      console.error('Erro ao registrar consumo de IA:', error.message);
+    }
+  }
+
+  /**
+   * Converte a saída do LLM no objeto { text, intent, confidence, recommendProducts, actions, sources }
+   * Aceita JSON puro, JSON dentro de bloco de código ou texto simples
+   */
+  parseStructuredResponse(content) {
+    const raw = String(content || '').trim();
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+
+    let parsed = null;
+    if (start !== -1 && end > start) {
+      try {
+        parsed = JSON.parse(raw.slice(start, end + 1));
+      } catch (error) {
+        parsed = null;
+      }
+    }
+
+    if (!parsed) {
+      // Modelos sem modo JSON podem responder só com o texto
+      if (!raw || start !== -1) {
+        throw new Error('Resposta do LLM em formato inválido');
+      }
+      return { text: raw, intent: 'other', confidence: 0.5, recommendProducts: false, actions: [], sources: [] };
+    }
+
+    if (typeof parsed.text !== 'string' || !parsed.text.trim()) {
+      throw new Error('Resposta do LLM sem texto');
+    }
+
+    const confidence = Number(parsed.confidence);
+    const sources = Array.isArray(parsed.sources) ? parsed.sources : [];
+
+    return {
+      text: parsed.text.trim(),
+      intent: typeof parsed.intent === 'string' ? parsed.intent : 'other',
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5,
+      recommendProducts: Boolean(parsed.recommendProducts),
+      actions: Array.isArray(parsed.actions)
+        ? parsed.actions.filter(action => action && ALLOWED_ACTIONS.includes(action.type))
+        : [],
+      sources: sources.map(Number).filter(Number.isInteger)
+    };
+  }
+
   /**
    * Processa resposta da IA
    */
@@ -199,7 +478,7 @@ PRODUTOS DISPONÍVEIS:
         text: aiResponse.text,
         intent: aiResponse.intent,
         confidence: aiResponse.confidence,
-        actions: []
+        actions: [...(aiResponse.actions || [])]
       };
 
       // Se deve recomendar produtos
@@ -210,22 +489,14 @@ PRODUTOS DISPONÍVEIS:
       }
 
       // Analisar intenções e adicionar ações
-      if (aiResponse.intent === 'product_interest') {
+      const tracked = response.actions.some(action => action.type === 'track_interest');
+      if (aiResponse.intent === 'product_interest' && !tracked) {
         response.actions.push({
           type: 'track_interest',
           category: 'product_inquiry'
         });
       }
 
-      // Verificar se deve enviar cupom
-      if (this.shouldSendCoupon(aiResponse, contactId)) {
-        const couponCode = this.generateCouponCode();
-        response.actions.push({
-          type: 'send_coupon',
-          couponCode
-        });
-      }
-
       return response;
     } catch (error) {
       console.error('Erro ao processar resposta da IA:', error);
@@ -238,21 +509,22 @@ PRODUTOS DISPONÍVEIS:
    */
   async getRecommendedProducts(storeId, contact) {
     try {
+      const preferences = contact.preferences || {};
       const query = {
-        store: storeId,
-        status: 'active',
-        stock: { $gt: 0 }
+        storeId,
+        isActive: true,
+        ...Product.inStockCondition()
       };
 
       // Filtrar por preferências do contato
-      if (contact.preferences.categories) {
-        query.category = { $in: contact.preferences.categories };
+      if (preferences.categories && preferences.categories.length > 0) {
+        query.category = { $in: preferences.categories };
       }
 
-      if (contact.preferences.priceRange) {
+      if (preferences.priceRange && (preferences.priceRange.min || preferences.priceRange.max)) {
         query.price = {
-          $gte: contact.preferences.priceRange.min || 0,
-          $lte: contact.preferences.priceRange.max || 999999
+          $gte: preferences.priceRange.min || 0,
+          $lte: preferences.priceRange.max || 999999
         };
       }
 
@@ -267,27 +539,6 @@ PRODUTOS DISPONÍVEIS:
     }
   }
 
-  /**
-   * Verifica se deve enviar cupom
-   */
-  shouldSendCoupon(aiResponse, contactId) {
-    // Lógica para determinar quando enviar cupom
-    // Por exemplo: primeira compra, aniversário, etc.
-    return Math.random() < 0.1; // 10% de chance (exemplo)
-  }
-
-  /**
-   * Gera código de cupom
-   */
-  generateCouponCode() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    for (let i = 0; i < 8; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return result;
-  }
-
   /**
    * Resposta de fallback em caso de erro
    */
@@ -316,13 +567,13 @@ PRODUTOS DISPONÍVEIS:
       const store = await Store.findById(storeId);
       if (!store) throw new Error('Loja não encontrada');
 
-      store.aiConfig.trainingData = {
-        ...store.aiConfig.trainingData,
-        ...trainingData,
-        lastTrained: new Date()
+      store.ai.trainingData = {
+        ...store.toObject().ai.trainingData,
+        ...trainingData
       };
 
       await store.save();
+      KnowledgeBase.invalidate(storeId);
 
       return {
         success: true,
@@ -342,14 +593,21 @@ PRODUTOS DISPONÍVEIS:
       // Implementar análise de sentimento
       // Pode usar APIs como Google Cloud Natural Language, Azure Text Analytics, etc.
       
-      // Simulação simples
-      const positiveWords = ['bom', 'ótimo', 'excelente', 'adorei', 'perfeito', 'maravilhoso'];
-      const negativeWords = ['ruim', 'péssimo', 'horrível', 'odeio', 'terrível', 'decepcionado'];
-      
-      const lowerMessage = message.toLowerCase();
-      
-      const positiveCount = positiveWords.filter(word => lowerMessage.includes(word)).length;
-      const negativeCount = negativeWords.filter(word => lowerMessage.includes(word)).length;
+      // Simulação simples: contagem de palavras, com negação
+      let positiveCount = 0;
+      let negativeCount = 0;
+      let negated = 0;
+
+      for (const word of normalize(message).split(' ')) {
+        if (NEGATIONS.has(word)) {
+          negated = NEGATION_SCOPE;
+          continue;
+        }
+        const polarity = POSITIVE_WORDS.has(word) ? 1 : (NEGATIVE_WORDS.has(word) ? -1 : 0);
+        if (polarity * (negated > 0 ? -1 : 1) > 0) positiveCount++;
+        else if (polarity !== 0) negativeCount++;
+        negated = Math.max(negated - 1, 0);
+      }
       
       if (positiveCount > negativeCount) {
         return { sentiment: 'positive', score: 0.7 };
@@ -365,34 +623,14 @@ PRODUTOS DISPONÍVEIS:
   }
 
   /**
-   * Detecta intenção da mensagem
+   * Detecta intenção da mensagem (classificador treinado com os exemplos da loja)
    */
-  async detectIntent(message) {
+  async detectIntent(message, storeId) {
     try {
-      const intents = {
-        greeting: ['oi', 'olá', 'bom dia', 'boa tarde', 'boa noite', 'hey'],
-        product_inquiry: ['produto', 'roupa', 'vestido', 'blusa', 'calça', 'saia'],
-        price_inquiry: ['preço', 'valor', 'custa', 'quanto'],
-        availability: ['tem', 'disponível', 'estoque', 'tamanho'],
-        complaint: ['problema', 'reclamação', 'defeito', 'ruim'],
-        compliment: ['ótimo', 'excelente', 'adorei', 'perfeito'],
-        goodbye: ['tchau', 'até logo', 'obrigado', 'valeu']
-      };
-
-      const lowerMessage = message.toLowerCase();
-      
-      for (const [intent, keywords] of Object.entries(intents)) {
-        for (const keyword of keywords) {
-          if (lowerMessage.includes(keyword)) {
-            return { intent, confidence: 0.8 };
-          }
-        }
-      }
-
-      return { intent: 'unknown', confidence: 0.3 };
+      return await IntentClassifier.classify(message, storeId);
     } catch (error) {
       console.error('Erro na detecção de intenção:', error);
-      return { intent: 'unknown', confidence: 0.1 };
+      return { intent: 'unknown', confidence: 0.1, margin: 0 };
     }
   }
 }
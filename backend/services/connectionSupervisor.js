@@ -0,0 +1,227 @@
+const WhatsAppService = require('./whatsappService');
+const { createProvider } = require('./whatsapp');
+const Store = require('../models/Store');
+
+const HEALTH_INTERVAL = parseInt(process.env.WHATSAPP_HEALTH_INTERVAL_MS, 10) || 60 * 1000;
+const PROBE_TIMEOUT = 15 * 1000;
+const MAX_FAILED_PROBES = 2;
+const RECONNECT_BASE_DELAY = 5 * 1000;
+const RECONNECT_MAX_DELAY = 5 * 60 * 1000;
+const MAX_RECONNECT_ATTEMPTS = 8;
+const RESTORE_STAGGER = 3 * 1000;
+
+// Motivos de desconexão que não devem gerar reconexão automática
+const FINAL_REASONS = ['manual', 'LOGOUT'];
+
+/**
+ * Supervisor das conexões de WhatsApp
+ *
+ * - Restaura na inicialização as sessões das lojas que estavam conectadas
+ * - Reconecta com atraso exponencial quando a conexão cai
+ * - Verifica periodicamente se o cliente (Puppeteer) ainda responde
+ */
+class ConnectionSupervisor {
+  constructor() {
+    this.timer = null;
+    this.reconnectTimers = new Map();
+    this.reconnectAttempts = new Map();
+    this.failedProbes = new Map();
+  }
+
+  /**
+   * Inicia o supervisor (chamar após conectar ao MongoDB)
+   */
+  async start() {
+    if (this.timer) return;
+
+    WhatsAppService.on('state', (storeId, state, data) => this.handleState(storeId, state, data));
+    this.timer = setInterval(() => this.checkHealth(), HEALTH_INTERVAL);
+
+    await this.restoreSessions();
+  }
+
+  /**
+   * Para o supervisor
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    for (const timer of this.reconnectTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.reconnectTimers.clear();
+  }
+
+  /**
+   * Restaura as sessões das lojas marcadas como conectadas
+   */
+  async restoreSessions() {
+    try {
+      const stores = await Store.find({
+        isActive: true,
+        $or: [
+          { 'whatsapp.isConnected': true },
+          { 'whatsapp.autoReconnect': true }
+        ]
+      }).select('_id name whatsapp.provider');
+
+      // Nenhum cliente está ativo logo após a inicialização
+      await Store.updateMany(
+        { _id: { $in: stores.map(store => store._id) } },
+        { 'whatsapp.isConnected': false }
+      );
+
+      for (const store of stores) {
+        console.log(`🔄 Restaurando sessão do WhatsApp da loja ${store.name}`);
+        await this.reconnect(String(store._id));
+
+        // Evita abrir vários navegadores ao mesmo tempo
+        await new Promise(resolve => setTimeout(resolve, RESTORE_STAGGER));
+      }
+    } catch (error) {
+      console.error('Erro ao restaurar sessões do WhatsApp:', error);
+    }
+  }
+
+  /**
+   * Reage às mudanças de estado publicadas pelo WhatsAppService
+   */
+  handleState(storeId, state, data = {}) {
+    if (state === 'ready') {
+      this.reconnectAttempts.delete(storeId);
+      this.failedProbes.delete(storeId);
+      this.clearReconnect(storeId);
+      return;
+    }
+
+    if (state === 'auth_failure') {
+      // Sessão salva inválida: só um novo QR Code resolve
+      this.clearReconnect(storeId);
+      Store.findByIdAndUpdate(storeId, { 'whatsapp.autoReconnect': false })
+        .catch(error => console.error('Erro ao atualizar loja:', error));
+      return;
+    }
+
+    if (state === 'disconnected') {
+      if (FINAL_REASONS.includes(data.reason)) {
+        this.clearReconnect(storeId);
+        this.reconnectAttempts.delete(storeId);
+      } else {
+        this.scheduleReconnect(storeId);
+      }
+    }
+  }
+
+  /**
+   * Agenda uma nova tentativa de conexão com atraso exponencial
+   */
+  scheduleReconnect(storeId) {
+    if (this.reconnectTimers.has(storeId)) return;
+
+    const attempts = (this.reconnectAttempts.get(storeId) || 0) + 1;
+    if (attempts > MAX_RECONNECT_ATTEMPTS) {
+      console.error(`Loja ${storeId}: reconexão abandonada após ${MAX_RECONNECT_ATTEMPTS} tentativas`);
+      this.reconnectAttempts.delete(storeId);
+      return;
+    }
+    this.reconnectAttempts.set(storeId, attempts);
+
+    const delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, attempts - 1), RECONNECT_MAX_DELAY);
+    console.log(`Loja ${storeId}: reconectando em ${Math.round(delay / 1000)}s (tentativa ${attempts})`);
+
+    const timer = setTimeout(() => {
+      this.reconnectTimers.delete(storeId);
+      this.reconnect(storeId);
+    }, delay);
+    this.reconnectTimers.set(storeId, timer);
+  }
+
+  /**
+   * Cancela uma reconexão agendada
+   */
+  clearReconnect(storeId) {
+    const timer = this.reconnectTimers.get(storeId);
+    if (timer) {
+      clearTimeout(timer);
+      this.reconnectTimers.delete(storeId);
+    }
+  }
+
+  /**
+   * Reinicializa o cliente da loja se ainda for desejado
+   */
+  async reconnect(storeId) {
+    try {
+      const store = await Store.findById(storeId);
+      if (!store || !store.isActive) return;
+
+      // Sem sessão salva seria preciso escanear um novo QR Code
+      const provider = createProvider(store);
+      if (provider.requiresPairing && !provider.hasSavedSession()) {
+        console.warn(`Loja ${storeId}: nenhuma sessão salva, aguardando novo pareamento`);
+        await Store.findByIdAndUpdate(storeId, {
+          'whatsapp.isConnected': false,
+          'whatsapp.autoReconnect': false
+        });
+        return;
+      }
+
+      await WhatsAppService.restartClient(storeId);
+    } catch (error) {
+      console.error(`Erro ao reconectar loja ${storeId}:`, error.message);
+      this.scheduleReconnect(storeId);
+    }
+  }
+
+  /**
+   * Verifica se os clientes pareados por QR Code ainda respondem
+   */
+  async checkHealth() {
+    for (const [storeId, provider] of WhatsAppService.clients) {
+      if (!provider.requiresPairing) continue;
+
+      const { state } = WhatsAppService.getConnectionState(storeId);
+      if (state !== 'ready') continue;
+
+      const healthy = await this.probe(provider);
+      if (healthy) {
+        this.failedProbes.delete(storeId);
+        continue;
+      }
+
+      const failures = (this.failedProbes.get(storeId) || 0) + 1;
+      this.failedProbes.set(storeId, failures);
+      console.warn(`Loja ${storeId}: verificação de saúde falhou (${failures}/${MAX_FAILED_PROBES})`);
+
+      if (failures >= MAX_FAILED_PROBES) {
+        this.failedProbes.delete(storeId);
+        console.warn(`Loja ${storeId}: sessão travada, reiniciando cliente`);
+        await this.reconnect(storeId);
+      }
+    }
+  }
+
+  /**
+   * Consulta o status do provedor com limite de tempo
+   */
+  async probe(provider) {
+    let timeout;
+    try {
+      const status = await Promise.race([
+        provider.getStatus(),
+        new Promise((resolve) => {
+          timeout = setTimeout(() => resolve('timeout'), PROBE_TIMEOUT);
+        })
+      ]);
+      return status === 'connected';
+    } catch (error) {
+      return false;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
+
+module.exports = new ConnectionSupervisor();
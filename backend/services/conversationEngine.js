@@ -0,0 +1,749 @@
+const Conversation = require('../models/Conversation');
+const Product = require('../models/Product');
+const KnowledgeBase = require('./knowledgeBase');
+const RealtimeService = require('./realtimeService');
+const OrderService = require('./orderService');
+const PixService = require('./pixService');
+const ReservationService = require('./reservationService');
+const { normalize, tokenize } = require('../utils/text');
+
+const PENDING_TTL = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 2;
+const MAX_QUANTITY = 50;
+const MAX_CANDIDATES = 5;
+
+// Padrões de intenção (aplicados ao texto normalizado)
+const PURCHASE_PATTERN = /\b(quero|queria|vou querer|vou levar|levo|comprar|compro|adiciona|adicionar|coloca|colocar|separa|separar|me ve|me manda)\b/;
+const CHECKOUT_PATTERN = /\b(finalizar|finaliza|fechar|fecha|concluir|pagar|checkout)\b/;
+const CART_PATTERN = /\b(carrinho|sacola|meu pedido)\b/;
+const CLEAR_PATTERN = /\b(esvazia|esvaziar|limpa|limpar|cancela|cancelar)\b.*\b(carrinho|sacola|pedido|tudo)\b/;
+const CANCEL_PATTERN = /^(cancela|cancelar|deixa|deixa pra la|esquece|nao quero mais|desisto|nao)$/;
+
+const NUMBER_WORDS = {
+  um: 1, uma: 1, dois: 2, duas: 2, tres: 3, quatro: 4, cinco: 5,
+  seis: 6, sete: 7, oito: 8, nove: 9, dez: 10
+};
+
+const formatPrice = value => `R$ ${value.toFixed(2).replace('.', ',')}`;
+
+/**
+ * Máquina de estados do pedido pelo WhatsApp
+ *
+ * browsing → choosing_product → choosing_options → choosing_quantity
+ *          → reviewing_cart → checkout
+ *
+ * Entende pedidos como "quero o vestido floral M azul", resolve o produto e as
+ * variações, pergunta o que faltar (opção, quantidade), mantém o carrinho em
+ * Conversation e encaminha o fechamento do pedido para a loja.
+ * Mensagens que não fazem parte do pedido são devolvidas para a IA.
+ */
+class ConversationEngine {
+  /**
+   * Processa uma mensagem recebida
+   * @param {Object} context - { store, contact, message, conversation } (message é o documento Message salvo; conversation é opcional)
+   * @returns {Promise<{handled: boolean, replies: Array<{text, interactive, mediaUrl}>, conversation}>}
+   */
+  async handle({ store, contact, message, conversation: current }) {
+    const conversation = current || await Conversation.findOrCreate({
+      conversationId: message.conversationId,
+      storeId: store._id,
+      contactId: contact._id,
+      phone: contact.phone
+    });
+
+    const context = { store, contact, conversation };
+    const pending = conversation.pending;
+
+    // Escolhas abandonadas há muito tempo não prendem mais a conversa
+    if (pending.awaiting && (!pending.updatedAt || Date.now() - pending.updatedAt.getTime() > PENDING_TTL)) {
+      conversation.clearPending();
+    }
+    conversation.lastInteractionAt = new Date();
+
+    // Cliente ainda na conversa: as peças do carrinho continuam reservadas
+    if (conversation.cart.items.length > 0) {
+      try {
+        await ReservationService.extend(conversation.conversationId);
+      } catch (error) {
+        console.error('Erro ao renovar reservas do carrinho:', error);
+      }
+    }
+
+    const reply = message.interactive && message.interactive.reply;
+    let replies = null;
+
+    if (reply && reply.payload) {
+      replies = await this.handlePayload(context, reply.payload);
+    }
+    if (!replies) {
+      replies = await this.handleText(context, message.content.text || '');
+    }
+
+    await conversation.save();
+
+    return {
+      handled: Boolean(replies),
+      replies: replies || [],
+      conversation
+    };
+  }
+
+  /**
+   * Respostas de botões/listas enviados pelo próprio motor ou pelo catálogo
+   */
+  async handlePayload(context, payload) {
+    const { conversation } = context;
+    const [kind, ...rest] = String(payload).split(':');
+
+    switch (kind) {
+      case 'product':
+        return this.startProduct(context, rest[0]);
+
+      case 'option': {
+        if (!conversation.pending.productId) return null;
+        const [axis, ...value] = rest;
+        conversation.pending.selections.set(axis, value.join(':'));
+        return this.advance(context);
+      }
+
+      case 'qty':
+        if (!conversation.pending.productId) return null;
+        conversation.pending.quantity = parseInt(rest[0], 10);
+        return this.advance(context);
+
+      case 'cart':
+        return this.handleCartAction(context, rest[0]);
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Ações do carrinho (checkout, continue, view, clear)
+   */
+  async handleCartAction(context, action) {
+    const { conversation } = context;
+
+    switch (action) {
+      case 'checkout':
+        return this.checkout(context);
+      case 'view':
+        return this.viewCart(context);
+      case 'clear':
+        return this.clearCart(context);
+      case 'continue':
+        conversation.clearPending();
+        return [{ text: 'Ótimo! Me conta o que mais você está procurando 😊' }];
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Mensagens digitadas
+   */
+  async handleText(context, text) {
+    const { conversation } = context;
+    const normalized = normalize(text);
+    if (!normalized) return null;
+
+    // Há uma pergunta do motor aguardando resposta
+    if (conversation.pending.awaiting) {
+      if (CANCEL_PATTERN.test(normalized)) {
+        conversation.clearPending();
+        return [{ text: 'Tudo bem, deixei essa peça de lado. Posso te ajudar com outra coisa?' }];
+      }
+
+      const replies = await this.handleAnswer(context, normalized);
+      if (replies) return replies;
+    }
+
+    const hasItems = conversation.cart.items.length > 0;
+
+    if (hasItems && CLEAR_PATTERN.test(normalized)) {
+      return this.clearCart(context);
+    }
+
+    if (hasItems && CHECKOUT_PATTERN.test(normalized)) {
+      return this.checkout(context);
+    }
+
+    if (CART_PATTERN.test(normalized) && !PURCHASE_PATTERN.test(normalized)) {
+      return this.viewCart(context);
+    }
+
+    if (PURCHASE_PATTERN.test(normalized)) {
+      return this.handlePurchase(context, text, normalized);
+    }
+
+    return null;
+  }
+
+  /**
+   * Resposta a uma pergunta pendente (produto, opção ou quantidade)
+   * Devolve null quando a mensagem não responde à pergunta
+   */
+  async handleAnswer(context, normalized) {
+    const { conversation } = context;
+    const pending = conversation.pending;
+
+    if (pending.awaiting === 'option') {
+      const product = await this.loadProduct(context, pending.productId);
+      if (!product) {
+        conversation.clearPending();
+        return null;
+      }
+
+      const selections = this.detectSelections(product, normalized);
+      if (Object.keys(selections).length > 0) {
+        for (const [axis, value] of Object.entries(selections)) {
+          pending.selections.set(axis, value);
+        }
+        return this.advance(context, product);
+      }
+    }
+
+    if (pending.awaiting === 'quantity') {
+      const quantity = this.parseQuantity(normalized);
+      if (quantity) {
+        pending.quantity = quantity;
+        return this.advance(context);
+      }
+    }
+
+    if (pending.awaiting === 'product') {
+      const candidates = await Product.find({ _id: { $in: pending.candidates }, isActive: true });
+      const match = this.bestNameMatch(candidates, normalized);
+      if (match) {
+        return this.startProduct(context, match._id, { text: normalized });
+      }
+    }
+
+    // Não entendeu: pergunta de novo algumas vezes e depois libera para a IA
+    pending.attempts = (pending.attempts || 0) + 1;
+    if (pending.attempts > MAX_ATTEMPTS) {
+      conversation.clearPending();
+      return null;
+    }
+
+    // Mensagem longa provavelmente é outro assunto: a IA responde e a pergunta continua valendo
+    if (normalized.split(' ').length > 3) return null;
+
+    return this.advance(context);
+  }
+
+  /**
+   * "Quero o vestido floral M azul": identifica o(s) produto(s) citado(s)
+   */
+  async handlePurchase(context, text, normalized) {
+    const { store, conversation } = context;
+
+    const results = await KnowledgeBase.search(store._id, text, { types: ['product'], limit: 10 });
+    const terms = new Set(tokenize(text));
+
+    // Só conta como citado o produto que tem algum termo do nome na mensagem
+    const named = results.filter(result =>
+      tokenize(result.document.title).some(term => terms.has(term))
+    );
+    if (named.length === 0) return null;
+
+    const topScore = named[0].score;
+    const close = named.filter(result => result.score >= topScore * 0.8).slice(0, MAX_CANDIDATES);
+
+    if (close.length === 1) {
+      return this.startProduct(context, close[0].document.productId, { text: normalized });
+    }
+
+    // Vários produtos parecidos: pergunta qual
+    conversation.pending = {
+      candidates: close.map(result => result.document.productId),
+      selections: {},
+      awaiting: 'product',
+      attempts: 0,
+      updatedAt: new Date()
+    };
+    conversation.state = 'choosing_product';
+
+    return [this.askProduct(close.map(result => result.document))];
+  }
+
+  /**
+   * Inicia a escolha de um produto, aproveitando opções e quantidade já citadas
+   */
+  async startProduct(context, productId, { text } = {}) {
+    const { conversation } = context;
+    const product = await this.loadProduct(context, productId);
+
+    if (!product) {
+      conversation.clearPending();
+      return [{ text: 'Não encontrei esse produto disponível no momento 😕 Quer ver outras opções?' }];
+    }
+
+    conversation.pending = {
+      productId: product._id,
+      candidates: [],
+      selections: text ? this.detectSelections(product, text) : {},
+      quantity: text ? this.parseInitialQuantity(text) : undefined,
+      attempts: 0,
+      updatedAt: new Date()
+    };
+
+    return this.advance(context, product);
+  }
+
+  /**
+   * Pergunta o próximo dado que falta ou adiciona ao carrinho
+   */
+  async advance(context, product = null) {
+    const { conversation } = context;
+    const pending = conversation.pending;
+    pending.updatedAt = new Date();
+
+    product = product || await this.loadProduct(context, pending.productId);
+    if (!product) {
+      conversation.clearPending();
+      return [{ text: 'Esse produto não está mais disponível 😕 Posso te mostrar outras opções?' }];
+    }
+
+    const axes = product.getOptionAxes();
+
+    for (const [axis, values] of Object.entries(axes)) {
+      const chosen = pending.selections.get(axis);
+      if (chosen && values.includes(chosen)) continue;
+
+      if (values.length === 1) {
+        pending.selections.set(axis, values[0]);
+        continue;
+      }
+
+      const available = values.filter(value =>
+        product.availableFor({ ...this.selectionsOf(pending), [axis]: value }) > 0
+      );
+
+      if (available.length === 0) {
+        conversation.clearPending();
+        return [{ text: `Poxa, *${product.name}* está esgotado no momento 😔 Quer que eu te avise quando voltar?` }];
+      }
+
+      pending.awaiting = 'option';
+      pending.axis = axis;
+      conversation.state = 'choosing_options';
+      return [this.askOption(product, axis, available)];
+    }
+
+    const selections = this.selectionsOf(pending);
+    const variant = product.findVariant(selections);
+    const available = product.availableFor(selections);
+
+    if (available <= 0) {
+      conversation.clearPending();
+      return [{ text: `Poxa, *${this.describe(product.name, selections)}* está esgotado 😔 Quer escolher outra opção?` }];
+    }
+
+    if (!pending.quantity) {
+      pending.awaiting = 'quantity';
+      pending.axis = undefined;
+      conversation.state = 'choosing_quantity';
+      return [this.askQuantity(product, selections)];
+    }
+
+    if (pending.quantity > available) {
+      pending.quantity = undefined;
+      pending.awaiting = 'quantity';
+      conversation.state = 'choosing_quantity';
+      return [{
+        text: `Temos só ${available} unidade${available > 1 ? 's' : ''} de *${this.describe(product.name, selections)}*. Quantas você quer?`
+      }];
+    }
+
+    return this.addToCart(context, product, variant, selections, pending.quantity);
+  }
+
+  /**
+   * Reserva as peças, adiciona a escolha ao carrinho e espelha no carrinho abandonado do contato
+   */
+  async addToCart(context, product, variant, selections, quantity) {
+    const { store, conversation, contact } = context;
+    const unitPrice = product.priceFor(variant);
+    const variantId = variant ? String(variant._id) : undefined;
+
+    try {
+      await ReservationService.reserve({
+        storeId: store._id,
+        productId: product._id,
+        variantId,
+        quantity,
+        conversationId: conversation.conversationId,
+        contactId: contact._id
+      });
+    } catch (error) {
+      // Outro cliente levou as últimas peças entre a escolha e a reserva
+      if (error.code === 'INSUFFICIENT_STOCK' && error.available > 0) {
+        const pending = conversation.pending;
+        pending.quantity = undefined;
+        pending.awaiting = 'quantity';
+        conversation.state = 'choosing_quantity';
+        return [{
+          text: `Acabaram de reservar algumas peças 😅 Agora temos só ${error.available} unidade${error.available > 1 ? 's' : ''} de *${this.describe(product.name, selections)}*. Quantas você quer?`
+        }];
+      }
+      if (['INSUFFICIENT_STOCK', 'PRODUCT_UNAVAILABLE', 'VARIANT_NOT_FOUND'].includes(error.code)) {
+        conversation.clearPending();
+        return [{ text: `Poxa, *${this.describe(product.name, selections)}* acabou de esgotar 😔 Quer escolher outra opção?` }];
+      }
+      // Sem reserva, o estoque é conferido de novo no fechamento
+      console.error('Erro ao reservar estoque:', error);
+    }
+
+    const item = conversation.addItem({
+      productId: product._id,
+      variantId,
+      name: product.name,
+      selections,
+      quantity,
+      unitPrice
+    });
+
+    // Reabre o carrinho se o cliente adicionar algo depois de pedir o fechamento
+    conversation.checkout = {};
+    conversation.clearPending();
+    conversation.state = 'reviewing_cart';
+
+    try {
+      await contact.addToAbandonedCart(product._id, variantId, item.quantity, unitPrice);
+    } catch (error) {
+      console.error('Erro ao atualizar carrinho do contato:', error);
+    }
+
+    const text = [
+      `✅ Adicionei *${quantity}x ${this.describe(product.name, selections)}* - ${formatPrice(unitPrice * quantity)}`,
+      `🛒 Carrinho: ${conversation.cartCount} peça${conversation.cartCount > 1 ? 's' : ''} - *${formatPrice(conversation.cartTotal)}*`
+    ].join('\n\n');
+
+    return [{ text, interactive: this.cartButtons() }];
+  }
+
+  /**
+   * Mostra o carrinho
+   */
+  async viewCart(context) {
+    const { conversation } = context;
+
+    if (conversation.cart.items.length === 0) {
+      return [{ text: 'Seu carrinho está vazio 🛒 Me conta o que você procura que eu te ajudo a escolher!' }];
+    }
+
+    const lines = conversation.cart.items.map((item, index) =>
+      `${index + 1}. ${item.quantity}x ${this.describe(item.name, item.selections)} - ${formatPrice(item.unitPrice * item.quantity)}`
+    );
+
+    return [{
+      text: `🛒 *Seu carrinho*\n\n${lines.join('\n')}\n\n*Total: ${formatPrice(conversation.cartTotal)}*`,
+      interactive: {
+        type: 'button',
+        buttons: [
+          { id: 'cart:checkout', title: 'Finalizar pedido' },
+          { id: 'cart:continue', title: 'Continuar comprando' },
+          { id: 'cart:clear', title: 'Esvaziar carrinho' }
+        ]
+      }
+    }];
+  }
+
+  /**
+   * Esvazia o carrinho
+   */
+  async clearCart(context) {
+    const { conversation, contact } = context;
+
+    conversation.clearCart();
+    conversation.clearPending();
+    conversation.state = 'browsing';
+
+    try {
+      await ReservationService.releaseForConversation(conversation.conversationId);
+    } catch (error) {
+      console.error('Erro ao liberar reservas do carrinho:', error);
+    }
+
+    try {
+      await contact.clearAbandonedCart();
+    } catch (error) {
+      console.error('Erro ao limpar carrinho do contato:', error);
+    }
+
+    return [{ text: 'Prontinho, esvaziei seu carrinho. Se quiser ver outras peças, é só me falar 😊' }];
+  }
+
+  /**
+   * Confere preços e estoque, registra o pedido (Order) e encaminha para a loja
+   */
+  async checkout(context) {
+    const { store, contact, conversation } = context;
+
+    if (conversation.cart.items.length === 0) {
+      return this.viewCart(context);
+    }
+
+    const products = await Product.find({
+      _id: { $in: conversation.cart.items.map(item => item.productId) },
+      storeId: store._id,
+      isActive: true
+    });
+    const byId = new Map(products.map(product => [String(product._id), product]));
+
+    // Remove o que saiu de linha e atualiza preços que mudaram desde a escolha
+    const removed = [];
+    conversation.cart.items = conversation.cart.items.filter(item => {
+      const product = byId.get(String(item.productId));
+      if (!product) {
+        removed.push(item.name);
+        return false;
+      }
+      const variant = item.variantId ? product.variants.id(item.variantId) : null;
+      item.unitPrice = product.priceFor(variant);
+      return true;
+    });
+
+    if (conversation.cart.items.length === 0) {
+      conversation.clearCart();
+      conversation.state = 'browsing';
+      try {
+        await ReservationService.releaseForConversation(conversation.conversationId);
+      } catch (error) {
+        console.error('Erro ao liberar reservas do carrinho:', error);
+      }
+      return [{ text: 'Os produtos do seu carrinho não estão mais disponíveis 😔 Posso te mostrar outras opções?' }];
+    }
+
+    const items = conversation.cart.items.map(item => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      name: item.name,
+      selections: item.selections ? Object.fromEntries(item.selections) : {},
+      quantity: item.quantity,
+      unitPrice: item.unitPrice
+    }));
+
+    let order = null;
+    try {
+      order = await OrderService.createFromConversation(store, contact, conversation);
+    } catch (error) {
+      // Estoque acabou ou produto mudou entre a escolha e o fechamento
+      if (['INSUFFICIENT_STOCK', 'STOCK_CONTENTION', 'PRODUCT_UNAVAILABLE', 'VARIANT_NOT_FOUND'].includes(error.code)) {
+        conversation.clearPending();
+        conversation.state = 'reviewing_cart';
+        return [{ text: `${error.message} 😔 Quer trocar a opção ou a quantidade? Se preferir, posso esvaziar o carrinho.` }];
+      }
+      // Sem pedido registrado, o fechamento segue manual pela equipe
+      console.error('Erro ao registrar pedido da conversa:', error);
+    }
+
+    const total = order ? order.totals.total : conversation.cartTotal;
+    conversation.clearPending();
+    if (order) {
+      conversation.clearCart();
+      try {
+        await contact.clearAbandonedCart();
+      } catch (error) {
+        console.error('Erro ao limpar carrinho do contato:', error);
+      }
+    }
+    conversation.state = 'checkout';
+    conversation.checkout = {
+      requestedAt: new Date(),
+      total,
+      orderId: order ? order._id : undefined,
+      orderNumber: order ? order.number : undefined
+    };
+
+    RealtimeService.emitToStore(store._id, 'checkout-requested', {
+      conversationId: conversation.conversationId,
+      contactId: contact._id,
+      phone: contact.phone,
+      orderId: order ? order._id : null,
+      number: order ? order.number : null,
+      items,
+      total
+    });
+
+    const lines = items.map(item =>
+      `• ${item.quantity}x ${this.describe(item.name, item.selections)} - ${formatPrice(item.unitPrice * item.quantity)}`
+    );
+    const notice = removed.length > 0
+      ? `\n\n_Removi do carrinho o que não está mais disponível: ${removed.join(', ')}_`
+      : '';
+
+    const title = order ? `📝 *Pedido #${order.number}*` : '📝 *Resumo do pedido*';
+    const summary = `${title}\n\n${lines.join('\n')}\n\n*Total: ${formatPrice(total)}*${notice}\n\n`;
+
+    // Loja com Pix: a cobrança vai junto com o resumo
+    if (order && PixService.isEnabled(store)) {
+      try {
+        const pixReplies = await PixService.buildReplies(store, order);
+        return [{ text: `${summary}Perfeito! Segue o pagamento via Pix 👇` }, ...pixReplies];
+      } catch (error) {
+        console.error('Erro ao gerar cobrança Pix:', error);
+      }
+    }
+
+    return [{
+      text: `${summary}Perfeito! Agora vou te passar as informações de pagamento e entrega 😊`
+    }];
+  }
+
+  /**
+   * Pergunta qual produto, entre os parecidos, o cliente quer
+   */
+  askProduct(documents) {
+    return {
+      text: 'Encontrei mais de uma opção. Qual delas você quer?',
+      interactive: {
+        type: 'list',
+        buttonText: 'Ver produtos',
+        listItems: documents.map(document => ({
+          id: `product:${document.productId}`,
+          title: document.title,
+          description: document.text.split('. ').pop()
+        }))
+      }
+    };
+  }
+
+  /**
+   * Pergunta o valor de uma opção (tamanho, cor...)
+   */
+  askOption(product, axis, values) {
+    const options = values.map(value => ({ id: `option:${axis}:${value}`, title: value }));
+
+    return {
+      text: `Qual ${axis.toLowerCase()} você quer para *${product.name}*?`,
+      interactive: options.length <= 3
+        ? { type: 'button', buttons: options }
+        : { type: 'list', buttonText: `Escolher ${axis.toLowerCase()}`, listItems: options.slice(0, 10) }
+    };
+  }
+
+  /**
+   * Pergunta a quantidade
+   */
+  askQuantity(product, selections) {
+    return {
+      text: `Quantas unidades de *${this.describe(product.name, selections)}* você quer? ` +
+        'Se for mais de 3, é só digitar o número.',
+      interactive: {
+        type: 'button',
+        buttons: [1, 2, 3].map(quantity => ({ id: `qty:${quantity}`, title: String(quantity) }))
+      }
+    };
+  }
+
+  /**
+   * Botões exibidos após adicionar ao carrinho
+   */
+  cartButtons() {
+    return {
+      type: 'button',
+      buttons: [
+        { id: 'cart:checkout', title: 'Finalizar pedido' },
+        { id: 'cart:continue', title: 'Continuar comprando' },
+        { id: 'cart:view', title: 'Ver carrinho' }
+      ]
+    };
+  }
+
+  /**
+   * Busca um produto ativo da loja
+   */
+  async loadProduct(context, productId) {
+    if (!productId) return null;
+    try {
+      return await Product.findOne({ _id: productId, storeId: context.store._id, isActive: true });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Identifica valores de opções citados no texto (ex: "M", "azul")
+   */
+  detectSelections(product, text) {
+    const padded = ` ${normalize(text)} `;
+    const selections = {};
+
+    for (const [axis, values] of Object.entries(product.getOptionAxes())) {
+      // Valores mais longos primeiro ("GG" antes de "G")
+      const match = [...values]
+        .sort((a, b) => b.length - a.length)
+        .find(value => padded.includes(` ${normalize(value)} `));
+      if (match) selections[axis] = match;
+    }
+
+    return selections;
+  }
+
+  /**
+   * Escolhe, entre os candidatos, o produto cujo nome mais combina com o texto
+   */
+  bestNameMatch(products, text) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const product of products) {
+      const score = KnowledgeBase.overlap(text, product.name);
+      if (score > bestScore) {
+        best = product;
+        bestScore = score;
+      }
+    }
+
+    return bestScore >= 0.5 ? best : null;
+  }
+
+  /**
+   * Quantidade em uma resposta ("2", "duas", "quero 3 unidades")
+   */
+  parseQuantity(text) {
+    const words = normalize(text).split(' ');
+
+    for (const word of words) {
+      const quantity = /^\d{1,3}$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word];
+      if (quantity) {
+        return quantity >= 1 && quantity <= MAX_QUANTITY ? quantity : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Quantidade citada no pedido inicial ("quero 2 unidades", "duas blusas")
+   * Números soltos são ignorados porque costumam ser tamanhos (36, 38...)
+   */
+  parseInitialQuantity(text) {
+    const normalized = normalize(text);
+
+    const withUnit = normalized.match(/\b(\d{1,2})\s*(unidades?|pecas?|un)\b/);
+    if (withUnit) return Math.min(parseInt(withUnit[1], 10), MAX_QUANTITY) || undefined;
+
+    const word = normalized.match(/\b(dois|duas|tres|quatro|cinco|seis|sete|oito|nove|dez)\b/);
+    return word ? NUMBER_WORDS[word[1]] : undefined;
+  }
+
+  /**
+   * Opções pendentes como objeto simples
+   */
+  selectionsOf(pending) {
+    return pending.selections ? Object.fromEntries(pending.selections) : {};
+  }
+
+  /**
+   * Nome do produto com as opções escolhidas ("Vestido Floral (M, Azul)")
+   */
+  describe(name, selections) {
+    const values = selections instanceof Map ? [...selections.values()] : Object.values(selections || {});
+    return values.length > 0 ? `${name} (${values.join(', ')})` : name;
+  }
+}
+
+module.exports = new ConversationEngine();
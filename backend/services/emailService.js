@@ -0,0 +1,55 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Envio de emails pela conta SMTP configurada (EMAIL_HOST, EMAIL_PORT,
+ * EMAIL_USER, EMAIL_PASS e, opcionalmente, EMAIL_FROM)
+ */
+class EmailService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  /**
+   * Indica se há conta SMTP configurada
+   */
+  isConfigured() {
+    return Boolean(process.env.EMAIL_HOST && process.env.EMAIL_USER);
+  }
+
+  /**
+   * Transporte SMTP (criado no primeiro envio)
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+      this.transporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port,
+        secure: port === 465,
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        }
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Envia um email de texto
+   * @returns {Promise<boolean>} false quando não há conta configurada
+   */
+  async send({ to, subject, text }) {
+    if (!this.isConfigured()) return false;
+
+    await this.getTransporter().sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to,
+      subject,
+      text
+    });
+    return true;
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,376 @@
+const { normalize } = require('../utils/text');
+const { CEP_PATTERN, extractCep } = require('../utils/cep');
+
+// Tamanhos em letras (valor canônico → formas aceitas)
+const LETTER_SIZES = {
+  PP: ['pp', 'extra pequeno'],
+  P: ['p', 'pequeno', 'pequena'],
+  M: ['m', 'medio', 'media'],
+  G: ['g', 'grande'],
+  GG: ['gg', 'extra grande'],
+  XG: ['xg', 'eg', 'xgg', 'egg', 'g1', 'g2', 'g3', 'plus size']
+};
+
+// Números de roupa aceitos (34 a 48)
+const MIN_NUMERIC_SIZE = 34;
+const MAX_NUMERIC_SIZE = 48;
+
+// Cores e sinônimos (formas já sem acento)
+const COLORS = {
+  'azul marinho': ['azul marinho', 'marinho', 'navy'],
+  'azul claro': ['azul claro', 'azul bebe', 'celeste'],
+  'verde militar': ['verde militar', 'militar', 'verde oliva', 'oliva'],
+  'off-white': ['off white', 'offwhite', 'gelo', 'perola'],
+  vinho: ['vinho', 'bordo', 'bordeaux', 'marsala', 'burgundy'],
+  preto: ['preto', 'preta', 'pretos', 'pretas', 'negro', 'negra', 'black'],
+  branco: ['branco', 'branca', 'brancos', 'brancas', 'white'],
+  vermelho: ['vermelho', 'vermelha', 'vermelhos', 'vermelhas', 'red'],
+  azul: ['azul', 'azuis'],
+  verde: ['verde', 'verdes'],
+  amarelo: ['amarelo', 'amarela', 'amarelos', 'amarelas'],
+  mostarda: ['mostarda'],
+  rosa: ['rosa', 'rosinha', 'pink', 'rose'],
+  lilas: ['lilas', 'lavanda'],
+  roxo: ['roxo', 'roxa', 'violeta', 'uva'],
+  laranja: ['laranja', 'coral'],
+  terracota: ['terracota', 'telha', 'ferrugem'],
+  marrom: ['marrom', 'chocolate', 'cafe'],
+  caramelo: ['caramelo', 'camel'],
+  bege: ['bege', 'nude', 'areia', 'creme'],
+  cinza: ['cinza', 'grafite', 'chumbo', 'mescla'],
+  dourado: ['dourado', 'dourada', 'ouro'],
+  prateado: ['prateado', 'prateada', 'prata'],
+  estampado: ['estampado', 'estampada', 'floral', 'listrado', 'listrada', 'xadrez', 'animal print', 'oncinha']
+};
+
+// Categorias de produto
+const CATEGORIES = {
+  vestido: ['vestido', 'vestidos', 'vestidinho'],
+  blusa: ['blusa', 'blusas', 'blusinha', 'bata'],
+  camiseta: ['camiseta', 'camisetas', 't shirt', 'tshirt', 'regata', 'baby look'],
+  camisa: ['camisa', 'camisas', 'camisete'],
+  cropped: ['cropped', 'top', 'tops'],
+  body: ['body', 'bodies'],
+  calca: ['calca', 'calcas', 'pantalona', 'jeans', 'wide leg', 'skinny', 'jogger'],
+  legging: ['legging', 'leggings', 'fuseau'],
+  saia: ['saia', 'saias', 'saiinha'],
+  short: ['short', 'shorts', 'shortinho'],
+  bermuda: ['bermuda', 'bermudas'],
+  macacao: ['macacao', 'macacoes', 'macaquinho'],
+  conjunto: ['conjunto', 'conjuntos', 'conjuntinho'],
+  jaqueta: ['jaqueta', 'jaquetas', 'jaqueta jeans'],
+  casaco: ['casaco', 'casacos', 'sobretudo', 'trench coat'],
+  blazer: ['blazer', 'blazers'],
+  cardiga: ['cardiga', 'cardigan', 'cardigans'],
+  moletom: ['moletom', 'moletons', 'moleton'],
+  'moda praia': ['biquini', 'biquinis', 'saida de praia', 'kimono'],
+  'moda intima': ['lingerie', 'sutia', 'calcinha', 'pijama', 'camisola'],
+  sapato: ['sapato', 'sapatos', 'scarpin', 'sapatilha', 'mocassim'],
+  sandalia: ['sandalia', 'sandalias', 'rasteirinha', 'rasteira', 'tamanco'],
+  tenis: ['tenis'],
+  bota: ['bota', 'botas', 'coturno'],
+  bolsa: ['bolsa', 'bolsas', 'clutch', 'mochila'],
+  acessorio: ['acessorio', 'acessorios', 'colar', 'brinco', 'brincos', 'pulseira', 'cinto', 'oculos', 'lenco']
+};
+
+// Ocasiões de uso
+const OCCASIONS = {
+  casamento: ['casamento', 'madrinha', 'padrinho', 'noiva', 'cerimonia'],
+  formatura: ['formatura', 'colacao'],
+  festa: ['festa', 'aniversario', 'evento', 'festinha'],
+  balada: ['balada', 'night', 'show'],
+  praia: ['praia', 'piscina', 'verao', 'ferias'],
+  trabalho: ['trabalho', 'trabalhar', 'escritorio', 'reuniao', 'entrevista', 'social'],
+  casual: ['casual', 'dia a dia', 'passeio', 'basico', 'basica'],
+  academia: ['academia', 'treino', 'treinar', 'malhar', 'fitness', 'corrida', 'yoga'],
+  reveillon: ['reveillon', 'ano novo', 'virada'],
+  natal: ['natal', 'ceia'],
+  inverno: ['inverno', 'frio']
+};
+
+// Variações acentuadas de cada letra (busca nos produtos)
+const ACCENTED = {
+  a: '[aáàâã]',
+  e: '[eéê]',
+  i: '[ií]',
+  o: '[oóôõ]',
+  u: '[uúü]',
+  c: '[cç]'
+};
+
+// Expressões de preço (aplicadas ao texto normalizado)
+const NUMBER = '(\\d{1,3}(?:\\.\\d{3})+|\\d+)(?: (\\d{2}))?';
+const MONEY = `(?:r ?)?${NUMBER}(?: ?(?:reais|real|conto|pila|mil))?`;
+const PRICE_PATTERNS = [
+  { type: 'range', pattern: new RegExp(`\\b(?:entre|de) ${MONEY} (?:e|a|ate) ${MONEY}`) },
+  { type: 'max', pattern: new RegExp(`\\b(?:ate|no maximo|maximo|menos de|abaixo de|inferior a|nao passe de|por menos de) ${MONEY}`) },
+  { type: 'min', pattern: new RegExp(`\\b(?:acima de|a partir de|mais de|no minimo|minimo|partindo de) ${MONEY}`) },
+  { type: 'around', pattern: new RegExp(`\\b(?:uns|umas|por volta de|em torno de|mais ou menos|cerca de|na faixa de) ${MONEY}`) },
+  { type: 'exact', pattern: new RegExp(`\\b(?:r ${NUMBER}|${NUMBER} ?(?:reais|real|conto|pila))\\b`) }
+];
+
+/**
+ * Extrator de entidades para atendimento de moda em português
+ *
+ * Identifica tamanhos (PP a XG e numeração 34 a 48), cores e sinônimos,
+ * faixas de preço, categorias e ocasiões. O resultado segue o formato de
+ * Message.ai.entities: [{ type, value, confidence }], com type em
+ * size, color, price_min, price_max, category e occasion.
+ */
+class EntityExtractor {
+  constructor() {
+    this.colorTerms = this.buildTerms(COLORS);
+    this.categoryTerms = this.buildTerms(CATEGORIES);
+    this.occasionTerms = this.buildTerms(OCCASIONS);
+    this.sizeTerms = this.buildTerms(LETTER_SIZES);
+  }
+
+  /**
+   * Lista de { term, value } ordenada do termo mais longo para o mais curto
+   * (para "azul marinho" vencer "azul")
+   */
+  buildTerms(dictionary) {
+    const terms = [];
+    for (const [value, synonyms] of Object.entries(dictionary)) {
+      for (const term of synonyms) {
+        terms.push({ term, value });
+      }
+    }
+    return terms.sort((a, b) => b.term.length - a.term.length);
+  }
+
+  /**
+   * Extrai as entidades do texto (size, color, category, occasion, price_min, price_max, zip_code)
+   * @returns {Array<{type: string, value: string, confidence: number}>}
+   */
+  extract(text) {
+    const entities = [];
+    const add = (type, value, confidence) => {
+      if (!entities.some(entity => entity.type === type && entity.value === value)) {
+        entities.push({ type, value, confidence });
+      }
+    };
+
+    // CEP antes de tudo, para que os dígitos não virem preço ou tamanho
+    const cep = extractCep(text);
+    if (cep) {
+      add('zip_code', cep, 0.95);
+      text = String(text).replace(CEP_PATTERN, ' ');
+    }
+
+    // "R$ 1.200,00" → "r 1.200 00": mantém pontos de milhar para a leitura de preços
+    let padded = ` ${this.prepare(text)} `;
+    if (!padded.trim()) return entities;
+
+    // Preços primeiro, para que os números não sejam lidos como tamanho
+    for (const price of this.extractPrices(padded)) {
+      add(price.type, price.value, price.confidence);
+      padded = padded.replace(price.match, ' ');
+    }
+    padded = padded.replace(/\./g, ' ');
+
+    for (const size of this.extractSizes(padded)) {
+      add('size', size.value, size.confidence);
+    }
+
+    for (const [type, terms] of [['color', this.colorTerms], ['category', this.categoryTerms], ['occasion', this.occasionTerms]]) {
+      let remaining = padded;
+      for (const { term, value } of terms) {
+        if (remaining.includes(` ${term} `)) {
+          add(type, value, 0.9);
+          remaining = remaining.replace(` ${term} `, ' ');
+        }
+      }
+    }
+
+    return entities;
+  }
+
+  /**
+   * Normaliza o texto preservando pontos de milhar dos valores
+   */
+  prepare(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/(\d)\.(\d{3})\b/g, '$1#$2')
+      .replace(/[^a-z0-9#\s-]/g, ' ')
+      .replace(/-/g, ' ')
+      .replace(/#/g, '.')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Faixas de preço ("até 150 reais", "entre 80 e 120", "a partir de R$ 200")
+   */
+  extractPrices(text) {
+    const prices = [];
+    let remaining = text;
+
+    for (const { type, pattern } of PRICE_PATTERNS) {
+      const match = remaining.match(pattern);
+      if (!match) continue;
+
+      const numbers = this.readNumbers(match[0]);
+      if (numbers.length === 0) continue;
+      remaining = remaining.replace(match[0], ' ');
+
+      if (type === 'range' && numbers.length >= 2) {
+        const [min, max] = [Math.min(numbers[0], numbers[1]), Math.max(numbers[0], numbers[1])];
+        prices.push({ type: 'price_min', value: String(min), confidence: 0.9, match: match[0] });
+        prices.push({ type: 'price_max', value: String(max), confidence: 0.9, match: match[0] });
+      } else if (type === 'max') {
+        prices.push({ type: 'price_max', value: String(numbers[0]), confidence: 0.9, match: match[0] });
+      } else if (type === 'min') {
+        prices.push({ type: 'price_min', value: String(numbers[0]), confidence: 0.9, match: match[0] });
+      } else if (type === 'around') {
+        prices.push({ type: 'price_min', value: String(Math.round(numbers[0] * 0.8)), confidence: 0.7, match: match[0] });
+        prices.push({ type: 'price_max', value: String(Math.round(numbers[0] * 1.2)), confidence: 0.7, match: match[0] });
+      } else if (type === 'exact') {
+        // "vestido de 100 reais": trata como teto, com menos certeza
+        prices.push({ type: 'price_max', value: String(numbers[0]), confidence: 0.6, match: match[0] });
+      }
+    }
+
+    return prices;
+  }
+
+  /**
+   * Lê os valores de um trecho ("1.200 00" → 1200, "2 mil" → 2000)
+   */
+  readNumbers(fragment) {
+    const values = [];
+    const pattern = /(\d{1,3}(?:\.\d{3})+|\d+)(?: (\d{2})\b)?( mil\b)?/g;
+    let match;
+
+    while ((match = pattern.exec(fragment)) !== null) {
+      let value = parseFloat(match[1].replace(/\./g, ''));
+      if (match[2]) value += parseInt(match[2], 10) / 100;
+      if (match[3]) value *= 1000;
+      values.push(value);
+    }
+
+    return values;
+  }
+
+  /**
+   * Tamanhos em letras e numeração ("tamanho 38", "veste 40", "M")
+   */
+  extractSizes(text) {
+    const sizes = [];
+
+    // Numeração com contexto tem prioridade
+    const contextual = /\b(?:tamanho|tam|numero|num|n|veste|visto|uso|manequim) (\d{2})\b/g;
+    let match;
+    while ((match = contextual.exec(text)) !== null) {
+      const number = parseInt(match[1], 10);
+      if (number >= MIN_NUMERIC_SIZE && number <= MAX_NUMERIC_SIZE) {
+        sizes.push({ value: String(number), confidence: 0.95 });
+      }
+    }
+
+    // Números soltos na faixa de roupa (ex: "tem o 38?")
+    const loose = /(?:^|\s)(\d{2})(?=\s|$)/g;
+    while ((match = loose.exec(text)) !== null) {
+      const number = parseInt(match[1], 10);
+      if (number >= MIN_NUMERIC_SIZE && number <= MAX_NUMERIC_SIZE && !sizes.some(size => size.value === String(number))) {
+        sizes.push({ value: String(number), confidence: 0.6 });
+      }
+    }
+
+    let remaining = text;
+    for (const { term, value } of this.sizeTerms) {
+      if (!remaining.includes(` ${term} `)) continue;
+      remaining = remaining.replace(` ${term} `, ' ');
+
+      // Letras soltas (P, M, G) são ambíguas sem a palavra "tamanho" por perto
+      const confidence = term.length === 1 && !/\b(tamanho|tam)\b/.test(text) ? 0.7 : 0.9;
+      if (!sizes.some(size => size.value === value)) {
+        sizes.push({ value, confidence });
+      }
+    }
+
+    return sizes;
+  }
+
+  /**
+   * Converte as entidades em filtros de produto
+   * @returns {{sizes, colors, categories, occasions, priceMin, priceMax}}
+   */
+  toFilters(entities = []) {
+    const filters = { sizes: [], colors: [], categories: [], occasions: [], priceMin: null, priceMax: null };
+
+    for (const entity of entities) {
+      switch (entity.type) {
+        case 'size':
+          filters.sizes.push(entity.value);
+          break;
+        case 'color':
+          filters.colors.push(entity.value);
+          break;
+        case 'category':
+          filters.categories.push(entity.value);
+          break;
+        case 'occasion':
+          filters.occasions.push(entity.value);
+          break;
+        case 'price_min':
+          filters.priceMin = Number(entity.value);
+          break;
+        case 'price_max':
+          filters.priceMax = Number(entity.value);
+          break;
+      }
+    }
+
+    return filters;
+  }
+
+  /**
+   * Expressão regular com as formas aceitas dos valores, tolerante a acentos
+   * (para buscar "bordô" e "Vinho" nos produtos)
+   */
+  patternFor(type, values) {
+    const dictionary = { color: COLORS, category: CATEGORIES, occasion: OCCASIONS }[type] || {};
+    const terms = new Set();
+
+    for (const value of values) {
+      for (const term of dictionary[value] || [normalize(value)]) {
+        terms.add(term);
+      }
+    }
+
+    const alternatives = [...terms].map(term => term
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/ /g, '[\\s-]')
+      .replace(/[aeiouc]/g, letter => ACCENTED[letter]));
+
+    return new RegExp(alternatives.join('|'), 'i');
+  }
+
+  /**
+   * Resumo legível das entidades ("tamanho M, cor vinho, até R$ 150")
+   */
+  describe(entities = []) {
+    const filters = this.toFilters(entities);
+    const parts = [];
+
+    if (filters.categories.length > 0) parts.push(filters.categories.join(' ou '));
+    if (filters.sizes.length > 0) parts.push(`tamanho ${filters.sizes.join(' ou ')}`);
+    if (filters.colors.length > 0) parts.push(`cor ${filters.colors.join(' ou ')}`);
+    if (filters.occasions.length > 0) parts.push(`para ${filters.occasions.join(' ou ')}`);
+    if (filters.priceMin !== null && filters.priceMax !== null) {
+      parts.push(`entre R$ ${filters.priceMin} e R$ ${filters.priceMax}`);
+    } else if (filters.priceMax !== null) {
+      parts.push(`até R$ ${filters.priceMax}`);
+    } else if (filters.priceMin !== null) {
+      parts.push(`a partir de R$ ${filters.priceMin}`);
+    }
+
+    return parts.join(', ');
+  }
+}
+
+module.exports = new EntityExtractor();
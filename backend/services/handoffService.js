@@ -0,0 +1,209 @@
+const NotificationService = require('./notificationService');
+const RealtimeService = require('./realtimeService');
+const Conversation = require('../models/Conversation');
+const Store = require('../models/Store');
+const { normalize } = require('../utils/text');
+
+const IDLE_CHECK_INTERVAL = parseInt(process.env.HANDOFF_IDLE_CHECK_MS, 10) || 60 * 1000;
+
+// Confiança mínima do classificador e vantagem mínima sobre a segunda intenção
+// para tratar a mensagem como reclamação. Na validação cruzada de
+// `npm run evaluate:intents`: precisão de 91% e revocação de 54% (as demais
+// reclamações dependem do sentimento negativo ou do pedido de atendente)
+const COMPLAINT_MIN_CONFIDENCE = 0.45;
+const COMPLAINT_MIN_MARGIN = 0.3;
+
+// Pedido explícito de atendimento humano
+const HUMAN_REQUEST = /\b(falar|conversar|chamar|passar|fala)\b.{0,30}\b(atendente|humano|humana|pessoa|vendedor|vendedora|gerente|dono|dona)\b|^atendente\b|\batendimento humano\b/;
+
+// Descrição dos motivos para os avisos
+const REASON_LABELS = {
+  customer_request: 'Cliente pediu atendimento humano',
+  complaint: 'Reclamação',
+  negative_sentiment: 'Cliente insatisfeito',
+  agent_reply: 'Equipe respondeu pelo celular',
+  manual: 'Assumida pela equipe'
+};
+
+/**
+ * Transferência de conversas entre a IA e a equipe da loja
+ *
+ * Modos da conversa (Conversation.mode):
+ * - bot: a IA responde
+ * - human: a equipe assumiu; volta para a IA após ai.handoff.idleMinutes
+ *   sem mensagens da equipe
+ * - paused: a IA não responde até alguém reativá-la
+ */
+class HandoffService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Inicia a verificação periódica de conversas paradas
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.releaseIdle(), IDLE_CHECK_INTERVAL);
+  }
+
+  /**
+   * Para a verificação periódica
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Configuração de transferência da loja
+   */
+  getConfig(store) {
+    return (store.ai && store.ai.handoff) || {};
+  }
+
+  /**
+   * Verifica se a mensagem do cliente deve ir para a equipe
+   * @param {Object} signals - { text, intent, intentConfidence, intentMargin, sentiment }
+   * @returns {string|null} motivo da transferência
+   */
+  detectTrigger(store, { text, intent, intentConfidence, intentMargin, sentiment }) {
+    const config = this.getConfig(store);
+    if (config.enabled === false) return null;
+    const triggers = config.triggers || {};
+
+    if (triggers.customerRequest !== false && (intent === 'human_agent' || HUMAN_REQUEST.test(normalize(text)))) {
+      return 'customer_request';
+    }
+    if (triggers.complaint !== false && this.isComplaint(intent, intentConfidence, intentMargin)) {
+      return 'complaint';
+    }
+    if (triggers.negativeSentiment !== false && sentiment === 'negative') {
+      return 'negative_sentiment';
+    }
+
+    return null;
+  }
+
+  /**
+   * Reclamação clara o bastante para transferir (intenção ambígua não transfere)
+   */
+  isComplaint(intent, confidence, margin) {
+    return intent === 'complaint' &&
+      confidence >= COMPLAINT_MIN_CONFIDENCE &&
+      margin >= COMPLAINT_MIN_MARGIN;
+  }
+
+  /**
+   * Passa a conversa para a equipe e avisa o time
+   * @param {Object} options - { reason, contact, text, agentId, mode }
+   */
+  async transfer(store, conversation, { reason, contact, text, agentId, mode = 'human' }) {
+    conversation.startHandoff(mode, { reason, agentId });
+    await conversation.save();
+
+    this.publish(store._id, conversation);
+
+    // Mensagens da própria equipe não precisam de aviso
+    if (reason !== 'agent_reply' && reason !== 'manual') {
+      const name = contact ? contact.name : conversation.phone;
+      await NotificationService.notify(store._id, {
+        type: 'handoff',
+        title: `${REASON_LABELS[reason]}: ${name}`,
+        message: text ? `"${text.slice(0, 200)}"\nResponda pelo WhatsApp ou pelo painel.` : undefined,
+        data: {
+          conversationId: conversation.conversationId,
+          contactId: conversation.contactId,
+          phone: conversation.phone,
+          reason
+        }
+      });
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Registra uma mensagem da equipe (celular ou painel)
+   * Em modo bot, a conversa passa para a equipe se o gatilho estiver ativo
+   */
+  async recordAgentActivity(store, conversation, { agentId } = {}) {
+    if (conversation.mode === 'bot') {
+      const config = this.getConfig(store);
+      const triggers = config.triggers || {};
+      if (config.enabled === false || triggers.agentReply === false) return conversation;
+
+      return this.transfer(store, conversation, { reason: 'agent_reply', agentId });
+    }
+
+    conversation.handoff.lastAgentActivityAt = new Date();
+    if (agentId) conversation.handoff.agentId = agentId;
+    await conversation.save();
+    return conversation;
+  }
+
+  /**
+   * Altera o modo da conversa pelo painel
+   */
+  async setMode(store, conversation, mode, { agentId } = {}) {
+    if (mode === conversation.mode) return conversation;
+
+    if (mode === 'bot') {
+      conversation.releaseHandoff('manual');
+      await conversation.save();
+      this.publish(store._id, conversation);
+      return conversation;
+    }
+
+    return this.transfer(store, conversation, { reason: 'manual', agentId, mode });
+  }
+
+  /**
+   * Devolve à IA as conversas sem mensagens da equipe há mais de idleMinutes
+   */
+  async releaseIdle() {
+    try {
+      const conversations = await Conversation.find({ mode: 'human' })
+        .select('conversationId storeId contactId phone mode handoff');
+      if (conversations.length === 0) return 0;
+
+      const storeIds = [...new Set(conversations.map(conversation => String(conversation.storeId)))];
+      const stores = await Store.find({ _id: { $in: storeIds } }).select('ai.handoff');
+      const idleByStore = new Map(stores.map(store => [String(store._id), this.getConfig(store).idleMinutes || 30]));
+
+      let released = 0;
+      for (const conversation of conversations) {
+        const idleMinutes = idleByStore.get(String(conversation.storeId)) || 30;
+        const lastActivity = conversation.handoff.lastAgentActivityAt || conversation.handoff.requestedAt;
+        if (lastActivity && Date.now() - lastActivity.getTime() < idleMinutes * 60 * 1000) continue;
+
+        conversation.releaseHandoff('idle');
+        await conversation.save();
+        this.publish(conversation.storeId, conversation);
+        released++;
+      }
+
+      return released;
+    } catch (error) {
+      console.error('Erro ao devolver conversas para a IA:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Publica a mudança de modo para o painel
+   */
+  publish(storeId, conversation) {
+    RealtimeService.emitToStore(storeId, 'conversation-mode', {
+      conversationId: conversation.conversationId,
+      contactId: conversation.contactId,
+      phone: conversation.phone,
+      mode: conversation.mode,
+      handoff: conversation.handoff
+    });
+  }
+}
+
+module.exports = new HandoffService();
@@ -0,0 +1,362 @@
+const path = require('path');
+const { normalize, NEGATIONS, NEGATION_SCOPE } = require('../utils/text');
+const IntentExample = require('../models/IntentExample');
+
+// Conjunto de exemplos distribuído com o sistema
+const DATASET_PATH = path.join(__dirname, '..', 'data', 'intents.pt-BR.json');
+
+// Tempo de vida do modelo de cada loja em memória
+const CACHE_TTL = 5 * 60 * 1000;
+
+// Suavização aditiva das contagens
+const ALPHA = 0.3;
+
+// Exemplos da loja pesam mais que os do conjunto padrão
+const STORE_EXAMPLE_WEIGHT = 3;
+
+// Temperatura da softmax sobre a média por característica (calibração da
+// confiança); `npm run evaluate:intents` indica o valor ajustado ao conjunto
+const TEMPERATURE = parseFloat(process.env.INTENT_TEMPERATURE) || 0.15;
+
+/**
+ * Classificador de intenção (naive Bayes multinomial)
+ *
+ * Usa n-gramas de caracteres (2 a 4), palavras e pares de palavras do texto
+ * normalizado, com marcação de negação. É treinado com o conjunto pt-BR
+ * distribuído em data/ mais os exemplos rotulados de cada loja (IntentExample).
+ */
+class IntentClassifier {
+  constructor() {
+    this.dataset = null;
+    this.baseModel = null;
+    this.cache = new Map();
+    this.minConfidence = parseFloat(process.env.INTENT_MIN_CONFIDENCE) || 0.45;
+    this.temperature = TEMPERATURE;
+  }
+
+  /**
+   * Exemplos do conjunto padrão: [{ text, intent }]
+   */
+  loadDataset() {
+    if (!this.dataset) {
+      const { intents } = require(DATASET_PATH);
+      this.dataset = [];
+      for (const [intent, texts] of Object.entries(intents)) {
+        for (const text of texts) {
+          this.dataset.push({ text, intent });
+        }
+      }
+    }
+    return this.dataset;
+  }
+
+  /**
+   * Intenções conhecidas
+   */
+  getIntents() {
+    return [...new Set(this.loadDataset().map(example => example.intent))];
+  }
+
+  /**
+   * Características do texto
+   */
+  featuresOf(text) {
+    const simple = normalize(text);
+    if (!simple) return [];
+
+    const features = [];
+    const padded = ` ${simple} `;
+    for (let size = 2; size <= 4; size++) {
+      for (let i = 0; i + size <= padded.length; i++) {
+        features.push(`c:${padded.slice(i, i + size)}`);
+      }
+    }
+
+    // Palavras dentro do alcance de uma negação recebem outro prefixo
+    const words = [];
+    let negated = 0;
+    for (const word of simple.split(' ')) {
+      if (NEGATIONS.has(word)) {
+        words.push(word);
+        negated = NEGATION_SCOPE;
+        continue;
+      }
+      words.push(negated > 0 ? `nao_${word}` : word);
+      negated = Math.max(negated - 1, 0);
+    }
+
+    for (let i = 0; i < words.length; i++) {
+      features.push(`w:${words[i]}`);
+      if (i > 0) features.push(`b:${words[i - 1]}_${words[i]}`);
+    }
+
+    return features;
+  }
+
+  /**
+   * Treina um modelo a partir de exemplos [{ text, intent, weight }]
+   */
+  train(examples) {
+    const model = { intents: {}, vocabulary: new Set(), documents: 0 };
+
+    for (const { text, intent, weight = 1 } of examples) {
+      if (!model.intents[intent]) {
+        model.intents[intent] = { documents: 0, total: 0, counts: new Map() };
+      }
+      const stats = model.intents[intent];
+      stats.documents += weight;
+      model.documents += weight;
+
+      for (const feature of this.featuresOf(text)) {
+        stats.counts.set(feature, (stats.counts.get(feature) || 0) + weight);
+        stats.total += weight;
+        model.vocabulary.add(feature);
+      }
+    }
+
+    return model;
+  }
+
+  /**
+   * Log-verossimilhança média por característica de cada intenção
+   * A média (em vez da soma) evita que textos longos saturem a confiança
+   * @returns {Array<{intent, score}>}
+   */
+  score(model, text) {
+    const features = this.featuresOf(text);
+    const intents = Object.keys(model.intents);
+    if (features.length === 0) return [];
+
+    const vocabularySize = model.vocabulary.size;
+    return intents.map(intent => {
+      const stats = model.intents[intent];
+      let score = Math.log(stats.documents / model.documents);
+      const denominator = stats.total + ALPHA * vocabularySize;
+      for (const feature of features) {
+        score += Math.log(((stats.counts.get(feature) || 0) + ALPHA) / denominator);
+      }
+      return { intent, score: score / features.length };
+    });
+  }
+
+  /**
+   * Probabilidades calibradas (softmax com temperatura) em ordem decrescente
+   * @returns {{intent, confidence, margin, ranking: Array<{intent, probability}>}}
+   */
+  rank(scores, temperature = this.temperature) {
+    if (scores.length === 0) {
+      return { intent: 'unknown', confidence: 0, margin: 0, ranking: [] };
+    }
+
+    const max = Math.max(...scores.map(entry => entry.score));
+    const exps = scores.map(entry => Math.exp((entry.score - max) / temperature));
+    const sum = exps.reduce((total, value) => total + value, 0);
+
+    const ranking = scores
+      .map((entry, index) => ({ intent: entry.intent, probability: exps[index] / sum }))
+      .sort((a, b) => b.probability - a.probability);
+
+    const [first, second] = ranking;
+    return {
+      intent: first.intent,
+      confidence: first.probability,
+      // Vantagem sobre a segunda intenção (baixa quando o texto é ambíguo)
+      margin: first.probability - (second ? second.probability : 0),
+      ranking
+    };
+  }
+
+  /**
+   * Classifica o texto com o modelo informado
+   * @returns {{intent, confidence, margin, ranking: Array<{intent, probability}>}}
+   */
+  predict(model, text) {
+    return this.rank(this.score(model, text));
+  }
+
+  /**
+   * Modelo treinado só com o conjunto padrão
+   */
+  getBaseModel() {
+    if (!this.baseModel) {
+      this.baseModel = this.train(this.loadDataset());
+    }
+    return this.baseModel;
+  }
+
+  /**
+   * Modelo da loja: conjunto padrão mais os exemplos cadastrados
+   */
+  async getModel(storeId) {
+    if (!storeId) return this.getBaseModel();
+
+    const key = String(storeId);
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.builtAt < CACHE_TTL) {
+      return cached.model;
+    }
+
+    const storeExamples = await IntentExample.find({ storeId }).select('text intent').lean();
+    const model = storeExamples.length === 0
+      ? this.getBaseModel()
+      : this.train([
+        ...this.loadDataset(),
+        ...storeExamples.map(({ text, intent }) => ({ text, intent, weight: STORE_EXAMPLE_WEIGHT }))
+      ]);
+
+    this.cache.set(key, { model, builtAt: Date.now() });
+    return model;
+  }
+
+  /**
+   * Descarta o modelo da loja (após novos exemplos)
+   */
+  invalidate(storeId) {
+    this.cache.delete(String(storeId));
+  }
+
+  /**
+   * Classifica a mensagem de um cliente da loja
+   * Abaixo de INTENT_MIN_CONFIDENCE a intenção é "unknown"
+   * @returns {{intent, confidence, margin}}
+   */
+  async classify(text, storeId) {
+    const model = await this.getModel(storeId);
+    const { intent, confidence, margin } = this.predict(model, text);
+
+    if (confidence < this.minConfidence) {
+      return { intent: 'unknown', confidence, margin };
+    }
+    return { intent, confidence, margin };
+  }
+
+  /**
+   * Separa os exemplos em treino e teste (parte `fold` de `folds` de cada intenção)
+   * A divisão é determinística para os relatórios serem comparáveis
+   */
+  split(examples, folds = 5, fold = 0) {
+    const train = [];
+    const test = [];
+    const seen = {};
+
+    for (const example of examples) {
+      seen[example.intent] = (seen[example.intent] || 0) + 1;
+      (seen[example.intent] % folds === fold ? test : train).push(example);
+    }
+
+    return { train, test };
+  }
+
+  /**
+   * Temperatura que minimiza a log-perda das previsões de validação
+   */
+  fitTemperature(predictions) {
+    let best = { temperature: this.temperature, loss: Infinity };
+    for (let temperature = 0.05; temperature <= 2.001; temperature += 0.05) {
+      let loss = 0;
+      for (const { expected, scores } of predictions) {
+        const { ranking } = this.rank(scores, temperature);
+        const match = ranking.find(entry => entry.intent === expected);
+        loss -= Math.log(Math.max(match ? match.probability : 0, 1e-12));
+      }
+      if (loss < best.loss) best = { temperature, loss };
+    }
+    return Math.round(best.temperature * 100) / 100;
+  }
+
+  /**
+   * Erro de calibração esperado: diferença média entre confiança e acerto
+   * em faixas de 10 pontos de confiança
+   */
+  calibrationError(predictions) {
+    const bins = Array.from({ length: 10 }, () => ({ count: 0, confidence: 0, correct: 0 }));
+    for (const { confidence, correct } of predictions) {
+      const bin = bins[Math.min(Math.floor(confidence * 10), 9)];
+      bin.count++;
+      bin.confidence += confidence;
+      bin.correct += correct ? 1 : 0;
+    }
+
+    const total = predictions.length || 1;
+    return bins.reduce(
+      (error, bin) => error + (bin.count > 0 ? Math.abs(bin.confidence - bin.correct) / total : 0),
+      0
+    );
+  }
+
+  /**
+   * Validação cruzada: cada exemplo é testado uma vez com um modelo treinado
+   * nas demais partes. Precisão, revocação e F1 por intenção, calibração da
+   * confiança e as previsões (para avaliar limites como o da transferência)
+   * @returns {{accuracy, folds, intents: Object<string, {precision, recall, f1, support}>, calibration, predictions, errors}}
+   */
+  evaluate(examples, { folds = 5 } = {}) {
+    const predictions = [];
+    for (let fold = 0; fold < folds; fold++) {
+      const { train, test } = this.split(examples, folds, fold);
+      if (test.length === 0 || train.length === 0) continue;
+      const model = this.train(train);
+
+      for (const example of test) {
+        const scores = this.score(model, example.text);
+        const { intent, confidence, margin } = this.rank(scores);
+        predictions.push({
+          text: example.text,
+          expected: example.intent,
+          intent,
+          confidence,
+          margin,
+          correct: intent === example.intent,
+          scores
+        });
+      }
+    }
+
+    const stats = {};
+    const ensure = intent => {
+      if (!stats[intent]) stats[intent] = { truePositives: 0, falsePositives: 0, falseNegatives: 0, support: 0 };
+      return stats[intent];
+    };
+
+    const errors = [];
+    for (const prediction of predictions) {
+      ensure(prediction.expected).support++;
+      if (prediction.correct) {
+        ensure(prediction.intent).truePositives++;
+      } else {
+        ensure(prediction.intent).falsePositives++;
+        ensure(prediction.expected).falseNegatives++;
+        errors.push({ text: prediction.text, expected: prediction.expected, predicted: prediction.intent });
+      }
+    }
+
+    const intents = {};
+    for (const [intent, counts] of Object.entries(stats)) {
+      const precision = counts.truePositives / ((counts.truePositives + counts.falsePositives) || 1);
+      const recall = counts.truePositives / ((counts.truePositives + counts.falseNegatives) || 1);
+      intents[intent] = {
+        precision,
+        recall,
+        f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+        support: counts.support
+      };
+    }
+
+    const correct = predictions.filter(prediction => prediction.correct).length;
+    return {
+      accuracy: predictions.length > 0 ? correct / predictions.length : 0,
+      folds,
+      size: predictions.length,
+      intents,
+      calibration: {
+        temperature: this.temperature,
+        error: this.calibrationError(predictions),
+        fittedTemperature: this.fitTemperature(predictions)
+      },
+      predictions: predictions.map(({ scores, ...prediction }) => prediction),
+      errors
+    };
+  }
+}
+
+module.exports = new IntentClassifier();
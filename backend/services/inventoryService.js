@@ -0,0 +1,356 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const StockAlertService = require('./stockAlertService');
+
+// Movimentações manuais permitidas pelo painel
+const MANUAL_TYPES = ['adjustment', 'loss', 'return', 'import'];
+
+// Tipos que exigem motivo
+const REASON_REQUIRED = ['adjustment', 'loss'];
+
+// Motivos usados pelo próprio sistema
+const COUNT_REASON = 'Inventário físico';
+const RECONCILE_REASON = 'Conciliação com o livro-razão';
+
+const inventoryError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const keyOf = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+/**
+ * Livro-razão de estoque (StockMovement)
+ *
+ * Toda alteração do estoque em mãos passa por move(): o $inc no produto é
+ * atômico e a movimentação guarda o saldo resultante. Reservas também são
+ * registradas (tipo reservation), mas só alteram o reservado.
+ *
+ * Erros de negócio têm error.code: PRODUCT_NOT_FOUND, VARIANT_NOT_FOUND,
+ * INVALID_MOVEMENT, REASON_REQUIRED, NEGATIVE_STOCK, STOCK_CHANGED
+ */
+class InventoryService {
+  /**
+   * Saldos do produto/variação ({ quantity, reserved })
+   */
+  balanceOf(product, variantId = null) {
+    const variant = variantId ? product.variants.id(variantId) : null;
+    const inventory = variant ? variant.inventory : product.inventory;
+    return {
+      quantity: inventory.quantity || 0,
+      reserved: inventory.reserved || 0
+    };
+  }
+
+  /**
+   * Filtro do produto (e da variação, para o operador posicional)
+   */
+  productQuery(storeId, productId, variantId, conditions = {}) {
+    const query = { _id: productId };
+    if (storeId) query.storeId = storeId;
+
+    if (variantId) {
+      query.variants = { $elemMatch: { _id: variantId } };
+      Object.entries(conditions).forEach(([field, value]) => {
+        query.variants.$elemMatch[`inventory.${field}`] = value;
+      });
+    } else {
+      Object.entries(conditions).forEach(([field, value]) => {
+        query[`inventory.${field}`] = value;
+      });
+    }
+    return query;
+  }
+
+  /**
+   * Registra a movimentação já aplicada ao produto
+   * @param {Product} product - documento com o saldo depois da alteração
+   * @param {Object} data - { variantId, type, quantity, reason, note, counted, orderId, reservationId, userId }
+   */
+  async record(product, data, { session } = {}) {
+    const variant = data.variantId ? product.variants.id(data.variantId) : null;
+    const balance = this.balanceOf(product, data.variantId);
+
+    const [movement] = await StockMovement.create([{
+      productId: product._id,
+      variantId: data.variantId || undefined,
+      name: variant ? `${product.name} (${variant.label})` : product.name,
+      sku: (variant && variant.sku) || product.sku,
+      type: data.type,
+      quantity: data.quantity,
+      balanceAfter: balance.quantity,
+      reservedAfter: balance.reserved,
+      counted: data.counted,
+      reason: data.reason,
+      note: data.note,
+      orderId: data.orderId,
+      reservationId: data.reservationId,
+      userId: data.userId,
+      storeId: product.storeId
+    }], { session });
+
+    // Confere o limite de estoque baixo depois que a operação terminar
+    StockAlertService.schedule(product._id);
+    return movement;
+  }
+
+  /**
+   * Aplica uma entrada ou saída no estoque em mãos e registra no livro-razão
+   * @param {Object} data - { variantId, type, quantity (com sinal), reason, note, orderId, userId }
+   * @param {Object} options - { session, reserved: também desconta do reservado, allowNegative }
+   * @returns {Promise<{product, movement}>}
+   */
+  async move(storeId, productId, data, { session, reserved = false, allowNegative = false } = {}) {
+    const quantity = Number(data.quantity);
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      throw inventoryError('INVALID_MOVEMENT', 'Quantidade deve ser um número inteiro diferente de zero');
+    }
+    if (REASON_REQUIRED.includes(data.type) && !(data.reason && data.reason.trim())) {
+      throw inventoryError('REASON_REQUIRED', 'Informe o motivo da movimentação');
+    }
+
+    const variantId = data.variantId || null;
+    const prefix = variantId ? 'variants.$.inventory' : 'inventory';
+    const conditions = {};
+    if (quantity < 0 && !allowNegative) conditions.quantity = { $gte: -quantity };
+    if (reserved) conditions.reserved = { $gte: -quantity };
+
+    const increments = { [`${prefix}.quantity`]: quantity };
+    if (reserved) increments[`${prefix}.reserved`] = quantity;
+
+    const product = await Product.findOneAndUpdate(
+      this.productQuery(storeId, productId, variantId, conditions),
+      { $inc: increments },
+      { new: true, session }
+    );
+
+    if (!product) {
+      const current = mongoose.Types.ObjectId.isValid(productId)
+        ? await Product.findOne(this.productQuery(storeId, productId, null)).session(session || null)
+        : null;
+      if (!current) throw inventoryError('PRODUCT_NOT_FOUND', 'Produto não encontrado');
+      if (variantId && !current.variants.id(variantId)) {
+        throw inventoryError('VARIANT_NOT_FOUND', `Variação não encontrada em ${current.name}`);
+      }
+      throw inventoryError('NEGATIVE_STOCK', `Estoque insuficiente em ${current.name} para a saída de ${-quantity}`);
+    }
+
+    const movement = await this.record(product, { ...data, variantId, quantity }, { session });
+    return { product, movement };
+  }
+
+  /**
+   * Movimentação manual feita pelo painel
+   */
+  async adjust(storeId, productId, data, { userId } = {}) {
+    if (!MANUAL_TYPES.includes(data.type)) {
+      throw inventoryError('INVALID_MOVEMENT', `Tipo de movimentação inválido: ${data.type}`);
+    }
+
+    // Perdas são sempre saídas
+    const quantity = data.type === 'loss' ? -Math.abs(Number(data.quantity)) : Number(data.quantity);
+    return this.move(storeId, productId, {
+      variantId: data.variantId,
+      type: data.type,
+      quantity,
+      reason: data.reason,
+      note: data.note,
+      userId
+    });
+  }
+
+  /**
+   * Inventário físico: ajusta cada item para a quantidade contada
+   * @param {Array} items - [{ productId, variantId, counted }]
+   * @param {Object} options - { userId, note, reason } (reason padrão: inventário físico)
+   * @returns {Promise<Array<{productId, variantId, name, previous, counted, difference, error}>>}
+   */
+  async count(storeId, items, { userId, note, reason = COUNT_REASON } = {}) {
+    const results = [];
+
+    for (const item of items) {
+      const counted = Number(item.counted);
+      const result = { productId: item.productId, variantId: item.variantId || null, counted };
+
+      try {
+        if (!Number.isInteger(counted) || counted < 0) {
+          throw inventoryError('INVALID_MOVEMENT', 'Quantidade contada deve ser um número inteiro não negativo');
+        }
+
+        const product = mongoose.Types.ObjectId.isValid(item.productId)
+          ? await Product.findOne({ _id: item.productId, storeId })
+          : null;
+        if (!product) throw inventoryError('PRODUCT_NOT_FOUND', 'Produto não encontrado');
+        if (item.variantId && !product.variants.id(item.variantId)) {
+          throw inventoryError('VARIANT_NOT_FOUND', `Variação não encontrada em ${product.name}`);
+        }
+
+        const previous = this.balanceOf(product, item.variantId).quantity;
+        result.name = product.name;
+        result.previous = previous;
+        result.difference = counted - previous;
+        if (result.difference === 0) {
+          results.push(result);
+          continue;
+        }
+
+        // Só ajusta se o saldo não mudou desde a leitura (venda durante a contagem)
+        const prefix = item.variantId ? 'variants.$.inventory' : 'inventory';
+        const updated = await Product.findOneAndUpdate(
+          this.productQuery(storeId, product._id, item.variantId, { quantity: previous }),
+          { $inc: { [`${prefix}.quantity`]: result.difference } },
+          { new: true }
+        );
+        if (!updated) {
+          throw inventoryError('STOCK_CHANGED', 'O estoque mudou durante a contagem, conte este item de novo');
+        }
+
+        await this.record(updated, {
+          variantId: item.variantId,
+          type: 'adjustment',
+          quantity: result.difference,
+          counted,
+          reason,
+          note,
+          userId
+        });
+      } catch (error) {
+        if (!error.code || typeof error.code !== 'string') throw error;
+        result.error = { code: error.code, message: error.message };
+      }
+
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  /**
+   * Compara o estoque em mãos com o saldo do livro-razão
+   * Cada movimentação deve partir do saldo da anterior; quebras indicam
+   * alterações feitas fora do livro-razão
+   * @param {Object} options - { productId, apply: registra ajustes que alinham o livro-razão, userId }
+   * @returns {Promise<Array<{productId, variantId, name, ledgerBalance, quantity, difference, gaps}>>}
+   */
+  async reconcile(storeId, { productId, apply = false, userId } = {}) {
+    const query = { storeId };
+    if (productId) query._id = productId;
+    const products = await Product.find(query).select('name sku inventory variants storeId');
+
+    const match = { storeId: new mongoose.Types.ObjectId(String(storeId)), type: { $in: StockMovement.ON_HAND_TYPES } };
+    if (productId) match.productId = new mongoose.Types.ObjectId(String(productId));
+
+    const ledger = await StockMovement.aggregate([
+      { $match: match },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { productId: '$productId', variantId: '$variantId' },
+          movements: { $push: { quantity: '$quantity', balanceAfter: '$balanceAfter' } }
+        }
+      }
+    ]);
+    const byKey = new Map(ledger.map(entry => [keyOf(entry._id.productId, entry._id.variantId), entry.movements]));
+
+    const report = [];
+    for (const product of products) {
+      const targets = product.variants.length > 0
+        ? product.variants.map(variant => String(variant._id))
+        : [null];
+
+      for (const variantId of targets) {
+        const movements = byKey.get(keyOf(product._id, variantId));
+        if (!movements) continue;
+
+        // Quebras na sequência: saldo anterior + quantidade ≠ saldo registrado
+        let gaps = 0;
+        movements.forEach((movement, index) => {
+          if (index > 0 && movements[index - 1].balanceAfter + movement.quantity !== movement.balanceAfter) gaps++;
+        });
+
+        const ledgerBalance = movements[movements.length - 1].balanceAfter;
+        const quantity = this.balanceOf(product, variantId).quantity;
+        const entry = {
+          productId: product._id,
+          variantId,
+          name: product.name,
+          ledgerBalance,
+          quantity,
+          difference: quantity - ledgerBalance,
+          gaps
+        };
+
+        if (apply && entry.difference !== 0) {
+          entry.movement = await this.record(product, {
+            variantId,
+            type: 'adjustment',
+            quantity: entry.difference,
+            reason: RECONCILE_REASON,
+            userId
+          });
+        }
+
+        if (entry.difference !== 0 || gaps > 0) report.push(entry);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Relatório de ajustes, perdas e devoluções no período
+   * @returns {Promise<{byType, byReason, byProduct}>} unidades e valor a custo (ou preço, sem custo)
+   */
+  async adjustmentReport(storeId, { from, to } = {}) {
+    const match = {
+      storeId: new mongoose.Types.ObjectId(String(storeId)),
+      type: { $in: ['adjustment', 'loss', 'return'] }
+    };
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const movements = await StockMovement.aggregate([
+      { $match: match },
+      { $lookup: { from: 'products', localField: 'productId', foreignField: '_id', as: 'product' } },
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          type: 1,
+          reason: 1,
+          productId: 1,
+          variantId: 1,
+          name: 1,
+          quantity: 1,
+          value: { $multiply: ['$quantity', { $ifNull: ['$product.cost', { $ifNull: ['$product.price', 0] }] }] }
+        }
+      }
+    ]);
+
+    const summarize = (keyFn, describe) => {
+      const groups = new Map();
+      for (const movement of movements) {
+        const key = keyFn(movement);
+        const group = groups.get(key) || { ...describe(movement), movements: 0, unitsIn: 0, unitsOut: 0, value: 0 };
+        group.movements++;
+        if (movement.quantity > 0) group.unitsIn += movement.quantity;
+        else group.unitsOut += -movement.quantity;
+        group.value = Math.round((group.value + movement.value) * 100) / 100;
+        groups.set(key, group);
+      }
+      return [...groups.values()].sort((a, b) => a.value - b.value);
+    };
+
+    return {
+      byType: summarize(m => m.type, m => ({ type: m.type })),
+      byReason: summarize(m => `${m.type}:${m.reason || ''}`, m => ({ type: m.type, reason: m.reason || null })),
+      byProduct: summarize(m => keyOf(m.productId, m.variantId), m => ({ productId: m.productId, variantId: m.variantId || null, name: m.name }))
+    };
+  }
+}
+
+module.exports = new InventoryService();
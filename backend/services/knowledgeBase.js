@@ -0,0 +1,260 @@
+const Product = require('../models/Product');
+const Store = require('../models/Store');
+const { tokenize } = require('../utils/text');
+
+const CACHE_TTL = 5 * 60 * 1000;
+const MAX_PRODUCTS = 500;
+
+// Parâmetros do BM25
+const K1 = 1.2;
+const B = 0.75;
+
+// Semelhança mínima entre a mensagem e a pergunta do FAQ para responder sem LLM
+const DIRECT_ANSWER_MIN = parseFloat(process.env.KNOWLEDGE_DIRECT_ANSWER_MIN) || 0.75;
+
+const POLICY_TITLES = {
+  exchange: 'Política de trocas e devoluções',
+  shipping: 'Política de entrega e frete',
+  payment: 'Formas de pagamento'
+};
+
+/**
+ * Base de conhecimento da loja para respostas fundamentadas
+ *
+ * Indexa com BM25 (em memória, por loja) as perguntas do FAQ, as políticas
+ * (trocas, entrega, pagamento), os dados institucionais e as descrições dos
+ * produtos. O índice é refeito a cada 5 minutos ou quando invalidado.
+ */
+class KnowledgeBase {
+  constructor() {
+    this.indexes = new Map();
+  }
+
+  /**
+   * Descarta o índice da loja (chamar após alterar FAQ, políticas ou produtos)
+   */
+  invalidate(storeId) {
+    this.indexes.delete(String(storeId));
+  }
+
+  /**
+   * Obtém (ou constrói) o índice da loja
+   */
+  async getIndex(storeId) {
+    const key = String(storeId);
+    const cached = this.indexes.get(key);
+    if (cached && Date.now() - cached.builtAt < CACHE_TTL) {
+      return cached;
+    }
+
+    const store = await Store.findById(storeId).select('name description ai.trainingData');
+    const products = await Product.find({ storeId, isActive: true })
+      .select('name description category tags price')
+      .sort({ updatedAt: -1 })
+      .limit(MAX_PRODUCTS);
+
+    const index = this.buildIndex(this.buildDocuments(store, products));
+    this.indexes.set(key, index);
+    return index;
+  }
+
+  /**
+   * Converte os dados da loja em documentos pesquisáveis
+   */
+  buildDocuments(store, products = []) {
+    const documents = [];
+    if (!store) return documents;
+
+    const trainingData = (store.ai && store.ai.trainingData) || {};
+
+    (trainingData.faq || []).forEach((item, position) => {
+      if (!item.question || !item.answer) return;
+      documents.push({
+        id: `faq:${position}`,
+        type: 'faq',
+        title: item.question,
+        text: item.answer,
+        // A pergunta pesa mais que a resposta na busca
+        searchText: `${item.question} ${item.question} ${item.answer}`,
+        source: `FAQ: ${item.question}`
+      });
+    });
+
+    const policies = trainingData.policies || {};
+    for (const [name, title] of Object.entries(POLICY_TITLES)) {
+      if (!policies[name]) continue;
+      documents.push({
+        id: `policy:${name}`,
+        type: 'policy',
+        title,
+        text: policies[name],
+        searchText: `${title} ${policies[name]}`,
+        source: title
+      });
+    }
+
+    const institutional = [
+      store.description,
+      trainingData.mission && `Missão: ${trainingData.mission}`,
+      trainingData.values && `Valores: ${trainingData.values}`,
+      trainingData.productTypes && trainingData.productTypes.length > 0 &&
+        `Trabalhamos com: ${trainingData.productTypes.join(', ')}`
+    ].filter(Boolean).join('\n');
+
+    if (institutional) {
+      documents.push({
+        id: 'store:about',
+        type: 'store',
+        title: `Sobre a ${store.name}`,
+        text: institutional,
+        searchText: `loja sobre ${institutional}`,
+        source: `Sobre a ${store.name}`
+      });
+    }
+
+    for (const product of products) {
+      const details = [
+        product.description,
+        product.category && `Categoria: ${product.category}`,
+        `Preço: R$ ${Number(product.price).toFixed(2)}`
+      ].filter(Boolean).join('. ');
+
+      documents.push({
+        id: `product:${product._id}`,
+        type: 'product',
+        productId: product._id,
+        title: product.name,
+        text: details,
+        searchText: `${product.name} ${product.name} ${product.category || ''} ${(product.tags || []).join(' ')} ${product.description || ''}`,
+        source: `Produto: ${product.name}`
+      });
+    }
+
+    return documents;
+  }
+
+  /**
+   * Calcula frequências de termos e tamanhos usados pelo BM25
+   */
+  buildIndex(documents) {
+    const documentFrequency = new Map();
+    let totalLength = 0;
+
+    const entries = documents.map(document => {
+      const terms = tokenize(document.searchText);
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      for (const term of frequencies.keys()) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+      totalLength += terms.length;
+
+      return { document, frequencies, length: terms.length };
+    });
+
+    return {
+      entries,
+      documentFrequency,
+      averageLength: entries.length > 0 ? totalLength / entries.length : 0,
+      builtAt: Date.now()
+    };
+  }
+
+  /**
+   * Pontua os documentos para a consulta (BM25)
+   * @returns {Array<{document, score}>}
+   */
+  rank(index, query) {
+    const terms = [...new Set(tokenize(query))];
+    const total = index.entries.length;
+    if (terms.length === 0 || total === 0) return [];
+
+    const results = [];
+    for (const entry of index.entries) {
+      let score = 0;
+      for (const term of terms) {
+        const frequency = entry.frequencies.get(term);
+        if (!frequency) continue;
+
+        const df = index.documentFrequency.get(term);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        const norm = K1 * (1 - B + B * entry.length / (index.averageLength || 1));
+        score += idf * (frequency * (K1 + 1)) / (frequency + norm);
+      }
+      if (score > 0) {
+        results.push({ document: entry.document, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Busca os trechos mais relevantes da loja para a mensagem
+   * @param {Object} options - { limit, types }
+   */
+  async search(storeId, query, { limit = 4, types } = {}) {
+    try {
+      const index = await this.getIndex(storeId);
+      let results = this.rank(index, query);
+      if (types) {
+        results = results.filter(result => types.includes(result.document.type));
+      }
+      return results.slice(0, limit);
+    } catch (error) {
+      console.error('Erro ao consultar base de conhecimento:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Resposta direta do FAQ quando a mensagem é praticamente a pergunta cadastrada
+   * @returns {{answer, question, confidence, source}|null}
+   */
+  findDirectAnswer(query, results) {
+    const top = results[0];
+    if (!top || top.document.type !== 'faq') return null;
+
+    const confidence = this.overlap(query, top.document.title);
+    if (confidence < DIRECT_ANSWER_MIN) return null;
+
+    return {
+      answer: top.document.text,
+      question: top.document.title,
+      confidence,
+      source: top.document.source
+    };
+  }
+
+  /**
+   * Semelhança entre dois textos (F1 dos termos em comum)
+   */
+  overlap(a, b) {
+    const termsA = new Set(tokenize(a));
+    const termsB = new Set(tokenize(b));
+    if (termsA.size === 0 || termsB.size === 0) return 0;
+
+    let common = 0;
+    for (const term of termsA) {
+      if (termsB.has(term)) common++;
+    }
+    if (common === 0) return 0;
+
+    const precision = common / termsA.size;
+    const recall = common / termsB.size;
+    return (2 * precision * recall) / (precision + recall);
+  }
+
+  /**
+   * Formata os trechos para o prompt, numerados para citação
+   */
+  formatForPrompt(results) {
+    return results
+      .map((result, position) => `[${position + 1}] ${result.document.source}\n${result.document.text}`)
+      .join('\n\n');
+  }
+}
+
+module.exports = new KnowledgeBase();
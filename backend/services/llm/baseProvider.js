@@ -0,0 +1,42 @@
+/**
+ * Interface base dos provedores de LLM
+ *
+ * complete({ messages, temperature, maxTokens, json }) recebe mensagens no
+ * formato chat ({ role: 'system'|'user'|'assistant', content }) e devolve
+ * { content, model, usage: { promptTokens, completionTokens, totalTokens } }.
+ */
+class BaseProvider {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Nome do provedor (igual ao valor de LLM_PROVIDER)
+   */
+  get name() {
+    return 'base';
+  }
+
+  /**
+   * Modelo usado nas chamadas
+   */
+  get model() {
+    return this.config.model;
+  }
+
+  /**
+   * Gera a resposta para a conversa
+   */
+  async complete(options) {
+    throw new Error(`Provedor ${this.name} não implementa complete`);
+  }
+
+  /**
+   * Estimativa de tokens para provedores que não informam o uso (~4 caracteres por token)
+   */
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,29 @@
+const OpenAiProvider = require('./openAiProvider');
+const MockProvider = require('./mockProvider');
+
+// Provedores disponíveis (LLM_PROVIDER)
+const PROVIDERS = {
+  openai: OpenAiProvider,
+  mock: MockProvider
+};
+
+/**
+ * Cria o provedor de LLM configurado
+ * Sem LLM_PROVIDER, usa o cliente OpenAI quando há chave ou URL configurada
+ * e o provedor determinístico caso contrário
+ */
+function createLLMProvider(name, config = {}) {
+  const configured = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || process.env.LLM_BASE_URL;
+  const providerName = name || process.env.LLM_PROVIDER || (configured ? 'openai' : 'mock');
+
+  const Provider = PROVIDERS[providerName];
+  if (!Provider) {
+    throw new Error(`Provedor de LLM desconhecido: ${providerName}`);
+  }
+  return new Provider(config);
+}
+
+module.exports = {
+  createLLMProvider,
+  llmProviderNames: Object.keys(PROVIDERS)
+};
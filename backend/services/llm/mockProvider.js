@@ -0,0 +1,68 @@
+const BaseProvider = require('./baseProvider');
+
+// Respostas fixas escolhidas por palavras-chave da última mensagem do cliente
+const RULES = [
+  {
+    keywords: ['oi', 'olá', 'ola', 'bom dia', 'boa tarde', 'boa noite'],
+    response: {
+      text: 'Oi! 😊 Como posso te ajudar hoje? Temos várias novidades incríveis!',
+      intent: 'greeting',
+      confidence: 0.9,
+      recommendProducts: false,
+      actions: []
+    }
+  },
+  {
+    keywords: ['produto', 'roupa', 'vestido', 'blusa', 'calça', 'saia'],
+    response: {
+      text: 'Que legal! Temos várias opções que podem te interessar. Quer ver algumas sugestões?',
+      intent: 'product_interest',
+      confidence: 0.8,
+      recommendProducts: true,
+      actions: [{ type: 'track_interest', category: 'product_inquiry' }]
+    }
+  }
+];
+
+const DEFAULT_RESPONSE = {
+  text: 'Claro! Vou te mostrar nossos produtos mais vendidos. Qual seu estilo preferido?',
+  intent: 'catalog_request',
+  confidence: 0.85,
+  recommendProducts: true,
+  actions: []
+};
+
+/**
+ * Provedor determinístico para testes e desenvolvimento sem LLM
+ * Sempre devolve o mesmo JSON para a mesma mensagem
+ */
+class MockProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({ model: 'mock', ...config });
+    this.calls = [];
+  }
+
+  get name() {
+    return 'mock';
+  }
+
+  async complete(options) {
+    this.calls.push(options);
+
+    const lastUser = [...options.messages].reverse().find(message => message.role === 'user');
+    const text = (lastUser ? lastUser.content : '').toLowerCase();
+    const rule = RULES.find(item => item.keywords.some(keyword => text.includes(keyword)));
+    const content = JSON.stringify(rule ? rule.response : DEFAULT_RESPONSE);
+
+    const promptTokens = this.estimateTokens(options.messages.map(message => message.content).join('\n'));
+    const completionTokens = this.estimateTokens(content);
+
+    return {
+      content,
+      model: this.model,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+}
+
+module.exports = MockProvider;
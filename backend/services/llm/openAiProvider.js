@@ -0,0 +1,66 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Cliente de chat completions compatível com a OpenAI
+ * Também atende servidores locais com a mesma API (llama.cpp server, Ollama, vLLM)
+ * apontando LLM_BASE_URL para eles
+ */
+class OpenAiProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      baseUrl: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+      model: process.env.LLM_MODEL || 'gpt-4o-mini',
+      timeout: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 20000,
+      // Servidores antigos podem não aceitar response_format
+      jsonMode: process.env.LLM_JSON_MODE !== 'false',
+      ...config
+    });
+
+    this.http = axios.create({
+      baseURL: this.config.baseUrl,
+      timeout: this.config.timeout,
+      headers: this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {}
+    });
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  async complete({ messages, temperature = 0.7, maxTokens = 400, json = false }) {
+    const body = {
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (json && this.config.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const { data } = await this.http.post('/chat/completions', body);
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+      throw new Error('Resposta do LLM sem conteúdo');
+    }
+
+    const content = choice.message.content || '';
+    const usage = data.usage || {};
+    const promptTokens = usage.prompt_tokens || this.estimateTokens(messages.map(m => m.content).join('\n'));
+    const completionTokens = usage.completion_tokens || this.estimateTokens(content);
+
+    return {
+      content,
+      model: data.model || this.model,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: usage.total_tokens || promptTokens + completionTokens
+      }
+    };
+  }
+}
+
+module.exports = OpenAiProvider;
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const path = require('path');
+const { storage } = require('./storage');
+const { resolveMimeType, isAllowedMimeType, extensionFor } = require('../utils/mime');
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024;
+const SIGNED_URL_TTL = 10 * 60; // segundos
+
+/**
+ * Serviço de mídias recebidas pelo WhatsApp
+ * Baixa pelo provedor, valida tamanho e tipo e guarda no armazenamento configurado
+ */
+class MediaService {
+  /**
+   * Baixa e armazena a mídia de uma mensagem recebida, preenchendo Message.content
+   * @returns {Promise<Buffer|null>} conteúdo baixado (para transcrição, por exemplo)
+   */
+  async attachInboundMedia(provider, message, messageRecord) {
+    const content = messageRecord.content;
+
+    try {
+      const media = await provider.downloadMedia(message, { maxBytes: MAX_FILE_SIZE });
+      const mimeType = resolveMimeType(media.buffer, media.mimeType || content.mimeType);
+
+      if (!isAllowedMimeType(mimeType)) {
+        console.warn(`Mídia recusada (${mimeType || 'tipo desconhecido'}) na mensagem ${messageRecord._id}`);
+        content.mimeType = mimeType || content.mimeType;
+        content.mediaStatus = 'rejected';
+        return null;
+      }
+
+      const key = this.buildKey(messageRecord.storeId, messageRecord._id, mimeType);
+      const { size } = await storage.save(key, media.buffer);
+
+      content.storageKey = key;
+      content.mediaStatus = 'stored';
+      content.mediaUrl = `/api/media/${messageRecord._id}`;
+      content.mimeType = mimeType;
+      content.fileSize = size;
+      content.fileName = content.fileName || media.fileName || path.basename(key);
+      if (message.media && message.media.duration) {
+        content.duration = message.media.duration;
+      }
+
+      return media.buffer;
+    } catch (error) {
+      if (error.code === 'MEDIA_TOO_LARGE') {
+        console.warn(`Mídia da mensagem ${messageRecord._id} acima do limite de ${MAX_FILE_SIZE} bytes`);
+        content.mediaStatus = 'too_large';
+      } else {
+        console.error('Erro ao baixar mídia:', error.message);
+        content.mediaStatus = 'failed';
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Chave de armazenamento: media/<loja>/<ano-mês>/<mensagem>-<aleatório>.<ext>
+   */
+  buildKey(storeId, messageId, mimeType) {
+    const month = new Date().toISOString().slice(0, 7);
+    const suffix = crypto.randomBytes(6).toString('hex');
+    return `media/${storeId}/${month}/${messageId}-${suffix}.${extensionFor(mimeType)}`;
+  }
+
+  /**
+   * Abre o conteúdo armazenado
+   */
+  createReadStream(key) {
+    return storage.createReadStream(key);
+  }
+
+  /**
+   * Remove o conteúdo armazenado
+   */
+  remove(key) {
+    return storage.remove(key);
+  }
+
+  /**
+   * Gera um link temporário para uso em <img>/<audio> sem cabeçalho Authorization
+   */
+  signUrl(messageId, ttl = SIGNED_URL_TTL) {
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const signature = this.sign(messageId, expires);
+    return `/api/media/${messageId}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Verifica a assinatura de um link temporário
+   */
+  verifySignature(messageId, expires, signature) {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(messageId, expires));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  sign(messageId, expires) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET)
+      .update(`${messageId}.${expires}`)
+      .digest('hex');
+  }
+}
+
+module.exports = new MediaService();
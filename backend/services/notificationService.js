@@ -0,0 +1,115 @@
+const RealtimeService = require('./realtimeService');
+const Notification = require('../models/Notification');
+const Store = require('../models/Store');
+const User = require('../models/User');
+const EmailService = require('./emailService');
+
+/**
+ * Avisos para a equipe da loja
+ *
+ * Cada aviso é salvo (lista do painel), publicado em tempo real como
+ * `notification` e, se a loja cadastrou números em notifications.phones,
+ * enviado por WhatsApp. Avisos por usuário (notifyUsers) seguem as
+ * preferências de User.notifications.
+ */
+class NotificationService {
+  /**
+   * Registra e distribui um aviso
+   * @param {Object} notification - { type, title, message, data }
+   * @param {Object} options - { whatsapp: false } não envia por WhatsApp
+   */
+  async notify(storeId, { type, title, message, data = {} }, options = {}) {
+    try {
+      const notification = await Notification.create({ storeId, type, title, message, data });
+
+      RealtimeService.emitToStore(storeId, 'notification', notification.toObject());
+
+      if (options.whatsapp !== false) {
+        await this.sendWhatsApp(storeId, `🔔 *${title}*${message ? `\n${message}` : ''}`);
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Erro ao enviar aviso para a equipe:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Registra o aviso no painel e envia aos usuários da loja (dono e equipe)
+   * por WhatsApp e email, conforme as preferências de cada um
+   * @param {Object} options - { setting } preferência que precisa estar ativa (ex: lowStock)
+   */
+  async notifyUsers(storeId, { type, title, message, data = {} }, { setting } = {}) {
+    const notification = await this.notify(storeId, { type, title, message, data }, { whatsapp: false });
+
+    try {
+      const store = await Store.findById(storeId).select('ownerId');
+      const query = {
+        isActive: true,
+        $or: [{ storeId }, ...(store && store.ownerId ? [{ _id: store.ownerId }] : [])]
+      };
+      if (setting) query[`notifications.${setting}`] = { $ne: false };
+
+      const users = await User.find(query).select('email phone notifications');
+      for (const user of users) {
+        const preferences = user.notifications || {};
+
+        if (preferences.whatsapp !== false && user.phone) {
+          await this.sendWhatsAppTo(storeId, [user.phone], `🔔 *${title}*${message ? `\n${message}` : ''}`);
+        }
+        if (preferences.email !== false && user.email && EmailService.isConfigured()) {
+          try {
+            await EmailService.send({ to: user.email, subject: title, text: message || title });
+          } catch (error) {
+            console.error('Erro ao enviar aviso por email:', error.message);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Erro ao enviar aviso para os usuários:', error);
+    }
+
+    return notification;
+  }
+
+  /**
+   * Envia o aviso aos números da equipe
+   */
+  async sendWhatsApp(storeId, text) {
+    const store = await Store.findById(storeId).select('notifications');
+    const phones = (store && store.notifications && store.notifications.phones) || [];
+    await this.sendWhatsAppTo(storeId, phones, text);
+  }
+
+  /**
+   * Envia o texto por WhatsApp aos números informados
+   */
+  async sendWhatsAppTo(storeId, phones, text) {
+    if (phones.length === 0) return;
+
+    // Carregado aqui para evitar dependência circular com o serviço de WhatsApp
+    const WhatsAppService = require('./whatsappService');
+
+    for (const phone of phones) {
+      try {
+        await WhatsAppService.sendMessage(storeId, phone, text, null, { source: 'system' });
+      } catch (error) {
+        console.error('Erro ao enviar aviso por WhatsApp:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Marca avisos como lidos (todos quando ids não é informado)
+   */
+  async markAsRead(storeId, ids = null) {
+    const query = { storeId, readAt: null };
+    if (ids) query._id = { $in: ids };
+
+    const result = await Notification.updateMany(query, { readAt: new Date() });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,447 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Contact = require('../models/Contact');
+const Store = require('../models/Store');
+const Coupon = require('../models/Coupon');
+const PromotionService = require('./promotionService');
+const NotificationService = require('./notificationService');
+const RealtimeService = require('./realtimeService');
+const ReservationService = require('./reservationService');
+const InventoryService = require('./inventoryService');
+const WishlistService = require('./wishlistService');
+const AbandonedCartService = require('./abandonedCartService');
+
+// Primeiro número de pedido de cada loja é FIRST_ORDER_NUMBER + 1
+const FIRST_ORDER_NUMBER = 1000;
+
+const STATUS_LABELS = {
+  pending: 'Aguardando confirmação',
+  confirmed: 'Confirmado',
+  preparing: 'Em separação',
+  shipped: 'Enviado',
+  delivered: 'Entregue',
+  cancelled: 'Cancelado'
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+const orderError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Ciclo de vida dos pedidos
+ *
+ * pending → confirmed → preparing → shipped → delivered
+ *    └──────────┴───────────┴──→ cancelled
+ *
+ * - Criação: reserva o estoque (ReservationService, aproveitando as reservas
+ *   do carrinho da conversa) e registra o uso do cupom
+ * - Confirmação (manual ou pelo pagamento): a reserva vira baixa no estoque e
+ *   a venda conta nas estatísticas do contato, dos produtos e da loja
+ * - Cancelamento: libera a reserva (ou devolve o estoque, se já confirmado),
+ *   libera o cupom e desfaz as estatísticas
+ *
+ * Cada operação roda em uma transação do MongoDB (exige replica set).
+ * Erros de negócio têm error.code: ORDER_NOT_FOUND, STORE_NOT_FOUND, CONTACT_NOT_FOUND,
+ * EMPTY_ORDER, PRODUCT_UNAVAILABLE, VARIANT_NOT_FOUND, INSUFFICIENT_STOCK,
+ * STOCK_CONTENTION, INVALID_TRANSITION, ORDER_CANCELLED, TRANSACTIONS_UNSUPPORTED e os
+ * códigos COUPON_* de PromotionService.validateRedemption
+ */
+class OrderService {
+  /**
+   * Executa fn(session) dentro de uma transação
+   */
+  async withTransaction(fn) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await fn(session);
+      });
+      return result;
+    } catch (error) {
+      // Servidor standalone não aceita transações
+      if (error.code === 20 || /replica set|Transaction numbers/i.test(error.message)) {
+        throw orderError('TRANSACTIONS_UNSUPPORTED', 'O MongoDB precisa rodar como replica set para registrar pedidos');
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Cria um pedido
+   * @param {Object} data - { contactId, conversationId, channel, items: [{ productId, variantId, selections, quantity }],
+   *   couponCode, shipping: { method, address, cost, carrier, estimatedDays }, payment: { method }, notes }
+   * @param {Object} options - { userId } de quem registrou o pedido
+   */
+  async createOrder(storeId, data, { userId } = {}) {
+    const requested = (data.items || []).filter(item => item && item.productId);
+    if (requested.length === 0) {
+      throw orderError('EMPTY_ORDER', 'O pedido precisa ter pelo menos um item');
+    }
+
+    const order = await this.withTransaction(async (session) => {
+      const contact = await Contact.findOne({ _id: data.contactId, storeId }).session(session);
+      if (!contact) throw orderError('CONTACT_NOT_FOUND', 'Contato não encontrado');
+
+      const products = await Product.find({
+        _id: { $in: requested.map(item => item.productId) },
+        storeId,
+        isActive: true
+      }).session(session);
+      const byId = new Map(products.map(product => [String(product._id), product]));
+
+      const items = [];
+      for (const item of requested) {
+        const product = byId.get(String(item.productId));
+        if (!product) {
+          throw orderError('PRODUCT_UNAVAILABLE', 'Produto não encontrado ou inativo');
+        }
+
+        const quantity = parseInt(item.quantity, 10) || 1;
+        const variant = this.resolveVariant(product, item);
+
+        items.push({
+          productId: product._id,
+          variantId: variant ? String(variant._id) : undefined,
+          sku: (variant && variant.sku) || product.sku,
+          name: product.name,
+          category: product.category,
+          selections: variant ? Object.fromEntries(variant.options || []) : (item.selections || {}),
+          quantity,
+          unitPrice: product.priceFor(variant),
+          total: 0
+        });
+      }
+
+      const store = await Store.findByIdAndUpdate(
+        storeId,
+        { $inc: { orderSequence: 1 } },
+        { new: true, session }
+      );
+      if (!store) throw orderError('STORE_NOT_FOUND', 'Loja não encontrada');
+
+      const shipping = data.shipping || {};
+      const order = new Order({
+        number: FIRST_ORDER_NUMBER + store.orderSequence,
+        contactId: contact._id,
+        conversationId: data.conversationId,
+        channel: data.channel || 'dashboard',
+        items,
+        shipping: { ...shipping, cost: Number(shipping.cost) || 0 },
+        payment: { method: data.payment && data.payment.method },
+        notes: data.notes,
+        statusHistory: [{ status: 'pending', by: userId }],
+        storeId
+      });
+      order.computeTotals();
+
+      await ReservationService.reserveForOrder(order, { session });
+
+      if (data.couponCode) {
+        await this.applyCoupon(order, data.couponCode, session);
+      }
+
+      await order.save({ session });
+
+      await Contact.updateOne(
+        { _id: contact._id },
+        {
+          $push: {
+            purchases: {
+              orderId: String(order._id),
+              date: order.createdAt,
+              total: order.totals.total,
+              items: order.items.map(item => ({
+                productId: item.productId,
+                name: item.name,
+                quantity: item.quantity,
+                price: item.unitPrice
+              })),
+              status: order.status
+            }
+          }
+        },
+        { session }
+      );
+
+      return order;
+    });
+
+    this.publish(storeId, order);
+    await WishlistService.attributeOrder(order);
+    await AbandonedCartService.attributeOrder(order);
+
+    // Pedidos que não vieram do painel avisam a equipe
+    if (order.channel !== 'dashboard') {
+      await NotificationService.notify(storeId, {
+        type: 'order',
+        title: `Novo pedido #${order.number}`,
+        message: `${order.itemCount} item(ns) - ${this.formatPrice(order.totals.total)}`,
+        data: { orderId: order._id, contactId: order.contactId, conversationId: order.conversationId }
+      });
+    }
+
+    return order;
+  }
+
+  /**
+   * Cria o pedido a partir do carrinho da conversa do WhatsApp
+   */
+  async createFromConversation(store, contact, conversation) {
+    return this.createOrder(store._id, {
+      contactId: contact._id,
+      conversationId: conversation.conversationId,
+      channel: 'whatsapp',
+      items: conversation.cart.items.map(item => ({
+        productId: item.productId,
+        variantId: item.variantId,
+        selections: item.selections ? Object.fromEntries(item.selections) : {},
+        quantity: item.quantity
+      }))
+    });
+  }
+
+  /**
+   * Encontra a variação do item (por id ou pelas opções escolhidas)
+   */
+  resolveVariant(product, item) {
+    if (item.variantId) {
+      const variant = product.variants.id(item.variantId);
+      if (!variant || variant.isActive === false) {
+        throw orderError('VARIANT_NOT_FOUND', `Variação não encontrada em ${product.name}`);
+      }
+      return variant;
+    }
+    if (product.variants.length === 0) return null;
+
+    // Com grade de variações, o item precisa apontar uma combinação
+    const variant = product.findVariant(item.selections || {});
+    if (!variant) throw orderError('VARIANT_NOT_FOUND', `Escolha as opções de ${product.name}`);
+    return variant;
+  }
+
+  /**
+   * Valida o cupom, aplica o desconto e registra o uso
+   */
+  async applyCoupon(order, code, session) {
+    const result = await PromotionService.validateRedemption(order.storeId, code, {
+      contactId: order.contactId,
+      items: order.items.map(item => ({
+        productId: item.productId,
+        category: item.category,
+        unitPrice: item.unitPrice,
+        quantity: item.quantity
+      })),
+      shipping: order.shipping.cost
+    });
+    if (!result.valid) throw orderError(result.code, result.message);
+
+    const redeemed = await PromotionService.redeem(result.coupon._id, {
+      contactId: order.contactId,
+      orderId: order._id,
+      discount: result.discount + result.shippingDiscount
+    }, { session });
+    if (!redeemed) {
+      // Outro pedido usou o cupom ao mesmo tempo
+      const current = await Coupon.findById(result.coupon._id).session(session);
+      if (current && current.usageLimit.perContact && current.usesBy(order.contactId) >= current.usageLimit.perContact) {
+        throw orderError('COUPON_CONTACT_LIMIT', 'Você já usou este cupom');
+      }
+      throw orderError('COUPON_USAGE_LIMIT', 'Cupom esgotado');
+    }
+
+    order.coupon = {
+      couponId: result.coupon._id,
+      code: result.coupon.code,
+      discount: round(result.discount + result.shippingDiscount)
+    };
+    order.totals.discount = result.discount;
+    order.totals.shippingDiscount = result.shippingDiscount;
+    order.computeTotals();
+  }
+
+  /**
+   * Avança o status do pedido
+   * @param {Object} options - { userId, note, reason }
+   */
+  async transition(storeId, orderId, status, options = {}) {
+    const order = await this.withTransaction(async (session) => {
+      const order = await this.findOrder(storeId, orderId, session);
+      await this.applyTransition(order, status, options, session);
+      await order.save({ session });
+      return order;
+    });
+
+    this.publish(storeId, order);
+    return order;
+  }
+
+  /**
+   * Cancela o pedido
+   */
+  async cancel(storeId, orderId, { userId, reason } = {}) {
+    return this.transition(storeId, orderId, 'cancelled', { userId, reason, note: reason });
+  }
+
+  /**
+   * Atualiza o pagamento; pedido pendente pago é confirmado automaticamente
+   * @param {Object} payment - { status, method, reference }
+   */
+  async updatePayment(storeId, orderId, { status, method, reference }, { userId } = {}) {
+    const order = await this.withTransaction(async (session) => {
+      const order = await this.findOrder(storeId, orderId, session);
+      if (order.status === 'cancelled' && status === 'paid') {
+        throw orderError('ORDER_CANCELLED', 'Pedido cancelado não pode ser marcado como pago');
+      }
+
+      if (method) order.payment.method = method;
+      if (reference) order.payment.reference = reference;
+      if (status) {
+        order.payment.status = status;
+        order.payment.paidAt = status === 'paid' ? new Date() : order.payment.paidAt;
+      }
+
+      if (status === 'paid' && order.status === 'pending') {
+        await this.applyTransition(order, 'confirmed', { userId, note: 'Pagamento confirmado' }, session);
+      }
+
+      await order.save({ session });
+      return order;
+    });
+
+    this.publish(storeId, order);
+    return order;
+  }
+
+  /**
+   * Busca o pedido da loja dentro da transação
+   */
+  async findOrder(storeId, orderId, session) {
+    const order = mongoose.Types.ObjectId.isValid(orderId)
+      ? await Order.findOne({ _id: orderId, storeId }).session(session)
+      : null;
+    if (!order) throw orderError('ORDER_NOT_FOUND', 'Pedido não encontrado');
+    return order;
+  }
+
+  /**
+   * Aplica a mudança de status e seus efeitos (estatísticas, estoque, cupom)
+   */
+  async applyTransition(order, status, { userId, note, reason } = {}, session) {
+    if (!order.canTransitionTo(status)) {
+      throw orderError(
+        'INVALID_TRANSITION',
+        `Pedido ${STATUS_LABELS[order.status].toLowerCase()} não pode passar para ${STATUS_LABELS[status] ? STATUS_LABELS[status].toLowerCase() : status}`
+      );
+    }
+
+    const wasCounted = order.isCounted;
+    order.status = status;
+    order.statusHistory.push({ status, by: userId, note });
+
+    if (!wasCounted && order.isCounted) {
+      await ReservationService.convert(order, { session, userId });
+      await this.applySaleStats(order, 1, session);
+    } else if (wasCounted && !order.isCounted) {
+      await this.applySaleStats(order, -1, session);
+    }
+
+    if (status === 'cancelled') {
+      order.cancelReason = reason;
+      if (wasCounted) {
+        await this.restoreStock(order, userId, session);
+      } else {
+        await ReservationService.releaseForOrder(order, { session });
+      }
+      if (order.coupon && order.coupon.couponId) {
+        await PromotionService.release(order.coupon.couponId, order._id, { session });
+      }
+    }
+
+    await Contact.updateOne(
+      { _id: order.contactId, 'purchases.orderId': String(order._id) },
+      { $set: { 'purchases.$.status': status } },
+      { session }
+    );
+  }
+
+  /**
+   * Soma (direction = 1) ou desfaz (direction = -1) a venda nas estatísticas
+   */
+  async applySaleStats(order, direction, session) {
+    const total = order.totals.total;
+
+    const contact = await Contact.findById(order.contactId).session(session);
+    if (contact) {
+      await contact.updateStats(direction > 0 ? 'purchase' : 'purchase_cancelled', total, { session });
+    }
+
+    const store = await Store.findById(order.storeId).session(session);
+    if (store) {
+      await store.updateStats('sale', direction, { session });
+      await store.updateStats('revenue', direction * total, { session });
+    }
+
+    for (const item of order.items) {
+      const product = await Product.findById(item.productId).session(session);
+      if (!product) continue;
+      await product.updateStats('sale', direction * item.quantity, { session });
+      await product.updateStats('revenue', direction * item.total, { session });
+    }
+  }
+
+  /**
+   * Devolve ao estoque os itens do pedido (movimentação return)
+   */
+  async restoreStock(order, userId, session) {
+    for (const item of order.items) {
+      const product = await Product.findById(item.productId).session(session);
+      if (!product || !product.inventory.trackQuantity) continue;
+
+      // Variação removida do catálogo depois do pedido: não há para onde devolver
+      if (item.variantId && !product.variants.id(item.variantId)) continue;
+      await InventoryService.move(order.storeId, product._id, {
+        variantId: item.variantId,
+        type: 'return',
+        quantity: item.quantity,
+        reason: `Cancelamento do pedido #${order.number}`,
+        orderId: order._id,
+        userId
+      }, { session });
+    }
+  }
+
+  /**
+   * Publica a mudança do pedido para o painel
+   */
+  publish(storeId, order) {
+    RealtimeService.emitToStore(storeId, 'order-updated', {
+      orderId: order._id,
+      number: order.number,
+      contactId: order.contactId,
+      status: order.status,
+      paymentStatus: order.payment.status,
+      total: order.totals.total
+    });
+  }
+
+  formatPrice(value) {
+    return `R$ ${value.toFixed(2).replace('.', ',')}`;
+  }
+
+  /**
+   * Descrição do status para mensagens ao cliente
+   */
+  describeStatus(status) {
+    return STATUS_LABELS[status] || status;
+  }
+}
+
+module.exports = new OrderService();
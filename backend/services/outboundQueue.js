@@ -0,0 +1,273 @@
+const OutboundMessage = require('../models/OutboundMessage');
+const Store = require('../models/Store');
+
+const POLL_INTERVAL = 1000;
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 10 * 60 * 1000;
+const RATE_CACHE_TTL = 60 * 1000;
+
+/**
+ * Fila persistente de mensagens de saída
+ *
+ * - Respeita um limite de envios por minuto por loja
+ * - Aplica atrasos "humanos" (Store.ai.responseDelay + digitação + variação)
+ * - Entrega as mensagens de uma conversa na ordem em que foram enfileiradas
+ * - Tenta novamente com atraso exponencial e move para a fila morta ao esgotar
+ */
+class OutboundQueue {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+    this.sender = null;
+    this.onDead = null;
+    this.activeConversations = new Set();
+    this.sentTimestamps = new Map(); // Envios do último minuto por loja
+    this.rateLimits = new Map(); // Cache do limite configurado por loja
+  }
+
+  /**
+   * Define quem entrega os itens da fila e quem é avisado quando um item
+   * esgota as tentativas
+   */
+  setHandlers({ deliver, onDead }) {
+    this.sender = deliver;
+    this.onDead = onDead || null;
+  }
+
+  /**
+   * Inicia o processamento da fila
+   */
+  async start(interval = POLL_INTERVAL) {
+    if (this.timer) return;
+
+    // Itens que estavam sendo enviados quando o servidor parou voltam para a fila
+    await OutboundMessage.updateMany(
+      { status: 'sending' },
+      { status: 'queued', $unset: { lockedAt: 1 } }
+    );
+
+    this.timer = setInterval(() => this.tick(), interval);
+    console.log('📤 Fila de mensagens de saída iniciada');
+  }
+
+  /**
+   * Para o processamento da fila
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Enfileira uma mensagem
+   * @param {Object} options - { conversationId, contactId, messageId, source, immediate }
+   */
+  async enqueue(storeId, to, payload, options = {}) {
+    const conversationId = options.conversationId || `${storeId}_${to}`;
+    const now = Date.now();
+
+    // A nova mensagem sai depois da última pendente da mesma conversa
+    const last = await OutboundMessage.findOne({
+      conversationId,
+      status: { $in: ['queued', 'sending'] }
+    }).sort({ notBefore: -1 });
+
+    const startAt = Math.max(now, last ? last.notBefore.getTime() : now);
+    const delay = options.immediate ? 0 : await this.humanDelay(storeId, payload);
+
+    return OutboundMessage.create({
+      storeId,
+      to,
+      conversationId,
+      payload,
+      source: options.source || 'system',
+      contactId: options.contactId,
+      messageId: options.messageId,
+      notBefore: new Date(startAt + delay)
+    });
+  }
+
+  /**
+   * Calcula o atraso de resposta simulando uma pessoa digitando
+   */
+  async humanDelay(storeId, payload) {
+    const store = await Store.findById(storeId).select('ai.responseDelay');
+    const baseDelay = (store && store.ai && store.ai.responseDelay) || 2000;
+    const textLength = (payload.text || '').length;
+    const typingTime = Math.min(textLength * 40, 4000);
+    const jitter = baseDelay * (Math.random() * 0.6 - 0.3);
+
+    return Math.round(baseDelay + typingTime + jitter);
+  }
+
+  /**
+   * Calcula o atraso da próxima tentativa (exponencial com variação)
+   */
+  retryDelay(attempts) {
+    const delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, attempts - 1), RETRY_MAX_DELAY);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Obtém o limite de envios por minuto da loja
+   */
+  async getRateLimit(storeId) {
+    const cached = this.rateLimits.get(storeId);
+    if (cached && Date.now() - cached.loadedAt < RATE_CACHE_TTL) {
+      return cached.limit;
+    }
+
+    const store = await Store.findById(storeId).select('whatsapp.rateLimitPerMinute');
+    const limit = (store && store.whatsapp && store.whatsapp.rateLimitPerMinute) || 20;
+    this.rateLimits.set(storeId, { limit, loadedAt: Date.now() });
+    return limit;
+  }
+
+  /**
+   * Reserva um envio dentro do limite por minuto da loja
+   */
+  async takeRateToken(storeId) {
+    const limit = await this.getRateLimit(storeId);
+    const windowStart = Date.now() - 60 * 1000;
+    const recent = (this.sentTimestamps.get(storeId) || []).filter(t => t > windowStart);
+
+    if (recent.length >= limit) {
+      this.sentTimestamps.set(storeId, recent);
+      return false;
+    }
+
+    recent.push(Date.now());
+    this.sentTimestamps.set(storeId, recent);
+    return true;
+  }
+
+  /**
+   * Seleciona e dispara os itens prontos para envio
+   */
+  async tick() {
+    if (this.ticking || !this.sender) return;
+    this.ticking = true;
+
+    try {
+      // Só itens já liberados: os que aguardam (ritmo ou nova tentativa) não ocupam o lote
+      const candidates = await OutboundMessage.find({ status: 'queued', notBefore: { $lte: new Date() } })
+        .sort({ notBefore: 1, createdAt: 1 })
+        .limit(200);
+
+      const seen = new Set();
+
+      for (const job of candidates) {
+        // Apenas o item mais antigo de cada conversa pode sair
+        if (seen.has(job.conversationId)) continue;
+        seen.add(job.conversationId);
+
+        if (this.activeConversations.has(job.conversationId)) continue;
+        // Um item mais antigo da conversa ainda aguarda nova tentativa
+        const older = await OutboundMessage.exists({
+          conversationId: job.conversationId,
+          status: 'queued',
+          createdAt: { $lt: job.createdAt }
+        });
+        if (older) continue;
+
+        const storeId = String(job.storeId);
+        if (!(await this.takeRateToken(storeId))) continue;
+
+        const claimed = await OutboundMessage.findOneAndUpdate(
+          { _id: job._id, status: 'queued' },
+          { status: 'sending', lockedAt: new Date() },
+          { new: true }
+        );
+        if (!claimed) continue;
+
+        this.activeConversations.add(claimed.conversationId);
+        this.process(claimed)
+          .catch(error => console.error(`Erro ao registrar envio do item ${claimed._id}:`, error))
+          .finally(() => {
+            this.activeConversations.delete(claimed.conversationId);
+          });
+      }
+    } catch (error) {
+      console.error('Erro ao processar fila de saída:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Entrega um item e registra o resultado
+   */
+  async process(job) {
+    try {
+      const result = await this.sender(job);
+
+      job.status = 'sent';
+      job.sentAt = new Date();
+      job.attempts += 1;
+      job.providerMessageId = result && result.id;
+      await job.save();
+    } catch (error) {
+      console.error(`Erro ao enviar item ${job._id} da fila:`, error.message);
+
+      job.attempts += 1;
+      job.lastError = {
+        code: error.code || 'SEND_FAILED',
+        message: error.message,
+        at: new Date()
+      };
+
+      if (job.attempts >= job.maxAttempts) {
+        job.status = 'dead';
+      } else {
+        job.status = 'queued';
+        job.notBefore = new Date(Date.now() + this.retryDelay(job.attempts));
+      }
+      job.lockedAt = undefined;
+      await job.save();
+
+      if (job.status === 'dead' && this.onDead) {
+        await this.onDead(job);
+      }
+    }
+  }
+
+  /**
+   * Lista itens da fila de uma loja (por padrão, a fila morta)
+   */
+  async list(storeId, { status = 'dead', page = 1, limit = 20 } = {}) {
+    const query = { storeId, status };
+    const items = await OutboundMessage.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await OutboundMessage.countDocuments(query);
+
+    return { items, total };
+  }
+
+  /**
+   * Recoloca um item da fila morta na fila
+   */
+  retry(storeId, id) {
+    return OutboundMessage.findOneAndUpdate(
+      { _id: id, storeId, status: 'dead' },
+      { status: 'queued', attempts: 0, notBefore: new Date(), $unset: { lastError: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Cancela um item que ainda não foi enviado
+   */
+  cancel(storeId, id) {
+    return OutboundMessage.findOneAndUpdate(
+      { _id: id, storeId, status: { $in: ['queued', 'dead'] } },
+      { status: 'cancelled' },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new OutboundQueue();
@@ -0,0 +1,256 @@
+const qrcode = require('qrcode');
+const Order = require('../models/Order');
+const Contact = require('../models/Contact');
+const OrderService = require('./orderService');
+const NotificationService = require('./notificationService');
+const { buildPayload } = require('../utils/pix');
+const { normalize } = require('../utils/text');
+
+// Prazo (após o pedido) em que uma imagem do cliente conta como comprovante
+const RECEIPT_WINDOW = 3 * 24 * 60 * 60 * 1000;
+
+// Prazo (após a cobrança ou o pedido de novo comprovante) em que qualquer
+// imagem ou documento do cliente é tratado como o comprovante aguardado
+const AWAITING_RECEIPT_WINDOW = 24 * 60 * 60 * 1000;
+
+// Tipos de mensagem aceitos como comprovante
+const RECEIPT_TYPES = ['image', 'document'];
+
+// Legenda ou nome de arquivo que indica comprovante
+const RECEIPT_WORDS = /\b(comprovante|recibo|pix|paguei|pago|pagamento|transferi|transferencia)\b/;
+
+const formatPrice = value => `R$ ${value.toFixed(2).replace('.', ',')}`;
+
+/**
+ * Pagamento por Pix direto na chave da loja
+ *
+ * Gera o BR Code ("copia e cola") e o QR Code localmente, sem PSP. Como não há
+ * confirmação automática do banco, o comprovante enviado pelo cliente deixa o
+ * pedido em payment.status = awaiting_confirmation até a loja conferir o
+ * extrato e confirmar (ou recusar) pelo painel.
+ */
+class PixService {
+  /**
+   * Configuração Pix da loja
+   */
+  getConfig(store) {
+    return (store.payment && store.payment.pix) || {};
+  }
+
+  /**
+   * Indica se a loja recebe por Pix (chave, nome e cidade preenchidos)
+   */
+  isEnabled(store) {
+    const config = this.getConfig(store);
+    return Boolean(config.enabled && config.key && config.merchantName && config.merchantCity);
+  }
+
+  /**
+   * Gera o BR Code e o QR Code (data URL em PNG)
+   * @param {Object} options - { amount, txid, description }; sem amount gera o código estático da loja
+   */
+  async generate(store, { amount, txid, description } = {}) {
+    const config = this.getConfig(store);
+    const payload = buildPayload({
+      key: config.key,
+      keyType: config.keyType,
+      name: config.merchantName,
+      city: config.merchantCity,
+      amount,
+      txid,
+      description
+    });
+    const qrCode = await qrcode.toDataURL(payload, { width: 400, margin: 2 });
+
+    return { payload, qrCode };
+  }
+
+  /**
+   * Gera a cobrança Pix do pedido e registra no pedido
+   */
+  async charge(store, order) {
+    const txid = `PED${order.number}`;
+    const { payload, qrCode } = await this.generate(store, {
+      amount: order.totals.total,
+      txid,
+      description: `Pedido ${order.number}`
+    });
+
+    order.payment.method = 'pix';
+    order.payment.reference = txid;
+    order.payment.pix = { txid, payload, generatedAt: new Date() };
+    order.payment.receiptRequestedAt = order.payment.pix.generatedAt;
+    await Order.updateOne({ _id: order._id }, {
+      'payment.method': 'pix',
+      'payment.reference': txid,
+      'payment.pix': order.payment.pix,
+      'payment.receiptRequestedAt': order.payment.receiptRequestedAt
+    });
+
+    return { payload, qrCode };
+  }
+
+  /**
+   * Mensagens com a cobrança: QR Code com as instruções e o código em separado,
+   * para o cliente copiar com um toque
+   * @returns {Promise<Array<{text, mediaUrl}>>}
+   */
+  async buildReplies(store, order) {
+    const { payload, qrCode } = await this.charge(store, order);
+
+    return [
+      {
+        text: `💸 *Pagamento via Pix - Pedido #${order.number}*\n\n` +
+          `Valor: *${formatPrice(order.totals.total)}*\n` +
+          `Recebedor: ${this.getConfig(store).merchantName}\n\n` +
+          'Leia o QR Code no app do seu banco ou use o Pix copia e cola da próxima mensagem. ' +
+          'Depois é só me enviar o comprovante por aqui 😊',
+        mediaUrl: qrCode
+      },
+      { text: payload }
+    ];
+  }
+
+  /**
+   * Envia a cobrança do pedido pelo WhatsApp (pedidos criados pelo painel)
+   */
+  async sendCharge(store, order) {
+    const contact = await Contact.findById(order.contactId).select('phone');
+    if (!contact) throw new Error('Contato do pedido não encontrado');
+
+    // Carregado aqui para evitar dependência circular com o serviço de WhatsApp
+    const WhatsAppService = require('./whatsappService');
+    for (const reply of await this.buildReplies(store, order)) {
+      await WhatsAppService.sendMessage(store._id, contact.phone, reply.text, reply.mediaUrl || null, { source: 'system' });
+    }
+  }
+
+  /**
+   * Indica se a mensagem pode ser um comprovante (imagem ou documento armazenado)
+   */
+  isReceipt(messageRecord) {
+    return RECEIPT_TYPES.includes(messageRecord.content.type) && messageRecord.content.mediaStatus === 'stored';
+  }
+
+  /**
+   * Indica se a mensagem é o comprovante do pedido: legenda ou nome de arquivo
+   * que fala do pagamento, ou a primeira mídia depois da cobrança
+   */
+  expectsReceipt(order, messageRecord, now = new Date()) {
+    const { content } = messageRecord;
+    const described = normalize([content.mediaCaption, content.text, content.fileName].filter(Boolean).join(' '));
+    if (RECEIPT_WORDS.test(described)) return true;
+
+    const requestedAt = order.payment.receiptRequestedAt;
+    return Boolean(requestedAt && now - requestedAt <= AWAITING_RECEIPT_WINDOW);
+  }
+
+  /**
+   * Anexa o comprovante ao pedido Pix em aberto mais recente do contato e avisa a equipe
+   * @returns {Promise<Order|null>} null quando não há pedido aguardando pagamento ou a
+   *   mídia não parece ser o comprovante (segue o atendimento normal)
+   */
+  async attachReceipt(store, contact, messageRecord) {
+    const order = await Order.findOne({
+      storeId: store._id,
+      contactId: contact._id,
+      status: 'pending',
+      'payment.method': 'pix',
+      'payment.status': { $in: ['pending', 'awaiting_confirmation'] },
+      createdAt: { $gte: new Date(Date.now() - RECEIPT_WINDOW) }
+    }).sort({ createdAt: -1 });
+    if (!order || !this.expectsReceipt(order, messageRecord)) return null;
+
+    order.payment.status = 'awaiting_confirmation';
+    // O comprovante aguardado chegou: outras mídias voltam ao atendimento normal
+    order.payment.receiptRequestedAt = undefined;
+    order.payment.receipts.push({
+      messageId: messageRecord._id,
+      mediaUrl: messageRecord.content.mediaUrl
+    });
+    await order.save();
+
+    OrderService.publish(store._id, order);
+    await NotificationService.notify(store._id, {
+      type: 'payment_receipt',
+      title: `Comprovante Pix do pedido #${order.number}`,
+      message: `${contact.name} - ${formatPrice(order.totals.total)}\nConfira no extrato e confirme o pagamento no painel.`,
+      data: {
+        orderId: order._id,
+        contactId: contact._id,
+        messageId: messageRecord._id
+      }
+    });
+
+    return order;
+  }
+
+  /**
+   * Resposta ao cliente quando o comprovante entra na fila de conferência
+   */
+  receiptReceivedMessage(order) {
+    return `Recebi seu comprovante do pedido #${order.number} 🙌 Assim que a loja confirmar o pagamento, eu te aviso por aqui!`;
+  }
+
+  /**
+   * Confirma o pagamento conferido pela loja e avança o pedido
+   */
+  async confirm(store, orderId, { userId } = {}) {
+    const order = await OrderService.updatePayment(store._id, orderId, { status: 'paid', method: 'pix' }, { userId });
+    await this.notifyCustomer(store, order,
+      `✅ Pagamento do pedido #${order.number} confirmado! Obrigado pela compra, já vamos preparar tudo 💚`);
+    return order;
+  }
+
+  /**
+   * Recusa o último comprovante (valor errado, pagamento não encontrado)
+   * e pede um novo ao cliente
+   */
+  async reject(store, orderId, { reason } = {}) {
+    const order = await Order.findOne({ _id: orderId, storeId: store._id });
+    if (!order) {
+      const error = new Error('Pedido não encontrado');
+      error.code = 'ORDER_NOT_FOUND';
+      throw error;
+    }
+    if (order.payment.status !== 'awaiting_confirmation') {
+      const error = new Error('Não há comprovante aguardando conferência neste pedido');
+      error.code = 'RECEIPT_NOT_PENDING';
+      throw error;
+    }
+
+    const receipt = order.payment.receipts[order.payment.receipts.length - 1];
+    if (receipt) {
+      receipt.rejectedAt = new Date();
+      receipt.rejectReason = reason;
+    }
+    order.payment.status = 'pending';
+    order.payment.receiptRequestedAt = new Date();
+    await order.save();
+
+    OrderService.publish(store._id, order);
+    await this.notifyCustomer(store, order,
+      `Não conseguimos confirmar o pagamento do pedido #${order.number} 😕` +
+      `${reason ? `\nMotivo: ${reason}` : ''}\nPode conferir e me enviar o comprovante de novo?`);
+
+    return order;
+  }
+
+  /**
+   * Envia mensagem ao cliente do pedido
+   */
+  async notifyCustomer(store, order, text) {
+    try {
+      const contact = await Contact.findById(order.contactId).select('phone');
+      if (!contact) return;
+
+      // Carregado aqui para evitar dependência circular com o serviço de WhatsApp
+      const WhatsAppService = require('./whatsappService');
+      await WhatsAppService.sendMessage(store._id, contact.phone, text, null, { source: 'system' });
+    } catch (error) {
+      console.error('Erro ao avisar cliente sobre o pagamento:', error);
+    }
+  }
+}
+
+module.exports = new PixService();
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Contact = require('../models/Contact');
+
+// Intervalo mínimo entre cupons da mesma regra para o mesmo contato
+const REISSUE_INTERVAL = {
+  first_purchase: Infinity,
+  birthday: 300 * 24 * 60 * 60 * 1000,
+  abandoned_cart: 30 * 24 * 60 * 60 * 1000
+};
+
+// Janela (dias) em torno do aniversário em que o cupom pode ser emitido
+const BIRTHDAY_WINDOW_DAYS = 7;
+
+/**
+ * Motor de promoções
+ *
+ * Emite cupons apenas a partir das regras configuradas pela loja
+ * (Coupon com trigger) e valida/registra o uso de cupons em pedidos.
+ */
+class PromotionService {
+  /**
+   * Verifica se o contato atende ao gatilho
+   */
+  isEligible(trigger, contact, date = new Date()) {
+    switch (trigger) {
+      case 'first_purchase':
+        return (contact.stats.totalOrders || 0) === 0;
+      case 'birthday': {
+        if (!contact.birthday) return false;
+        const birthday = new Date(contact.birthday);
+        // Considera os anos vizinhos para aniversários na virada do ano
+        return [-1, 0, 1].some(offset => {
+          const anniversary = new Date(date.getFullYear() + offset, birthday.getMonth(), birthday.getDate());
+          return Math.abs(date - anniversary) <= BIRTHDAY_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+        });
+      }
+      case 'abandoned_cart':
+        return contact.hasAbandonedCart;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Regras ativas da loja para as quais o contato é elegível agora
+   * @returns {Promise<Array<Coupon>>}
+   */
+  async getEligibleRules(storeId, contact) {
+    const rules = await Coupon.find({
+      storeId,
+      isActive: true,
+      ruleId: null,
+      trigger: { $ne: 'manual' }
+    }).sort({ createdAt: 1 });
+
+    return rules.filter(rule => rule.isWithinValidity() && this.isEligible(rule.trigger, contact));
+  }
+
+  /**
+   * Emite um cupom individual para o contato a partir da regra do gatilho
+   * Retorna o cupom já emitido quando ainda está no intervalo da regra
+   * @returns {Promise<Coupon|null>} null quando não há regra ou o contato não é elegível
+   */
+  async issueForTrigger(storeId, contactOrId, trigger) {
+    const contact = contactOrId instanceof Contact ? contactOrId : await Contact.findById(contactOrId);
+    if (!contact || !this.isEligible(trigger, contact)) return null;
+
+    const rule = await Coupon.findOne({
+      storeId,
+      trigger,
+      isActive: true,
+      ruleId: null
+    }).sort({ createdAt: 1 });
+    if (!rule || !rule.isWithinValidity()) return null;
+
+    const previous = await Coupon.findOne({ ruleId: rule._id, assignedTo: contact._id }).sort({ createdAt: -1 });
+    if (previous) {
+      const interval = REISSUE_INTERVAL[trigger];
+      const unused = previous.usedCount === 0 && previous.isWithinValidity();
+      if (unused) return previous;
+      if (Date.now() - previous.createdAt.getTime() < interval) return null;
+    }
+
+    const validUntil = new Date(Date.now() + rule.issueValidityDays * 24 * 60 * 60 * 1000);
+
+    return Coupon.create({
+      storeId,
+      code: await this.generateCode(storeId, rule.code),
+      description: rule.description,
+      type: rule.type,
+      value: rule.value,
+      maxDiscount: rule.maxDiscount,
+      minCartValue: rule.minCartValue,
+      usageLimit: { total: 1, perContact: 1 },
+      validFrom: new Date(),
+      validUntil: rule.validUntil && rule.validUntil < validUntil ? rule.validUntil : validUntil,
+      scope: rule.scope,
+      trigger,
+      ruleId: rule._id,
+      assignedTo: contact._id
+    });
+  }
+
+  /**
+   * Gera um código único na loja a partir do prefixo da regra
+   */
+  async generateCode(storeId, prefix) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = `${prefix.slice(0, 20)}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+      if (!await Coupon.exists({ storeId, code })) return code;
+    }
+    throw new Error('Não foi possível gerar um código de cupom único');
+  }
+
+  /**
+   * Valida o uso de um cupom em um carrinho
+   * @param {Object} cart - { contactId, items: [{ productId, category, unitPrice, quantity }], shipping }
+   * @returns {Promise<{valid, code, message, coupon, discount, shippingDiscount, subtotal}>}
+   *   code em caso de erro: COUPON_NOT_FOUND, COUPON_INACTIVE, COUPON_EXPIRED,
+   *   COUPON_NOT_YET_VALID, COUPON_NOT_ASSIGNED, COUPON_USAGE_LIMIT,
+   *   COUPON_CONTACT_LIMIT, COUPON_MIN_CART, COUPON_OUT_OF_SCOPE
+   */
+  async validateRedemption(storeId, code, { contactId, items = [], shipping = 0 } = {}) {
+    const coupon = await Coupon.findOne({ storeId, code: String(code || '').trim().toUpperCase() });
+    const invalid = (errorCode, message) => ({ valid: false, code: errorCode, message, coupon });
+
+    if (!coupon || coupon.isRule) return invalid('COUPON_NOT_FOUND', 'Cupom não encontrado');
+    if (!coupon.isActive) return invalid('COUPON_INACTIVE', 'Cupom desativado');
+
+    const now = new Date();
+    if (coupon.validFrom && now < coupon.validFrom) return invalid('COUPON_NOT_YET_VALID', 'Cupom ainda não está válido');
+    if (coupon.validUntil && now > coupon.validUntil) return invalid('COUPON_EXPIRED', 'Cupom expirado');
+
+    if (coupon.assignedTo && (!contactId || coupon.assignedTo.toString() !== contactId.toString())) {
+      return invalid('COUPON_NOT_ASSIGNED', 'Cupom pertence a outro cliente');
+    }
+    if (coupon.usageLimit.total && coupon.usedCount >= coupon.usageLimit.total) {
+      return invalid('COUPON_USAGE_LIMIT', 'Cupom esgotado');
+    }
+    if (coupon.usageLimit.perContact && coupon.usesBy(contactId) >= coupon.usageLimit.perContact) {
+      return invalid('COUPON_CONTACT_LIMIT', 'Você já usou este cupom');
+    }
+
+    const subtotal = items.reduce((total, item) => total + item.unitPrice * item.quantity, 0);
+    if (subtotal < (coupon.minCartValue || 0)) {
+      return invalid('COUPON_MIN_CART', `Cupom válido para compras a partir de R$ ${coupon.minCartValue.toFixed(2).replace('.', ',')}`);
+    }
+
+    const eligible = items
+      .filter(item => coupon.appliesTo(item))
+      .reduce((total, item) => total + item.unitPrice * item.quantity, 0);
+    if (eligible === 0) {
+      return invalid('COUPON_OUT_OF_SCOPE', 'Cupom não vale para os produtos do carrinho');
+    }
+
+    const { discount, shippingDiscount } = this.computeDiscount(coupon, eligible, shipping);
+
+    return {
+      valid: true,
+      coupon,
+      subtotal,
+      discount,
+      shippingDiscount,
+      message: `Cupom aplicado: ${coupon.describeBenefit()}`
+    };
+  }
+
+  /**
+   * Calcula o desconto sobre o valor elegível (e o frete, no caso de frete grátis)
+   */
+  computeDiscount(coupon, eligible, shipping = 0) {
+    let discount = 0;
+    let shippingDiscount = 0;
+
+    if (coupon.type === 'percentage') {
+      discount = eligible * (coupon.value / 100);
+      if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+    } else if (coupon.type === 'fixed') {
+      discount = Math.min(coupon.value, eligible);
+    } else if (coupon.type === 'free_shipping') {
+      shippingDiscount = shipping;
+    }
+
+    return {
+      discount: Math.round(discount * 100) / 100,
+      shippingDiscount: Math.round(shippingDiscount * 100) / 100
+    };
+  }
+
+  /**
+   * Registra o uso do cupom respeitando os limites total e por contato de forma atômica
+   * @param {Object} options - { session } para usar dentro de uma transação
+   * @returns {Promise<Coupon|null>} null quando um dos limites foi atingido
+   */
+  async redeem(couponId, { contactId, orderId, discount }, { session } = {}) {
+    const coupon = await Coupon.findById(couponId).session(session || null);
+    if (!coupon) return null;
+
+    const query = { _id: couponId };
+    if (coupon.usageLimit.total) {
+      query.usedCount = { $lt: coupon.usageLimit.total };
+    }
+    // Usos do contato contados no próprio documento, na mesma operação do registro
+    if (coupon.usageLimit.perContact && contactId) {
+      query.$expr = {
+        $lt: [
+          {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$redemptions', []] },
+                as: 'redemption',
+                cond: { $eq: ['$$redemption.contactId', new mongoose.Types.ObjectId(String(contactId))] }
+              }
+            }
+          },
+          coupon.usageLimit.perContact
+        ]
+      };
+    }
+
+    return Coupon.findOneAndUpdate(
+      query,
+      {
+        $inc: { usedCount: 1 },
+        $push: { redemptions: { contactId, orderId, discount, redeemedAt: new Date() } }
+      },
+      { new: true, session }
+    );
+  }
+
+  /**
+   * Desfaz o uso do cupom em um pedido cancelado
+   * @param {Object} options - { session } para usar dentro de uma transação
+   */
+  async release(couponId, orderId, { session } = {}) {
+    const result = await Coupon.updateOne(
+      { _id: couponId, 'redemptions.orderId': orderId },
+      {
+        $inc: { usedCount: -1 },
+        $pull: { redemptions: { orderId } }
+      },
+      { session }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = new PromotionService();
@@ -0,0 +1,99 @@
+const { Server } = require('socket.io');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * Publica eventos em tempo real para os painéis conectados
+ *
+ * Os painéis se conectam ao namespace /whatsapp com o mesmo JWT da API
+ * (handshake.auth.token ou cabeçalho Authorization) e entram
+ * automaticamente na sala da própria loja.
+ * Enquanto nenhum servidor estiver anexado, os eventos são descartados.
+ */
+class RealtimeService {
+  constructor() {
+    this.io = null;
+    this.joinHandlers = [];
+  }
+
+  /**
+   * Cria o servidor Socket.IO sobre o servidor HTTP da aplicação
+   */
+  attach(httpServer) {
+    const io = new Server(httpServer, {
+      cors: {
+        origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+        credentials: true
+      }
+    });
+
+    const namespace = io.of('/whatsapp');
+
+    namespace.use(async (socket, next) => {
+      try {
+        const header = socket.handshake.headers.authorization || '';
+        const token = socket.handshake.auth.token || header.replace('Bearer ', '');
+        const user = await authenticateToken(token);
+
+        if (!user.storeId) {
+          return next(new Error('Usuário sem loja'));
+        }
+
+        socket.data.user = user;
+        socket.data.storeId = String(user.storeId);
+        next();
+      } catch (error) {
+        next(new Error(error.message || 'Não autorizado'));
+      }
+    });
+
+    namespace.on('connection', (socket) => {
+      const { storeId } = socket.data;
+      socket.join(this.storeRoom(storeId));
+
+      // Envia o estado atual para quem acabou de entrar (ex: QR já gerado)
+      for (const handler of this.joinHandlers) {
+        Promise.resolve(handler(storeId, socket))
+          .catch(error => console.error('Erro ao enviar estado inicial:', error));
+      }
+    });
+
+    this.setServer(namespace);
+    return io;
+  }
+
+  /**
+   * Anexa o servidor (ou namespace) Socket.IO usado para publicar eventos
+   */
+  setServer(io) {
+    this.io = io;
+  }
+
+  /**
+   * Registra uma função chamada quando um painel entra na sala da loja
+   */
+  onJoin(handler) {
+    this.joinHandlers.push(handler);
+  }
+
+  /**
+   * Nome da sala que agrupa os painéis de uma loja
+   */
+  storeRoom(storeId) {
+    return `store:${storeId}`;
+  }
+
+  /**
+   * Envia um evento para todos os painéis da loja
+   */
+  emitToStore(storeId, event, payload) {
+    if (!this.io) return;
+
+    try {
+      this.io.to(this.storeRoom(storeId)).emit(event, payload);
+    } catch (error) {
+      console.error('Erro ao publicar evento em tempo real:', error);
+    }
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,322 @@
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const InventoryService = require('./inventoryService');
+
+// Validade das reservas de carrinho, renovada a cada interação da conversa
+const CART_TTL = (parseInt(process.env.CART_RESERVATION_MINUTES, 10) || 30) * 60 * 1000;
+const SWEEP_INTERVAL = parseInt(process.env.RESERVATION_SWEEP_MS, 10) || 60 * 1000;
+
+// Motivo registrado no livro-razão ao encerrar a reserva
+const RELEASE_REASONS = {
+  released: 'Reserva liberada',
+  expired: 'Reserva expirada'
+};
+
+// Tentativas do compare-and-swap quando outro cliente altera o mesmo estoque
+const MAX_ATTEMPTS = 5;
+
+const stockError = (code, message, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+/**
+ * Reservas de estoque
+ *
+ * Ao entrar no carrinho da conversa, a peça fica reservada (inventory.reserved)
+ * por CART_RESERVATION_MINUTES; o disponível passa a ser em mãos menos
+ * reservado. No fechamento, a reserva passa para o pedido e deixa de expirar;
+ * na confirmação do pedido vira baixa definitiva; no cancelamento ou na
+ * expiração, volta ao disponível.
+ *
+ * O reservado é alterado com findOneAndUpdate condicionado aos valores lidos
+ * (compare-and-swap), então dois clientes não reservam a mesma última peça.
+ * Reservas, liberações e baixas ficam no livro-razão (InventoryService).
+ */
+class ReservationService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Inicia a liberação periódica de reservas vencidas
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+  }
+
+  /**
+   * Para a liberação periódica
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Nova validade de uma reserva de carrinho
+   */
+  expiry() {
+    return new Date(Date.now() + CART_TTL);
+  }
+
+  /**
+   * Soma a quantidade ao reservado do produto/variação se houver disponível
+   * @param {Object} options - { session, reason, orderId } (reason e orderId vão para o livro-razão)
+   * @returns {Promise<boolean>} false quando o produto não controla estoque
+   */
+  async hold(productId, variantId, quantity, { session, reason = 'Carrinho', orderId } = {}) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const product = await Product.findById(productId).select('name inventory variants').session(session || null);
+      if (!product) throw stockError('PRODUCT_UNAVAILABLE', 'Produto não encontrado ou inativo');
+      if (!product.inventory.trackQuantity) return false;
+
+      const variant = variantId ? product.variants.id(variantId) : null;
+      if (variantId && !variant) {
+        throw stockError('VARIANT_NOT_FOUND', `Variação não encontrada em ${product.name}`);
+      }
+
+      const available = product.availableOf(variant);
+      if (available < quantity && !product.inventory.allowBackorder) {
+        throw stockError('INSUFFICIENT_STOCK', `Estoque insuficiente para ${product.name}`, { available });
+      }
+
+      // Só atualiza se ninguém mudou o estoque desde a leitura
+      const inventory = variant ? variant.inventory : product.inventory;
+      const reserved = inventory.reserved ? inventory.reserved : { $in: [0, null] };
+      const query = variant
+        ? { _id: product._id, variants: { $elemMatch: { _id: variant._id, 'inventory.quantity': inventory.quantity, 'inventory.reserved': reserved } } }
+        : { _id: product._id, 'inventory.quantity': inventory.quantity, 'inventory.reserved': reserved };
+      const update = variant
+        ? { $inc: { 'variants.$.inventory.reserved': quantity } }
+        : { $inc: { 'inventory.reserved': quantity } };
+
+      const updated = await Product.findOneAndUpdate(query, update, { new: true, session });
+      if (updated) {
+        await this.recordReservation(updated, { variantId, quantity, reason, orderId }, session);
+        return true;
+      }
+    }
+
+    throw stockError('STOCK_CONTENTION', 'Estoque alterado por outro cliente, tente novamente');
+  }
+
+  /**
+   * Desconta a quantidade do reservado
+   * @param {Object} options - { session, reason, orderId, reservationId }
+   */
+  async unhold(productId, variantId, quantity, { session, ...movement } = {}) {
+    const query = variantId
+      ? { _id: productId, variants: { $elemMatch: { _id: variantId, 'inventory.reserved': { $gte: quantity } } } }
+      : { _id: productId, 'inventory.reserved': { $gte: quantity } };
+    const update = variantId
+      ? { $inc: { 'variants.$.inventory.reserved': -quantity } }
+      : { $inc: { 'inventory.reserved': -quantity } };
+
+    const updated = await Product.findOneAndUpdate(query, update, { new: true, session });
+    if (!updated) {
+      console.warn(`Reserva sem saldo correspondente no produto ${productId}${variantId ? ` (variação ${variantId})` : ''}`);
+      return;
+    }
+    await this.recordReservation(updated, { variantId, quantity: -quantity, ...movement }, session);
+  }
+
+  /**
+   * Registra a reserva/liberação no livro-razão (falha não desfaz a reserva)
+   */
+  async recordReservation(product, data, session) {
+    try {
+      await InventoryService.record(product, { type: 'reservation', ...data }, { session });
+    } catch (error) {
+      // Dentro de transação a falha precisa abortar tudo
+      if (session) throw error;
+      console.error('Erro ao registrar movimentação de estoque:', error);
+    }
+  }
+
+  /**
+   * Reserva para o carrinho da conversa (soma à reserva existente do mesmo item)
+   * @param {Object} data - { storeId, productId, variantId, quantity, conversationId, contactId }
+   * @returns {Promise<StockReservation|null>} null quando o produto não controla estoque
+   */
+  async reserve({ storeId, productId, variantId = null, quantity, conversationId, contactId }) {
+    const held = await this.hold(productId, variantId, quantity);
+    if (!held) return null;
+
+    try {
+      return await StockReservation.findOneAndUpdate(
+        { conversationId, productId, variantId: variantId || null, orderId: null, status: 'active' },
+        {
+          $inc: { quantity },
+          $set: { expiresAt: this.expiry() },
+          $setOnInsert: { storeId, contactId }
+        },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      await this.unhold(productId, variantId, quantity);
+      throw error;
+    }
+  }
+
+  /**
+   * Renova a validade das reservas do carrinho da conversa
+   */
+  async extend(conversationId) {
+    await StockReservation.updateMany(
+      { conversationId, orderId: null, status: 'active' },
+      { expiresAt: this.expiry() }
+    );
+  }
+
+  /**
+   * Encerra a reserva e devolve a quantidade ao disponível
+   * @returns {Promise<boolean>} false se a reserva já tinha sido encerrada
+   */
+  async release(reservation, status = 'released', { session } = {}) {
+    const closed = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'active' },
+      { status, closedAt: new Date() },
+      { new: true, session }
+    );
+    if (!closed) return false;
+
+    await this.unhold(closed.productId, closed.variantId, closed.quantity, {
+      session,
+      reason: RELEASE_REASONS[status] || RELEASE_REASONS.released,
+      orderId: closed.orderId,
+      reservationId: closed._id
+    });
+    return true;
+  }
+
+  /**
+   * Libera as reservas do carrinho da conversa (todas ou as de um item)
+   */
+  async releaseForConversation(conversationId, { productId, variantId } = {}) {
+    const query = { conversationId, orderId: null, status: 'active' };
+    if (productId) {
+      query.productId = productId;
+      query.variantId = variantId || null;
+    }
+
+    const reservations = await StockReservation.find(query);
+    for (const reservation of reservations) {
+      await this.release(reservation);
+    }
+    return reservations.length;
+  }
+
+  /**
+   * Passa para o pedido as reservas do carrinho (reservando o que faltar)
+   * e libera o que ficou no carrinho fora do pedido
+   */
+  async reserveForOrder(order, { session } = {}) {
+    const cart = order.conversationId
+      ? await StockReservation.find({ conversationId: order.conversationId, orderId: null, status: 'active' }).session(session)
+      : [];
+
+    for (const item of order.items) {
+      const variantId = item.variantId || null;
+      const index = cart.findIndex(reservation =>
+        String(reservation.productId) === String(item.productId) && (reservation.variantId || null) === variantId
+      );
+      const existing = index >= 0 ? cart.splice(index, 1)[0] : null;
+      const difference = item.quantity - (existing ? existing.quantity : 0);
+
+      const movement = { session, reason: `Pedido #${order.number}`, orderId: order._id };
+      if (difference > 0) {
+        const held = await this.hold(item.productId, variantId, difference, movement);
+        if (!held) continue;
+      } else if (difference < 0) {
+        await this.unhold(item.productId, variantId, -difference, movement);
+      }
+
+      if (existing) {
+        existing.quantity = item.quantity;
+        existing.orderId = order._id;
+        existing.expiresAt = null;
+        await existing.save({ session });
+      } else {
+        await StockReservation.create([{
+          storeId: order.storeId,
+          productId: item.productId,
+          variantId,
+          quantity: item.quantity,
+          conversationId: order.conversationId,
+          contactId: order.contactId,
+          orderId: order._id
+        }], { session });
+      }
+    }
+
+    for (const reservation of cart) {
+      await this.release(reservation, 'released', { session });
+    }
+  }
+
+  /**
+   * Pedido confirmado: as reservas viram baixa (venda) no estoque em mãos
+   */
+  async convert(order, { session, userId } = {}) {
+    const reservations = await StockReservation.find({ orderId: order._id, status: 'active' }).session(session);
+    for (const reservation of reservations) {
+      const closed = await StockReservation.findOneAndUpdate(
+        { _id: reservation._id, status: 'active' },
+        { status: 'converted', closedAt: new Date() },
+        { new: true, session }
+      );
+      if (closed) {
+        await InventoryService.move(order.storeId, closed.productId, {
+          variantId: closed.variantId,
+          type: 'sale',
+          quantity: -closed.quantity,
+          reason: `Pedido #${order.number}`,
+          orderId: order._id,
+          reservationId: closed._id,
+          userId
+        }, { session, reserved: true, allowNegative: true });
+      }
+    }
+    return reservations.length;
+  }
+
+  /**
+   * Pedido cancelado antes da confirmação: libera as reservas
+   */
+  async releaseForOrder(order, { session } = {}) {
+    const reservations = await StockReservation.find({ orderId: order._id, status: 'active' }).session(session);
+    for (const reservation of reservations) {
+      await this.release(reservation, 'released', { session });
+    }
+    return reservations.length;
+  }
+
+  /**
+   * Libera as reservas de carrinho vencidas
+   */
+  async sweep() {
+    try {
+      const expired = await StockReservation.find({
+        status: 'active',
+        expiresAt: { $ne: null, $lte: new Date() }
+      }).limit(500);
+
+      let released = 0;
+      for (const reservation of expired) {
+        if (await this.release(reservation, 'expired')) released++;
+      }
+      return released;
+    } catch (error) {
+      console.error('Erro ao liberar reservas vencidas:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = new ReservationService();
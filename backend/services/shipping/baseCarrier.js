@@ -0,0 +1,44 @@
+/**
+ * Interface base das transportadoras (cotação de frete)
+ *
+ * Toda transportadora implementa quote(shipment) e devolve uma lista de
+ * serviços { service, price, estimatedDays }. Integrações externas
+ * (Correios, Melhor Envio) são registradas em ./index.js e habilitadas por
+ * loja em Store.shipping.carriers.
+ *
+ * shipment: {
+ *   origin: { zipCode },
+ *   destination: { zipCode },
+ *   packages: [{ weight (kg), length, width, height (cm), quantity }],
+ *   declaredValue
+ * }
+ */
+class BaseCarrier {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Nome da transportadora (igual ao provider em Store.shipping.carriers)
+   */
+  get name() {
+    return 'base';
+  }
+
+  /**
+   * Cota o envio
+   * @returns {Promise<Array<{service: string, price: number, estimatedDays: number}>>}
+   */
+  async quote(shipment) {
+    throw new Error(`Transportadora ${this.name} não implementa quote`);
+  }
+
+  /**
+   * Peso total dos pacotes (kg)
+   */
+  totalWeight(packages = []) {
+    return packages.reduce((total, pkg) => total + (pkg.weight || 0) * (pkg.quantity || 1), 0);
+  }
+}
+
+module.exports = BaseCarrier;
@@ -0,0 +1,22 @@
+const ZoneCarrier = require('./zoneCarrier');
+
+// Transportadoras disponíveis (provider em Store.shipping.carriers)
+const CARRIERS = {
+  zones: ZoneCarrier
+};
+
+/**
+ * Cria a transportadora pelo nome
+ */
+function createCarrier(provider, config = {}) {
+  const Carrier = CARRIERS[provider];
+  if (!Carrier) {
+    throw new Error(`Transportadora desconhecida: ${provider}`);
+  }
+  return new Carrier(config);
+}
+
+module.exports = {
+  createCarrier,
+  carrierNames: Object.keys(CARRIERS)
+};
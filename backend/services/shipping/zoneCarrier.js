@@ -0,0 +1,58 @@
+const BaseCarrier = require('./baseCarrier');
+const { inRanges, rangeSize } = require('../../utils/cep');
+
+/**
+ * Tabela própria da loja: zonas por faixa de CEP (Store.shipping.zones)
+ * com preço fixo ou por faixa de peso
+ */
+class ZoneCarrier extends BaseCarrier {
+  get name() {
+    return 'zones';
+  }
+
+  async quote({ destination, packages }) {
+    const zone = this.findZone(destination.zipCode);
+    if (!zone) return [];
+
+    const price = this.priceFor(zone, this.totalWeight(packages));
+    if (price === null) return [];
+
+    return [{
+      service: zone.name,
+      price,
+      estimatedDays: zone.estimatedDays
+    }];
+  }
+
+  /**
+   * Zona ativa do CEP; com faixas sobrepostas, vale a mais específica
+   */
+  findZone(zipCode) {
+    const zones = (this.config.zones || []).filter(zone =>
+      zone.isActive !== false && inRanges(zipCode, zone.ranges)
+    );
+    if (zones.length === 0) return null;
+
+    const narrowest = zone => Math.min(...zone.ranges
+      .filter(range => inRanges(zipCode, [range]))
+      .map(rangeSize));
+    return zones.sort((a, b) => narrowest(a) - narrowest(b))[0];
+  }
+
+  /**
+   * Preço da zona para o peso (null quando passa da tabela sem preço por kg extra)
+   */
+  priceFor(zone, weight) {
+    if (zone.rateType !== 'weight') return zone.price || 0;
+
+    const rates = [...(zone.weightRates || [])].sort((a, b) => a.upTo - b.upTo);
+    const rate = rates.find(current => weight <= current.upTo);
+    if (rate) return rate.price;
+
+    const last = rates[rates.length - 1];
+    if (!last || !zone.extraKgPrice) return null;
+    return Math.round((last.price + Math.ceil(weight - last.upTo) * zone.extraKgPrice) * 100) / 100;
+  }
+}
+
+module.exports = ZoneCarrier;
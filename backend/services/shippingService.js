@@ -0,0 +1,263 @@
+const Product = require('../models/Product');
+const ZoneCarrier = require('./shipping/zoneCarrier');
+const { createCarrier } = require('./shipping');
+const { normalizeCep, formatCep, inRanges } = require('../utils/cep');
+
+const formatPrice = value => `R$ ${value.toFixed(2).replace('.', ',')}`;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Distância em km entre duas coordenadas (haversine)
+ */
+const distanceKm = (a, b) => {
+  const toRad = value => value * Math.PI / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+/**
+ * Cotação de frete pelas regras da loja (Store.shipping)
+ *
+ * Junta as opções de retirada na loja, entrega local (motoboy), zonas por
+ * faixa de CEP e transportadoras externas habilitadas. Com subtotal acima de
+ * freeShippingThreshold, a entrega mais barata sai grátis.
+ */
+class ShippingService {
+  /**
+   * Configuração de frete da loja
+   */
+  getConfig(store) {
+    return store.shipping || {};
+  }
+
+  /**
+   * Indica se a loja calcula frete
+   */
+  isEnabled(store) {
+    return Boolean(this.getConfig(store).enabled);
+  }
+
+  /**
+   * Cota o frete para o CEP
+   * @param {Object} request - { zipCode, location: { latitude, longitude }, items: [{ product, quantity }], subtotal }
+   *   sem items, cota um pacote com o peso padrão da loja
+   * @returns {Promise<{zipCode, weight, subtotal, requiresShipping, options: Array<{id, type, name, price, estimatedDays, free}>}>}
+   */
+  async quote(store, { zipCode, location = null, items = [], subtotal = null }) {
+    const cep = normalizeCep(zipCode);
+    if (!cep) {
+      const error = new Error('CEP inválido');
+      error.code = 'INVALID_ZIP_CODE';
+      throw error;
+    }
+
+    const config = this.getConfig(store);
+    const packages = this.buildPackages(config, items);
+    const weight = round(packages.reduce((total, pkg) => total + pkg.weight * pkg.quantity, 0));
+    const value = subtotal !== null
+      ? subtotal
+      : items.reduce((total, item) => total + item.product.priceFor(null) * (item.quantity || 1), 0);
+
+    const result = {
+      zipCode: cep,
+      weight,
+      subtotal: round(value),
+      requiresShipping: packages.length > 0,
+      options: []
+    };
+    // Só produtos digitais ou sem envio
+    if (!result.requiresShipping) return result;
+
+    const options = [
+      ...this.pickupOptions(config),
+      ...this.localDeliveryOptions(store, cep, location),
+      ...await this.carrierOptions(store, {
+        origin: { zipCode: normalizeCep(store.address && store.address.zipCode) },
+        destination: { zipCode: cep },
+        packages,
+        declaredValue: value
+      })
+    ];
+
+    // Frete grátis na entrega mais barata (retirada já é grátis)
+    const threshold = config.freeShippingThreshold;
+    if (threshold && value >= threshold) {
+      const cheapest = options
+        .filter(option => option.type !== 'pickup')
+        .sort((a, b) => a.price - b.price)[0];
+      if (cheapest) {
+        cheapest.price = 0;
+        cheapest.free = true;
+      }
+    }
+
+    result.options = options.sort((a, b) => a.price - b.price || a.estimatedDays - b.estimatedDays);
+    return result;
+  }
+
+  /**
+   * Pacotes dos itens que precisam de envio (peso padrão para produtos sem peso)
+   */
+  buildPackages(config, items) {
+    const defaultWeight = config.defaultWeight || 0.3;
+    if (items.length === 0) {
+      return [{ weight: defaultWeight, quantity: 1 }];
+    }
+
+    return items
+      .filter(item => item.product.requiresShipping !== false && !item.product.isDigital)
+      .map(item => ({
+        weight: item.product.weight || defaultWeight,
+        length: item.product.dimensions && item.product.dimensions.length,
+        width: item.product.dimensions && item.product.dimensions.width,
+        height: item.product.dimensions && item.product.dimensions.height,
+        quantity: item.quantity || 1
+      }));
+  }
+
+  /**
+   * Retirada na loja
+   */
+  pickupOptions(config) {
+    const pickup = config.pickup || {};
+    if (!pickup.enabled) return [];
+
+    return [{
+      id: 'pickup',
+      type: 'pickup',
+      name: 'Retirar na loja',
+      price: 0,
+      estimatedDays: pickup.readyInDays || 0,
+      free: true,
+      details: [pickup.address, pickup.instructions].filter(Boolean).join(' - ') || undefined
+    }];
+  }
+
+  /**
+   * Entrega local: CEP nas faixas configuradas ou dentro do raio
+   */
+  localDeliveryOptions(store, cep, location) {
+    const local = this.getConfig(store).localDelivery || {};
+    if (!local.enabled) return [];
+
+    const origin = store.address && store.address.location;
+    const hasCoordinates = location && origin && origin.latitude != null && origin.longitude != null;
+    const distance = hasCoordinates ? distanceKm(origin, location) : null;
+
+    const inRadius = distance !== null && local.radiusKm && distance <= local.radiusKm;
+    if (!inRadius && !inRanges(cep, local.ranges)) return [];
+
+    const price = (local.price || 0) + (distance !== null && local.pricePerKm ? distance * local.pricePerKm : 0);
+
+    return [{
+      id: 'local_delivery',
+      type: 'local_delivery',
+      name: local.name || 'Motoboy',
+      price: round(price),
+      estimatedDays: local.estimatedDays || 0,
+      free: false
+    }];
+  }
+
+  /**
+   * Zonas da loja e transportadoras externas habilitadas
+   */
+  async carrierOptions(store, shipment) {
+    const config = this.getConfig(store);
+    const handlingDays = config.handlingDays || 0;
+    const carriers = [new ZoneCarrier({ zones: config.zones || [] })];
+
+    for (const carrier of config.carriers || []) {
+      if (carrier.enabled === false) continue;
+      try {
+        carriers.push(createCarrier(carrier.provider, carrier.config));
+      } catch (error) {
+        console.error('Erro ao carregar transportadora:', error.message);
+      }
+    }
+
+    const options = [];
+    for (const carrier of carriers) {
+      try {
+        const services = await carrier.quote(shipment);
+        services.forEach(service => options.push({
+          id: `${carrier.name}:${service.service}`,
+          type: 'carrier',
+          carrier: carrier.name,
+          name: service.service,
+          price: round(service.price),
+          estimatedDays: (service.estimatedDays || 0) + handlingDays,
+          free: service.price === 0
+        }));
+      } catch (error) {
+        console.error(`Erro ao cotar frete (${carrier.name}):`, error.message);
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Cota o frete de itens informados por id ({ productId, quantity })
+   */
+  async quoteForItems(store, zipCode, requested = [], options = {}) {
+    const products = await Product.find({
+      _id: { $in: requested.map(item => item.productId) },
+      storeId: store._id
+    });
+    const byId = new Map(products.map(product => [String(product._id), product]));
+
+    const items = requested
+      .filter(item => byId.has(String(item.productId)))
+      .map(item => ({ product: byId.get(String(item.productId)), quantity: parseInt(item.quantity, 10) || 1 }));
+
+    return this.quote(store, { ...options, zipCode, items });
+  }
+
+  /**
+   * Descreve o prazo ("hoje", "até 5 dias úteis")
+   */
+  describeDays(option) {
+    if (option.type === 'pickup') {
+      return option.estimatedDays > 0 ? `pronto em até ${option.estimatedDays} dia(s) útil(eis)` : 'pronto hoje';
+    }
+    if (!option.estimatedDays) return 'entrega hoje';
+    return `até ${option.estimatedDays} dia(s) útil(eis)`;
+  }
+
+  /**
+   * Lista as opções em texto (para o cliente e para o prompt da IA)
+   */
+  formatOptions(quote) {
+    return quote.options.map(option => {
+      const price = option.free ? 'grátis' : formatPrice(option.price);
+      return `• ${option.name}: ${price} - ${this.describeDays(option)}`;
+    }).join('\n');
+  }
+
+  /**
+   * Resposta ao cliente com a cotação
+   */
+  formatReply(store, quote) {
+    const cep = formatCep(quote.zipCode);
+    if (!quote.requiresShipping) {
+      return 'Esses produtos não precisam de envio 😊';
+    }
+    if (quote.options.length === 0) {
+      return `Ainda não entregamos no CEP ${cep} 😔 Se quiser, posso chamar alguém da equipe para ver uma alternativa.`;
+    }
+
+    const threshold = this.getConfig(store).freeShippingThreshold;
+    const freeNotice = threshold && !quote.options.some(option => option.free && option.type !== 'pickup')
+      ? `\n\nFrete grátis nas compras a partir de ${formatPrice(threshold)} 😉`
+      : '';
+
+    return `🚚 *Frete para ${cep}*\n\n${this.formatOptions(quote)}${freeNotice}`;
+  }
+}
+
+module.exports = new ShippingService();
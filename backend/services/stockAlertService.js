@@ -0,0 +1,322 @@
+const Product = require('../models/Product');
+const StockAlert = require('../models/StockAlert');
+const Store = require('../models/Store');
+const NotificationService = require('./notificationService');
+const RealtimeService = require('./realtimeService');
+const WishlistService = require('./wishlistService');
+
+const CHECK_INTERVAL = parseInt(process.env.STOCK_ALERT_CHECK_MS, 10) || 15 * 60 * 1000;
+// Hora local da loja a partir da qual sai o resumo diário
+const DIGEST_HOUR = process.env.STOCK_DIGEST_HOUR !== undefined ? parseInt(process.env.STOCK_DIGEST_HOUR, 10) : 8;
+
+// Espera após uma movimentação para verificar o produto (depois da transação)
+const HOOK_DELAY = 2000;
+
+// Itens listados no resumo diário
+const DIGEST_LIMIT = 30;
+
+/**
+ * Alertas de estoque baixo e resumo diário de itens para repor
+ *
+ * Cada movimentação de estoque agenda a verificação do produto (schedule) e a
+ * verificação periódica cobre alterações feitas fora do livro-razão. Quando o
+ * disponível de um produto ou variação chega a lowStockThreshold, abre um
+ * StockAlert e avisa os usuários com a preferência lowStock ativa; o índice
+ * único de alertas abertos garante um aviso por cruzamento. Zerar o estoque
+ * avisa mais uma vez; voltar acima do limite resolve o alerta. Cada
+ * verificação também passa pelo WishlistService (aviso de volta ao estoque).
+ */
+class StockAlertService {
+  constructor() {
+    this.timer = null;
+    this.pending = new Set();
+    this.flushTimer = null;
+  }
+
+  /**
+   * Inicia a verificação periódica e o resumo diário
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), CHECK_INTERVAL);
+  }
+
+  /**
+   * Para a verificação periódica
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Verificação periódica seguida do resumo diário
+   */
+  async tick() {
+    await this.sweep();
+    await this.sendDigests();
+  }
+
+  /**
+   * Agenda a verificação do produto após uma movimentação de estoque
+   */
+  schedule(productId) {
+    this.pending.add(String(productId));
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => this.flush(), HOOK_DELAY);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  /**
+   * Verifica os produtos agendados
+   */
+  async flush() {
+    this.flushTimer = null;
+    const productIds = [...this.pending];
+    this.pending.clear();
+
+    for (const productId of productIds) {
+      try {
+        await this.checkProduct(productId);
+      } catch (error) {
+        console.error('Erro ao verificar estoque baixo:', error);
+      }
+    }
+  }
+
+  /**
+   * Verifica todos os produtos com controle de estoque
+   */
+  async sweep() {
+    try {
+      const checked = new Set();
+      const cursor = Product.find({ 'inventory.trackQuantity': true, isActive: true })
+        .select('name sku inventory variants storeId isActive')
+        .cursor();
+
+      for await (const product of cursor) {
+        checked.add(String(product._id));
+        await this.checkProduct(product);
+      }
+
+      // Produtos removidos, desativados ou sem controle de estoque
+      const open = await StockAlert.distinct('productId', { status: 'open' });
+      for (const productId of open) {
+        if (!checked.has(String(productId))) await this.checkProduct(productId);
+      }
+    } catch (error) {
+      console.error('Erro ao verificar estoque baixo:', error);
+    }
+  }
+
+  /**
+   * Abre ou resolve os alertas do produto e de suas variações
+   * @param {Product|string} productOrId
+   */
+  async checkProduct(productOrId) {
+    const product = productOrId instanceof Product
+      ? productOrId
+      : await Product.findById(productOrId).select('name sku inventory variants storeId isActive');
+
+    if (!product || !product.isActive || !product.inventory.trackQuantity || product.inventory.allowBackorder) {
+      const productId = product ? product._id : productOrId;
+      const alerts = await StockAlert.find({ productId, status: 'open' });
+      for (const alert of alerts) await this.resolve(alert);
+      return;
+    }
+
+    // Esgotou ou voltou ao estoque (avisos da lista de desejos)
+    await WishlistService.checkStock(product);
+
+    const targets = product.variants.length > 0 ? product.variants : [null];
+    for (const variant of targets) {
+      await this.evaluate(product, variant);
+    }
+  }
+
+  /**
+   * Compara o disponível com o limite e abre, eleva ou resolve o alerta
+   */
+  async evaluate(product, variant) {
+    const variantId = variant ? String(variant._id) : null;
+    const key = { storeId: product.storeId, productId: product._id, variantId, status: 'open' };
+
+    const available = product.availableOf(variant);
+    const threshold = variant ? variant.inventory.lowStockThreshold : product.inventory.lowStockThreshold;
+    const inactive = variant && variant.isActive === false;
+    const level = inactive ? null : available <= 0 ? 'out_of_stock' : available <= threshold ? 'low_stock' : null;
+
+    const current = await StockAlert.findOne(key);
+
+    if (!level) {
+      if (current) await this.resolve(current, available);
+      return;
+    }
+
+    if (!current) {
+      let alert;
+      try {
+        alert = await StockAlert.create({
+          ...key,
+          name: variant ? `${product.name} (${variant.label})` : product.name,
+          sku: (variant && variant.sku) || product.sku,
+          level,
+          available,
+          threshold,
+          outOfStockAt: level === 'out_of_stock' ? new Date() : undefined
+        });
+      } catch (error) {
+        // Outra verificação abriu o mesmo alerta ao mesmo tempo
+        if (error.code === 11000) return;
+        throw error;
+      }
+      await this.notifyAlert(alert);
+      return;
+    }
+
+    // Estava baixo e zerou: segundo aviso, uma única vez
+    if (level === 'out_of_stock' && current.level === 'low_stock') {
+      const escalated = await StockAlert.findOneAndUpdate(
+        { _id: current._id, level: 'low_stock' },
+        { level, available, threshold, outOfStockAt: new Date() },
+        { new: true }
+      );
+      if (escalated) await this.notifyAlert(escalated);
+      return;
+    }
+
+    if (current.available !== available || current.threshold !== threshold) {
+      await StockAlert.updateOne({ _id: current._id }, { available, threshold });
+    }
+  }
+
+  /**
+   * Resolve o alerta (estoque reposto, item desativado ou removido)
+   */
+  async resolve(alert, available = null) {
+    const resolved = await StockAlert.findOneAndUpdate(
+      { _id: alert._id, status: 'open' },
+      { status: 'resolved', resolvedAt: new Date(), ...(available !== null ? { available } : {}) },
+      { new: true }
+    );
+    if (resolved) this.publish(resolved);
+  }
+
+  /**
+   * Avisa os usuários da loja sobre o alerta
+   */
+  async notifyAlert(alert) {
+    const title = alert.level === 'out_of_stock'
+      ? `Esgotado: ${alert.name}`
+      : `Estoque baixo: ${alert.name}`;
+    const message = alert.level === 'out_of_stock'
+      ? 'Sem unidades disponíveis para venda.'
+      : `Restam ${alert.available} unidade(s) (mínimo ${alert.threshold}).`;
+
+    await NotificationService.notifyUsers(alert.storeId, {
+      type: 'low_stock',
+      title,
+      message: alert.sku ? `${message} SKU ${alert.sku}.` : message,
+      data: { alertId: alert._id, productId: alert.productId, variantId: alert.variantId }
+    }, { setting: 'lowStock' });
+
+    await StockAlert.updateOne({ _id: alert._id }, { notifiedAt: new Date() });
+    this.publish(alert);
+  }
+
+  /**
+   * Publica a mudança do alerta para o painel
+   */
+  publish(alert) {
+    RealtimeService.emitToStore(alert.storeId, 'stock-alert', {
+      alertId: alert._id,
+      productId: alert.productId,
+      variantId: alert.variantId,
+      name: alert.name,
+      level: alert.level,
+      status: alert.status,
+      available: alert.available,
+      threshold: alert.threshold
+    });
+  }
+
+  /**
+   * Envia o resumo diário às lojas com alertas abertos
+   */
+  async sendDigests(now = new Date()) {
+    try {
+      const storeIds = await StockAlert.distinct('storeId', { status: 'open' });
+      for (const storeId of storeIds) {
+        const store = await Store.findById(storeId).select('name businessHours.timezone notifications');
+        if (!store || !this.isDigestDue(store, now)) continue;
+
+        // Marca antes de enviar para não repetir se o envio demorar
+        const claimed = await Store.findOneAndUpdate(
+          {
+            _id: store._id,
+            'notifications.stockDigestAt': store.notifications && store.notifications.stockDigestAt
+              ? store.notifications.stockDigestAt
+              : null
+          },
+          { 'notifications.stockDigestAt': now }
+        );
+        if (claimed) await this.sendDigest(store._id);
+      }
+    } catch (error) {
+      console.error('Erro ao enviar resumo de estoque:', error);
+    }
+  }
+
+  /**
+   * Indica se já passou da hora do resumo no dia local da loja e ele ainda não saiu
+   */
+  isDigestDue(store, now) {
+    const timezone = (store.businessHours && store.businessHours.timezone) || 'America/Sao_Paulo';
+    const local = (date) => {
+      const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23'
+      }).formatToParts(date);
+      const get = (type) => parts.find(part => part.type === type).value;
+      return { day: `${get('year')}-${get('month')}-${get('day')}`, hour: parseInt(get('hour'), 10) };
+    };
+
+    const today = local(now);
+    if (today.hour < DIGEST_HOUR) return false;
+
+    const last = store.notifications && store.notifications.stockDigestAt;
+    return !last || local(last).day !== today.day;
+  }
+
+  /**
+   * Monta e envia o resumo de itens para repor da loja
+   */
+  async sendDigest(storeId) {
+    const alerts = await StockAlert.find({ storeId, status: 'open' })
+      .sort({ level: -1, available: 1, name: 1 });
+    if (alerts.length === 0) return null;
+
+    const lines = alerts.slice(0, DIGEST_LIMIT).map(alert => alert.level === 'out_of_stock'
+      ? `• ${alert.name}: esgotado`
+      : `• ${alert.name}: ${alert.available} (mínimo ${alert.threshold})`);
+    if (alerts.length > DIGEST_LIMIT) {
+      lines.push(`…e mais ${alerts.length - DIGEST_LIMIT} item(ns) no painel`);
+    }
+
+    const outOfStock = alerts.filter(alert => alert.level === 'out_of_stock').length;
+    return NotificationService.notifyUsers(storeId, {
+      type: 'stock_digest',
+      title: `Itens para repor: ${alerts.length}`,
+      message: `${outOfStock} esgotado(s), ${alerts.length - outOfStock} com estoque baixo\n\n${lines.join('\n')}`,
+      data: { alertIds: alerts.map(alert => alert._id) }
+    }, { setting: 'lowStock' });
+  }
+}
+
+module.exports = new StockAlertService();
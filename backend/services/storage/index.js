@@ -0,0 +1,23 @@
+const LocalStorage = require('./localStorage');
+
+// Drivers disponíveis (STORAGE_DRIVER)
+const DRIVERS = {
+  local: LocalStorage
+};
+
+/**
+ * Cria o armazenamento configurado
+ * Todo driver expõe save, read, createReadStream, exists e remove
+ */
+function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+  const Storage = DRIVERS[driver];
+  if (!Storage) {
+    throw new Error(`Driver de armazenamento desconhecido: ${driver}`);
+  }
+  return new Storage();
+}
+
+module.exports = {
+  createStorage,
+  storage: createStorage()
+};
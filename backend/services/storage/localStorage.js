@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Armazenamento em disco local (padrão)
+ * As chaves são caminhos relativos ao diretório raiz (ex: media/<loja>/<arquivo>)
+ */
+class LocalStorage {
+  constructor(root) {
+    this.root = path.resolve(root || process.env.UPLOAD_PATH || './uploads');
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  /**
+   * Caminho absoluto da chave, sem permitir sair do diretório raiz
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Chave de armazenamento inválida: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Salva o conteúdo na chave informada
+   * @returns {Promise<{key: string, size: number}>}
+   */
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * Lê o conteúdo completo da chave
+   */
+  async read(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  /**
+   * Abre um stream de leitura da chave
+   */
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  /**
+   * Verifica se a chave existe
+   */
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove a chave (ignora se já não existir)
+   */
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalStorage;
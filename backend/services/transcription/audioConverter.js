@@ -0,0 +1,49 @@
+const { spawn } = require('child_process');
+
+const CONVERT_TIMEOUT = 60 * 1000;
+
+/**
+ * Converte qualquer áudio suportado pelo ffmpeg (ogg/opus das mensagens de voz,
+ * mp3, m4a...) para WAV PCM 16 kHz mono
+ */
+function toWav(buffer, { ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg' } = {}) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', 'pipe:0',
+      '-ar', '16000',
+      '-ac', '1',
+      '-c:a', 'pcm_s16le',
+      '-f', 'wav',
+      'pipe:1'
+    ]);
+
+    const chunks = [];
+    let stderr = '';
+
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+      reject(new Error('Tempo esgotado ao converter áudio'));
+    }, CONVERT_TIMEOUT);
+
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+    ffmpeg.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Não foi possível executar o ffmpeg: ${error.message}`));
+    });
+    ffmpeg.on('close', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        return reject(new Error(`ffmpeg terminou com código ${code}: ${stderr.trim()}`));
+      }
+      resolve(Buffer.concat(chunks));
+    });
+
+    // O ffmpeg pode encerrar antes de ler toda a entrada (ex: formato inválido)
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.stdin.end(buffer);
+  });
+}
+
+module.exports = { toWav };
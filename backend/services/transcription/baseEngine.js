@@ -0,0 +1,37 @@
+/**
+ * Interface base dos motores de transcrição (speech-to-text)
+ *
+ * Todo motor implementa transcribe(buffer, { mimeType, language }) e devolve
+ * { text, language, confidence }, com confidence entre 0 e 1 (ou null quando
+ * o motor não informa). Áudios em formatos fora de acceptedMimeTypes são
+ * convertidos para WAV 16 kHz mono antes da transcrição.
+ */
+class BaseEngine {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Nome do motor (igual ao valor de TRANSCRIPTION_ENGINE)
+   */
+  get name() {
+    return 'base';
+  }
+
+  /**
+   * Formatos aceitos sem conversão
+   */
+  get acceptedMimeTypes() {
+    return ['audio/wav'];
+  }
+
+  /**
+   * Transcreve o áudio
+   * @returns {Promise<{text: string, language: string, confidence: number|null}>}
+   */
+  async transcribe(buffer, options = {}) {
+    throw new Error(`Motor ${this.name} não implementa transcribe`);
+  }
+}
+
+module.exports = BaseEngine;
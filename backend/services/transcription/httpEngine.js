@@ -0,0 +1,76 @@
+const axios = require('axios');
+const BaseEngine = require('./baseEngine');
+
+// Nomes de idioma devolvidos pela API (verbose_json) para códigos ISO 639-1
+const LANGUAGE_CODES = {
+  portuguese: 'pt',
+  english: 'en',
+  spanish: 'es'
+};
+
+/**
+ * Motor HTTP compatível com a API de transcrição da OpenAI
+ * (POST /audio/transcriptions). Serve para a OpenAI, para o
+ * faster-whisper-server e para outros servidores compatíveis.
+ */
+class HttpEngine extends BaseEngine {
+  constructor(config = {}) {
+    super({
+      baseUrl: process.env.TRANSCRIPTION_API_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.TRANSCRIPTION_API_KEY || process.env.OPENAI_API_KEY,
+      model: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+      ...config
+    });
+
+    this.http = axios.create({
+      baseURL: this.config.baseUrl,
+      timeout: 2 * 60 * 1000,
+      headers: this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {}
+    });
+  }
+
+  get name() {
+    return 'http';
+  }
+
+  get acceptedMimeTypes() {
+    return ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/wav', 'video/webm'];
+  }
+
+  async transcribe(buffer, options = {}) {
+    const mimeType = options.mimeType || 'audio/wav';
+    const extension = mimeType.split('/')[1] === 'mpeg' ? 'mp3' : mimeType.split('/')[1];
+
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: mimeType }), `audio.${extension}`);
+    form.append('model', this.config.model);
+    form.append('response_format', 'verbose_json');
+    if (options.language) {
+      form.append('language', options.language);
+    }
+
+    const { data } = await this.http.post('/audio/transcriptions', form);
+    return this.parseResponse(data);
+  }
+
+  /**
+   * Confiança estimada pela média de exp(avg_logprob) dos segmentos
+   */
+  parseResponse(data) {
+    const segments = data.segments || [];
+    const scores = segments
+      .filter(segment => typeof segment.avg_logprob === 'number')
+      .map(segment => Math.exp(segment.avg_logprob));
+    const language = data.language ? String(data.language).toLowerCase() : undefined;
+
+    return {
+      text: (data.text || '').trim(),
+      language: LANGUAGE_CODES[language] || language,
+      confidence: scores.length > 0
+        ? scores.reduce((sum, score) => sum + score, 0) / scores.length
+        : null
+    };
+  }
+}
+
+module.exports = HttpEngine;
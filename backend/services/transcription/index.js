@@ -0,0 +1,24 @@
+const WhisperCppEngine = require('./whisperCppEngine');
+const HttpEngine = require('./httpEngine');
+
+// Motores disponíveis (TRANSCRIPTION_ENGINE)
+const ENGINES = {
+  whisper_cpp: WhisperCppEngine,
+  http: HttpEngine
+};
+
+/**
+ * Cria o motor de transcrição configurado
+ */
+function createEngine(name = process.env.TRANSCRIPTION_ENGINE || 'whisper_cpp', config = {}) {
+  const Engine = ENGINES[name];
+  if (!Engine) {
+    throw new Error(`Motor de transcrição desconhecido: ${name}`);
+  }
+  return new Engine(config);
+}
+
+module.exports = {
+  createEngine,
+  engineNames: Object.keys(ENGINES)
+};
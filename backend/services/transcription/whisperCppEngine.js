@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const BaseEngine = require('./baseEngine');
+
+const TRANSCRIBE_TIMEOUT = 2 * 60 * 1000;
+
+/**
+ * Motor offline baseado no whisper.cpp (binário e modelo em disco)
+ * WHISPER_CPP_BIN aponta para o executável (main/whisper-cli) e
+ * WHISPER_MODEL_PATH para o modelo ggml (ex: ggml-base.bin)
+ */
+class WhisperCppEngine extends BaseEngine {
+  constructor(config = {}) {
+    super({
+      bin: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+      modelPath: process.env.WHISPER_MODEL_PATH,
+      threads: parseInt(process.env.WHISPER_THREADS, 10) || 2,
+      ...config
+    });
+  }
+
+  get name() {
+    return 'whisper_cpp';
+  }
+
+  async transcribe(buffer, options = {}) {
+    if (!this.config.modelPath) {
+      throw new Error('whisper.cpp: WHISPER_MODEL_PATH não configurado');
+    }
+
+    const base = path.join(os.tmpdir(), `whisper-${crypto.randomBytes(8).toString('hex')}`);
+    const inputPath = `${base}.wav`;
+    const outputPath = `${base}.json`;
+
+    try {
+      await fs.promises.writeFile(inputPath, buffer);
+      await this.run([
+        '-m', this.config.modelPath,
+        '-f', inputPath,
+        '-l', options.language || 'auto',
+        '-t', String(this.config.threads),
+        '-nt',
+        '-ojf',
+        '-of', base
+      ]);
+
+      const output = JSON.parse(await fs.promises.readFile(outputPath, 'utf8'));
+      return this.parseOutput(output);
+    } finally {
+      await Promise.all([inputPath, outputPath].map(file =>
+        fs.promises.unlink(file).catch(() => {})
+      ));
+    }
+  }
+
+  run(args) {
+    return new Promise((resolve, reject) => {
+      execFile(this.config.bin, args, { timeout: TRANSCRIBE_TIMEOUT }, (error, stdout, stderr) => {
+        if (error) {
+          return reject(new Error(`whisper.cpp falhou: ${(stderr || error.message).trim()}`));
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  /**
+   * Lê o JSON completo do whisper.cpp (-ojf): texto dos segmentos e
+   * probabilidade média dos tokens como confiança
+   */
+  parseOutput(output) {
+    const segments = output.transcription || [];
+    const probabilities = [];
+
+    for (const segment of segments) {
+      for (const token of segment.tokens || []) {
+        // Tokens especiais ([_BEG_], [_TT_...]) não entram na média
+        if (typeof token.p === 'number' && !/^\[_/.test(token.text || '')) {
+          probabilities.push(token.p);
+        }
+      }
+    }
+
+    return {
+      text: segments.map(segment => segment.text).join(' ').replace(/\s+/g, ' ').trim(),
+      language: output.result && output.result.language,
+      confidence: probabilities.length > 0
+        ? probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length
+        : null
+    };
+  }
+}
+
+module.exports = WhisperCppEngine;
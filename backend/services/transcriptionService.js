@@ -0,0 +1,64 @@
+const { createEngine } = require('./transcription');
+const { toWav } = require('./transcription/audioConverter');
+
+const MIN_CONFIDENCE = parseFloat(process.env.TRANSCRIPTION_MIN_CONFIDENCE) || 0.4;
+
+/**
+ * Transcrição das mensagens de voz
+ * Converte o áudio quando o motor exige outro formato e classifica o resultado
+ */
+class TranscriptionService {
+  constructor() {
+    this.engine = null;
+  }
+
+  /**
+   * Motor configurado (criado na primeira transcrição)
+   */
+  getEngine() {
+    if (!this.engine) {
+      this.engine = createEngine();
+    }
+    return this.engine;
+  }
+
+  /**
+   * Transcreve o áudio de uma mensagem
+   * @returns {Promise<{text, language, confidence, engine, status}>}
+   *   status: 'completed', 'low_confidence' ou 'failed'
+   */
+  async transcribe(buffer, mimeType) {
+    let engineName = null;
+
+    try {
+      const engine = this.getEngine();
+      engineName = engine.name;
+
+      let audio = buffer;
+      let audioType = (mimeType || '').split(';')[0];
+      if (!engine.acceptedMimeTypes.includes(audioType)) {
+        audio = await toWav(buffer);
+        audioType = 'audio/wav';
+      }
+
+      const result = await engine.transcribe(audio, {
+        mimeType: audioType,
+        language: process.env.TRANSCRIPTION_LANGUAGE || 'pt'
+      });
+
+      let status = 'completed';
+      if (!result.text) {
+        status = 'failed';
+      } else if (result.confidence !== null && result.confidence < MIN_CONFIDENCE) {
+        status = 'low_confidence';
+      }
+
+      return { ...result, engine: engineName, status };
+    } catch (error) {
+      console.error('Erro ao transcrever áudio:', error.message);
+      return { text: null, language: null, confidence: null, engine: engineName, status: 'failed' };
+    }
+  }
+}
+
+module.exports = new TranscriptionService();
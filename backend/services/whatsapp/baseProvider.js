@@ -0,0 +1,183 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+
+/**
+ * Interface base dos provedores de transporte do WhatsApp
+ *
+ * Todo provedor expõe connect, disconnect, sendMessage e getStatus, e emite
+ * os eventos 'qr', 'authenticated', 'auth_failure', 'ready', 'disconnected',
+ * 'message' e 'status'. Provedores baseados em webhook convertem o payload
+ * recebido com parseWebhook.
+ *
+ * Mensagens recebidas são normalizadas no formato:
+ * { id, from, to, fromMe, isGroup, pushName, type, text, media, location, reply, timestamp, raw }
+ * (reply: { id, title } quando o cliente toca em um botão ou item de lista;
+ * to: contato da conversa nas mensagens fromMe, enviadas pelo celular da loja)
+ *
+ * Mídias recebidas (media: { id|url, mimeType, fileName, fileSize, duration, caption })
+ * são baixadas com downloadMedia. Na saída, mediaUrl pode ser um link ou um
+ * data URL em base64 (ex: QR Code gerado pelo servidor).
+ *
+ * Recibos de entrega/leitura são normalizados no formato:
+ * { id, eventId, status: 'sent'|'delivered'|'read'|'failed', timestamp, error }
+ */
+class BaseProvider extends EventEmitter {
+  constructor(storeId, config = {}) {
+    super();
+    this.storeId = String(storeId);
+    this.config = config;
+  }
+
+  /**
+   * Nome do provedor (igual ao valor salvo em Store.whatsapp.provider)
+   */
+  get name() {
+    return 'base';
+  }
+
+  /**
+   * Indica se o provedor recebe mensagens pelo webhook da API
+   */
+  get usesWebhook() {
+    return false;
+  }
+
+  /**
+   * Indica se a conexão depende de pareamento por QR Code
+   */
+  get requiresPairing() {
+    return false;
+  }
+
+  /**
+   * Indica se o provedor envia a mensagem interativa (botões/lista) de forma nativa
+   * Sem suporte, o envio usa o texto numerado de utils/interactive
+   */
+  supportsInteractive(interactive) {
+    return false;
+  }
+
+  /**
+   * Indica se há sessão salva para reconectar sem novo pareamento
+   */
+  hasSavedSession() {
+    return true;
+  }
+
+  /**
+   * Inicia a conexão com o provedor
+   */
+  async connect() {
+    throw new Error(`Provedor ${this.name} não implementa connect`);
+  }
+
+  /**
+   * Encerra a conexão com o provedor
+   */
+  async disconnect() {
+    this.removeAllListeners();
+  }
+
+  /**
+   * Envia mensagem
+   * @param {string} to - Telefone do destinatário (apenas dígitos)
+   * @param {Object} payload - { text, mediaUrl, interactive } (mediaUrl: link ou data URL)
+   * @returns {Promise<{id: string, timestamp: Date}>}
+   */
+  async sendMessage(to, payload) {
+    throw new Error(`Provedor ${this.name} não implementa sendMessage`);
+  }
+
+  /**
+   * Obtém status da conexão: 'connected', 'connecting', 'disconnected' ou 'error'
+   */
+  async getStatus() {
+    return 'disconnected';
+  }
+
+  /**
+   * Converte o corpo de um webhook em eventos normalizados
+   * @returns {Array<{event: string, data: Object}>}
+   */
+  parseWebhook(body) {
+    return [];
+  }
+
+  /**
+   * Baixa a mídia de uma mensagem recebida
+   * @param {Object} message - Mensagem normalizada
+   * @param {Object} options - { maxBytes }
+   * @returns {Promise<{buffer: Buffer, mimeType: string, fileName: string}>}
+   */
+  async downloadMedia(message, options = {}) {
+    const media = message.media || {};
+    if (!media.url) {
+      throw new Error(`Provedor ${this.name} não implementa downloadMedia`);
+    }
+
+    const buffer = await this.downloadUrl(media.url, options);
+    return { buffer, mimeType: media.mimeType, fileName: media.fileName };
+  }
+
+  /**
+   * Baixa um arquivo respeitando o tamanho máximo
+   */
+  async downloadUrl(url, { maxBytes, headers = {} } = {}) {
+    try {
+      const response = await axios.get(url, {
+        headers,
+        responseType: 'arraybuffer',
+        timeout: 60000,
+        maxContentLength: maxBytes || -1
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (/maxContentLength/.test(error.message)) {
+        throw this.mediaTooLarge(maxBytes);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Separa um data URL em tipo e conteúdo base64 (null para links comuns)
+   * @returns {{mimeType: string, data: string}|null}
+   */
+  parseDataUrl(url) {
+    const match = /^data:([\w.+-]+\/[\w.+-]+);base64,(.+)$/.exec(url || '');
+    return match ? { mimeType: match[1], data: match[2] } : null;
+  }
+
+  /**
+   * Erro padrão para mídias acima do limite
+   */
+  mediaTooLarge(maxBytes) {
+    const error = new Error(`Mídia excede o limite de ${maxBytes} bytes`);
+    error.code = 'MEDIA_TOO_LARGE';
+    return error;
+  }
+
+  /**
+   * Monta um recibo normalizado (eventId distingue os recibos de uma mesma mensagem)
+   */
+  buildStatus(id, status, timestamp = new Date(), error = null) {
+    return {
+      id,
+      eventId: `${id}:${status}`,
+      status,
+      timestamp,
+      error
+    };
+  }
+
+  /**
+   * Remove sufixos do WhatsApp e caracteres não numéricos do telefone
+   */
+  normalizePhone(value) {
+    return String(value || '')
+      .replace(/@.*$/, '')
+      .replace(/\D/g, '');
+  }
+}
+
+module.exports = BaseProvider;
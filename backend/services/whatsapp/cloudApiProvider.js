@@ -0,0 +1,265 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const { extensionFor } = require('../../utils/mime');
+
+const MEDIA_TYPES = ['image', 'audio', 'video', 'document', 'sticker'];
+
+// Limites das mensagens interativas da Cloud API
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+
+const truncate = (value, length) => (value && value.length > length ? `${value.slice(0, length - 1)}…` : value);
+
+/**
+ * Provedor da API oficial do WhatsApp (Cloud API da Meta)
+ */
+class CloudApiProvider extends BaseProvider {
+  constructor(storeId, config = {}) {
+    super(storeId, config);
+    this.connected = false;
+    this.http = axios.create({
+      baseURL: `https://graph.facebook.com/${config.apiVersion || 'v18.0'}`,
+      timeout: 15000,
+      headers: {
+        Authorization: `Bearer ${config.accessToken}`
+      }
+    });
+  }
+
+  get name() {
+    return 'cloud_api';
+  }
+
+  get usesWebhook() {
+    return true;
+  }
+
+  async connect() {
+    if (!this.config.phoneNumberId || !this.config.accessToken) {
+      throw new Error('Cloud API: phoneNumberId e accessToken são obrigatórios');
+    }
+
+    this.connected = true;
+    this.emit('ready');
+  }
+
+  async disconnect() {
+    this.connected = false;
+    this.emit('disconnected', 'manual');
+    await super.disconnect();
+  }
+
+  supportsInteractive(interactive) {
+    if (interactive.type === 'button') return interactive.buttons.length <= MAX_BUTTONS;
+    if (interactive.type === 'list') return interactive.listItems.length <= MAX_LIST_ROWS;
+    return false;
+  }
+
+  async sendMessage(to, payload) {
+    const body = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to
+    };
+
+    if (payload.interactive) {
+      body.type = 'interactive';
+      body.interactive = this.buildInteractive(payload.text, payload.interactive);
+    } else if (payload.mediaUrl) {
+      const mediaType = payload.mediaType || 'image';
+      body.type = mediaType;
+      // Data URL precisa ser enviado antes para a Cloud API
+      const inline = this.parseDataUrl(payload.mediaUrl);
+      body[mediaType] = inline
+        ? { id: await this.uploadMedia(Buffer.from(inline.data, 'base64'), inline.mimeType) }
+        : { link: payload.mediaUrl };
+      if (payload.text && mediaType !== 'audio' && mediaType !== 'sticker') {
+        body[mediaType].caption = payload.text;
+      }
+    } else {
+      body.type = 'text';
+      body.text = { body: payload.text, preview_url: true };
+    }
+
+    const { data } = await this.http.post(`/${this.config.phoneNumberId}/messages`, body);
+
+    return {
+      id: data.messages[0].id,
+      timestamp: new Date()
+    };
+  }
+
+  /**
+   * Monta o objeto interactive da Cloud API (reply buttons ou list)
+   */
+  buildInteractive(text, interactive) {
+    const body = { text: text || 'Escolha uma opção:' };
+
+    if (interactive.type === 'button') {
+      return {
+        type: 'button',
+        body,
+        action: {
+          buttons: interactive.buttons.map(button => ({
+            type: 'reply',
+            reply: { id: button.id, title: truncate(button.title, 20) }
+          }))
+        }
+      };
+    }
+
+    return {
+      type: 'list',
+      body,
+      action: {
+        button: truncate(interactive.buttonText, 20),
+        sections: [{
+          rows: interactive.listItems.map(item => ({
+            id: item.id,
+            title: truncate(item.title, 24),
+            description: truncate(item.description, 72)
+          }))
+        }]
+      }
+    };
+  }
+
+  async getStatus() {
+    return this.connected ? 'connected' : 'disconnected';
+  }
+
+  async downloadMedia(message, options = {}) {
+    const { maxBytes } = options;
+
+    // A URL da mídia é obtida pelo id e expira em poucos minutos
+    const { data } = await this.http.get(`/${message.media.id}`);
+    if (maxBytes && Number(data.file_size) > maxBytes) {
+      throw this.mediaTooLarge(maxBytes);
+    }
+
+    const buffer = await this.downloadUrl(data.url, {
+      maxBytes,
+      headers: { Authorization: `Bearer ${this.config.accessToken}` }
+    });
+
+    return { buffer, mimeType: data.mime_type, fileName: message.media.fileName };
+  }
+
+  /**
+   * Envia um arquivo para a Cloud API e retorna o id da mídia
+   */
+  async uploadMedia(buffer, mimeType) {
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimeType);
+    form.append('file', new Blob([buffer], { type: mimeType }), `arquivo.${extensionFor(mimeType)}`);
+
+    const { data } = await this.http.post(`/${this.config.phoneNumberId}/media`, form);
+    return data.id;
+  }
+
+  /**
+   * Responde ao desafio de verificação do webhook (GET hub.challenge)
+   * @returns {string|null} challenge quando o token confere
+   */
+  verifyChallenge(query) {
+    if (query['hub.mode'] === 'subscribe' &&
+        this.config.verifyToken &&
+        query['hub.verify_token'] === this.config.verifyToken) {
+      return query['hub.challenge'];
+    }
+    return null;
+  }
+
+  parseWebhook(body) {
+    const events = [];
+    if (!body || body.object !== 'whatsapp_business_account') return events;
+
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        const names = {};
+
+        for (const contact of value.contacts || []) {
+          names[contact.wa_id] = contact.profile && contact.profile.name;
+        }
+
+        for (const message of value.messages || []) {
+          events.push({
+            event: 'message',
+            data: this.normalizeMessage(message, names[message.from])
+          });
+        }
+
+        for (const status of value.statuses || []) {
+          const error = status.errors && status.errors.length > 0
+            ? { code: String(status.errors[0].code), message: status.errors[0].title, details: status.errors }
+            : null;
+          events.push({
+            event: 'status',
+            data: this.buildStatus(status.id, status.status, new Date(Number(status.timestamp) * 1000), error)
+          });
+        }
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Converte mensagem da Cloud API para o formato normalizado
+   */
+  normalizeMessage(message, pushName) {
+    const normalized = {
+      id: message.id,
+      from: this.normalizePhone(message.from),
+      fromMe: false,
+      isGroup: false,
+      pushName,
+      type: 'text',
+      text: '',
+      media: null,
+      location: null,
+      reply: null,
+      timestamp: new Date(Number(message.timestamp) * 1000),
+      raw: message
+    };
+
+    if (message.type === 'text') {
+      normalized.text = message.text.body;
+    } else if (MEDIA_TYPES.includes(message.type)) {
+      const media = message[message.type];
+      normalized.type = message.type;
+      normalized.text = media.caption || '';
+      normalized.media = {
+        id: media.id,
+        mimeType: media.mime_type,
+        fileName: media.filename,
+        caption: media.caption
+      };
+    } else if (message.type === 'location') {
+      normalized.type = 'location';
+      normalized.location = {
+        latitude: message.location.latitude,
+        longitude: message.location.longitude,
+        address: message.location.address || message.location.name
+      };
+    } else if (message.type === 'contacts') {
+      normalized.type = 'contact';
+    } else if (message.type === 'button') {
+      // Resposta rápida de template
+      normalized.type = 'interactive';
+      normalized.text = message.button.text;
+      normalized.reply = { id: message.button.payload, title: message.button.text };
+    } else if (message.type === 'interactive') {
+      normalized.type = 'interactive';
+      const reply = message.interactive.button_reply || message.interactive.list_reply || {};
+      normalized.text = reply.title || '';
+      normalized.reply = { id: reply.id, title: reply.title };
+    }
+
+    return normalized;
+  }
+}
+
+module.exports = CloudApiProvider;
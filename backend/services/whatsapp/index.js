@@ -0,0 +1,38 @@
+const CloudApiProvider = require('./cloudApiProvider');
+const ZApiProvider = require('./zapiProvider');
+const MemoryProvider = require('./memoryProvider');
+
+const PROVIDERS = {
+  webjs: () => require('./webjsProvider'),
+  cloud_api: () => CloudApiProvider,
+  zapi: () => ZApiProvider,
+  memory: () => MemoryProvider
+};
+
+/**
+ * Cria o provedor de transporte configurado em Store.whatsapp.provider
+ */
+function createProvider(store) {
+  const data = typeof store.toObject === 'function' ? store.toObject() : store;
+  const whatsapp = data.whatsapp || {};
+  const name = whatsapp.provider || 'webjs';
+  const loadProvider = PROVIDERS[name];
+
+  if (!loadProvider) {
+    throw new Error(`Provedor de WhatsApp desconhecido: ${name}`);
+  }
+
+  const configs = {
+    cloud_api: whatsapp.cloudApi,
+    zapi: whatsapp.zapi
+  };
+  const config = configs[name] || {};
+
+  const Provider = loadProvider();
+  return new Provider(store._id, config);
+}
+
+module.exports = {
+  createProvider,
+  providerNames: Object.keys(PROVIDERS)
+};
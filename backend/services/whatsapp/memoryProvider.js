@@ -0,0 +1,137 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Provedor em memória para testes e homologação
+ * Não fala com o WhatsApp: guarda as mensagens enviadas em `sent`
+ * e aceita mensagens simuladas pelo webhook ou por simulateIncoming
+ */
+class MemoryProvider extends BaseProvider {
+  constructor(storeId, config = {}) {
+    super(storeId, config);
+    this.sent = [];
+    this.status = 'disconnected';
+    this.counter = 0;
+  }
+
+  get name() {
+    return 'memory';
+  }
+
+  get usesWebhook() {
+    return true;
+  }
+
+  async connect() {
+    this.status = 'connected';
+    this.emit('ready');
+  }
+
+  async disconnect() {
+    this.status = 'disconnected';
+    this.emit('disconnected', 'manual');
+    await super.disconnect();
+  }
+
+  /**
+   * Botões/listas nativos só quando configurado ({ interactive: true })
+   */
+  supportsInteractive(interactive) {
+    return Boolean(this.config.interactive);
+  }
+
+  async sendMessage(to, payload) {
+    if (this.status !== 'connected') {
+      throw new Error('Provedor em memória desconectado');
+    }
+
+    const sent = {
+      id: `mem_${Date.now()}_${++this.counter}`,
+      to,
+      ...payload,
+      timestamp: new Date()
+    };
+    this.sent.push(sent);
+
+    return { id: sent.id, timestamp: sent.timestamp };
+  }
+
+  async getStatus() {
+    return this.status;
+  }
+
+  /**
+   * Aceita mídia em base64 (media.data) ou por URL (media.url)
+   */
+  async downloadMedia(message, options = {}) {
+    const media = message.media || {};
+    if (!media.data) {
+      return super.downloadMedia(message, options);
+    }
+
+    const buffer = Buffer.from(media.data, 'base64');
+    if (options.maxBytes && buffer.length > options.maxBytes) {
+      throw this.mediaTooLarge(options.maxBytes);
+    }
+
+    return { buffer, mimeType: media.mimeType, fileName: media.fileName };
+  }
+
+  /**
+   * Aceita { from, text, type, id, pushName, timestamp }, { messages: [...] }
+   * ou { statuses: [{ id, status }] }
+   */
+  parseWebhook(body) {
+    if (!body) return [];
+
+    if (Array.isArray(body.statuses)) {
+      return body.statuses.map(item => ({
+        event: 'status',
+        data: this.buildStatus(item.id, item.status, item.timestamp ? new Date(item.timestamp) : new Date())
+      }));
+    }
+
+    const items = Array.isArray(body.messages) ? body.messages : [body];
+
+    return items
+      .filter(item => item.from)
+      .map(item => ({ event: 'message', data: this.normalizeMessage(item) }));
+  }
+
+  /**
+   * Simula um recibo de entrega/leitura de uma mensagem enviada
+   */
+  simulateStatus(id, status) {
+    const data = this.buildStatus(id, status);
+    this.emit('status', data);
+    return data;
+  }
+
+  /**
+   * Simula o recebimento de uma mensagem
+   */
+  simulateIncoming(data) {
+    const message = this.normalizeMessage(data);
+    this.emit('message', message);
+    return message;
+  }
+
+  normalizeMessage(data) {
+    return {
+      id: data.id || `mem_in_${Date.now()}_${++this.counter}`,
+      from: this.normalizePhone(data.from),
+      to: data.to ? this.normalizePhone(data.to) : undefined,
+      fromMe: Boolean(data.fromMe),
+      isGroup: Boolean(data.isGroup),
+      pushName: data.pushName,
+      type: data.type || 'text',
+      text: data.text || '',
+      media: data.media || null,
+      location: data.location || null,
+      reply: data.reply || null,
+      timestamp: data.timestamp ? new Date(data.timestamp) : new Date(),
+      raw: data
+    };
+  }
+}
+
+module.exports = MemoryProvider;
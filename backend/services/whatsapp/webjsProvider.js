@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { Client, LocalAuth, MessageMedia, MessageAck } = require('whatsapp-web.js');
+const BaseProvider = require('./baseProvider');
+const { extensionFor } = require('../../utils/mime');
+
+// Mapeamento dos tipos do whatsapp-web.js para Message.content.type
+const MESSAGE_TYPES = {
+  chat: 'text',
+  image: 'image',
+  ptt: 'audio',
+  audio: 'audio',
+  video: 'video',
+  document: 'document',
+  location: 'location',
+  vcard: 'contact',
+  multi_vcard: 'contact',
+  sticker: 'sticker',
+  buttons_response: 'interactive',
+  list_response: 'interactive'
+};
+
+// Mapeamento dos ACKs do whatsapp-web.js para Message.status
+const ACK_STATUS = {
+  [MessageAck.ACK_ERROR]: 'failed',
+  [MessageAck.ACK_SERVER]: 'sent',
+  [MessageAck.ACK_DEVICE]: 'delivered',
+  [MessageAck.ACK_READ]: 'read',
+  [MessageAck.ACK_PLAYED]: 'read'
+};
+
+/**
+ * Provedor baseado no WhatsApp Web (whatsapp-web.js + Puppeteer)
+ */
+class WebJsProvider extends BaseProvider {
+  constructor(storeId, config = {}) {
+    super(storeId, config);
+    this.client = null;
+  }
+
+  get name() {
+    return 'webjs';
+  }
+
+  get requiresPairing() {
+    return true;
+  }
+
+  /**
+   * Diretório onde o LocalAuth guarda as sessões
+   */
+  get dataPath() {
+    return path.resolve(process.env.WHATSAPP_SESSION_PATH || './.wwebjs_auth');
+  }
+
+  /**
+   * Indica se existe sessão salva que permite reconectar sem QR Code
+   */
+  hasSavedSession() {
+    return fs.existsSync(path.join(this.dataPath, `session-store_${this.storeId}`));
+  }
+
+  async connect() {
+    this.client = new Client({
+      authStrategy: new LocalAuth({
+        clientId: `store_${this.storeId}`,
+        dataPath: this.dataPath
+      }),
+      puppeteer: {
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      }
+    });
+
+    this.client.on('qr', (qr) => this.emit('qr', qr));
+    this.client.on('authenticated', () => this.emit('authenticated'));
+    this.client.on('auth_failure', (message) => this.emit('auth_failure', message));
+    this.client.on('ready', () => this.emit('ready'));
+    this.client.on('disconnected', (reason) => this.emit('disconnected', reason));
+    this.client.on('message', (message) => this.emit('message', this.normalizeMessage(message)));
+    // Mensagens enviadas pelo celular da loja (e pela própria API)
+    this.client.on('message_create', (message) => {
+      if (message.fromMe) this.emit('message', this.normalizeMessage(message));
+    });
+    this.client.on('message_ack', (message, ack) => {
+      const status = ACK_STATUS[ack];
+      if (status) {
+        const error = status === 'failed' ? { code: 'ACK_ERROR', message: 'Falha no envio' } : null;
+        this.emit('status', this.buildStatus(message.id.id, status, new Date(), error));
+      }
+    });
+
+    await this.client.initialize();
+  }
+
+  async disconnect() {
+    if (this.client) {
+      await this.client.destroy();
+      this.client = null;
+      this.emit('disconnected', 'manual');
+    }
+    await super.disconnect();
+  }
+
+  async sendMessage(to, payload) {
+    if (!this.client) {
+      throw new Error('Cliente WhatsApp não inicializado');
+    }
+
+    const chatId = `${to}@c.us`;
+    let sentMessage;
+
+    if (payload.mediaUrl) {
+      const inline = this.parseDataUrl(payload.mediaUrl);
+      const media = inline
+        ? new MessageMedia(inline.mimeType, inline.data, `arquivo.${extensionFor(inline.mimeType)}`)
+        : await MessageMedia.fromUrl(payload.mediaUrl);
+      sentMessage = await this.client.sendMessage(chatId, media, { caption: payload.text });
+    } else {
+      sentMessage = await this.client.sendMessage(chatId, payload.text);
+    }
+
+    return {
+      id: sentMessage.id.id,
+      timestamp: new Date(sentMessage.timestamp * 1000)
+    };
+  }
+
+  async getStatus() {
+    if (!this.client) return 'disconnected';
+
+    const state = await this.client.getState();
+    if (state === 'CONNECTED') return 'connected';
+    if (!state || state === 'OPENING' || state === 'PAIRING') return 'connecting';
+    return 'disconnected';
+  }
+
+  async downloadMedia(message, options = {}) {
+    const { maxBytes } = options;
+    if (maxBytes && message.media && message.media.fileSize > maxBytes) {
+      throw this.mediaTooLarge(maxBytes);
+    }
+
+    const media = await message.raw.downloadMedia();
+    if (!media || !media.data) {
+      throw new Error('Mídia indisponível no WhatsApp Web');
+    }
+
+    const buffer = Buffer.from(media.data, 'base64');
+    if (maxBytes && buffer.length > maxBytes) {
+      throw this.mediaTooLarge(maxBytes);
+    }
+
+    return { buffer, mimeType: media.mimetype, fileName: media.filename };
+  }
+
+  /**
+   * Resposta a botões/listas (o WhatsApp Web não envia mais esses formatos,
+   * mas ainda entrega respostas a mensagens enviadas por outros clientes)
+   */
+  extractReply(message) {
+    if (message.type === 'buttons_response') {
+      return { id: message.selectedButtonId, title: message.body };
+    }
+    if (message.type === 'list_response') {
+      return { id: message.selectedRowId, title: message.body };
+    }
+    return null;
+  }
+
+  /**
+   * Converte mensagem do whatsapp-web.js para o formato normalizado
+   */
+  normalizeMessage(message) {
+    const type = MESSAGE_TYPES[message.type] || 'text';
+
+    return {
+      id: message.id.id,
+      from: this.normalizePhone(message.from),
+      to: message.to ? this.normalizePhone(message.to) : undefined,
+      fromMe: message.fromMe,
+      isGroup: message.from.endsWith('@g.us'),
+      pushName: message._data && message._data.notifyName,
+      type,
+      text: message.body,
+      media: message.hasMedia ? {
+        mimeType: message._data && message._data.mimetype,
+        fileName: message._data && message._data.filename,
+        fileSize: message._data && message._data.size,
+        duration: message.duration ? Number(message.duration) : undefined,
+        caption: type === 'text' ? undefined : message.body
+      } : null,
+      location: message.location ? {
+        latitude: message.location.latitude,
+        longitude: message.location.longitude,
+        address: message.location.description
+      } : null,
+      reply: this.extractReply(message),
+      timestamp: new Date(message.timestamp * 1000),
+      raw: message
+    };
+  }
+}
+
+module.exports = WebJsProvider;
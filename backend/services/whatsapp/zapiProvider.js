@@ -0,0 +1,204 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+// Mapeamento dos status da Z-API para Message.status
+const ZAPI_STATUS = {
+  SENT: 'sent',
+  RECEIVED: 'delivered',
+  READ: 'read',
+  PLAYED: 'read'
+};
+
+/**
+ * Provedor Z-API (API não oficial com webhooks no estilo Z-API/Twilio)
+ */
+class ZApiProvider extends BaseProvider {
+  constructor(storeId, config = {}) {
+    super(storeId, config);
+    const baseUrl = config.baseUrl || 'https://api.z-api.io';
+
+    this.http = axios.create({
+      baseURL: `${baseUrl}/instances/${config.instanceId}/token/${config.token}`,
+      timeout: 15000,
+      headers: config.clientToken ? { 'Client-Token': config.clientToken } : {}
+    });
+  }
+
+  get name() {
+    return 'zapi';
+  }
+
+  get usesWebhook() {
+    return true;
+  }
+
+  async connect() {
+    if (!this.config.instanceId || !this.config.token) {
+      throw new Error('Z-API: instanceId e token são obrigatórios');
+    }
+
+    const status = await this.getStatus();
+    if (status === 'connected') {
+      this.emit('ready');
+    }
+  }
+
+  async disconnect() {
+    this.emit('disconnected', 'manual');
+    await super.disconnect();
+  }
+
+  supportsInteractive(interactive) {
+    return ['button', 'list'].includes(interactive.type);
+  }
+
+  async sendMessage(to, payload) {
+    let data;
+
+    if (payload.interactive && payload.interactive.type === 'button') {
+      ({ data } = await this.http.post('/send-button-list', {
+        phone: to,
+        message: payload.text,
+        buttonList: {
+          buttons: payload.interactive.buttons.map(button => ({ id: button.id, label: button.title }))
+        }
+      }));
+    } else if (payload.interactive && payload.interactive.type === 'list') {
+      ({ data } = await this.http.post('/send-option-list', {
+        phone: to,
+        message: payload.text,
+        optionList: {
+          title: 'Opções',
+          buttonLabel: payload.interactive.buttonText,
+          options: payload.interactive.listItems.map(item => ({
+            id: item.id,
+            title: item.title,
+            description: item.description
+          }))
+        }
+      }));
+    } else if (payload.mediaUrl) {
+      // A Z-API aceita tanto link quanto data URL em base64
+      ({ data } = await this.http.post('/send-image', {
+        phone: to,
+        image: payload.mediaUrl,
+        caption: payload.text
+      }));
+    } else {
+      ({ data } = await this.http.post('/send-text', {
+        phone: to,
+        message: payload.text
+      }));
+    }
+
+    return {
+      id: data.messageId || data.id,
+      timestamp: new Date()
+    };
+  }
+
+  async getStatus() {
+    try {
+      const { data } = await this.http.get('/status');
+      return data.connected ? 'connected' : 'disconnected';
+    } catch (error) {
+      console.error('Erro ao consultar status na Z-API:', error.message);
+      return 'error';
+    }
+  }
+
+  parseWebhook(body) {
+    if (!body) return [];
+
+    if (body.type === 'MessageStatusCallback') {
+      const status = ZAPI_STATUS[body.status];
+      if (!status) return [];
+      const timestamp = body.momment ? new Date(body.momment) : new Date();
+
+      return (body.ids || []).map(id => ({
+        event: 'status',
+        data: this.buildStatus(id, status, timestamp)
+      }));
+    }
+
+    if (body.type !== 'ReceivedCallback') return [];
+
+    return [{
+      event: 'message',
+      data: this.normalizeMessage(body)
+    }];
+  }
+
+  /**
+   * Converte callback da Z-API para o formato normalizado
+   */
+  normalizeMessage(body) {
+    const normalized = {
+      id: body.messageId,
+      from: this.normalizePhone(body.phone),
+      // Em mensagens fromMe, phone é o contato da conversa
+      to: body.fromMe ? this.normalizePhone(body.phone) : undefined,
+      fromMe: Boolean(body.fromMe),
+      isGroup: Boolean(body.isGroup),
+      pushName: body.senderName || body.chatName,
+      type: 'text',
+      text: '',
+      media: null,
+      location: null,
+      reply: null,
+      timestamp: body.momment ? new Date(body.momment) : new Date(),
+      raw: body
+    };
+
+    if (body.buttonsResponseMessage) {
+      normalized.type = 'interactive';
+      normalized.text = body.buttonsResponseMessage.message;
+      normalized.reply = { id: body.buttonsResponseMessage.buttonId, title: body.buttonsResponseMessage.message };
+    } else if (body.listResponseMessage) {
+      normalized.type = 'interactive';
+      normalized.text = body.listResponseMessage.title || body.listResponseMessage.message;
+      normalized.reply = { id: body.listResponseMessage.selectedRowId, title: normalized.text };
+    } else if (body.text) {
+      normalized.text = body.text.message;
+    } else if (body.image) {
+      normalized.type = 'image';
+      normalized.text = body.image.caption || '';
+      normalized.media = { url: body.image.imageUrl, mimeType: body.image.mimeType, caption: body.image.caption };
+    } else if (body.audio) {
+      normalized.type = 'audio';
+      normalized.media = { url: body.audio.audioUrl, mimeType: body.audio.mimeType, duration: body.audio.seconds };
+    } else if (body.video) {
+      normalized.type = 'video';
+      normalized.text = body.video.caption || '';
+      normalized.media = {
+        url: body.video.videoUrl,
+        mimeType: body.video.mimeType,
+        duration: body.video.seconds,
+        caption: body.video.caption
+      };
+    } else if (body.document) {
+      normalized.type = 'document';
+      normalized.media = {
+        url: body.document.documentUrl,
+        mimeType: body.document.mimeType,
+        fileName: body.document.fileName
+      };
+    } else if (body.sticker) {
+      normalized.type = 'sticker';
+      normalized.media = { url: body.sticker.stickerUrl, mimeType: body.sticker.mimeType };
+    } else if (body.location) {
+      normalized.type = 'location';
+      normalized.location = {
+        latitude: body.location.latitude,
+        longitude: body.location.longitude,
+        address: body.location.address
+      };
+    } else if (body.contact) {
+      normalized.type = 'contact';
+    }
+
+    return normalized;
+  }
+}
+
+module.exports = ZApiProvider;
@@ -1,166 +1,471 @@
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const EventEmitter = require('events');
 const qrcode = require('qrcode');
 const AIService = require('./aiService');
+const ConversationEngine = require('./conversationEngine');
+const HandoffService = require('./handoffService');
+const MediaService = require('./mediaService');
+const EntityExtractor = require('./entityExtractor');
+const TranscriptionService = require('./transcriptionService');
+const RealtimeService = require('./realtimeService');
+const OutboundQueue = require('./outboundQueue');
+const PromotionService = require('./promotionService');
+const PixService = require('./pixService');
+const { createProvider } = require('./whatsapp');
 const Contact = require('../models/Contact');
+const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
+const OutboundMessage = require('../models/OutboundMessage');
+const ProcessedEvent = require('../models/ProcessedEvent');
 const Product = require('../models/Product');
 const Store = require('../models/Store');
+const { normalizeInteractive, renderFallback, matchReply } = require('../utils/interactive');
 
-class WhatsAppService {
+// Tempo em que uma resposta numerada ainda se refere ao último menu enviado
+const REPLY_WINDOW = 24 * 60 * 60 * 1000;
+
+// Espera antes de conferir se a mensagem do próprio número saiu pela fila
+const OWN_MESSAGE_GRACE = 5 * 1000;
+
+// Resposta quando não é possível entender uma mensagem de voz
+const AUDIO_FALLBACK_MESSAGE = 'Desculpe, não consegui entender seu áudio 🙏 Pode me mandar por escrito?';
+
+class WhatsAppService extends EventEmitter {
   constructor() {
-    this.clients = new Map(); // Armazena clientes por storeId
+    super();
+    this.clients = new Map(); // Armazena provedores por storeId
     this.qrCodes = new Map(); // Armazena QR codes temporários
+    this.connectionStates = new Map(); // Último estado publicado por loja
+
+    OutboundQueue.setHandlers({
+      deliver: (job) => this.deliverMessage(job),
+      onDead: (job) => this.handleDeadMessage(job)
+    });
+
+    // Painel que acabou de conectar recebe o estado atual
+    RealtimeService.onJoin((storeId, socket) => {
+      socket.emit('state', this.getConnectionState(storeId));
+    });
   }
 
   /**
-   * Inicializa cliente WhatsApp para uma loja
+   * Inicializa o provedor de WhatsApp configurado para uma loja
+   * Não espera o pareamento: QR Code e mudanças de estado são publicados
+   * em tempo real no namespace /whatsapp
    */
   async initializeClient(storeId) {
     try {
+      storeId = String(storeId);
+
       // Se já existe um cliente, desconecta primeiro
       if (this.clients.has(storeId)) {
-        await this.disconnectClient(storeId);
+        await this.disconnectClient(storeId, { restart: true });
       }
 
-      const client = new Client({
-        authStrategy: new LocalAuth({
-          clientId: `store_${storeId}`
-        }),
-        puppeteer: {
-          headless: true,
-          args: ['--no-sandbox', '--disable-setuid-sandbox']
+      const store = await Store.findById(storeId);
+      if (!store) {
+        throw new Error('Loja não encontrada');
+      }
+
+      const provider = createProvider(store);
+      this.attachProvider(storeId, provider);
+
+      // Armazenar cliente
+      this.clients.set(storeId, provider);
+      this.setConnectionState(storeId, 'initializing');
+
+      if (!provider.requiresPairing) {
+        await provider.connect();
+        return this.getConnectionState(storeId);
+      }
+
+      // O pareamento pode levar minutos: segue em segundo plano
+      provider.connect().catch((error) => {
+        console.error('Erro ao inicializar cliente WhatsApp:', error);
+        if (this.clients.get(storeId) === provider) {
+          this.clients.delete(storeId);
         }
+        this.setConnectionState(storeId, 'disconnected', { reason: error.message });
       });
 
-      // Event listeners
-      client.on('qr', async (qr) => {
-        console.log(`QR Code gerado para loja ${storeId}`);
-        const qrCodeDataURL = await qrcode.toDataURL(qr);
-        this.qrCodes.set(storeId, qrCodeDataURL);
-      });
+      return this.getConnectionState(storeId);
+    } catch (error) {
+      console.error('Erro ao inicializar cliente WhatsApp:', error);
+      throw error;
+    }
+  }
 
-      client.on('ready', async () => {
-        console.log(`Cliente WhatsApp pronto para loja ${storeId}`);
-        this.qrCodes.delete(storeId);
-        
-        // Atualizar status da loja
-        await Store.findByIdAndUpdate(storeId, {
-          'whatsappConfig.connected': true,
-          'whatsappConfig.connectedAt': new Date()
-        });
+  /**
+   * Atualiza o estado da conexão e publica o evento para os painéis
+   */
+  setConnectionState(storeId, state, data = {}) {
+    this.connectionStates.set(storeId, { state, updatedAt: new Date() });
+    if (state !== 'initializing') {
+      RealtimeService.emitToStore(storeId, state, { storeId, ...data });
+    }
+    this.emit('state', storeId, state, data);
+  }
+
+  /**
+   * Estado atual da conexão (e QR Code pendente, se houver)
+   */
+  getConnectionState(storeId) {
+    storeId = String(storeId);
+    const current = this.connectionStates.get(storeId) || { state: 'disconnected', updatedAt: null };
+
+    return {
+      ...current,
+      qrCode: this.qrCodes.get(storeId) || null
+    };
+  }
+
+  /**
+   * Registra os listeners do provedor
+   */
+  attachProvider(storeId, provider) {
+    provider.on('qr', async (qr) => {
+      console.log(`QR Code gerado para loja ${storeId}`);
+      const qrCodeDataURL = await qrcode.toDataURL(qr);
+      this.qrCodes.set(storeId, qrCodeDataURL);
+      this.setConnectionState(storeId, 'qr', { qrCode: qrCodeDataURL });
+    });
+
+    provider.on('authenticated', () => {
+      this.qrCodes.delete(storeId);
+      this.setConnectionState(storeId, 'authenticated');
+    });
+
+    provider.on('auth_failure', (message) => {
+      console.error(`Falha de autenticação na loja ${storeId}:`, message);
+      this.qrCodes.delete(storeId);
+      this.setConnectionState(storeId, 'auth_failure', { reason: message });
+    });
+
+    provider.on('ready', async () => {
+      console.log(`Cliente WhatsApp (${provider.name}) pronto para loja ${storeId}`);
+      this.qrCodes.delete(storeId);
+      this.setConnectionState(storeId, 'ready', { provider: provider.name });
+      
+      // Atualizar status da loja
+      await Store.findByIdAndUpdate(storeId, {
+        'whatsapp.isConnected': true,
+        'whatsapp.autoReconnect': true,
+        'whatsapp.lastConnection': new Date()
       });
+    });
 
-      client.on('disconnected', async (reason) => {
-        console.log(`Cliente desconectado para loja ${storeId}:`, reason);
+    provider.on('disconnected', async (reason) => {
+      console.log(`Cliente desconectado para loja ${storeId}:`, reason);
+      if (this.clients.get(storeId) === provider) {
         this.clients.delete(storeId);
-        
-        // Atualizar status da loja
-        await Store.findByIdAndUpdate(storeId, {
-          'whatsappConfig.connected': false,
-          'whatsappConfig.disconnectedAt': new Date()
-        });
-      });
+      }
+      this.qrCodes.delete(storeId);
+      this.setConnectionState(storeId, 'disconnected', { reason });
+      
+      // Atualizar status da loja (logout no celular invalida a sessão salva)
+      const updates = { 'whatsapp.isConnected': false };
+      if (reason === 'LOGOUT') {
+        updates['whatsapp.autoReconnect'] = false;
+      }
+      await Store.findByIdAndUpdate(storeId, updates);
+    });
 
-      client.on('message', async (message) => {
+    provider.on('message', async (message) => {
+      try {
         await this.handleIncomingMessage(storeId, message);
-      });
+      } catch (error) {
+        // Já registrado em handleIncomingMessage; eventos do cliente não são reenviados
+      }
+    });
 
-      // Armazenar cliente
-      this.clients.set(storeId, client);
+    provider.on('status', async (status) => {
+      await this.handleStatusUpdate(storeId, status);
+    });
+  }
 
-      // Inicializar cliente
-      await client.initialize();
+  /**
+   * Obtém o provedor ativo da loja
+   * Provedores via webhook são criados sob demanda, sem precisar de /initialize
+   */
+  async getProvider(storeId) {
+    storeId = String(storeId);
+    if (this.clients.has(storeId)) {
+      return this.clients.get(storeId);
+    }
 
-      // Aguardar QR code ser gerado
-      await new Promise((resolve) => {
-        const checkQR = setInterval(() => {
-          if (this.qrCodes.has(storeId)) {
-            clearInterval(checkQR);
-            resolve();
-          }
-        }, 1000);
-        
-        // Timeout após 30 segundos
-        setTimeout(() => {
-          clearInterval(checkQR);
-          resolve();
-        }, 30000);
+    const store = await Store.findById(storeId);
+    if (!store) return null;
+
+    const provider = createProvider(store);
+    if (!provider.usesWebhook) return null;
+
+    this.attachProvider(storeId, provider);
+    this.clients.set(storeId, provider);
+    await provider.connect();
+
+    return provider;
+  }
+
+  /**
+   * Identificador da conversa entre a loja e um telefone
+   */
+  getConversationId(storeId, phoneNumber) {
+    return `${storeId}_${phoneNumber}`;
+  }
+
+  /**
+   * Identifica a opção escolhida pelo cliente no último menu (botões/lista) enviado
+   * @returns {{id, title, payload}|null}
+   */
+  async resolveReply(conversationId, message) {
+    if (!message.reply && message.type !== 'text') return null;
+
+    const lastMenu = await Message.findOne({
+      conversationId,
+      direction: 'outbound',
+      'interactive.type': { $in: ['button', 'list'] },
+      createdAt: { $gte: new Date(Date.now() - REPLY_WINDOW) }
+    }).sort({ createdAt: -1 });
+
+    if (message.reply) {
+      const option = lastMenu && matchReply(lastMenu.interactive, { id: message.reply.id });
+      return option || { ...message.reply, payload: message.reply.id };
+    }
+
+    // Texto só vale como resposta se o menu for a última mensagem enviada
+    if (!lastMenu) return null;
+    const newer = await Message.exists({
+      conversationId,
+      direction: 'outbound',
+      createdAt: { $gt: lastMenu.createdAt }
+    });
+    if (newer) return null;
+
+    return matchReply(lastMenu.interactive, { text: message.text });
+  }
+
+  /**
+   * Mensagem enviada pelo celular da loja: registra no histórico e
+   * passa a conversa para a equipe
+   * Envios feitos pela fila também chegam como fromMe e são ignorados
+   */
+  async handleOwnMessage(store, message) {
+    try {
+      const storeId = String(store._id);
+      const phoneNumber = message.to;
+      if (!phoneNumber || message.isGroup) return;
+
+      // O id do provedor só é gravado depois que o envio pela fila termina
+      await new Promise(resolve => setTimeout(resolve, OWN_MESSAGE_GRACE));
+      if (message.id && await OutboundMessage.exists({ storeId, providerMessageId: message.id })) {
+        return;
+      }
+
+      const contact = await Contact.findOne({ storeId, phone: phoneNumber });
+      if (!contact) return;
+
+      const messageRecord = new Message({
+        conversationId: this.getConversationId(storeId, phoneNumber),
+        storeId,
+        contactId: contact._id,
+        direction: 'outbound',
+        from: store.whatsapp.number || storeId,
+        to: phoneNumber,
+        content: {
+          text: message.text,
+          type: message.type
+        },
+        status: 'sent',
+        providerMessageId: message.id,
+        whatsappTimestamp: message.timestamp
       });
+      await messageRecord.save();
+      this.publishMessage(storeId, messageRecord);
 
-      return this.qrCodes.get(storeId);
+      const conversation = await Conversation.findOrCreate({
+        conversationId: messageRecord.conversationId,
+        storeId,
+        contactId: contact._id,
+        phone: phoneNumber
+      });
+      await HandoffService.recordAgentActivity(store, conversation);
     } catch (error) {
-      console.error('Erro ao inicializar cliente WhatsApp:', error);
-      throw error;
+      console.error('Erro ao registrar mensagem enviada pelo celular:', error);
     }
   }
 
   /**
-   * Processa mensagem recebida
+   * Publica uma mensagem da conversa para o painel
+   */
+  publishMessage(storeId, messageRecord) {
+    RealtimeService.emitToStore(storeId, 'new-message', {
+      conversationId: messageRecord.conversationId,
+      message: messageRecord.toObject()
+    });
+  }
+
+  /**
+   * Processa mensagem recebida (já normalizada pelo provedor)
+   * Repassa o erro para que o webhook registre o evento como falho
    */
   async handleIncomingMessage(storeId, message) {
     try {
       const store = await Store.findById(storeId);
       if (!store) return;
 
-      const phoneNumber = message.from.replace('@c.us', '');
-      const messageText = message.body;
-      const isGroup = message.from.includes('@g.us');
+      const phoneNumber = message.from;
       
+      // Mensagens enviadas pelo próprio número (celular da loja)
+      if (message.fromMe) {
+        await this.handleOwnMessage(store, message);
+        return;
+      }
+
       // Ignorar mensagens de grupo se não configurado
-      if (isGroup && !store.whatsappConfig.respondToGroups) {
+      if (message.isGroup && !store.whatsapp.respondToGroups) {
         return;
       }
 
       // Buscar ou criar contato
       let contact = await Contact.findOne({ 
-        store: storeId, 
+        storeId, 
         phone: phoneNumber 
       });
 
       if (!contact) {
-        const contactInfo = await message.getContact();
         contact = new Contact({
-          store: storeId,
-          name: contactInfo.pushname || contactInfo.name || phoneNumber,
-          phone: phoneNumber,
-          lastInteraction: new Date()
+          storeId,
+          name: message.pushName || phoneNumber,
+          phone: phoneNumber
         });
         await contact.save();
-      } else {
-        contact.lastInteraction = new Date();
-        await contact.save();
       }
+      await contact.updateStats('message');
 
       // Salvar mensagem
       const messageRecord = new Message({
-        store: storeId,
-        contact: contact._id,
-        phoneNumber,
-        content: messageText,
-        type: message.type,
-        direction: 'incoming',
-        whatsappId: message.id.id,
-        timestamp: new Date(message.timestamp * 1000)
+        conversationId: this.getConversationId(storeId, phoneNumber),
+        storeId,
+        contactId: contact._id,
+        direction: 'inbound',
+        from: phoneNumber,
+        to: store.whatsapp.number,
+        content: {
+          text: message.text,
+          type: message.type,
+          mimeType: message.media && message.media.mimeType,
+          fileName: message.media && message.media.fileName,
+          mediaCaption: message.media && message.media.caption,
+          location: message.location || undefined
+        },
+        status: 'delivered',
+        providerMessageId: message.id,
+        whatsappTimestamp: message.timestamp
       });
 
-      // Processar áudio se for mensagem de voz
-      if (message.type === 'ptt' || message.type === 'audio') {
-        try {
-          const audioText = await this.processAudioMessage(message);
-          messageRecord.audioTranscription = audioText;
-          messageRecord.content = audioText; // Usar transcrição como conteúdo
-        } catch (error) {
-          console.error('Erro ao processar áudio:', error);
+      // Resposta a botões/listas (ou número digitado após um menu em texto)
+      const reply = await this.resolveReply(messageRecord.conversationId, message);
+      if (reply) {
+        messageRecord.content.type = 'interactive';
+        messageRecord.content.text = reply.title;
+        messageRecord.interactive = { reply };
+      }
+
+      // Baixar e armazenar mídia (fotos, áudios, vídeos e documentos)
+      let mediaBuffer = null;
+      if (message.media) {
+        const provider = await this.getProvider(storeId);
+        if (provider) {
+          mediaBuffer = await MediaService.attachInboundMedia(provider, message, messageRecord);
+        }
+      }
+
+      // Transcrever mensagens de voz
+      if (message.type === 'audio') {
+        const transcription = await this.processAudioMessage(mediaBuffer, messageRecord.content.mimeType);
+        messageRecord.content.transcription = transcription;
+        if (transcription.status === 'completed') {
+          messageRecord.content.text = transcription.text; // Usar transcrição como conteúdo
         }
       }
 
+      // Intenção, sentimento e entidades (tamanhos, cores, preços, categorias e ocasiões)
+      if (messageRecord.content.text && !reply) {
+        const { intent, confidence, margin } = await AIService.detectIntent(messageRecord.content.text, storeId);
+        const { sentiment } = await AIService.analyzeSentiment(messageRecord.content.text);
+        messageRecord.ai.intent = intent;
+        messageRecord.ai.intentConfidence = confidence;
+        messageRecord.ai.intentMargin = margin;
+        messageRecord.ai.sentiment = sentiment;
+        messageRecord.ai.entities = EntityExtractor.extract(messageRecord.content.text);
+      }
+
       await messageRecord.save();
+      this.publishMessage(storeId, messageRecord);
+
+      const conversation = await Conversation.findOrCreate({
+        conversationId: messageRecord.conversationId,
+        storeId,
+        contactId: contact._id,
+        phone: phoneNumber
+      });
+
+      // Comprovante de Pix de um pedido aguardando pagamento vai para a conferência da loja
+      // (outras mídias seguem o atendimento normal)
+      if (PixService.isReceipt(messageRecord)) {
+        const order = await PixService.attachReceipt(store, contact, messageRecord);
+        if (order) {
+          if (conversation.mode === 'bot') {
+            await this.sendMessage(storeId, phoneNumber, PixService.receiptReceivedMessage(order), null, { source: 'system' });
+          }
+          return;
+        }
+      }
+
+      // Conversa com a equipe (ou IA pausada): a mensagem só é registrada
+      if (conversation.mode !== 'bot') return;
+
+      // Pedido de atendente, reclamação ou cliente insatisfeito: passa para a equipe
+      const handoffReason = HandoffService.detectTrigger(store, {
+        text: messageRecord.content.text,
+        intent: messageRecord.ai.intent,
+        intentConfidence: messageRecord.ai.intentConfidence,
+        intentMargin: messageRecord.ai.intentMargin,
+        sentiment: messageRecord.ai.sentiment
+      });
+      if (handoffReason) {
+        await HandoffService.transfer(store, conversation, {
+          reason: handoffReason,
+          contact,
+          text: messageRecord.content.text
+        });
+        const notice = HandoffService.getConfig(store).message;
+        if (notice) {
+          await this.sendMessage(storeId, phoneNumber, notice, null, { source: 'system' });
+        }
+        return;
+      }
 
       // Verificar se está no horário de funcionamento
-      const isBusinessHours = this.isBusinessHours(store.whatsappConfig.businessHours);
-      
-      if (!isBusinessHours && store.whatsappConfig.awayMessage) {
-        await this.sendMessage(storeId, phoneNumber, store.whatsappConfig.awayMessage);
+      if (!store.isOpenNow() && store.businessHours.outsideHoursMessage) {
+        await this.sendMessage(storeId, phoneNumber, store.businessHours.outsideHoursMessage);
+        return;
+      }
+
+      // Áudio não compreendido: pedir a mensagem por escrito em vez de acionar a IA
+      if (message.type === 'audio' && messageRecord.content.transcription.status !== 'completed') {
+        await this.sendMessage(storeId, phoneNumber, AUDIO_FALLBACK_MESSAGE);
+        return;
+      }
+
+      // Pedido em andamento (produto, opções, carrinho e fechamento)
+      const engineResult = await ConversationEngine.handle({ store, contact, message: messageRecord, conversation });
+      if (engineResult.handled) {
+        for (const reply of engineResult.replies) {
+          await this.sendMessage(storeId, phoneNumber, reply.text, reply.mediaUrl || null, {
+            source: 'ai',
+            interactive: reply.interactive
+          });
+        }
         return;
       }
 
@@ -168,13 +473,18 @@ class WhatsAppService {
       const response = await AIService.generateResponse({
         storeId,
         contactId: contact._id,
-        message: messageRecord.content,
+        message: messageRecord.content.text,
         messageHistory: await this.getRecentMessages(storeId, contact._id),
-        storeConfig: store.aiConfig
+        storeConfig: store.ai,
+        entities: messageRecord.ai.entities,
+        intent: messageRecord.ai.intent
       });
 
       if (response.text) {
-        await this.sendMessage(storeId, phoneNumber, response.text);
+        await this.sendMessage(storeId, phoneNumber, response.text, null, {
+          source: 'ai',
+          interactive: response.interactive
+        });
       }
 
       // Enviar produtos se recomendados
@@ -189,51 +499,68 @@ class WhatsAppService {
 
     } catch (error) {
       console.error('Erro ao processar mensagem:', error);
+      throw error;
     }
   }
 
   /**
    * Envia mensagem
+   * A mensagem entra na fila de saída e é registrada como pendente
+   * @param {Object} options - { source, immediate, interactive }
    */
-  async sendMessage(storeId, phoneNumber, text, mediaUrl = null) {
+  async sendMessage(storeId, phoneNumber, text, mediaUrl = null, options = {}) {
     try {
-      const client = this.clients.get(storeId);
-      if (!client) {
-        throw new Error('Cliente WhatsApp não encontrado');
-      }
+      storeId = String(storeId);
+      const conversationId = this.getConversationId(storeId, phoneNumber);
+      const interactive = normalizeInteractive(options.interactive);
 
-      const chatId = `${phoneNumber}@c.us`;
-      let sentMessage;
-
-      if (mediaUrl) {
-        const media = await MessageMedia.fromUrl(mediaUrl);
-        sentMessage = await client.sendMessage(chatId, media, { caption: text });
-      } else {
-        sentMessage = await client.sendMessage(chatId, text);
-      }
-
-      // Salvar mensagem enviada
       const contact = await Contact.findOne({ 
-        store: storeId, 
+        storeId, 
         phone: phoneNumber 
       });
 
+      let messageRecord = null;
       if (contact) {
-        const messageRecord = new Message({
-          store: storeId,
-          contact: contact._id,
-          phoneNumber,
-          content: text,
-          type: mediaUrl ? 'media' : 'text',
-          direction: 'outgoing',
-          whatsappId: sentMessage.id.id,
-          mediaUrl,
-          timestamp: new Date()
+        messageRecord = new Message({
+          conversationId,
+          storeId,
+          contactId: contact._id,
+          direction: 'outbound',
+          from: storeId,
+          to: phoneNumber,
+          content: {
+            text,
+            type: interactive ? 'interactive' : (mediaUrl ? 'image' : 'text'),
+            mediaUrl
+          },
+          interactive: interactive || undefined,
+          status: 'pending'
         });
         await messageRecord.save();
       }
 
-      return sentMessage;
+      const payload = { text, mediaUrl };
+      if (interactive) payload.interactive = interactive;
+
+      // Resposta da equipe pelo painel
+      if (options.source === 'manual' && contact) {
+        const store = await Store.findById(storeId).select('ai.handoff');
+        const conversation = await Conversation.findOrCreate({
+          conversationId,
+          storeId,
+          contactId: contact._id,
+          phone: phoneNumber
+        });
+        await HandoffService.recordAgentActivity(store, conversation, { agentId: options.agentId });
+      }
+
+      return await OutboundQueue.enqueue(storeId, phoneNumber, payload, {
+        conversationId,
+        contactId: contact && contact._id,
+        messageId: messageRecord && messageRecord._id,
+        source: options.source,
+        immediate: options.immediate
+      });
     } catch (error) {
       console.error('Erro ao enviar mensagem:', error);
       throw error;
@@ -241,86 +568,136 @@ class WhatsAppService {
   }
 
   /**
-   * Envia catálogo de produtos
+   * Entrega um item da fila de saída pelo provedor da loja
    */
-  async sendProductCatalog(storeId, phoneNumber, productIds) {
-    try {
-      const products = await Product.find({
-        _id: { $in: productIds },
-        store: storeId,
-        status: 'active'
-      }).limit(5);
-
-      if (products.length === 0) return;
+  async deliverMessage(job) {
+    const provider = await this.getProvider(job.storeId);
+    if (!provider) {
+      const error = new Error('Cliente WhatsApp não encontrado');
+      error.code = 'NO_CLIENT';
+      throw error;
+    }
 
-      let catalogText = '🛍️ *Produtos que podem te interessar:*\n\n';
+    let payload = job.payload;
+    if (payload.interactive && !provider.supportsInteractive(payload.interactive)) {
+      payload = {
+        text: renderFallback(payload.text, payload.interactive),
+        mediaUrl: payload.mediaUrl
+      };
+    }
 
-      for (const product of products) {
-        catalogText += `📦 *${product.name}*\n`;
-        catalogText += `💰 R$ ${product.price.toFixed(2)}\n`;
-        if (product.description) {
-          catalogText += `📝 ${product.description.substring(0, 100)}...\n`;
-        }
-        catalogText += `🔗 Ver mais: ${process.env.FRONTEND_URL}/produto/${product._id}\n\n`;
-      }
+    const sentMessage = await provider.sendMessage(job.to, payload);
 
-      catalogText += '💬 Digite *"quero"* seguido do nome do produto para mais informações!';
+    if (job.messageId) {
+      await Message.findByIdAndUpdate(job.messageId, {
+        status: 'sent',
+        providerMessageId: sentMessage.id,
+        whatsappTimestamp: sentMessage.timestamp
+      });
+    }
 
-      await this.sendMessage(storeId, phoneNumber, catalogText);
+    return sentMessage;
+  }
 
-      // Enviar imagens dos produtos se disponíveis
-      for (const product of products) {
-        if (product.images && product.images.length > 0) {
-          const imageUrl = `${process.env.API_URL}${product.images[0].url}`;
-          await this.sendMessage(storeId, phoneNumber, `*${product.name}*`, imageUrl);
-        }
-      }
-    } catch (error) {
-      console.error('Erro ao enviar catálogo:', error);
+  /**
+   * Marca como falhada a mensagem cujo envio esgotou as tentativas
+   */
+  async handleDeadMessage(job) {
+    if (!job.messageId) return;
+
+    const message = await Message.findById(job.messageId);
+    if (message) {
+      await message.markAsFailed({ code: job.lastError.code, message: job.lastError.message });
+      RealtimeService.emitToStore(job.storeId, 'message-status-update', {
+        messageId: message._id,
+        conversationId: message.conversationId,
+        contactId: message.contactId,
+        status: message.status,
+        error: message.error
+      });
     }
   }
 
   /**
-   * Processa mensagem de áudio
+   * Aplica recibo de entrega/leitura à mensagem enviada
    */
-  async processAudioMessage(message) {
+  async handleStatusUpdate(storeId, { id, status, timestamp, error }) {
     try {
-      // Aqui você integraria com um serviço de speech-to-text
-      // Por exemplo: Google Speech-to-Text, Azure Speech, etc.
-      
-      // Simulação de transcrição
-      return "Transcrição do áudio não implementada ainda";
+      const message = await Message.findOne({
+        storeId,
+        providerMessageId: id,
+        direction: 'outbound'
+      });
+      if (!message) return false;
+
+      const changed = await message.applyStatus(status, timestamp, error);
+
+      if (changed) {
+        RealtimeService.emitToStore(storeId, 'message-status-update', {
+          messageId: message._id,
+          conversationId: message.conversationId,
+          contactId: message.contactId,
+          status: message.status,
+          deliveredAt: message.deliveredAt,
+          readAt: message.readAt,
+          error: message.status === 'failed' ? message.error : undefined
+        });
+      }
+
+      return changed;
     } catch (error) {
-      console.error('Erro ao processar áudio:', error);
-      return null;
+      console.error('Erro ao atualizar status da mensagem:', error);
+      return false;
     }
   }
 
   /**
-   * Verifica se está no horário de funcionamento
+   * Envia catálogo de produtos
    */
-  isBusinessHours(businessHours) {
-    if (!businessHours || !businessHours.enabled) return true;
-
-    const now = new Date();
-    const currentDay = now.getDay(); // 0 = domingo, 1 = segunda, etc.
-    const currentTime = now.getHours() * 60 + now.getMinutes();
+  async sendProductCatalog(storeId, phoneNumber, productIds) {
+    try {
+      const products = await Product.find({
+        _id: { $in: productIds },
+        storeId,
+        isActive: true
+      }).limit(5);
 
-    const daySchedule = businessHours.schedule[currentDay];
-    if (!daySchedule || !daySchedule.open) return false;
+      if (products.length === 0) return;
 
-    const openTime = this.timeToMinutes(daySchedule.start);
-    const closeTime = this.timeToMinutes(daySchedule.end);
+      // Imagens primeiro, para o cliente escolher pela lista em seguida
+      for (const product of products) {
+        if (product.images && product.images.length > 0) {
+          const imageUrl = `${process.env.API_URL}${product.images[0].url}`;
+          await this.sendMessage(storeId, phoneNumber, `*${product.name}*`, imageUrl, { source: 'catalog' });
+        }
+      }
 
-    return currentTime >= openTime && currentTime <= closeTime;
+      await this.sendMessage(storeId, phoneNumber, '🛍️ *Produtos que podem te interessar:*', null, {
+        source: 'catalog',
+        interactive: {
+          type: 'list',
+          buttonText: 'Ver produtos',
+          listItems: products.map(product => ({
+            id: `product:${product._id}`,
+            title: product.name,
+            description: `R$ ${product.finalPrice.toFixed(2)}`,
+            payload: `product:${product._id}`
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Erro ao enviar catálogo:', error);
+    }
   }
 
   /**
-   * Converte horário para minutos
+   * Transcreve mensagem de áudio
    */
-  timeToMinutes(timeString) {
-    const [hours, minutes] = timeString.split(':').map(Number);
-    return hours * 60 + minutes;
+  async processAudioMessage(buffer, mimeType) {
+    if (!buffer) {
+      return { status: 'failed' };
+    }
+    return TranscriptionService.transcribe(buffer, mimeType);
   }
 
   /**
@@ -329,12 +706,12 @@ class WhatsAppService {
   async getRecentMessages(storeId, contactId, limit = 10) {
     try {
       const messages = await Message.find({
-        store: storeId,
-        contact: contactId
+        storeId,
+        contactId
       })
-      .sort({ timestamp: -1 })
+      .sort({ createdAt: -1 })
       .limit(limit)
-      .select('content direction timestamp');
+      .select('content direction createdAt');
 
       return messages.reverse(); // Ordem cronológica
     } catch (error) {
@@ -354,7 +731,7 @@ class WhatsAppService {
             await this.addToWishlist(contactId, action.productId);
             break;
           case 'send_coupon':
-            await this.sendCoupon(storeId, contactId, action.couponCode);
+            await this.sendCouponForTrigger(storeId, contactId, action.trigger);
             break;
           case 'schedule_followup':
             await this.scheduleFollowup(storeId, contactId, action.delay, action.message);
@@ -371,28 +748,52 @@ class WhatsAppService {
    */
   async addToWishlist(contactId, productId) {
     try {
-      await Contact.findByIdAndUpdate(contactId, {
-        $addToSet: { wishlist: productId }
-      });
+      const contact = await Contact.findById(contactId);
+      if (contact && productId) await contact.addToWishlist(productId);
     } catch (error) {
       console.error('Erro ao adicionar à wishlist:', error);
     }
   }
 
   /**
-   * Envia cupom de desconto
+   * Emite e envia o cupom da regra do gatilho (primeira compra, aniversário,
+   * carrinho abandonado), se a loja tiver a regra e o contato for elegível
    */
-  async sendCoupon(storeId, contactId, couponCode) {
+  async sendCouponForTrigger(storeId, contactId, trigger) {
     try {
       const contact = await Contact.findById(contactId);
-      if (!contact) return;
+      if (!contact) return null;
+
+      const coupon = await PromotionService.issueForTrigger(storeId, contact, trigger);
+      if (!coupon) return null;
+
+      await this.sendCoupon(storeId, contact, coupon);
+      return coupon;
+    } catch (error) {
+      console.error('Erro ao emitir cupom:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Envia cupom de desconto
+   */
+  async sendCoupon(storeId, contact, coupon) {
+    try {
+      const conditions = [];
+      if (coupon.minCartValue) {
+        conditions.push(`🛒 Compras a partir de R$ ${coupon.minCartValue.toFixed(2).replace('.', ',')}`);
+      }
+      if (coupon.validUntil) {
+        conditions.push(`⏰ Válido até ${coupon.validUntil.toLocaleDateString('pt-BR')}`);
+      }
 
-      const couponMessage = `🎉 *Parabéns!* Você ganhou um cupom de desconto!\n\n` +
-                           `🏷️ Código: *${couponCode}*\n` +
-                           `💰 Use na sua próxima compra e economize!\n\n` +
-                           `⏰ Válido por tempo limitado. Não perca!`;
+      const couponMessage = `🎉 *Parabéns!* Você ganhou ${coupon.describeBenefit()}!\n\n` +
+                           `🏷️ Código: *${coupon.code}*\n` +
+                           (conditions.length > 0 ? `${conditions.join('\n')}\n\n` : '\n') +
+                           `É só informar o código ao finalizar a compra 😉`;
 
-      await this.sendMessage(storeId, contact.phone, couponMessage);
+      await this.sendMessage(storeId, contact.phone, couponMessage, null, { source: 'ai' });
     } catch (error) {
       console.error('Erro ao enviar cupom:', error);
     }
@@ -413,30 +814,45 @@ class WhatsAppService {
 
   /**
    * Desconecta cliente
+   * @param {Object} options - { restart: true } mantém a reconexão automática ativa
    */
-  async disconnectClient(storeId) {
+  async disconnectClient(storeId, options = {}) {
     try {
+      storeId = String(storeId);
       const client = this.clients.get(storeId);
       if (client) {
-        await client.destroy();
         this.clients.delete(storeId);
+        await client.disconnect();
       }
       this.qrCodes.delete(storeId);
+
+      const updates = { 'whatsapp.isConnected': false };
+      if (!options.restart) {
+        updates['whatsapp.autoReconnect'] = false;
+      }
+      await Store.findByIdAndUpdate(storeId, updates);
     } catch (error) {
       console.error('Erro ao desconectar cliente:', error);
     }
   }
 
+  /**
+   * Reinicia o cliente da loja (usado pelo supervisor de conexões)
+   */
+  async restartClient(storeId) {
+    await this.disconnectClient(storeId, { restart: true });
+    return this.initializeClient(storeId);
+  }
+
   /**
    * Obtém status da conexão
    */
   async getConnectionStatus(storeId) {
     try {
-      const client = this.clients.get(storeId);
+      const client = this.clients.get(String(storeId));
       if (!client) return 'disconnected';
 
-      const state = await client.getState();
-      return state;
+      return await client.getStatus();
     } catch (error) {
       console.error('Erro ao obter status:', error);
       return 'error';
@@ -444,17 +860,63 @@ class WhatsAppService {
   }
 
   /**
-   * Processa mensagem de webhook (para APIs externas)
+   * Processa mensagem de webhook (Cloud API, Z-API ou provedor em memória)
+   * Eventos repetidos (mesmo id no provedor) são ignorados; a falha de um
+   * evento fica registrada em ProcessedEvent (failed) sem interromper o lote
    */
   async processIncomingMessage(storeId, messageData) {
     try {
-      // Implementar processamento de webhook
-      // Para APIs como Z-API, Twilio, etc.
-      console.log('Processando webhook:', messageData);
+      storeId = String(storeId);
+      const provider = await this.getProvider(storeId);
+      if (!provider || !provider.usesWebhook) {
+        console.warn(`Webhook recebido para loja ${storeId} sem provedor via webhook`);
+        return 0;
+      }
+
+      const events = provider.parseWebhook(messageData);
+      let processed = 0;
+
+      for (const { event, data } of events) {
+        if (this.isStaleEvent(data)) {
+          console.warn(`Evento ${data.id} ignorado por estar fora da janela de processamento`);
+          continue;
+        }
+
+        const eventId = data.eventId || data.id;
+        try {
+          const claimed = await ProcessedEvent.claim(storeId, eventId, provider.name);
+          if (!claimed) continue;
+
+          if (event === 'message') {
+            await this.handleIncomingMessage(storeId, data);
+          } else if (event === 'status') {
+            await this.handleStatusUpdate(storeId, data);
+          }
+          await ProcessedEvent.complete(storeId, eventId);
+          processed++;
+        } catch (error) {
+          // O webhook já respondeu 200 e o provedor não reenvia: registra a falha
+          // e segue com os demais eventos do lote
+          console.error(`Erro ao processar evento ${eventId} do webhook:`, error);
+          await ProcessedEvent.fail(storeId, eventId, error)
+            .catch(failError => console.error('Erro ao registrar falha do evento:', failError));
+        }
+      }
+
+      return processed;
     } catch (error) {
       console.error('Erro ao processar webhook:', error);
     }
   }
+
+  /**
+   * Verifica se um evento é antigo demais para ser processado
+   */
+  isStaleEvent(data) {
+    const maxAgeHours = parseInt(process.env.WEBHOOK_MAX_EVENT_AGE_HOURS, 10) || 24;
+    if (!data.timestamp) return false;
+    return Date.now() - new Date(data.timestamp).getTime() > maxAgeHours * 60 * 60 * 1000;
+  }
 }
 
 module.exports = new WhatsAppService();
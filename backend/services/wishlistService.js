@@ -0,0 +1,413 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Contact = require('../models/Contact');
+const Order = require('../models/Order');
+const Store = require('../models/Store');
+const WishlistNotification = require('../models/WishlistNotification');
+
+const CHECK_INTERVAL = parseInt(process.env.WISHLIST_CHECK_MS, 10) || 5 * 60 * 1000;
+
+// Avisos enviados por verificação
+const BATCH_SIZE = 50;
+
+// Descontos que começaram há mais tempo que isso não são mais anunciados
+const ANNOUNCE_WINDOW = 3 * 24 * 60 * 60 * 1000;
+
+// Janela da limitação de avisos por contato (maxPerWeek)
+const CAP_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const formatPrice = value => `R$ ${value.toFixed(2).replace('.', ',')}`;
+
+/**
+ * Avisos da lista de desejos aos clientes
+ *
+ * - Volta ao estoque: StockAlertService repassa cada verificação de estoque
+ *   (checkStock); o produto guarda quando esgotou (inventory.soldOutAt) e,
+ *   ao voltar a ter unidades disponíveis, avisa quem pediu notifyOnRestock
+ * - Promoção: a verificação periódica anuncia, uma vez, cada desconto que
+ *   começou (discounts.announcedAt) a quem pediu notifyOnSale
+ *
+ * Os avisos entram na fila (WishlistNotification) para a janela de horário do
+ * contato (communication.preferredTime) e, no envio, respeitam o opt-in de
+ * WhatsApp e de marketing e o limite de Store.marketing.wishlistAlerts.maxPerWeek.
+ * Pedidos do contato com o produto até attributionDays depois do aviso ficam
+ * registrados nele (conversão e receita).
+ */
+class WishlistService {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Inicia a verificação periódica
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), CHECK_INTERVAL);
+  }
+
+  /**
+   * Para a verificação periódica
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Anuncia os descontos que começaram e envia os avisos da fila
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      await this.scanDiscounts();
+      await this.processQueue();
+    } catch (error) {
+      console.error('Erro ao processar avisos da lista de desejos:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Acompanha o estoque do produto e avisa quando ele volta
+   * @param {Product} product - com inventory, variants, storeId e isActive
+   */
+  async checkStock(product) {
+    const { inventory } = product;
+    if (!product.isActive || !inventory.trackQuantity || inventory.allowBackorder) return;
+
+    if (product.isOutOfStock) {
+      if (!inventory.soldOutAt) {
+        await Product.updateOne(
+          { _id: product._id, 'inventory.soldOutAt': null },
+          { 'inventory.soldOutAt': new Date() }
+        );
+      }
+      return;
+    }
+
+    if (!inventory.soldOutAt) return;
+
+    // Só a primeira verificação depois da reposição avisa
+    const claimed = await Product.findOneAndUpdate(
+      { _id: product._id, 'inventory.soldOutAt': inventory.soldOutAt },
+      { $unset: { 'inventory.soldOutAt': 1 } }
+    );
+    if (claimed) {
+      await this.enqueue(product, 'restock', `restock:${inventory.soldOutAt.getTime()}`);
+    }
+  }
+
+  /**
+   * Anuncia os descontos ativos que ainda não foram anunciados
+   */
+  async scanDiscounts(now = new Date()) {
+    const products = await Product.find({
+      isActive: true,
+      discounts: {
+        $elemMatch: {
+          isActive: true,
+          announcedAt: null,
+          $and: [
+            { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+            { $or: [{ endDate: null }, { endDate: { $gt: now } }] }
+          ]
+        }
+      }
+    }).select('name price discounts variants inventory storeId isActive');
+
+    for (const product of products) {
+      for (const discount of product.discounts) {
+        if (!this.isStarting(discount, now)) continue;
+
+        const claimed = await Product.updateOne(
+          { _id: product._id, discounts: { $elemMatch: { _id: discount._id, announcedAt: null } } },
+          { $set: { 'discounts.$.announcedAt': now } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        // Desconto antigo (ex: criado antes da funcionalidade) é só marcado
+        const startedAt = discount.startDate || discount._id.getTimestamp();
+        if (now - startedAt > ANNOUNCE_WINDOW || !product.isOnSale) continue;
+
+        await this.enqueue(product, 'price_drop', `price_drop:${discount._id}`);
+      }
+    }
+  }
+
+  /**
+   * Indica se o desconto está em vigor e ainda não foi anunciado
+   */
+  isStarting(discount, now) {
+    if (!discount.isActive || discount.announcedAt) return false;
+    if (discount.startDate && now < discount.startDate) return false;
+    if (discount.endDate && now > discount.endDate) return false;
+    return true;
+  }
+
+  /**
+   * Coloca na fila um aviso para cada contato que quer saber do evento
+   * @returns {Promise<number>} avisos criados
+   */
+  async enqueue(product, type, event) {
+    const store = await Store.findById(product.storeId).select('marketing.wishlistAlerts');
+    if (!this.getSettings(store).enabled) return 0;
+
+    const contacts = await Contact.find({
+      storeId: product.storeId,
+      isActive: true,
+      wishlist: {
+        $elemMatch: {
+          productId: product._id,
+          [type === 'restock' ? 'notifyOnRestock' : 'notifyOnSale']: { $ne: false }
+        }
+      },
+      'communication.whatsappOptIn': { $ne: false },
+      'communication.marketingOptIn': { $ne: false },
+      'whatsapp.isBlocked': { $ne: true }
+    }).select('communication');
+
+    const now = new Date();
+    let created = 0;
+    for (const contact of contacts) {
+      try {
+        await WishlistNotification.create({
+          contactId: contact._id,
+          productId: product._id,
+          type,
+          event,
+          scheduledFor: contact.nextContactTime(now),
+          storeId: product.storeId
+        });
+        created++;
+      } catch (error) {
+        // Aviso do mesmo evento já na fila
+        if (error.code !== 11000) throw error;
+      }
+    }
+    return created;
+  }
+
+  /**
+   * Envia os avisos da fila cujo horário chegou
+   */
+  async processQueue(now = new Date()) {
+    const due = await WishlistNotification.find({ status: 'queued', scheduledFor: { $lte: now } })
+      .sort({ scheduledFor: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const notification of due) {
+      try {
+        await this.deliver(notification, now);
+      } catch (error) {
+        console.error('Erro ao enviar aviso da lista de desejos:', error);
+        await WishlistNotification.updateOne(
+          { _id: notification._id },
+          { status: 'failed', reason: error.message }
+        );
+      }
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Confere as condições do aviso e envia o card do produto
+   */
+  async deliver(notification, now = new Date()) {
+    const skip = reason => WishlistNotification.updateOne(
+      { _id: notification._id },
+      { status: 'skipped', reason }
+    );
+
+    const store = await Store.findById(notification.storeId).select('marketing.wishlistAlerts');
+    const settings = this.getSettings(store);
+    if (!settings.enabled) return skip('disabled');
+
+    const contact = await Contact.findOne({ _id: notification.contactId, isActive: true })
+      .select('phone wishlist communication whatsapp');
+    if (!contact || !contact.acceptsMarketing()) return skip('opt_out');
+
+    const flag = notification.type === 'restock' ? 'notifyOnRestock' : 'notifyOnSale';
+    const item = contact.wishlist.find(entry => String(entry.productId) === String(notification.productId));
+    if (!item || item[flag] === false) return skip('removed');
+
+    // Preferências de horário podem ter mudado desde o agendamento
+    const nextTime = contact.nextContactTime(now);
+    if (nextTime > now) {
+      await WishlistNotification.updateOne({ _id: notification._id }, { scheduledFor: nextTime });
+      return null;
+    }
+
+    const product = await Product.findOne({ _id: notification.productId, isActive: true });
+    if (!product) return skip('unavailable');
+    if (product.isOutOfStock) return skip('out_of_stock');
+    if (notification.type === 'price_drop' && !product.isOnSale) return skip('sale_ended');
+
+    const sent = await WishlistNotification.countDocuments({
+      contactId: contact._id,
+      status: 'sent',
+      sentAt: { $gte: new Date(now.getTime() - CAP_WINDOW) }
+    });
+    if (sent >= settings.maxPerWeek) return skip('frequency_cap');
+
+    await this.sendCard(notification.storeId, contact, product, notification.type);
+
+    return WishlistNotification.updateOne(
+      { _id: notification._id },
+      { status: 'sent', sentAt: now, price: product.price, finalPrice: product.priceRange.min }
+    );
+  }
+
+  /**
+   * Envia o card do produto (imagem, preço e botão de compra)
+   */
+  async sendCard(storeId, contact, product, type) {
+    // Carregado aqui para evitar dependência circular
+    const WhatsAppService = require('./whatsappService');
+
+    const { min } = product.priceRange;
+    const from = product.hasVariants && min !== product.priceRange.max ? 'a partir de ' : '';
+    const text = type === 'restock'
+      ? `🎉 *${product.name}*, da sua lista de desejos, voltou ao estoque!\n\n` +
+        `💰 ${from}${formatPrice(min)}`
+      : `🔥 *${product.name}*, da sua lista de desejos, entrou em promoção!\n\n` +
+        `💰 De ~${formatPrice(product.price)}~ por ${from}*${formatPrice(min)}*`;
+
+    const button = {
+      type: 'button',
+      buttons: [{ id: `product:${product._id}`, title: 'Quero comprar' }]
+    };
+
+    const image = product.primaryImage;
+    if (image) {
+      await WhatsAppService.sendMessage(storeId, contact.phone, text, `${process.env.API_URL}${image.url}`, {
+        source: 'campaign'
+      });
+      await WhatsAppService.sendMessage(storeId, contact.phone, 'É só tocar no botão para garantir o seu 😉', null, {
+        source: 'campaign',
+        interactive: button
+      });
+      return;
+    }
+
+    await WhatsAppService.sendMessage(storeId, contact.phone, text, null, {
+      source: 'campaign',
+      interactive: button
+    });
+  }
+
+  /**
+   * Configurações da loja com os valores padrão
+   */
+  getSettings(store) {
+    const settings = (store && store.marketing && store.marketing.wishlistAlerts) || {};
+    return {
+      enabled: Boolean(settings.enabled),
+      maxPerWeek: typeof settings.maxPerWeek === 'number' ? settings.maxPerWeek : 2,
+      attributionDays: settings.attributionDays || 7
+    };
+  }
+
+  /**
+   * Registra o pedido nos avisos enviados ao contato sobre os produtos comprados
+   */
+  async attributeOrder(order) {
+    try {
+      const store = await Store.findById(order.storeId).select('marketing.wishlistAlerts');
+      const { attributionDays } = this.getSettings(store);
+      const since = new Date(order.createdAt.getTime() - attributionDays * DAY);
+
+      const revenueByProduct = new Map();
+      for (const item of order.items) {
+        const key = String(item.productId);
+        revenueByProduct.set(key, (revenueByProduct.get(key) || 0) + item.total);
+      }
+
+      for (const [productId, revenue] of revenueByProduct) {
+        // O aviso mais recente leva a conversão
+        await WishlistNotification.findOneAndUpdate(
+          {
+            contactId: order.contactId,
+            productId,
+            status: 'sent',
+            sentAt: { $gte: since, $lte: order.createdAt },
+            orderId: null
+          },
+          {
+            orderId: order._id,
+            orderNumber: order.number,
+            revenue: Math.round(revenue * 100) / 100,
+            convertedAt: order.createdAt
+          },
+          { sort: { sentAt: -1 } }
+        );
+      }
+    } catch (error) {
+      console.error('Erro ao atribuir pedido a aviso da lista de desejos:', error);
+    }
+  }
+
+  /**
+   * Relatório por tipo de aviso: enviados, ignorados, conversões e receita
+   * (pedidos cancelados não contam)
+   */
+  async report(storeId, { from, to } = {}) {
+    const match = { storeId: new mongoose.Types.ObjectId(String(storeId)) };
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const rows = await WishlistNotification.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: Order.collection.name,
+          localField: 'orderId',
+          foreignField: '_id',
+          as: 'order'
+        }
+      },
+      {
+        $addFields: {
+          converted: {
+            $and: [
+              { $gt: [{ $size: '$order' }, 0] },
+              { $ne: [{ $arrayElemAt: ['$order.status', 0] }, 'cancelled'] }
+            ]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$type',
+          queued: { $sum: { $cond: [{ $eq: ['$status', 'queued'] }, 1, 0] } },
+          sent: { $sum: { $cond: [{ $eq: ['$status', 'sent'] }, 1, 0] } },
+          skipped: { $sum: { $cond: [{ $eq: ['$status', 'skipped'] }, 1, 0] } },
+          failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+          converted: { $sum: { $cond: ['$converted', 1, 0] } },
+          revenue: { $sum: { $cond: ['$converted', '$revenue', 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return rows.map(({ _id, ...row }) => ({
+      type: _id,
+      ...row,
+      revenue: Math.round(row.revenue * 100) / 100,
+      conversionRate: row.sent > 0 ? Math.round((row.converted / row.sent) * 1000) / 10 : 0
+    }));
+  }
+}
+
+module.exports = new WishlistService();
@@ -0,0 +1,62 @@
+/**
+ * CEP (código postal brasileiro): validação, formatação e faixas
+ */
+
+// CEP no texto: 01310-100, 01310100 ou 01.310-100
+const CEP_PATTERN = /\b(\d{2})\.?(\d{3})-?(\d{3})\b/;
+
+/**
+ * CEP só com os 8 dígitos (null se inválido)
+ */
+function normalizeCep(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length === 8 && digits !== '00000000' ? digits : null;
+}
+
+/**
+ * CEP no formato 00000-000
+ */
+function formatCep(value) {
+  const cep = normalizeCep(value);
+  return cep ? `${cep.slice(0, 5)}-${cep.slice(5)}` : String(value || '');
+}
+
+/**
+ * Primeiro CEP mencionado no texto
+ */
+function extractCep(text) {
+  const match = CEP_PATTERN.exec(String(text || ''));
+  return match ? normalizeCep(match.slice(1).join('')) : null;
+}
+
+/**
+ * Verifica se o CEP está em alguma das faixas [{ from, to }]
+ */
+function inRanges(cep, ranges = []) {
+  const value = normalizeCep(cep);
+  if (!value) return false;
+
+  return ranges.some(range => {
+    const from = normalizeCep(range.from);
+    const to = normalizeCep(range.to) || from;
+    return from && value >= from && value <= to;
+  });
+}
+
+/**
+ * Tamanho da faixa (para preferir a zona mais específica)
+ */
+function rangeSize(range) {
+  const from = Number(normalizeCep(range.from) || 0);
+  const to = Number(normalizeCep(range.to) || from);
+  return to - from;
+}
+
+module.exports = {
+  CEP_PATTERN,
+  normalizeCep,
+  formatCep,
+  extractCep,
+  inRanges,
+  rangeSize
+};
@@ -0,0 +1,135 @@
+const { normalize } = require('./text');
+
+/**
+ * Mensagens interativas (botões e listas)
+ *
+ * Formato usado em sendMessage(..., { interactive }) e salvo em Message.interactive:
+ * {
+ *   type: 'button' | 'list',
+ *   buttonText,                      // Rótulo que abre a lista
+ *   buttons: [{ id, title, payload }],
+ *   listItems: [{ id, title, description, payload }]
+ * }
+ *
+ * Provedores sem suporte recebem o texto numerado gerado por renderFallback.
+ */
+
+const MAX_OPTIONS = 10;
+
+/**
+ * Opções (botões ou itens da lista) de uma mensagem interativa
+ */
+function getOptions(interactive) {
+  if (!interactive) return [];
+  return (interactive.type === 'list' ? interactive.listItems : interactive.buttons) || [];
+}
+
+/**
+ * Valida e completa uma mensagem interativa (ids e payloads ausentes)
+ * @throws {Error} quando o formato é inválido
+ */
+function normalizeInteractive(interactive) {
+  if (!interactive) return null;
+
+  if (!['button', 'list'].includes(interactive.type)) {
+    throw new Error('Tipo de mensagem interativa inválido (use button ou list)');
+  }
+
+  const options = getOptions(interactive);
+  if (!Array.isArray(options) || options.length === 0) {
+    throw new Error('Mensagem interativa sem opções');
+  }
+  if (options.length > MAX_OPTIONS) {
+    throw new Error(`Mensagem interativa com mais de ${MAX_OPTIONS} opções`);
+  }
+
+  const normalized = options.map((option, index) => {
+    if (!option.title) {
+      throw new Error('Toda opção precisa de um título');
+    }
+    const id = String(option.id || option.payload || index + 1);
+    return {
+      id,
+      title: String(option.title),
+      description: option.description,
+      payload: option.payload || id
+    };
+  });
+
+  if (interactive.type === 'list') {
+    return {
+      type: 'list',
+      buttonText: interactive.buttonText || 'Ver opções',
+      listItems: normalized
+    };
+  }
+
+  return {
+    type: 'button',
+    buttons: normalized.map(({ id, title, payload }) => ({ id, title, payload }))
+  };
+}
+
+/**
+ * Junta números no formato "1, 2 ou 3"
+ */
+function joinNumbers(count) {
+  const numbers = Array.from({ length: count }, (value, index) => String(index + 1));
+  if (numbers.length === 1) return numbers[0];
+  return `${numbers.slice(0, -1).join(', ')} ou ${numbers[numbers.length - 1]}`;
+}
+
+/**
+ * Texto numerado para provedores sem botões/listas
+ */
+function renderFallback(text, interactive) {
+  const options = getOptions(interactive);
+  const lines = options.map((option, index) => {
+    const description = option.description ? ` - ${option.description}` : '';
+    return `*${index + 1}.* ${option.title}${description}`;
+  });
+
+  const parts = [];
+  if (text) parts.push(text);
+  parts.push(lines.join('\n'));
+  parts.push(`_Responda ${joinNumbers(options.length)}_`);
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Identifica a opção escolhida em uma resposta
+ * Aceita o id devolvido pelo provedor, o número da opção ("2", "2.", "opção 2")
+ * ou o título digitado
+ * @returns {{id, title, payload}|null}
+ */
+function matchReply(interactive, { id, text } = {}) {
+  const options = getOptions(interactive);
+  if (options.length === 0) return null;
+
+  let option = null;
+
+  if (id) {
+    option = options.find(item => item.id === id || item.payload === id);
+  }
+
+  if (!option && text) {
+    const simple = normalize(text);
+    const number = simple.match(/^(?:opcao |numero |n )?(\d{1,2})$/);
+
+    if (number) {
+      option = options[parseInt(number[1], 10) - 1];
+    } else {
+      option = options.find(item => normalize(item.title) === simple);
+    }
+  }
+
+  return option ? { id: option.id, title: option.title, payload: option.payload } : null;
+}
+
+module.exports = {
+  getOptions,
+  normalizeInteractive,
+  renderFallback,
+  matchReply
+};
@@ -0,0 +1,127 @@
+/**
+ * Identificação de tipos de arquivo pelo conteúdo (magic bytes)
+ */
+
+// Assinaturas conhecidas: bytes esperados a partir de um deslocamento
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimeType: 'image/gif', ascii: 'GIF8' },
+  { mimeType: 'application/pdf', ascii: '%PDF-' },
+  { mimeType: 'audio/ogg', ascii: 'OggS' },
+  { mimeType: 'audio/mpeg', ascii: 'ID3' },
+  { mimeType: 'audio/mpeg', bytes: [0xFF, 0xFB] },
+  { mimeType: 'audio/mpeg', bytes: [0xFF, 0xF3] },
+  { mimeType: 'audio/mpeg', bytes: [0xFF, 0xF2] },
+  { mimeType: 'audio/amr', ascii: '#!AMR' },
+  { mimeType: 'video/webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+  { mimeType: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { mimeType: 'application/x-msdownload', ascii: 'MZ' },
+  { mimeType: 'application/x-executable', bytes: [0x7F, 0x45, 0x4C, 0x46] }
+];
+
+// Extensões usadas ao salvar os arquivos
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'audio/wav': 'wav',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'text/plain': 'txt'
+};
+
+// Formatos baseados em ZIP (o conteúdo sempre é identificado como application/zip)
+const ZIP_BASED = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+// Tipos aceitos para mensagens recebidas
+const ALLOWED_PREFIXES = ['image/', 'audio/', 'video/'];
+const ALLOWED_TYPES = Object.keys(EXTENSIONS).filter(type => !ALLOWED_PREFIXES.some(prefix => type.startsWith(prefix)));
+
+function matches(buffer, signature, offset = 0) {
+  const bytes = signature.bytes || Buffer.from(signature.ascii, 'ascii');
+  if (buffer.length < offset + bytes.length) return false;
+
+  for (let i = 0; i < bytes.length; i++) {
+    if (buffer[offset + i] !== bytes[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Identifica o tipo do arquivo pelos primeiros bytes
+ * @returns {string|null} MIME type ou null quando desconhecido
+ */
+function sniffMimeType(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+
+  // Contêineres RIFF (WEBP/WAV) e ISO BMFF (MP4/MOV/3GP/M4A)
+  if (matches(buffer, { ascii: 'RIFF' })) {
+    if (matches(buffer, { ascii: 'WEBP' }, 8)) return 'image/webp';
+    if (matches(buffer, { ascii: 'WAVE' }, 8)) return 'audio/wav';
+  }
+  if (matches(buffer, { ascii: 'ftyp' }, 4)) {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (brand.startsWith('M4A')) return 'audio/mp4';
+    if (brand.startsWith('3gp')) return 'video/3gpp';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+
+  const signature = SIGNATURES.find(item => matches(buffer, item));
+  return signature ? signature.mimeType : null;
+}
+
+/**
+ * Resolve o tipo final comparando o conteúdo com o tipo informado pelo provedor
+ * O conteúdo prevalece, exceto quando o informado é um formato derivado
+ * (ex: .docx é um ZIP)
+ */
+function resolveMimeType(buffer, declared) {
+  const base = declared ? declared.split(';')[0].trim().toLowerCase() : null;
+  const sniffed = sniffMimeType(buffer);
+
+  if (!sniffed) return base;
+  if (sniffed === 'application/zip' && ZIP_BASED.includes(base)) return base;
+  return sniffed;
+}
+
+/**
+ * Verifica se o tipo pode ser armazenado
+ */
+function isAllowedMimeType(mimeType) {
+  if (!mimeType) return false;
+  return ALLOWED_PREFIXES.some(prefix => mimeType.startsWith(prefix)) ||
+    ALLOWED_TYPES.includes(mimeType);
+}
+
+/**
+ * Extensão de arquivo para o tipo informado
+ */
+function extensionFor(mimeType) {
+  return EXTENSIONS[mimeType] || 'bin';
+}
+
+module.exports = {
+  sniffMimeType,
+  resolveMimeType,
+  isAllowedMimeType,
+  extensionFor
+};
@@ -0,0 +1,173 @@
+/**
+ * BR Code do Pix ("copia e cola") no padrão EMV do Banco Central
+ * Gerado localmente a partir da chave Pix, sem depender de PSP
+ */
+
+const GUI = 'br.gov.bcb.pix';
+const MAX_NAME_LENGTH = 25;
+const MAX_CITY_LENGTH = 15;
+const MAX_TXID_LENGTH = 25;
+const KEY_TYPES = ['cpf', 'cnpj', 'email', 'phone', 'random'];
+
+/**
+ * Campo EMV: id + tamanho com dois dígitos + valor
+ */
+function field(id, value) {
+  const text = String(value);
+  if (text.length > 99) {
+    throw new Error(`Campo ${id} do BR Code excede 99 caracteres`);
+  }
+  return `${id}${String(text.length).padStart(2, '0')}${text}`;
+}
+
+/**
+ * CRC16-CCITT (polinômio 0x1021, início 0xFFFF), em 4 dígitos hexadecimais
+ */
+function crc16(payload) {
+  let crc = 0xFFFF;
+  for (let i = 0; i < payload.length; i++) {
+    crc ^= payload.charCodeAt(i) << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xFFFF;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Texto sem acentos e só com caracteres aceitos pelos bancos
+ */
+function sanitize(text, maxLength) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 .,\-/@&]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
+
+/**
+ * Confere os dígitos verificadores do CPF
+ */
+function isValidCpf(digits) {
+  if (!/^\d{11}$/.test(digits) || /^(\d)\1{10}$/.test(digits)) return false;
+
+  const check = (length) => {
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum += Number(digits[i]) * (length + 1 - i);
+    }
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+
+  return check(9) === Number(digits[9]) && check(10) === Number(digits[10]);
+}
+
+/**
+ * Identifica o tipo da chave quando não informado
+ */
+function detectKeyType(key) {
+  const value = String(key || '').trim();
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) return 'random';
+  if (value.includes('@')) return 'email';
+  if (value.startsWith('+')) return 'phone';
+
+  const digits = value.replace(/\D/g, '');
+  if (digits.length === 14) return 'cnpj';
+  // 11 dígitos: CPF se os dígitos verificadores conferem, senão celular com DDD
+  if (digits.length === 11) return isValidCpf(digits) ? 'cpf' : 'phone';
+  if (digits.length === 10 || digits.length === 12 || digits.length === 13) return 'phone';
+  return null;
+}
+
+/**
+ * Chave no formato exigido pelo DICT (ex: telefone como +5511999999999)
+ */
+function normalizeKey(key, type = detectKeyType(key)) {
+  const value = String(key || '').trim();
+
+  switch (type) {
+    case 'cpf':
+    case 'cnpj':
+      return value.replace(/\D/g, '');
+    case 'phone': {
+      const digits = value.replace(/\D/g, '');
+      return `+${digits.startsWith('55') && digits.length > 11 ? digits : `55${digits}`}`;
+    }
+    case 'email':
+    case 'random':
+      return value.toLowerCase();
+    default:
+      throw new Error('Chave Pix inválida');
+  }
+}
+
+/**
+ * Identificador da cobrança: apenas letras e números, até 25 caracteres
+ */
+function sanitizeTxid(txid) {
+  const value = String(txid || '').replace(/[^A-Za-z0-9]/g, '').slice(0, MAX_TXID_LENGTH);
+  return value || '***';
+}
+
+/**
+ * Monta o BR Code
+ * Sem amount gera o código estático da loja (o pagador digita o valor);
+ * com amount e txid gera a cobrança de um pedido
+ * @param {Object} options - { key, keyType, name, city, amount, txid, description }
+ * @returns {string} código "copia e cola"
+ */
+function buildPayload({ key, keyType, name, city, amount, txid, description }) {
+  const merchantName = sanitize(name, MAX_NAME_LENGTH);
+  const merchantCity = sanitize(city, MAX_CITY_LENGTH);
+  if (!merchantName || !merchantCity) {
+    throw new Error('Nome e cidade do recebedor são obrigatórios no BR Code');
+  }
+
+  let account = field('00', GUI) + field('01', normalizeKey(key, keyType || detectKeyType(key)));
+  if (description) {
+    // Descrição só entra se couber no campo da conta (99 caracteres)
+    const room = 99 - account.length - 4;
+    const text = sanitize(description, room);
+    if (text) account += field('02', text);
+  }
+
+  let payload = field('00', '01') +
+    field('26', account) +
+    field('52', '0000') +
+    field('53', '986');
+
+  if (amount) {
+    payload += field('54', Number(amount).toFixed(2));
+  }
+
+  payload += field('58', 'BR') +
+    field('59', merchantName) +
+    field('60', merchantCity) +
+    field('62', field('05', sanitizeTxid(txid)));
+
+  payload += '6304';
+  return payload + crc16(payload);
+}
+
+/**
+ * Confere o CRC de um BR Code
+ */
+function isValidPayload(payload) {
+  const value = String(payload || '');
+  if (!/6304[0-9A-F]{4}$/.test(value)) return false;
+  return crc16(value.slice(0, -4)) === value.slice(-4);
+}
+
+module.exports = {
+  KEY_TYPES,
+  crc16,
+  detectKeyType,
+  normalizeKey,
+  sanitizeTxid,
+  buildPayload,
+  isValidPayload
+};
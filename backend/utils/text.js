@@ -0,0 +1,67 @@
+/**
+ * Normalização de texto em português para busca e classificação
+ */
+
+// Palavras sem valor de busca
+const STOP_WORDS = new Set([
+  'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'de', 'da', 'do', 'das', 'dos',
+  'em', 'na', 'no', 'nas', 'nos', 'para', 'pra', 'pro', 'por', 'com', 'sem', 'e', 'ou',
+  'que', 'se', 'eu', 'voce', 'vc', 'ele', 'ela', 'me', 'te', 'lhe', 'meu', 'minha',
+  'seu', 'sua', 'isso', 'esse', 'essa', 'este', 'esta', 'ai', 'la', 'aqui', 'tem',
+  'ter', 'ser', 'sao', 'foi', 'vai', 'qual', 'quais', 'como', 'quando', 'onde',
+  'oi', 'ola', 'gostaria', 'queria', 'quero', 'saber', 'favor', 'pode', 'posso', 'vcs', 'voces'
+]);
+
+// Palavras que negam os termos seguintes ("não tem problema", "não é ruim")
+const NEGATIONS = new Set(['nao', 'sem', 'nunca', 'nenhum', 'nenhuma', 'nem', 'nada']);
+// Quantas palavras depois da negação são afetadas
+const NEGATION_SCOPE = 2;
+
+/**
+ * Minúsculas, sem acentos e sem pontuação
+ */
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Radical simples: remove plurais e diminutivos mais comuns
+ */
+function stem(word) {
+  if (word.length <= 3) return word;
+  return word
+    .replace(/z?inhos?$/, 'o')
+    .replace(/z?inhas?$/, 'a')
+    .replace(/oes$/, 'ao')
+    .replace(/aes$/, 'ao')
+    .replace(/ns$/, 'm')
+    .replace(/es$/, '')
+    .replace(/s$/, '');
+}
+
+/**
+ * Separa o texto em termos de busca (sem stop words, com radical)
+ * @param {Object} options - { keepStopWords }
+ */
+function tokenize(text, { keepStopWords = false } = {}) {
+  return normalize(text)
+    .split(' ')
+    .filter(word => word && (keepStopWords || !STOP_WORDS.has(word)))
+    .map(stem)
+    .filter(Boolean);
+}
+
+module.exports = {
+  STOP_WORDS,
+  NEGATIONS,
+  NEGATION_SCOPE,
+  normalize,
+  stem,
+  tokenize
+};